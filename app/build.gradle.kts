@@ -34,10 +34,18 @@ android {
     resources.excludes.add("META-INF/NOTICE.md")
     resources.excludes.add("META-INF/LICENSE.md")
     resources.excludes.add("META-INF/DEPENDENCIES")
+    // Bouncy Castle jars each carry this manifest
+    resources.excludes.add("META-INF/versions/9/OSGI-INF/MANIFEST.MF")
   }
 
   lint { abortOnError = false }
 
+  // android.util.Log calls in code under test do nothing in JVM unit tests instead of throwing
+  testOptions { unitTests.isReturnDefaultValues = true }
+
+  // Schemas exported by Room (see ksp below), read by the migration tests
+  sourceSets.getByName("androidTest").assets.srcDir("$projectDir/schemas")
+
   // Define flavor dimensions
   flavorDimensions += "mode"
 
@@ -140,6 +148,7 @@ dependencies {
   implementation(libs.androidx.room.runtime)
   implementation(libs.androidx.room.ktx)
   ksp(libs.androidx.room.compiler)
+  androidTestImplementation(libs.androidx.room.testing)
 
   // WorkManager
   implementation(libs.androidx.work.runtime.ktx)
@@ -164,6 +173,12 @@ dependencies {
   // Gson (JSON serialization for sync protocol)
   implementation("com.google.code.gson:gson:2.10.1")
 
+  // ZXing core (QR code for pairing a browser with the WiFi transfer server)
+  implementation("com.google.zxing:core:3.5.3")
+
+  // Bouncy Castle PKIX (self-signed certificate for the WiFi transfer server's HTTPS option)
+  implementation("org.bouncycastle:bcpkix-jdk18on:1.78.1")
+
   // Hilt
   implementation(libs.hilt.android)
   ksp(libs.hilt.compiler)
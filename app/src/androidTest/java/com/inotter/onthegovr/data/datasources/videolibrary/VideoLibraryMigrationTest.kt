@@ -0,0 +1,175 @@
+package com.inotter.onthegovr.data.datasources.videolibrary
+
+import android.database.sqlite.SQLiteConstraintException
+import androidx.room.testing.MigrationTestHelper
+import androidx.sqlite.db.SupportSQLiteDatabase
+import androidx.sqlite.db.SupportSQLiteOpenHelper
+import androidx.sqlite.db.framework.FrameworkSQLiteOpenHelperFactory
+import androidx.test.ext.junit.runners.AndroidJUnit4
+import androidx.test.platform.app.InstrumentationRegistry
+import org.junit.Assert.assertEquals
+import org.junit.Assert.assertNull
+import org.junit.Assert.assertThrows
+import org.junit.Assert.assertTrue
+import org.junit.Rule
+import org.junit.Test
+import org.junit.runner.RunWith
+
+/**
+ * Migrates a version 5 database to the current version and checks the result against the schema
+ * Room exports (app/schemas), along with the data each migration carries over.
+ */
+@RunWith(AndroidJUnit4::class)
+class VideoLibraryMigrationTest {
+
+    companion object {
+        private const val TEST_DB = "migration-test.db"
+        private const val CURRENT_VERSION = 10
+
+        private val MIGRATIONS = arrayOf(
+            VideoLibraryDatabase.MIGRATION_5_6,
+            VideoLibraryDatabase.MIGRATION_6_7,
+            VideoLibraryDatabase.MIGRATION_7_8,
+            VideoLibraryDatabase.MIGRATION_8_9,
+            VideoLibraryDatabase.MIGRATION_9_10
+        )
+
+        /** Tables as Room created them at version 5, which predates the exported schemas */
+        private val VERSION_5_SCHEMA = listOf(
+            "CREATE TABLE IF NOT EXISTS `library_folders` (`id` INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL, `treeUri` TEXT NOT NULL, `displayName` TEXT NOT NULL, `includeSubfolders` INTEGER NOT NULL, `addedAt` INTEGER NOT NULL, `lastScanTime` INTEGER)",
+            "CREATE UNIQUE INDEX IF NOT EXISTS `index_library_folders_treeUri` ON `library_folders` (`treeUri`)",
+            "CREATE TABLE IF NOT EXISTS `video_items` (`id` INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL, `folderId` INTEGER, `fileUri` TEXT NOT NULL, `title` TEXT NOT NULL, `durationMs` INTEGER NOT NULL, `sizeBytes` INTEGER NOT NULL, `contentSignature` TEXT NOT NULL, `createdAt` INTEGER NOT NULL, `lastPlayedAt` INTEGER, `lastPositionMs` INTEGER, `unavailable` INTEGER NOT NULL, `thumbnailPath` TEXT, `sourceType` TEXT NOT NULL, `mediaStoreId` INTEGER, FOREIGN KEY(`folderId`) REFERENCES `library_folders`(`id`) ON UPDATE NO ACTION ON DELETE CASCADE )",
+            "CREATE INDEX IF NOT EXISTS `index_video_items_folderId` ON `video_items` (`folderId`)",
+            "CREATE UNIQUE INDEX IF NOT EXISTS `index_video_items_contentSignature` ON `video_items` (`contentSignature`)",
+            "CREATE INDEX IF NOT EXISTS `index_video_items_sourceType` ON `video_items` (`sourceType`)",
+            "CREATE TABLE IF NOT EXISTS `thumbnails` (`videoId` INTEGER NOT NULL, `generationStatus` TEXT NOT NULL, `lastGeneratedAt` INTEGER, PRIMARY KEY(`videoId`), FOREIGN KEY(`videoId`) REFERENCES `video_items`(`id`) ON UPDATE NO ACTION ON DELETE CASCADE )",
+            "CREATE UNIQUE INDEX IF NOT EXISTS `index_thumbnails_videoId` ON `thumbnails` (`videoId`)",
+            "CREATE TABLE IF NOT EXISTS `playback_settings` (`id` INTEGER NOT NULL, `skipIntervalMs` INTEGER NOT NULL, `resumeEnabled` INTEGER NOT NULL, `volume` REAL NOT NULL, PRIMARY KEY(`id`))",
+            "CREATE TABLE IF NOT EXISTS `scan_settings` (`id` INTEGER NOT NULL, `autoScanEnabled` INTEGER NOT NULL, `lastMediaStoreScan` INTEGER NOT NULL, PRIMARY KEY(`id`))",
+            "CREATE TABLE IF NOT EXISTS `upload_sessions` (`id` INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL, `tusUploadId` TEXT NOT NULL, `uploadUrl` TEXT NOT NULL, `filename` TEXT NOT NULL, `expectedSize` INTEGER NOT NULL, `bytesReceived` INTEGER NOT NULL, `mediaStoreUri` TEXT NOT NULL, `mimeType` TEXT NOT NULL, `createdAt` INTEGER NOT NULL, `lastUpdatedAt` INTEGER NOT NULL, `status` TEXT NOT NULL)",
+            "CREATE UNIQUE INDEX IF NOT EXISTS `index_upload_sessions_tusUploadId` ON `upload_sessions` (`tusUploadId`)",
+            "CREATE UNIQUE INDEX IF NOT EXISTS `index_upload_sessions_uploadUrl` ON `upload_sessions` (`uploadUrl`)",
+            "CREATE UNIQUE INDEX IF NOT EXISTS `index_upload_sessions_mediaStoreUri` ON `upload_sessions` (`mediaStoreUri`)"
+        )
+    }
+
+    @get:Rule
+    val helper = MigrationTestHelper(InstrumentationRegistry.getInstrumentation(), VideoLibraryDatabase::class.java)
+
+    /**
+     * Creates the test database at version 5 from [VERSION_5_SCHEMA]. [MigrationTestHelper.createDatabase]
+     * can't, as there is no exported schema for it.
+     */
+    private fun createVersion5Database(populate: (SupportSQLiteDatabase) -> Unit = {}) {
+        val context = InstrumentationRegistry.getInstrumentation().targetContext
+        context.deleteDatabase(TEST_DB)
+        val configuration = SupportSQLiteOpenHelper.Configuration.builder(context)
+            .name(TEST_DB)
+            .callback(object : SupportSQLiteOpenHelper.Callback(5) {
+                override fun onCreate(db: SupportSQLiteDatabase) {
+                    VERSION_5_SCHEMA.forEach { db.execSQL(it) }
+                    populate(db)
+                }
+
+                override fun onUpgrade(db: SupportSQLiteDatabase, oldVersion: Int, newVersion: Int) = Unit
+            })
+            .build()
+        FrameworkSQLiteOpenHelperFactory().create(configuration).use { it.writableDatabase }
+    }
+
+    /** Runs all migrations and validates the result against the current schema. */
+    private fun migrateToCurrentVersion(): SupportSQLiteDatabase =
+        helper.runMigrationsAndValidate(TEST_DB, CURRENT_VERSION, true, *MIGRATIONS)
+
+    private fun insertVersion5Video(db: SupportSQLiteDatabase, id: Long) {
+        db.execSQL(
+            "INSERT INTO video_items (id, fileUri, title, durationMs, sizeBytes, contentSignature, createdAt, unavailable, sourceType, mediaStoreId) " +
+                "VALUES ($id, 'content://media/external/video/media/$id', 'Video $id', 60000, 1000, 'signature-$id', 0, 0, 'MEDIASTORE', $id)"
+        )
+    }
+
+    private fun SupportSQLiteDatabase.queryString(sql: String): String? =
+        query(sql).use { cursor ->
+            cursor.moveToFirst()
+            if (cursor.isNull(0)) null else cursor.getString(0)
+        }
+
+    @Test
+    fun migrate5To6_videosHaveNoSubtitles() {
+        createVersion5Database { insertVersion5Video(it, 1) }
+
+        val db = migrateToCurrentVersion()
+
+        assertEquals("[]", db.queryString("SELECT subtitles FROM video_items WHERE id = 1"))
+    }
+
+    @Test
+    fun migrate6To7_existingThumbnailsBecomePosters() {
+        createVersion5Database { db ->
+            insertVersion5Video(db, 1)
+            db.execSQL("INSERT INTO thumbnails (videoId, generationStatus, lastGeneratedAt) VALUES (1, 'Done', 1234)")
+        }
+
+        val db = migrateToCurrentVersion()
+
+        db.query("SELECT videoId, kind, positionMs, path, generationStatus, lastGeneratedAt FROM thumbnails").use { cursor ->
+            assertEquals(1, cursor.count)
+            cursor.moveToFirst()
+            assertEquals(1L, cursor.getLong(0))
+            assertEquals("Poster", cursor.getString(1))
+            assertEquals(0L, cursor.getLong(2))
+            assertTrue(cursor.isNull(3))
+            assertEquals("Done", cursor.getString(4))
+            assertEquals(1234L, cursor.getLong(5))
+        }
+    }
+
+    @Test
+    fun migrate6To7_videosCanHaveSeveralThumbnails() {
+        createVersion5Database { insertVersion5Video(it, 1) }
+
+        val db = migrateToCurrentVersion()
+        db.execSQL("INSERT INTO thumbnails (videoId, kind, positionMs, generationStatus) VALUES (1, 'Poster', 0, 'Done')")
+        db.execSQL("INSERT INTO thumbnails (videoId, kind, positionMs, generationStatus) VALUES (1, 'Preview', 5000, 'Done')")
+
+        assertEquals("2", db.queryString("SELECT COUNT(*) FROM thumbnails WHERE videoId = 1"))
+    }
+
+    @Test
+    fun migrate7To8_videosAreFlatMono() {
+        createVersion5Database { insertVersion5Video(it, 1) }
+
+        val db = migrateToCurrentVersion()
+
+        assertEquals("FLAT", db.queryString("SELECT projection FROM video_items WHERE id = 1"))
+        assertEquals("MONO", db.queryString("SELECT stereoMode FROM video_items WHERE id = 1"))
+    }
+
+    @Test
+    fun migrate8To9_videosHaveNoDescriptionOrTags() {
+        createVersion5Database { insertVersion5Video(it, 1) }
+
+        val db = migrateToCurrentVersion()
+
+        assertNull(db.queryString("SELECT description FROM video_items WHERE id = 1"))
+        assertEquals("[]", db.queryString("SELECT tags FROM video_items WHERE id = 1"))
+    }
+
+    @Test
+    fun migrate9To10_transferLogKeepsOneEntryPerTransfer() {
+        createVersion5Database()
+
+        val db = migrateToCurrentVersion()
+        db.execSQL(
+            "INSERT INTO transfer_log (transferKey, filename, size, bytesReceived, startedAt, outcome) " +
+                "VALUES ('upload-1', 'movie.mp4', 1000, 0, 0, 'IN_PROGRESS')"
+        )
+
+        assertThrows(SQLiteConstraintException::class.java) {
+            db.execSQL(
+                "INSERT INTO transfer_log (transferKey, filename, size, bytesReceived, startedAt, outcome) " +
+                    "VALUES ('upload-1', 'movie.mp4', 1000, 1000, 0, 'COMPLETED')"
+            )
+        }
+    }
+}
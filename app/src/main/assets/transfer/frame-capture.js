@@ -0,0 +1,89 @@
+/**
+ * WiFi Transfer - Frame Capture
+ * Grabs a poster frame and a few preview frames from a video with an off-screen <video>
+ * and canvas, so uploads arrive with artwork instead of the headset extracting it later.
+ *
+ *   captureFrames(file) resolves to null if the browser can't decode the video, otherwise:
+ *     [{ kind: 'poster' | 'preview', positionMs, blob }], poster first
+ */
+
+const FRAME_WIDTH = 320; // Same width as thumbnails generated on the headset
+const FRAME_JPEG_QUALITY = 0.8;
+const FRAME_EVENT_TIMEOUT_MS = 10000; // Wait for metadata or a seek before giving up
+
+// Poster position matches ThumbnailManagerImpl: 10% in, clamped to 10-60 seconds
+const POSTER_POSITION_PERCENT = 0.10;
+const POSTER_MIN_OFFSET_MS = 10000;
+const POSTER_MAX_OFFSET_MS = 60000;
+
+const PREVIEW_POSITION_PERCENTS = [0.25, 0.5, 0.75];
+
+async function captureFrames(file) {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.preload = 'auto';
+    video.playsInline = true;
+    const url = URL.createObjectURL(file);
+
+    try {
+        video.src = url;
+        await waitForVideoEvent(video, 'loadeddata');
+        if (!video.videoWidth || !isFinite(video.duration)) return null;
+
+        const durationMs = video.duration * 1000;
+        const positions = [
+            { kind: 'poster', positionMs: posterPosition(durationMs) },
+            ...PREVIEW_POSITION_PERCENTS.map(percent => ({ kind: 'preview', positionMs: durationMs * percent }))
+        ];
+
+        const frames = [];
+        for (const { kind, positionMs } of positions) {
+            video.currentTime = positionMs / 1000;
+            await waitForVideoEvent(video, 'seeked');
+            const blob = await drawFrame(video);
+            if (blob) frames.push({ kind, positionMs: Math.round(positionMs), blob });
+        }
+        return frames.length > 0 ? frames : null;
+    } catch (e) {
+        console.warn(`Could not capture frames from "${file.name}":`, e);
+        return null;
+    } finally {
+        video.removeAttribute('src');
+        video.load();
+        URL.revokeObjectURL(url);
+    }
+}
+
+function posterPosition(durationMs) {
+    const offset = durationMs * POSTER_POSITION_PERCENT;
+    if (durationMs < POSTER_MIN_OFFSET_MS) return offset;
+    return Math.min(Math.max(offset, POSTER_MIN_OFFSET_MS), POSTER_MAX_OFFSET_MS);
+}
+
+// Resolves on the event, rejects on a media error or after FRAME_EVENT_TIMEOUT_MS
+function waitForVideoEvent(video, eventName) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => done(new Error(`Timed out waiting for ${eventName}`)), FRAME_EVENT_TIMEOUT_MS);
+        const onEvent = () => done(null);
+        const onError = () => done(new Error(video.error ? video.error.message || `Media error ${video.error.code}` : 'Media error'));
+
+        function done(error) {
+            clearTimeout(timer);
+            video.removeEventListener(eventName, onEvent);
+            video.removeEventListener('error', onError);
+            if (error) reject(error); else resolve();
+        }
+
+        video.addEventListener(eventName, onEvent);
+        video.addEventListener('error', onError);
+    });
+}
+
+// Draws the current frame scaled to FRAME_WIDTH and encodes it as JPEG
+function drawFrame(video) {
+    const canvas = document.createElement('canvas');
+    canvas.width = FRAME_WIDTH;
+    canvas.height = Math.max(1, Math.round(video.videoHeight * FRAME_WIDTH / video.videoWidth));
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', FRAME_JPEG_QUALITY));
+}
@@ -0,0 +1,189 @@
+/**
+ * WiFi Transfer - Checksum Worker
+ * Computes a SHA-256 of a File off the main thread so large videos don't freeze the page.
+ *
+ * Web Crypto's digest() needs the whole file in memory (and a secure context, which a
+ * plain http:// LAN address is not), so this uses an incremental SHA-256 fed with slices of the file.
+ *
+ * Messages:
+ *   in:  { file } for a full checksum, { file, mode: 'signature' } for a content signature
+ *   out: { type: 'progress', percent } | { type: 'done', checksum } | { type: 'error', message }
+ *   checksum is base64, matching the TUS "Upload-Checksum: sha256 <base64>" format
+ *   signature is the library's "<hex sha256 of first and last 8MiB>:<size>", for duplicate checks
+ */
+
+const HASH_CHUNK_SIZE = 8 * 1024 * 1024; // 8MB slices
+const SIGNATURE_SEGMENT_SIZE = 8 * 1024 * 1024; // Must match ScannerManager.computeSignature
+
+// SHA-256 round constants
+const K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+// Incremental SHA-256: call update() with consecutive chunks, then digest() once
+class Sha256 {
+    constructor() {
+        this.state = new Uint32Array([
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ]);
+        this.words = new Uint32Array(64);
+        this.block = new Uint8Array(64); // Partial block carried between updates
+        this.blockLength = 0;
+        this.bytesHashed = 0;
+    }
+
+    update(data) {
+        let offset = 0;
+        this.bytesHashed += data.length;
+
+        // Complete a partial block from the previous chunk first
+        if (this.blockLength > 0) {
+            const take = Math.min(64 - this.blockLength, data.length);
+            this.block.set(data.subarray(0, take), this.blockLength);
+            this.blockLength += take;
+            offset = take;
+            if (this.blockLength === 64) {
+                this.processBlock(this.block, 0);
+                this.blockLength = 0;
+            }
+        }
+
+        while (offset + 64 <= data.length) {
+            this.processBlock(data, offset);
+            offset += 64;
+        }
+
+        if (offset < data.length) {
+            this.block.set(data.subarray(offset), 0);
+            this.blockLength = data.length - offset;
+        }
+    }
+
+    digest() {
+        // Pad with 0x80, zeros, then the message length in bits as a 64-bit big-endian integer
+        const bitLength = this.bytesHashed * 8;
+        const padLength = this.blockLength < 56 ? 56 - this.blockLength : 120 - this.blockLength;
+        const padding = new Uint8Array(padLength + 8);
+        const paddingView = new DataView(padding.buffer);
+        padding[0] = 0x80;
+        paddingView.setUint32(padLength, Math.floor(bitLength / 0x100000000));
+        paddingView.setUint32(padLength + 4, bitLength >>> 0);
+        this.update(padding);
+
+        const out = new Uint8Array(32);
+        const outView = new DataView(out.buffer);
+        for (let i = 0; i < 8; i++) {
+            outView.setUint32(i * 4, this.state[i]);
+        }
+        return out;
+    }
+
+    processBlock(data, offset) {
+        const w = this.words;
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            w[i] = (data[j] << 24) | (data[j + 1] << 16) | (data[j + 2] << 8) | data[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const x = w[i - 15];
+            const y = w[i - 2];
+            const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+            const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+
+        const h = this.state;
+        let a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], hh = h[7];
+
+        for (let i = 0; i < 64; i++) {
+            const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const ch = (e & f) ^ (~e & g);
+            const t1 = (hh + S1 + ch + K[i] + w[i]) | 0;
+            const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const t2 = (S0 + maj) | 0;
+
+            hh = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+
+        h[0] += a;
+        h[1] += b;
+        h[2] += c;
+        h[3] += d;
+        h[4] += e;
+        h[5] += f;
+        h[6] += g;
+        h[7] += hh;
+    }
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function computeChecksum(file) {
+    const hash = new Sha256();
+    let lastPercent = -1;
+
+    for (let offset = 0; offset < file.size; offset += HASH_CHUNK_SIZE) {
+        const slice = file.slice(offset, offset + HASH_CHUNK_SIZE);
+        hash.update(new Uint8Array(await slice.arrayBuffer()));
+
+        const percent = Math.floor((Math.min(offset + HASH_CHUNK_SIZE, file.size) / file.size) * 100);
+        if (percent !== lastPercent) {
+            lastPercent = percent;
+            self.postMessage({ type: 'progress', percent });
+        }
+    }
+
+    return toBase64(hash.digest());
+}
+
+// Same bytes as the headset's library scan: the first 8MiB, then the last 8MiB
+// (overlapping the first for files under 16MiB), so signatures compare directly
+async function computeSignature(file) {
+    const hash = new Sha256();
+    const firstEnd = Math.min(file.size, SIGNATURE_SEGMENT_SIZE);
+    hash.update(new Uint8Array(await file.slice(0, firstEnd).arrayBuffer()));
+    if (file.size > SIGNATURE_SEGMENT_SIZE) {
+        const lastStart = file.size - SIGNATURE_SEGMENT_SIZE;
+        hash.update(new Uint8Array(await file.slice(lastStart).arrayBuffer()));
+    }
+    return `${toHex(hash.digest())}:${file.size}`;
+}
+
+self.onmessage = async (e) => {
+    const file = e.data.file;
+
+    try {
+        if (e.data.mode === 'signature') {
+            self.postMessage({ type: 'done', signature: await computeSignature(file) });
+        } else {
+            self.postMessage({ type: 'done', checksum: await computeChecksum(file) });
+        }
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message || 'Failed to read file' });
+    }
+};
@@ -0,0 +1,199 @@
+/**
+ * WiFi Transfer - History
+ * Lists every transfer the headset has received from the History tab: who sent what, when,
+ * from which IP address and browser, how long it took and how it ended, including cancelled
+ * and failed transfers. The log is kept on the headset, so it survives server restarts.
+ *
+ * The filters apply to the list and to the CSV/JSON exports. The headset sends a "history"
+ * event when a transfer starts or ends (see handleServerEvent() in upload.js).
+ */
+
+const HISTORY_PAGE_SIZE = 50;
+const HISTORY_MAX_PAGE_SIZE = 100; // MAX_PAGE_SIZE in ApiServlet
+const HISTORY_SEARCH_DELAY_MS = 300;
+const HISTORY_REFRESH_DELAY_MS = 1000;
+
+const HISTORY_OUTCOMES = {
+    completed: { label: 'Completed', icon: '✅' },
+    failed: { label: 'Failed', icon: '❌' },
+    cancelled: { label: 'Cancelled', icon: '🚫' },
+    in_progress: { label: 'In progress', icon: '⏳' },
+    expired: { label: 'Expired', icon: '⌛' }
+};
+
+const historyUnavailable = document.getElementById('historyUnavailable');
+const historyContent = document.getElementById('historyContent');
+const historyFilters = document.getElementById('historyFilters');
+const historySearch = document.getElementById('historySearch');
+const historyOutcome = document.getElementById('historyOutcome');
+const historyFrom = document.getElementById('historyFrom');
+const historyTo = document.getElementById('historyTo');
+const historySummary = document.getElementById('historySummary');
+const historyExportCsv = document.getElementById('historyExportCsv');
+const historyExportJson = document.getElementById('historyExportJson');
+const historyList = document.getElementById('historyList');
+const historyMoreBtn = document.getElementById('historyMoreBtn');
+
+let historyVisible = false;
+let historyEntries = [];
+let historyTotal = 0;
+let historyRequestId = 0; // Responses to older requests are dropped
+let historySearchTimer = null;
+let historyRefreshTimer = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    historyFilters.addEventListener('submit', (e) => e.preventDefault());
+    historySearch.addEventListener('input', () => {
+        clearTimeout(historySearchTimer);
+        historySearchTimer = setTimeout(() => fetchHistory(), HISTORY_SEARCH_DELAY_MS);
+    });
+    [historyOutcome, historyFrom, historyTo].forEach(input => {
+        input.addEventListener('change', () => fetchHistory());
+    });
+    historyMoreBtn.addEventListener('click', () => fetchHistory({ append: true }));
+    updateHistoryExportLinks();
+});
+
+// Called when the History tab is shown or hidden
+function setHistoryVisible(visible) {
+    historyVisible = visible;
+    if (visible) fetchHistory();
+}
+
+// A "history" event: a transfer started or ended. Transfers often end in bursts, so wait a moment.
+function onHistoryChanged() {
+    if (!historyVisible) return;
+    clearTimeout(historyRefreshTimer);
+    historyRefreshTimer = setTimeout(() => {
+        // Keep the pages already loaded
+        fetchHistory({ limit: Math.min(Math.max(historyEntries.length, HISTORY_PAGE_SIZE), HISTORY_MAX_PAGE_SIZE) });
+    }, HISTORY_REFRESH_DELAY_MS);
+}
+
+// Query string for the current filters, shared by the list and the exports
+function historyFilterParams() {
+    const params = new URLSearchParams();
+    const query = historySearch.value.trim();
+    if (query) params.set('q', query);
+    if (historyOutcome.value) params.set('outcome', historyOutcome.value);
+    // Dates are the browser's local days; "to" includes the whole day
+    if (historyFrom.value) params.set('from', String(new Date(`${historyFrom.value}T00:00`).getTime()));
+    if (historyTo.value) {
+        const end = new Date(`${historyTo.value}T00:00`);
+        end.setDate(end.getDate() + 1);
+        params.set('to', String(end.getTime()));
+    }
+    return params;
+}
+
+function updateHistoryExportLinks() {
+    const params = historyFilterParams();
+    params.set('format', 'csv');
+    historyExportCsv.href = `/api/history/export?${params}`;
+    params.set('format', 'json');
+    historyExportJson.href = `/api/history/export?${params}`;
+}
+
+async function fetchHistory({ append = false, limit = HISTORY_PAGE_SIZE } = {}) {
+    updateHistoryExportLinks();
+    const params = historyFilterParams();
+    params.set('offset', String(append ? historyEntries.length : 0));
+    params.set('limit', String(limit));
+    const requestId = ++historyRequestId;
+
+    try {
+        const response = await fetch(`/api/history?${params}`);
+        if (requestId !== historyRequestId) return;
+        if (response.status === 401) {
+            sessionActive = false;
+            fetchStatus();
+            showHistoryUnavailable('Enter the PIN to see the transfer history.');
+            return;
+        }
+        const data = await response.json().catch(() => ({}));
+        if (requestId !== historyRequestId) return;
+        if (!response.ok) {
+            showHistoryUnavailable(data.error || `Could not load the history (${response.status})`);
+            return;
+        }
+
+        historyEntries = append ? historyEntries.concat(data.entries) : data.entries;
+        historyTotal = data.total;
+        historyUnavailable.hidden = true;
+        historyContent.hidden = false;
+        renderHistory(data.hasMore);
+    } catch (e) {
+        if (requestId === historyRequestId) {
+            showHistoryUnavailable('Unable to reach the headset. Please try again.');
+        }
+    }
+}
+
+function showHistoryUnavailable(message) {
+    historyUnavailable.textContent = message;
+    historyUnavailable.hidden = false;
+    historyContent.hidden = true;
+}
+
+function renderHistory(hasMore) {
+    const filtered = historyFilterParams().toString() !== '';
+    historySummary.textContent = historyTotal === 1 ? '1 transfer' : `${historyTotal} transfers`;
+    historyMoreBtn.hidden = !hasMore;
+
+    if (historyEntries.length === 0) {
+        historyList.innerHTML = `<p class="empty-state">${filtered
+            ? 'No transfers match these filters.'
+            : 'No transfers yet. Files sent to this headset will be listed here.'}</p>`;
+        return;
+    }
+    historyList.innerHTML = historyEntries.map(renderHistoryEntry).join('');
+}
+
+function renderHistoryEntry(entry) {
+    const outcome = HISTORY_OUTCOMES[entry.outcome] || { label: entry.outcome, icon: '•' };
+    const received = entry.bytesReceived < entry.size
+        ? `${formatBytes(entry.bytesReceived)} of ${formatBytes(entry.size)}`
+        : formatBytes(entry.size);
+    const details = [
+        new Date(entry.startedAt).toLocaleString(),
+        received,
+        formatDuration(entry.durationMs),
+        entry.averageBytesPerSecond !== null ? formatSpeed(entry.averageBytesPerSecond) : null
+    ].filter(Boolean);
+    const source = [entry.remoteAddress, describeUserAgent(entry.userAgent)].filter(Boolean).join(' · ');
+
+    return `
+        <div class="history-item ${escapeHtml(entry.outcome)}">
+            <div class="history-item-main">
+                <span class="history-item-name">${escapeHtml(entry.filename)}</span>
+                <span class="history-outcome ${escapeHtml(entry.outcome)}">${outcome.icon} ${escapeHtml(outcome.label)}</span>
+            </div>
+            <div class="history-item-details">${details.map(escapeHtml).join(' · ')}</div>
+            ${source ? `<div class="history-item-source" title="${escapeHtml(entry.userAgent || '')}">${escapeHtml(source)}</div>` : ''}
+            ${entry.error ? `<div class="history-item-error">${escapeHtml(entry.error)}</div>` : ''}
+        </div>
+    `;
+}
+
+// Short "Browser on OS" name for a User-Agent header; the full header is shown on hover
+function describeUserAgent(userAgent) {
+    if (!userAgent) return '';
+    const browser = [
+        [/OculusBrowser\//, 'Meta Quest Browser'],
+        [/Edg\//, 'Edge'],
+        [/OPR\//, 'Opera'],
+        [/Firefox\//, 'Firefox'],
+        [/Chrome\//, 'Chrome'],
+        [/Safari\//, 'Safari']
+    ].find(([pattern]) => pattern.test(userAgent));
+    const os = [
+        [/Android/, 'Android'],
+        [/iPhone|iPad/, 'iOS'],
+        [/Windows/, 'Windows'],
+        [/Mac OS X/, 'macOS'],
+        [/CrOS/, 'ChromeOS'],
+        [/Linux/, 'Linux']
+    ].find(([pattern]) => pattern.test(userAgent));
+    if (!browser) return userAgent.length > 40 ? `${userAgent.slice(0, 40)}…` : userAgent;
+    return os ? `${browser[1]} on ${os[1]}` : browser[1];
+}
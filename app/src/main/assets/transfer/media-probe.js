@@ -0,0 +1,514 @@
+/**
+ * WiFi Transfer - Media Probe
+ * Reads MP4 (moov) and MKV (EBML) headers in the browser, before anything is uploaded,
+ * to describe a video and flag what the headset player can't handle.
+ *
+ * Only the header boxes / elements are read from the file, never the media data.
+ *
+ *   probeMedia(file) resolves to null if the headers can't be read, otherwise:
+ *     { container, durationMs, width, height, videoCodec,
+ *       audioTracks: [{ codec, language, channels }], subtitleTracks: [{ codec, language }] }
+ *   checkCompatibility(info) returns [{ level: 'error' | 'warning', message }]
+ *   codecName(codec) returns a display name, e.g. 'hevc' -> 'HEVC'
+ */
+
+const PROBE_MAX_HEADER_SIZE = 64 * 1024 * 1024; // Largest moov box / MKV element read into memory
+const MKV_HEAD_SIZE = 2 * 1024 * 1024; // MKV Info and Tracks normally sit in the first few KB
+
+// Audio codecs the headset player decodes (MediaCodec or FFmpeg), must match PlaybackCore.SUPPORTED_AUDIO_CODECS
+const PLAYABLE_AUDIO_CODECS = ['aac', 'mp3', 'mp2', 'ac3', 'eac3', 'dts', 'truehd', 'vorbis', 'opus', 'flac', 'alac', 'pcm', 'amr'];
+
+// Video codecs the headset has no decoder for
+const UNPLAYABLE_VIDEO_CODECS = ['prores', 'mjpeg', 'theora', 'realvideo', 'vfw', 'mpeg1', 'mpeg2'];
+
+// Largest frame edge in pixels each hardware video decoder handles; bigger frames fail to play
+const MAX_VIDEO_EDGE = {
+    h264: 4096,
+    hevc: 5760,
+    vp9: 5760,
+    av1: 4096,
+    default: 4096
+};
+
+const CODEC_NAMES = {
+    h264: 'H.264', h263: 'H.263', hevc: 'HEVC', av1: 'AV1', vp9: 'VP9', vp8: 'VP8', mpeg4: 'MPEG-4 Part 2',
+    mpeg2: 'MPEG-2', mpeg1: 'MPEG-1', prores: 'ProRes', mjpeg: 'Motion JPEG', theora: 'Theora',
+    realvideo: 'RealVideo', vfw: 'Video for Windows',
+    aac: 'AAC', mp3: 'MP3', mp2: 'MP2', ac3: 'AC-3', eac3: 'E-AC-3', dts: 'DTS', truehd: 'TrueHD',
+    vorbis: 'Vorbis', opus: 'Opus', flac: 'FLAC', alac: 'ALAC', pcm: 'PCM', amr: 'AMR',
+    mpegh: 'MPEG-H', realaudio: 'RealAudio', wma: 'WMA', tta: 'TTA', wavpack: 'WavPack',
+    srt: 'SRT', ass: 'ASS', webvtt: 'WebVTT', pgs: 'PGS', vobsub: 'VobSub', dvbsub: 'DVB',
+    tx3g: 'Timed Text', ttml: 'TTML', cea608: 'CEA-608'
+};
+
+function codecName(codec) {
+    return CODEC_NAMES[codec] || codec || 'unknown';
+}
+
+async function probeMedia(file) {
+    const ext = file.name.split('.').pop().toLowerCase();
+    try {
+        return ext === 'mkv' ? await probeMatroska(file) : await probeMp4(file);
+    } catch (e) {
+        console.warn(`Could not read media headers of "${file.name}":`, e);
+        return null;
+    }
+}
+
+function checkCompatibility(info) {
+    const issues = [];
+
+    if (!info.videoCodec) {
+        issues.push({ level: 'error', message: 'No video track found' });
+    } else if (UNPLAYABLE_VIDEO_CODECS.includes(info.videoCodec)) {
+        issues.push({ level: 'error', message: `${codecName(info.videoCodec)} video can't be played on the headset` });
+    } else if (info.width && info.height) {
+        const maxEdge = MAX_VIDEO_EDGE[info.videoCodec] || MAX_VIDEO_EDGE.default;
+        if (Math.max(info.width, info.height) > maxEdge) {
+            issues.push({
+                level: 'error',
+                message: `${info.width}×${info.height} ${codecName(info.videoCodec)} is larger than the headset can decode (${maxEdge} pixels per side)`
+            });
+        }
+    }
+
+    const playable = info.audioTracks.filter(track => PLAYABLE_AUDIO_CODECS.includes(track.codec));
+    const unplayable = info.audioTracks.filter(track => !PLAYABLE_AUDIO_CODECS.includes(track.codec));
+    const describe = (track) => codecName(track.codec) + (track.language ? ` (${track.language})` : '');
+    if (unplayable.length > 0 && playable.length === 0) {
+        issues.push({
+            level: 'error',
+            message: `${unplayable.map(describe).join(', ')} audio can't be played on the headset - the video would be silent`
+        });
+    } else if (unplayable.length > 0) {
+        issues.push({
+            level: 'warning',
+            message: `${unplayable.map(describe).join(', ')} audio can't be played; ${describe(playable[0])} will be used instead`
+        });
+    }
+
+    return issues;
+}
+
+async function readBytes(file, start, length) {
+    return new Uint8Array(await file.slice(start, start + length).arrayBuffer());
+}
+
+function fourCC(bytes, pos) {
+    return String.fromCharCode(bytes[pos], bytes[pos + 1], bytes[pos + 2], bytes[pos + 3]);
+}
+
+// ============== MP4 ==============
+
+const MP4_VIDEO_CODECS = {
+    avc1: 'h264', avc3: 'h264', hvc1: 'hevc', hev1: 'hevc', dvh1: 'hevc', dvhe: 'hevc',
+    av01: 'av1', vp09: 'vp9', vp08: 'vp8', mp4v: 'mpeg4', s263: 'h263',
+    apch: 'prores', apcn: 'prores', apcs: 'prores', apco: 'prores', ap4h: 'prores', ap4x: 'prores',
+    jpeg: 'mjpeg', mjpa: 'mjpeg', mjpb: 'mjpeg'
+};
+
+const MP4_AUDIO_CODECS = {
+    mp4a: 'aac', '.mp3': 'mp3', 'ac-3': 'ac3', 'ec-3': 'eac3', dtsc: 'dts', dtsh: 'dts', dtsl: 'dts',
+    dtse: 'dts', Opus: 'opus', fLaC: 'flac', alac: 'alac', mlpa: 'truehd', lpcm: 'pcm', sowt: 'pcm',
+    twos: 'pcm', ipcm: 'pcm', samr: 'amr', sawb: 'amr', mha1: 'mpegh', mhm1: 'mpegh'
+};
+
+const MP4_SUBTITLE_CODECS = { tx3g: 'tx3g', wvtt: 'webvtt', stpp: 'ttml', c608: 'cea608' };
+
+// MPEG-4 objectTypeIndication values in esds that are not AAC
+const MP4_OBJECT_TYPES = { 0x69: 'mp3', 0x6b: 'mp3', 0xa5: 'ac3', 0xa6: 'eac3', 0xa9: 'dts', 0xdd: 'vorbis' };
+
+async function probeMp4(file) {
+    // Walk the top-level boxes to find moov, which may come before or after the media data
+    let offset = 0;
+    while (offset + 8 <= file.size) {
+        const header = await readBytes(file, offset, 16);
+        const view = new DataView(header.buffer);
+        let size = view.getUint32(0);
+        const type = fourCC(header, 4);
+        let headerSize = 8;
+        if (size === 1) {
+            size = view.getUint32(8) * 0x100000000 + view.getUint32(12);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = file.size - offset;
+        }
+        if (size < headerSize) return null;
+
+        if (type === 'moov') {
+            if (size > PROBE_MAX_HEADER_SIZE) return null;
+            const moov = await readBytes(file, offset + headerSize, size - headerSize);
+            return parseMoov(moov);
+        }
+        offset += size;
+    }
+    return null;
+}
+
+// Calls fn(type, start, end) for each child box in bytes[start, end)
+function forEachBox(bytes, start, end, fn) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let pos = start;
+    while (pos + 8 <= end) {
+        let size = view.getUint32(pos);
+        const type = fourCC(bytes, pos + 4);
+        let headerSize = 8;
+        if (size === 1) {
+            size = view.getUint32(pos + 8) * 0x100000000 + view.getUint32(pos + 12);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - pos;
+        }
+        if (size < headerSize || pos + size > end) return;
+        fn(type, pos + headerSize, pos + size);
+        pos += size;
+    }
+}
+
+function findBox(bytes, start, end, path) {
+    let found = null;
+    forEachBox(bytes, start, end, (type, boxStart, boxEnd) => {
+        if (found || type !== path[0]) return;
+        found = path.length === 1 ? { start: boxStart, end: boxEnd } : findBox(bytes, boxStart, boxEnd, path.slice(1));
+    });
+    return found;
+}
+
+function parseMoov(moov) {
+    const view = new DataView(moov.buffer);
+    const info = {
+        container: 'mp4', durationMs: null, width: null, height: null, videoCodec: null,
+        audioTracks: [], subtitleTracks: []
+    };
+
+    const mvhd = findBox(moov, 0, moov.length, ['mvhd']);
+    if (mvhd) {
+        const version = moov[mvhd.start];
+        const timescale = view.getUint32(mvhd.start + (version === 1 ? 20 : 12));
+        const duration = version === 1
+            ? view.getUint32(mvhd.start + 24) * 0x100000000 + view.getUint32(mvhd.start + 28)
+            : view.getUint32(mvhd.start + 16);
+        if (timescale > 0 && duration > 0) info.durationMs = Math.round(duration * 1000 / timescale);
+    }
+
+    forEachBox(moov, 0, moov.length, (type, start, end) => {
+        if (type !== 'trak') return;
+        const track = parseTrak(moov, view, start, end);
+        if (!track) return;
+
+        if (track.handler === 'vide' && !info.videoCodec) {
+            info.videoCodec = track.codec;
+            info.width = track.width;
+            info.height = track.height;
+        } else if (track.handler === 'soun') {
+            info.audioTracks.push({ codec: track.codec, language: track.language, channels: track.channels });
+        } else if (['sbtl', 'subt', 'text', 'clcp'].includes(track.handler)) {
+            info.subtitleTracks.push({ codec: track.codec, language: track.language });
+        }
+    });
+
+    return info;
+}
+
+function parseTrak(moov, view, start, end) {
+    const hdlr = findBox(moov, start, end, ['mdia', 'hdlr']);
+    const stsd = findBox(moov, start, end, ['mdia', 'minf', 'stbl', 'stsd']);
+    if (!hdlr || !stsd) return null;
+
+    const handler = fourCC(moov, hdlr.start + 8);
+    const track = { handler, codec: null, language: null, width: null, height: null, channels: null };
+
+    const mdhd = findBox(moov, start, end, ['mdia', 'mdhd']);
+    if (mdhd) {
+        // ISO-639-2/T code packed as three 5-bit letters
+        const packed = view.getUint16(mdhd.start + (moov[mdhd.start] === 1 ? 32 : 20));
+        const language = String.fromCharCode(
+            ((packed >> 10) & 0x1f) + 0x60, ((packed >> 5) & 0x1f) + 0x60, (packed & 0x1f) + 0x60
+        );
+        if (/^[a-z]{3}$/.test(language) && language !== 'und') track.language = language;
+    }
+
+    // First sample entry: [size][format] followed by the format-specific fields
+    const entry = stsd.start + 8;
+    if (entry + 8 > stsd.end) return track;
+    const format = fourCC(moov, entry + 4);
+
+    if (handler === 'vide') {
+        track.codec = MP4_VIDEO_CODECS[format] || format.trim();
+        track.width = view.getUint16(entry + 32);
+        track.height = view.getUint16(entry + 34);
+    } else if (handler === 'soun') {
+        track.codec = MP4_AUDIO_CODECS[format] || format.trim();
+        track.channels = view.getUint16(entry + 24);
+        if (format === 'mp4a') {
+            const objectType = readEsdsObjectType(moov, entry + 36, entry + view.getUint32(entry));
+            if (objectType in MP4_OBJECT_TYPES) track.codec = MP4_OBJECT_TYPES[objectType];
+        }
+    } else {
+        track.codec = MP4_SUBTITLE_CODECS[format] || format.trim();
+    }
+    return track;
+}
+
+// Reads objectTypeIndication from the esds box of an mp4a sample entry, or null
+function readEsdsObjectType(bytes, start, end) {
+    const esds = findBox(bytes, start, Math.min(end, bytes.length), ['esds']);
+    if (!esds) return null;
+
+    // Descriptor lengths use up to four 7-bit bytes
+    const skipLength = (pos) => {
+        for (let i = 0; i < 4 && pos < esds.end; i++) {
+            if (!(bytes[pos++] & 0x80)) break;
+        }
+        return pos;
+    };
+
+    let pos = esds.start + 4; // version and flags
+    if (bytes[pos] !== 0x03) return null; // ES_Descriptor
+    pos = skipLength(pos + 1) + 2; // ES_ID
+    const flags = bytes[pos++];
+    if (flags & 0x80) pos += 2; // dependsOn_ES_ID
+    if (flags & 0x40) pos += 1 + bytes[pos]; // URL
+    if (flags & 0x20) pos += 2; // OCR_ES_Id
+    if (bytes[pos] !== 0x04) return null; // DecoderConfigDescriptor
+    pos = skipLength(pos + 1);
+    return pos < esds.end ? bytes[pos] : null;
+}
+
+// ============== Matroska ==============
+
+const EBML_HEADER = 0x1a45dfa3;
+const MKV_SEGMENT = 0x18538067;
+const MKV_SEEK_HEAD = 0x114d9b74;
+const MKV_SEEK = 0x4dbb;
+const MKV_SEEK_ID = 0x53ab;
+const MKV_SEEK_POSITION = 0x53ac;
+const MKV_INFO = 0x1549a966;
+const MKV_TIMESTAMP_SCALE = 0x2ad7b1;
+const MKV_DURATION = 0x4489;
+const MKV_TRACKS = 0x1654ae6b;
+const MKV_TRACK_ENTRY = 0xae;
+const MKV_TRACK_TYPE = 0x83;
+const MKV_CODEC_ID = 0x86;
+const MKV_LANGUAGE = 0x22b59c;
+const MKV_LANGUAGE_BCP47 = 0x22b59d;
+const MKV_VIDEO = 0xe0;
+const MKV_PIXEL_WIDTH = 0xb0;
+const MKV_PIXEL_HEIGHT = 0xba;
+const MKV_AUDIO = 0xe1;
+const MKV_CHANNELS = 0x9f;
+const MKV_CLUSTER = 0x1f43b675;
+
+const MKV_TRACK_VIDEO = 1;
+const MKV_TRACK_AUDIO = 2;
+const MKV_TRACK_SUBTITLE = 17;
+
+// CodecID prefixes, checked in order
+const MKV_CODECS = [
+    ['V_MPEG4/ISO/AVC', 'h264'], ['V_MPEGH/ISO/HEVC', 'hevc'], ['V_AV1', 'av1'], ['V_VP9', 'vp9'],
+    ['V_VP8', 'vp8'], ['V_MPEG4/ISO', 'mpeg4'], ['V_MPEG2', 'mpeg2'], ['V_MPEG1', 'mpeg1'],
+    ['V_PRORES', 'prores'], ['V_MJPEG', 'mjpeg'], ['V_THEORA', 'theora'], ['V_REAL', 'realvideo'],
+    ['V_MS/VFW', 'vfw'],
+    ['A_AAC', 'aac'], ['A_MPEG/L3', 'mp3'], ['A_MPEG/L2', 'mp2'], ['A_EAC3', 'eac3'], ['A_AC3', 'ac3'],
+    ['A_DTS', 'dts'], ['A_TRUEHD', 'truehd'], ['A_MLP', 'truehd'], ['A_VORBIS', 'vorbis'], ['A_OPUS', 'opus'],
+    ['A_FLAC', 'flac'], ['A_ALAC', 'alac'], ['A_PCM', 'pcm'], ['A_REAL', 'realaudio'], ['A_MS/ACM', 'wma'],
+    ['A_TTA', 'tta'], ['A_WAVPACK', 'wavpack'],
+    ['S_TEXT/UTF8', 'srt'], ['S_TEXT/ASS', 'ass'], ['S_TEXT/SSA', 'ass'], ['S_ASS', 'ass'], ['S_SSA', 'ass'],
+    ['S_TEXT/WEBVTT', 'webvtt'], ['S_HDMV/PGS', 'pgs'], ['S_VOBSUB', 'vobsub'], ['S_DVBSUB', 'dvbsub']
+];
+
+async function probeMatroska(file) {
+    const head = await readBytes(file, 0, MKV_HEAD_SIZE);
+    const header = readEbmlElement(head, 0);
+    if (!header || header.id !== EBML_HEADER) return null;
+    const segment = readEbmlElement(head, header.dataEnd);
+    if (!segment || segment.id !== MKV_SEGMENT) return null;
+
+    const info = {
+        container: 'mkv', durationMs: null, width: null, height: null, videoCodec: null,
+        audioTracks: [], subtitleTracks: []
+    };
+
+    // Top-level elements we need, as offsets in the file; the SeekHead points at ones past the head
+    const positions = {};
+    let parsedInfo = false;
+    let parsedTracks = false;
+
+    forEachEbmlChild(head, segment.dataStart, Math.min(segment.dataEnd, head.length), (element) => {
+        if (element.id === MKV_CLUSTER) return false; // Media data from here on
+        if (element.dataEnd > head.length) {
+            positions[element.id] = element.start;
+            return false;
+        }
+        if (element.id === MKV_SEEK_HEAD) {
+            readSeekHead(head, element, segment.dataStart, positions);
+        } else if (element.id === MKV_INFO) {
+            readSegmentInfo(head, element, info);
+            parsedInfo = true;
+        } else if (element.id === MKV_TRACKS) {
+            readTracks(head, element, info);
+            parsedTracks = true;
+        }
+        return true;
+    });
+
+    if (!parsedInfo && positions[MKV_INFO] !== undefined) {
+        const element = await readEbmlElementAt(file, positions[MKV_INFO]);
+        if (element && element.id === MKV_INFO) readSegmentInfo(element.bytes, element, info);
+    }
+    if (!parsedTracks) {
+        if (positions[MKV_TRACKS] === undefined) return null;
+        const element = await readEbmlElementAt(file, positions[MKV_TRACKS]);
+        if (!element || element.id !== MKV_TRACKS) return null;
+        readTracks(element.bytes, element, info);
+    }
+
+    return info;
+}
+
+// Reads an element ID (marker bits kept) or size (marker bits removed) at pos
+function readVint(bytes, pos, keepMarker) {
+    const first = bytes[pos];
+    if (!first) return null;
+    let length = 1;
+    let mask = 0x80;
+    while (!(first & mask)) {
+        mask >>= 1;
+        length++;
+    }
+    if (pos + length > bytes.length) return null;
+
+    let value = keepMarker ? first : first & (mask - 1);
+    let allOnes = value === mask - 1;
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + bytes[pos + i];
+        if (bytes[pos + i] !== 0xff) allOnes = false;
+    }
+    return { value, length, unknownSize: !keepMarker && allOnes };
+}
+
+// Reads the element header at pos; dataEnd may lie past the buffer for large elements
+function readEbmlElement(bytes, pos) {
+    const id = readVint(bytes, pos, true);
+    if (!id) return null;
+    const size = readVint(bytes, pos + id.length, false);
+    if (!size) return null;
+    const dataStart = pos + id.length + size.length;
+    return {
+        id: id.value,
+        start: pos,
+        dataStart,
+        dataEnd: size.unknownSize ? Infinity : dataStart + size.value
+    };
+}
+
+// Reads a whole element at a file offset, returning it with its own bytes
+async function readEbmlElementAt(file, offset) {
+    const header = readEbmlElement(await readBytes(file, offset, 12), 0);
+    if (!header || header.dataEnd === Infinity || header.dataEnd > PROBE_MAX_HEADER_SIZE) return null;
+    const bytes = await readBytes(file, offset, header.dataEnd);
+    return { ...header, bytes };
+}
+
+// Calls fn(element) for each child in bytes[start, end) until it returns false
+function forEachEbmlChild(bytes, start, end, fn) {
+    let pos = start;
+    while (pos < end) {
+        const element = readEbmlElement(bytes, pos);
+        if (!element || fn(element) === false || element.dataEnd === Infinity) return;
+        pos = element.dataEnd;
+    }
+}
+
+function readUint(bytes, element) {
+    let value = 0;
+    for (let pos = element.dataStart; pos < element.dataEnd; pos++) value = value * 256 + bytes[pos];
+    return value;
+}
+
+function readFloat(bytes, element) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset + element.dataStart, element.dataEnd - element.dataStart);
+    if (view.byteLength === 4) return view.getFloat32(0);
+    if (view.byteLength === 8) return view.getFloat64(0);
+    return 0;
+}
+
+function readString(bytes, element) {
+    return String.fromCharCode(...bytes.subarray(element.dataStart, element.dataEnd)).replace(/\0+$/, '');
+}
+
+function readSeekHead(bytes, seekHead, segmentDataStart, positions) {
+    forEachEbmlChild(bytes, seekHead.dataStart, seekHead.dataEnd, (seek) => {
+        if (seek.id !== MKV_SEEK) return true;
+        let id = null;
+        let position = null;
+        forEachEbmlChild(bytes, seek.dataStart, seek.dataEnd, (child) => {
+            if (child.id === MKV_SEEK_ID) id = readUint(bytes, child);
+            if (child.id === MKV_SEEK_POSITION) position = readUint(bytes, child);
+            return true;
+        });
+        if (id !== null && position !== null && positions[id] === undefined) {
+            positions[id] = segmentDataStart + position;
+        }
+        return true;
+    });
+}
+
+function readSegmentInfo(bytes, element, info) {
+    let timestampScale = 1000000; // Nanoseconds per timestamp unit
+    let duration = null;
+    forEachEbmlChild(bytes, element.dataStart, element.dataEnd, (child) => {
+        if (child.id === MKV_TIMESTAMP_SCALE) timestampScale = readUint(bytes, child);
+        if (child.id === MKV_DURATION) duration = readFloat(bytes, child);
+        return true;
+    });
+    if (duration) info.durationMs = Math.round(duration * timestampScale / 1000000);
+}
+
+function readTracks(bytes, element, info) {
+    forEachEbmlChild(bytes, element.dataStart, element.dataEnd, (entry) => {
+        if (entry.id !== MKV_TRACK_ENTRY) return true;
+
+        const track = { type: null, codec: null, language: 'eng', width: null, height: null, channels: null };
+        let bcp47 = null;
+        forEachEbmlChild(bytes, entry.dataStart, entry.dataEnd, (child) => {
+            switch (child.id) {
+                case MKV_TRACK_TYPE: track.type = readUint(bytes, child); break;
+                case MKV_CODEC_ID: track.codec = mkvCodec(readString(bytes, child)); break;
+                case MKV_LANGUAGE: track.language = readString(bytes, child); break;
+                case MKV_LANGUAGE_BCP47: bcp47 = readString(bytes, child); break;
+                case MKV_VIDEO:
+                    forEachEbmlChild(bytes, child.dataStart, child.dataEnd, (video) => {
+                        if (video.id === MKV_PIXEL_WIDTH) track.width = readUint(bytes, video);
+                        if (video.id === MKV_PIXEL_HEIGHT) track.height = readUint(bytes, video);
+                        return true;
+                    });
+                    break;
+                case MKV_AUDIO:
+                    forEachEbmlChild(bytes, child.dataStart, child.dataEnd, (audio) => {
+                        if (audio.id === MKV_CHANNELS) track.channels = readUint(bytes, audio);
+                        return true;
+                    });
+                    break;
+            }
+            return true;
+        });
+
+        const language = bcp47 || (track.language === 'und' ? null : track.language);
+        if (track.type === MKV_TRACK_VIDEO && !info.videoCodec) {
+            info.videoCodec = track.codec;
+            info.width = track.width;
+            info.height = track.height;
+        } else if (track.type === MKV_TRACK_AUDIO) {
+            info.audioTracks.push({ codec: track.codec, language, channels: track.channels });
+        } else if (track.type === MKV_TRACK_SUBTITLE) {
+            info.subtitleTracks.push({ codec: track.codec, language });
+        }
+        return true;
+    });
+}
+
+function mkvCodec(codecId) {
+    const match = MKV_CODECS.find(([prefix]) => codecId.startsWith(prefix));
+    return match ? match[1] : codecId;
+}
@@ -0,0 +1,349 @@
+/**
+ * WiFi Transfer - Multiple Headsets
+ * Sends the same uploads to several headsets from this page, e.g. a whole group's Quests.
+ *
+ * The headset serving this page finds the other headsets running the transfer server on the
+ * network (GET /api/peers). The page then talks to each one directly: its /api/status for the
+ * PIN and storage shown in the "Send to" list, and its TUS endpoint and API for the uploads, where
+ * every selected headset gets its own queue item (see queueUpload() in upload.js).
+ *
+ * Other headsets don't receive this page's session cookie, so their PIN is exchanged for a token
+ * that is sent as "Authorization: Bearer <token>" and kept in localStorage until it expires.
+ * Targets are passed around as peer objects, with null standing for this headset.
+ */
+
+const uploadTargetsSection = document.getElementById('uploadTargets');
+const targetList = document.getElementById('targetList');
+
+const PEERS_REFRESH_INTERVAL_MS = 30000;
+const PEER_STATUS_TIMEOUT_MS = 5000;
+const PEER_SESSIONS_STORAGE_KEY = 'peerSessions'; // { [url]: { token, expiresAt } }
+const UPLOAD_TARGETS_STORAGE_KEY = 'uploadTargets'; // Selected peer URLs, plus '' while this headset is selected
+const STORAGE_CRITICAL_BYTES = 500 * 1024 * 1024; // Matches the critical level in updateStorageInfo()
+
+let localTargetName = 'This headset';
+let localTargetSelected = true;
+const peerTargets = new Map(); // Map<url, peer> for discovered headsets, see fetchPeers()
+
+document.addEventListener('DOMContentLoaded', () => {
+    loadTargetSelection();
+    fetchPeers();
+    setInterval(fetchPeers, PEERS_REFRESH_INTERVAL_MS);
+
+    targetList.addEventListener('change', (e) => {
+        const checkbox = e.target.closest('.target-checkbox');
+        if (!checkbox) return;
+        const peer = peerTargets.get(checkbox.dataset.url);
+        if (peer) {
+            peer.selected = checkbox.checked;
+        } else {
+            localTargetSelected = checkbox.checked;
+        }
+        saveTargetSelection();
+        renderTargets();
+    });
+
+    targetList.addEventListener('click', (e) => {
+        const button = e.target.closest('.target-pin-btn');
+        if (button) submitPeerPin(button.closest('.target-item'));
+    });
+
+    targetList.addEventListener('keyup', (e) => {
+        if (e.key === 'Enter' && e.target.classList.contains('target-pin-input')) {
+            submitPeerPin(e.target.closest('.target-item'));
+        }
+    });
+});
+
+// Ask this headset which other headsets it has found, then check each of them
+async function fetchPeers() {
+    try {
+        const response = await fetch('/api/peers');
+        if (!response.ok) return; // Tried again once the PIN is entered, see verifyPin()
+        const data = await response.json();
+
+        localTargetName = data.name || localTargetName;
+        const selectedUrls = loadSelectedPeerUrls();
+        const found = new Set();
+        (data.peers || []).forEach(({ name, url }) => {
+            found.add(url);
+            const peer = peerTargets.get(url);
+            if (peer) {
+                peer.name = name;
+            } else {
+                peerTargets.set(url, createPeer(url, name, selectedUrls.includes(url)));
+            }
+        });
+
+        // Keep headsets that dropped off the list while they have uploads, so those can finish or fail
+        peerTargets.forEach((peer, url) => {
+            if (!found.has(url) && !peer.selected && !hasUnfinishedJobs(peer)) peerTargets.delete(url);
+        });
+
+        renderTargets();
+        await Promise.all(Array.from(peerTargets.values()).map(fetchPeerStatus));
+    } catch (e) {
+        console.warn('Could not fetch other headsets:', e);
+    }
+}
+
+function createPeer(url, name, selected) {
+    const session = loadPeerSessions()[url];
+    return {
+        url,
+        name,
+        selected,
+        reachable: null, // null until the first status check
+        pinRequired: false,
+        authenticated: false,
+        token: session && session.expiresAt > Date.now() ? session.token : null,
+        storageAvailable: null,
+        storageAvailableFormatted: null,
+        lockoutUntil: 0,
+        pinError: ''
+    };
+}
+
+// Refresh a headset's PIN state and free storage
+async function fetchPeerStatus(peer) {
+    try {
+        const response = await fetch(targetUrl(peer, '/api/status'), {
+            headers: targetHeaders(peer),
+            signal: AbortSignal.timeout(PEER_STATUS_TIMEOUT_MS)
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+
+        peer.reachable = true;
+        peer.pinRequired = data.pinRequired === true;
+        peer.authenticated = data.authenticated === true;
+        peer.storageAvailable = data.storageAvailable;
+        peer.storageAvailableFormatted = data.storageAvailableFormatted;
+        peer.lockoutUntil = data.lockoutRemainingMs > 0 ? Date.now() + data.lockoutRemainingMs : 0;
+    } catch (e) {
+        peer.reachable = false;
+    }
+    renderTargets();
+}
+
+// Exchange the PIN typed into a headset's row for a session token
+async function submitPeerPin(item) {
+    const peer = item && peerTargets.get(item.dataset.url);
+    const input = item && item.querySelector('.target-pin-input');
+    if (!peer || !input || input.value.length !== 4) return;
+
+    try {
+        const response = await fetch(targetUrl(peer, '/api/verify-pin'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: `pin=${encodeURIComponent(input.value)}`
+        });
+        const data = await response.json();
+
+        if (data.success && data.token) {
+            peer.token = data.token;
+            peer.pinError = '';
+            savePeerSession(peer.url, data.token, data.expiresAt);
+            showToast(`PIN verified for ${peer.name}`, 'success');
+        } else if (response.status === 429) {
+            peer.lockoutUntil = Date.now() + (data.retryAfterMs || 30000);
+            peer.pinError = '';
+        } else {
+            const remaining = data.attemptsRemaining;
+            peer.pinError = remaining !== undefined
+                ? `Invalid PIN. ${remaining} attempt${remaining === 1 ? '' : 's'} left.`
+                : 'Invalid PIN. Please try again.';
+        }
+    } catch (e) {
+        peer.pinError = 'Unable to reach this headset.';
+    }
+    input.value = '';
+    await fetchPeerStatus(peer);
+}
+
+// Show this headset and the others with their state; only shown once another headset is found
+function renderTargets() {
+    uploadTargetsSection.hidden = peerTargets.size === 0;
+    if (peerTargets.size === 0) return;
+
+    // Keep a PIN being typed when the list is refreshed
+    const focusedUrl = document.activeElement?.classList.contains('target-pin-input')
+        ? document.activeElement.closest('.target-item').dataset.url
+        : null;
+    const typedPins = new Map(Array.from(targetList.querySelectorAll('.target-pin-input'))
+        .map(input => [input.closest('.target-item').dataset.url, input.value]));
+
+    const local = `
+        <div class="target-item" data-url="">
+            <label class="target-label">
+                <input type="checkbox" class="target-checkbox" data-url="" ${localTargetSelected ? 'checked' : ''}>
+                <span class="target-name">${escapeHtml(localTargetName)}</span>
+                <span class="target-badge">this page</span>
+            </label>
+            <span class="target-state">${escapeHtml(storageAvailable.textContent)}</span>
+        </div>
+    `;
+    targetList.innerHTML = local + Array.from(peerTargets.values()).map(renderPeer).join('');
+
+    typedPins.forEach((value, url) => {
+        const input = targetList.querySelector(`.target-item[data-url="${CSS.escape(url)}"] .target-pin-input`);
+        if (!input) return;
+        input.value = value;
+        if (url === focusedUrl) input.focus();
+    });
+}
+
+function renderPeer(peer) {
+    let state;
+    let stateClass = '';
+    let pinForm = '';
+    if (peer.reachable === null) {
+        state = 'Checking...';
+    } else if (!peer.reachable) {
+        state = '⚠️ Not reachable';
+        stateClass = 'error';
+    } else if (peer.pinRequired && !peer.authenticated) {
+        const locked = peer.lockoutUntil > Date.now();
+        state = locked ? '🔒 Too many attempts, try again later' : '🔒 PIN required';
+        stateClass = 'locked';
+        pinForm = `
+            <div class="target-pin">
+                <input type="text" class="target-pin-input" maxlength="4" pattern="[0-9]*" inputmode="numeric"
+                    placeholder="PIN" aria-label="PIN for ${escapeHtml(peer.name)}" ${locked ? 'disabled' : ''}>
+                <button class="target-pin-btn" ${locked ? 'disabled' : ''}>Unlock</button>
+                <span class="target-pin-error">${escapeHtml(peer.pinError)}</span>
+            </div>
+        `;
+    } else {
+        state = `✓ Ready • 💾 ${escapeHtml(peer.storageAvailableFormatted || '?')} available`;
+        if (peer.storageAvailable !== null && peer.storageAvailable < STORAGE_CRITICAL_BYTES) stateClass = 'error';
+    }
+
+    return `
+        <div class="target-item" data-url="${escapeHtml(peer.url)}">
+            <label class="target-label">
+                <input type="checkbox" class="target-checkbox" data-url="${escapeHtml(peer.url)}" ${peer.selected ? 'checked' : ''}>
+                <span class="target-name">${escapeHtml(peer.name)}</span>
+            </label>
+            <span class="target-state ${stateClass}">${state}</span>
+            ${pinForm}
+        </div>
+    `;
+}
+
+// Headsets new uploads go to, null standing for this headset
+function selectedUploadTargets() {
+    const targets = Array.from(peerTargets.values()).filter(peer => peer.selected);
+    // The list is hidden while there are no other headsets, so this one can't be unselected then
+    return localTargetSelected || peerTargets.size === 0 ? [null, ...targets] : targets;
+}
+
+// Whether queue items should say which headset they upload to
+function hasPeerTargets() {
+    return Array.from(peerTargets.values()).some(peer => peer.selected);
+}
+
+function targetName(target) {
+    return target ? target.name : localTargetName;
+}
+
+// URL of an API path or the TUS endpoint on a target
+function targetUrl(target, path) {
+    return target ? `${target.url}${path}` : path;
+}
+
+// Request headers for a target, with its session token for other headsets
+function targetHeaders(target, headers = {}) {
+    return target && target.token ? { ...headers, Authorization: `Bearer ${target.token}` } : headers;
+}
+
+// Why a file can't be sent to another headset right now, or null
+// This headset is checked by handleFiles() itself
+function targetProblem(target, file) {
+    if (!target) return null;
+    if (!target.reachable) return `${target.name} is not reachable`;
+    if (target.pinRequired && !target.authenticated) return `Enter the PIN for ${target.name} first`;
+    if (target.storageAvailable !== null) {
+        if (target.storageAvailable < STORAGE_CRITICAL_BYTES) return `Storage on ${target.name} is critically low`;
+        if (file.size > target.storageAvailable * 0.95) { // 95% threshold, as for this headset
+            return `Not enough storage space on ${target.name} (${target.storageAvailableFormatted} available)`;
+        }
+    }
+    return null;
+}
+
+// Refresh storage (and PIN state) after an upload to a target finished or was removed
+function refreshTargetStatus(target) {
+    if (target) {
+        fetchPeerStatus(target);
+    } else {
+        fetchStatus();
+    }
+}
+
+// A target rejected our session, e.g. after its PIN was changed
+function onTargetUnauthorized(target) {
+    if (!target) {
+        sessionActive = false;
+        fetchStatus();
+        return;
+    }
+    target.token = null;
+    target.authenticated = false;
+    savePeerSession(target.url, null, 0);
+    fetchPeerStatus(target);
+}
+
+// The target of a queue item saved before a page reload
+function restoreUploadTarget(saved) {
+    if (!saved) return null;
+    if (!peerTargets.has(saved.url)) {
+        peerTargets.set(saved.url, createPeer(saved.url, saved.name, false));
+        fetchPeerStatus(peerTargets.get(saved.url));
+    }
+    return peerTargets.get(saved.url);
+}
+
+function hasUnfinishedJobs(peer) {
+    return Array.from(uploadJobs.values()).some(job =>
+        job.target === peer && ['queued', 'uploading', 'paused', 'waiting'].includes(job.state)
+    );
+}
+
+function loadTargetSelection() {
+    const selected = loadSelectedPeerUrls();
+    localTargetSelected = selected.length === 0 || selected.includes('');
+}
+
+function loadSelectedPeerUrls() {
+    try {
+        return JSON.parse(localStorage.getItem(UPLOAD_TARGETS_STORAGE_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveTargetSelection() {
+    const selected = Array.from(peerTargets.values()).filter(peer => peer.selected).map(peer => peer.url);
+    if (localTargetSelected) selected.unshift('');
+    localStorage.setItem(UPLOAD_TARGETS_STORAGE_KEY, JSON.stringify(selected));
+}
+
+function loadPeerSessions() {
+    try {
+        return JSON.parse(localStorage.getItem(PEER_SESSIONS_STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+// Store a headset's session token, or forget it when token is null
+function savePeerSession(url, token, expiresAt) {
+    const sessions = loadPeerSessions();
+    if (token) {
+        sessions[url] = { token, expiresAt };
+    } else {
+        delete sessions[url];
+    }
+    localStorage.setItem(PEER_SESSIONS_STORAGE_KEY, JSON.stringify(sessions));
+}
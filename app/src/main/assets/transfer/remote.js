@@ -0,0 +1,212 @@
+/**
+ * WiFi Transfer - Remote Control
+ * Drives the video playing on the headset from the Remote tab: play/pause, seeking, skipping,
+ * volume and subtitles, for someone helping the person wearing it.
+ *
+ * The headset pushes its player state as "player" events (see handleServerEvent() in upload.js).
+ * Between updates the position is moved along locally; while live events are unavailable the
+ * state is polled from /api/player instead.
+ */
+
+const remoteIdle = document.getElementById('remoteIdle');
+const remotePlayer = document.getElementById('remotePlayer');
+const remoteTitle = document.getElementById('remoteTitle');
+const remoteStateLabel = document.getElementById('remoteState');
+const remoteSeek = document.getElementById('remoteSeek');
+const remoteBuffered = document.getElementById('remoteBuffered');
+const remotePositionLabel = document.getElementById('remotePosition');
+const remoteDurationLabel = document.getElementById('remoteDuration');
+const remotePlayBtn = document.getElementById('remotePlayBtn');
+const remoteBackBtn = document.getElementById('remoteBackBtn');
+const remoteForwardBtn = document.getElementById('remoteForwardBtn');
+const remoteVolume = document.getElementById('remoteVolume');
+const remoteSubtitleSelect = document.getElementById('remoteSubtitleSelect');
+
+const REMOTE_TICK_MS = 250; // How often the shown position moves along while playing
+const REMOTE_POLL_INTERVAL_MS = 2000; // State refresh while live events are unavailable
+
+let remoteState = null; // Last /api/player state, null when nothing is playing
+let remoteStateReceivedAt = 0;
+let remoteVisible = false;
+let remoteTimer = null;
+let remoteLastPollAt = 0;
+let remoteDragging = null; // 'seek' or 'volume' while the user drags that slider
+let remoteSubtitleKey = ''; // Subtitle options currently rendered, see renderRemoteSubtitles()
+
+document.addEventListener('DOMContentLoaded', () => {
+    remotePlayBtn.addEventListener('click', () => {
+        if (!remoteState) return;
+        const playing = !remoteState.playing;
+        sendRemoteCommand(playing ? 'play' : 'pause', null, () => { remoteState.playing = playing; });
+    });
+    remoteBackBtn.addEventListener('click', () => sendRemoteCommand('skip', { forward: false }));
+    remoteForwardBtn.addEventListener('click', () => sendRemoteCommand('skip', { forward: true }));
+
+    remoteSeek.addEventListener('input', () => {
+        remoteDragging = 'seek';
+        remotePositionLabel.textContent = formatPlaybackTime(Number(remoteSeek.value));
+    });
+    remoteSeek.addEventListener('change', () => {
+        remoteDragging = null;
+        const positionMs = Number(remoteSeek.value);
+        sendRemoteCommand('seek', { positionMs }, () => { remoteState.positionMs = positionMs; });
+    });
+
+    remoteVolume.addEventListener('input', () => { remoteDragging = 'volume'; });
+    remoteVolume.addEventListener('change', () => {
+        remoteDragging = null;
+        const volume = Number(remoteVolume.value) / 100;
+        sendRemoteCommand('volume', { volume }, () => { remoteState.volume = volume; });
+    });
+
+    remoteSubtitleSelect.addEventListener('change', () => {
+        const trackIndex = Number(remoteSubtitleSelect.value);
+        sendRemoteCommand('subtitle', { trackIndex }, () => { remoteState.selectedSubtitle = trackIndex; });
+    });
+});
+
+// Called when the Remote tab is shown or hidden
+function setRemoteVisible(visible) {
+    remoteVisible = visible;
+    clearInterval(remoteTimer);
+    remoteTimer = null;
+    if (!visible) return;
+
+    fetchRemoteState();
+    remoteTimer = setInterval(() => {
+        if (!eventsConnected && Date.now() - remoteLastPollAt >= REMOTE_POLL_INTERVAL_MS) {
+            fetchRemoteState();
+        }
+        if (remoteState && remoteState.playing && !remoteState.buffering) renderRemotePosition();
+    }, REMOTE_TICK_MS);
+}
+
+async function fetchRemoteState() {
+    remoteLastPollAt = Date.now();
+    try {
+        const response = await fetch('/api/player');
+        if (response.status === 401) {
+            sessionActive = false;
+            fetchStatus();
+            updateRemoteState({ active: false });
+            return;
+        }
+        if (response.ok) updateRemoteState(await response.json());
+    } catch (e) {
+        console.warn('Could not fetch player state:', e);
+    }
+}
+
+// Show a state from /api/player or a "player" event
+function updateRemoteState(data) {
+    remoteState = data && data.active ? data : null;
+    remoteStateReceivedAt = Date.now();
+    renderRemote();
+}
+
+// Send a command; onSuccess updates the shown state until the headset reports it
+async function sendRemoteCommand(command, body, onSuccess) {
+    try {
+        const response = await fetch(`/api/player/${command}`, {
+            method: 'POST',
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (response.status === 401) {
+            sessionActive = false;
+            fetchStatus();
+            showError('PIN required - please enter the PIN');
+            return;
+        }
+        if (response.status === 404) {
+            updateRemoteState({ active: false });
+            return;
+        }
+        if (!response.ok) {
+            showError(data.error || `Request failed (${response.status})`);
+            return;
+        }
+
+        if (onSuccess && remoteState) {
+            // Keep the locally moved position as the new starting point
+            remoteState.positionMs = currentRemotePosition();
+            remoteStateReceivedAt = Date.now();
+            onSuccess();
+            renderRemote();
+        }
+        if (!eventsConnected) fetchRemoteState();
+    } catch (e) {
+        showError('Unable to reach the headset. Please try again.');
+    }
+}
+
+function renderRemote() {
+    remoteIdle.hidden = remoteState !== null;
+    remotePlayer.hidden = remoteState === null;
+    if (!remoteState) return;
+
+    remoteTitle.textContent = remoteState.title;
+    if (remoteState.buffering) {
+        remoteStateLabel.textContent = '⏳ Buffering...';
+    } else {
+        remoteStateLabel.textContent = remoteState.playing ? '▶️ Playing' : '⏸️ Paused';
+    }
+    remotePlayBtn.textContent = remoteState.playing ? '⏸️' : '▶️';
+    remotePlayBtn.title = remoteState.playing ? 'Pause' : 'Play';
+
+    const duration = remoteState.durationMs;
+    remoteSeek.max = String(duration);
+    remoteSeek.disabled = duration <= 0;
+    remoteDurationLabel.textContent = formatPlaybackTime(duration);
+    remoteBuffered.style.width = duration > 0
+        ? `${Math.min(100, (remoteState.bufferedPositionMs / duration) * 100)}%`
+        : '0%';
+    renderRemotePosition();
+
+    if (remoteDragging !== 'volume') remoteVolume.value = String(Math.round(remoteState.volume * 100));
+    renderRemoteSubtitles();
+}
+
+function renderRemotePosition() {
+    if (remoteDragging === 'seek') return;
+    const position = currentRemotePosition();
+    remoteSeek.value = String(position);
+    remotePositionLabel.textContent = formatPlaybackTime(position);
+}
+
+// Rebuild the subtitle options only when the tracks change, so an open menu isn't reset
+function renderRemoteSubtitles() {
+    const tracks = remoteState.subtitles || [];
+    const key = JSON.stringify(tracks);
+    if (key !== remoteSubtitleKey) {
+        remoteSubtitleKey = key;
+        remoteSubtitleSelect.innerHTML = '<option value="-1">Off</option>' + tracks.map(track => {
+            const language = track.language && track.language !== 'unknown' ? ` (${track.language})` : '';
+            const source = track.external ? ' - file' : '';
+            return `<option value="${track.index}">${escapeHtml(track.label + language + source)}</option>`;
+        }).join('');
+    }
+    remoteSubtitleSelect.disabled = tracks.length === 0;
+    remoteSubtitleSelect.value = String(remoteState.selectedSubtitle);
+}
+
+// Position now, moved along from the last update while the headset is playing
+function currentRemotePosition() {
+    if (!remoteState) return 0;
+    let position = remoteState.positionMs;
+    if (remoteState.playing && !remoteState.buffering) {
+        position += Date.now() - remoteStateReceivedAt;
+    }
+    return remoteState.durationMs > 0 ? Math.min(position, remoteState.durationMs) : position;
+}
+
+// Format a playback position (e.g., "0:00", "12:05" or "1:42:05")
+function formatPlaybackTime(ms) {
+    const total = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(total / 3600);
+    const mins = Math.floor((total % 3600) / 60);
+    const secs = (total % 60).toString().padStart(2, '0');
+    return hours > 0 ? `${hours}:${mins.toString().padStart(2, '0')}:${secs}` : `${mins}:${secs}`;
+}
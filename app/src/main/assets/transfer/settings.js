@@ -0,0 +1,236 @@
+/**
+ * WiFi Transfer - Settings
+ * Reads and edits the headset's playback, library scan and environment settings from the
+ * Settings tab, so a headset can be set up before handing it to someone.
+ *
+ * Only the fields changed in the form are sent, so a volume change made on the headset in the
+ * meantime isn't overwritten. The headset applies saved changes right away and tells other open
+ * pages with a "settings" event (see handleServerEvent() in upload.js).
+ */
+
+const settingsUnavailable = document.getElementById('settingsUnavailable');
+const settingsForm = document.getElementById('settingsForm');
+const settingsSkipInterval = document.getElementById('settingsSkipInterval');
+const settingsResume = document.getElementById('settingsResume');
+const settingsVolume = document.getElementById('settingsVolume');
+const settingsVolumeValue = document.getElementById('settingsVolumeValue');
+const settingsAutoScan = document.getElementById('settingsAutoScan');
+const settingsLastScan = document.getElementById('settingsLastScan');
+const settingsEnvironment = document.getElementById('settingsEnvironment');
+const settingsLighting = document.getElementById('settingsLighting');
+const settingsLightingValue = document.getElementById('settingsLightingValue');
+const settingsStatus = document.getElementById('settingsStatus');
+const settingsResetBtn = document.getElementById('settingsResetBtn');
+const settingsSaveBtn = document.getElementById('settingsSaveBtn');
+
+let savedSettings = null; // Last /api/settings response
+let settingsVisible = false;
+let settingsSaving = false;
+
+document.addEventListener('DOMContentLoaded', () => {
+    settingsForm.addEventListener('input', onSettingsEdited);
+    settingsForm.addEventListener('change', onSettingsEdited);
+    settingsForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveSettings();
+    });
+    settingsResetBtn.addEventListener('click', () => {
+        renderSettings();
+        setSettingsStatus('');
+    });
+});
+
+// Called when the Settings tab is shown or hidden
+function setSettingsVisible(visible) {
+    settingsVisible = visible;
+    if (visible) fetchSettings();
+}
+
+async function fetchSettings() {
+    try {
+        const response = await fetch('/api/settings');
+        if (response.status === 401) {
+            sessionActive = false;
+            fetchStatus();
+            showSettingsUnavailable('Enter the PIN to see and change this headset\'s settings.');
+            return;
+        }
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            showSettingsUnavailable(data.error || `Could not load settings (${response.status})`);
+            return;
+        }
+
+        // Don't throw away edits the user hasn't saved yet
+        const keepEdits = savedSettings !== null && !settingsForm.hidden && Object.keys(changedSettings()).length > 0;
+        savedSettings = data;
+        settingsUnavailable.hidden = true;
+        settingsForm.hidden = false;
+        if (keepEdits) {
+            updateSettingsButtons();
+        } else {
+            renderSettings();
+        }
+    } catch (e) {
+        showSettingsUnavailable('Unable to reach the headset. Please try again.');
+    }
+}
+
+// A "settings" event: another page (or this one) saved changes
+function onSettingsChanged() {
+    if (settingsVisible && !settingsSaving) fetchSettings();
+}
+
+function showSettingsUnavailable(message) {
+    settingsUnavailable.textContent = message;
+    settingsUnavailable.hidden = false;
+    settingsForm.hidden = true;
+}
+
+// Fill the form from the saved settings
+function renderSettings() {
+    const { playback, scan, environment, options } = savedSettings;
+
+    settingsSkipInterval.innerHTML = options.skipIntervalsMs
+        .map(ms => `<option value="${ms}">${ms / 1000} seconds</option>`)
+        .join('');
+    // Keep an interval set before the current choices existed selectable
+    if (!options.skipIntervalsMs.includes(playback.skipIntervalMs)) {
+        settingsSkipInterval.insertAdjacentHTML('afterbegin',
+            `<option value="${playback.skipIntervalMs}">${playback.skipIntervalMs / 1000} seconds</option>`);
+    }
+    settingsSkipInterval.value = String(playback.skipIntervalMs);
+    settingsResume.checked = playback.resumeEnabled;
+    settingsVolume.value = String(Math.round(playback.volume * 100));
+
+    settingsAutoScan.checked = scan.autoScanEnabled;
+    settingsLastScan.textContent = scan.lastMediaStoreScan > 0
+        ? `Last scan: ${formatTime(scan.lastMediaStoreScan)}`
+        : 'The headset has not scanned for videos yet.';
+
+    settingsEnvironment.innerHTML = options.environments
+        .map(env => `<option value="${escapeHtml(env.name)}">${escapeHtml(env.displayName)}</option>`)
+        .join('');
+    settingsEnvironment.value = environment.environment;
+    settingsLighting.value = String(Math.round(environment.lightingIntensity * 100));
+
+    renderSettingsValues();
+    updateSettingsButtons();
+}
+
+function renderSettingsValues() {
+    settingsVolumeValue.textContent = `${settingsVolume.value}%`;
+    settingsLightingValue.textContent = `${settingsLighting.value}%`;
+}
+
+// Form values that differ from the saved settings, in the POST /api/settings shape
+function changedSettings() {
+    const { playback, scan, environment } = savedSettings;
+    const changes = {};
+    const set = (group, key, value) => {
+        changes[group] = changes[group] || {};
+        changes[group][key] = value;
+    };
+
+    const skipIntervalMs = Number(settingsSkipInterval.value);
+    if (skipIntervalMs !== playback.skipIntervalMs) set('playback', 'skipIntervalMs', skipIntervalMs);
+    if (settingsResume.checked !== playback.resumeEnabled) set('playback', 'resumeEnabled', settingsResume.checked);
+    const volume = Number(settingsVolume.value) / 100;
+    if (Math.round(volume * 100) !== Math.round(playback.volume * 100)) set('playback', 'volume', volume);
+
+    if (settingsAutoScan.checked !== scan.autoScanEnabled) set('scan', 'autoScanEnabled', settingsAutoScan.checked);
+
+    if (settingsEnvironment.value !== environment.environment) {
+        set('environment', 'environment', settingsEnvironment.value);
+    }
+    const lightingIntensity = Number(settingsLighting.value) / 100;
+    if (Math.round(lightingIntensity * 100) !== Math.round(environment.lightingIntensity * 100)) {
+        set('environment', 'lightingIntensity', lightingIntensity);
+    }
+    return changes;
+}
+
+// Returns why the changes can't be saved, or null; the headset checks them again
+function validateSettings(changes) {
+    const { options } = savedSettings;
+    const playback = changes.playback || {};
+    const environment = changes.environment || {};
+
+    if ('skipIntervalMs' in playback && !options.skipIntervalsMs.includes(playback.skipIntervalMs)) {
+        return 'Choose one of the listed skip intervals.';
+    }
+    if ('volume' in playback && !(playback.volume >= 0 && playback.volume <= 1)) {
+        return 'Volume must be between 0% and 100%.';
+    }
+    if ('environment' in environment && !options.environments.some(env => env.name === environment.environment)) {
+        return 'Choose one of the listed environments.';
+    }
+    if ('lightingIntensity' in environment && !(environment.lightingIntensity >= 0 && environment.lightingIntensity <= 1)) {
+        return 'Lighting must be between 0% and 100%.';
+    }
+    return null;
+}
+
+// Returns true if the form has unsaved changes
+function updateSettingsButtons() {
+    const dirty = savedSettings !== null && Object.keys(changedSettings()).length > 0;
+    settingsSaveBtn.disabled = !dirty || settingsSaving;
+    settingsResetBtn.disabled = !dirty || settingsSaving;
+    return dirty;
+}
+
+function onSettingsEdited() {
+    renderSettingsValues();
+    const dirty = updateSettingsButtons();
+    setSettingsStatus(dirty ? 'Unsaved changes' : '', dirty ? 'pending' : undefined);
+}
+
+async function saveSettings() {
+    const changes = changedSettings();
+    if (Object.keys(changes).length === 0 || settingsSaving) return;
+
+    const problem = validateSettings(changes);
+    if (problem) {
+        setSettingsStatus(problem, 'error');
+        return;
+    }
+
+    settingsSaving = true;
+    settingsSaveBtn.disabled = true;
+    settingsResetBtn.disabled = true;
+    setSettingsStatus('Saving...');
+    try {
+        const response = await fetch('/api/settings', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(changes)
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (response.status === 401) {
+            sessionActive = false;
+            fetchStatus();
+            setSettingsStatus('PIN required - please enter the PIN', 'error');
+            return;
+        }
+        if (!response.ok) {
+            setSettingsStatus(data.error || `Could not save settings (${response.status})`, 'error');
+            return;
+        }
+
+        savedSettings = data;
+        renderSettings();
+        setSettingsStatus('✓ Saved - applied on the headset', 'success');
+    } catch (e) {
+        setSettingsStatus('Unable to reach the headset. Please try again.', 'error');
+    } finally {
+        settingsSaving = false;
+        updateSettingsButtons();
+    }
+}
+
+// type: 'pending', 'success', 'error' or none
+function setSettingsStatus(message, type) {
+    settingsStatus.textContent = message;
+    settingsStatus.className = type ? `settings-status ${type}` : 'settings-status';
+}
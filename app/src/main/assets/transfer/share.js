@@ -0,0 +1,132 @@
+/**
+ * WiFi Transfer - Install and share
+ * Registers the service worker (sw.js) that makes the page installable, and queues videos
+ * shared to the installed app from other apps, e.g. a phone's gallery.
+ *
+ * A share opens /?share-target; the page asks the service worker for the files and hands them
+ * to handleFiles() in upload.js. If a PIN is needed they wait until it is entered. When the
+ * service worker couldn't keep the files, or no longer has them, the page says so instead.
+ *
+ * Browsers only run service workers on secure pages, and a page on a LAN address is only secure
+ * over HTTPS with a certificate the browser trusts. The headset's self-signed certificate is not
+ * trusted even after clicking through the warning, so installing and sharing only work once it
+ * is installed as trusted on the sending device. Otherwise registration fails, the install
+ * button stays hidden and the page works as before.
+ */
+
+const SERVICE_WORKER_URL = '/sw.js';
+const SHARE_TARGET_PARAM = 'share-target';
+const SHARE_FAILED_MESSAGE = 'The shared videos did not reach this page. Please pick them with Browse instead.';
+
+// Extensions for shared files that arrive without one, by MIME type
+const SHARED_FILE_EXTENSIONS = {
+    'video/mp4': 'mp4',
+    'video/x-matroska': 'mkv'
+};
+
+const installAppBtn = document.getElementById('installAppBtn');
+
+let pendingSharedFiles = []; // Shared files waiting for the PIN
+let installPrompt = null; // beforeinstallprompt event, to show the browser's install dialog
+let serviceWorkerRegistered = false; // Without it the installed app could not receive shares
+
+document.addEventListener('DOMContentLoaded', () => {
+    if ('serviceWorker' in navigator && window.isSecureContext) {
+        navigator.serviceWorker.register(SERVICE_WORKER_URL).then(() => {
+            serviceWorkerRegistered = true;
+            updateInstallButton();
+        }).catch(err => {
+            console.warn('Service worker registration failed:', err);
+        });
+    }
+
+    window.addEventListener('beforeinstallprompt', (e) => {
+        e.preventDefault();
+        installPrompt = e;
+        updateInstallButton();
+    });
+    window.addEventListener('appinstalled', () => {
+        installPrompt = null;
+        installAppBtn.hidden = true;
+    });
+    installAppBtn.addEventListener('click', async () => {
+        if (!installPrompt) return;
+        installPrompt.prompt();
+        await installPrompt.userChoice;
+        installPrompt = null;
+        installAppBtn.hidden = true;
+    });
+
+    const params = new URLSearchParams(location.search);
+    if (params.has(SHARE_TARGET_PARAM)) {
+        const failed = params.get(SHARE_TARGET_PARAM) === 'failed';
+        // Don't receive the same share again on reload
+        history.replaceState(null, '', location.pathname + location.hash);
+        if (failed) {
+            showError(SHARE_FAILED_MESSAGE);
+        } else {
+            receiveSharedFiles();
+        }
+    }
+});
+
+// The install button is offered once the browser allows installing and the service worker runs
+function updateInstallButton() {
+    installAppBtn.hidden = !(installPrompt && serviceWorkerRegistered);
+}
+
+// Ask the service worker for the files of the share that opened this page
+async function receiveSharedFiles() {
+    if (!('serviceWorker' in navigator)) return;
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        const { files, missing } = await new Promise(resolve => {
+            const onMessage = (event) => {
+                if (event.data?.type !== 'shared-files') return;
+                navigator.serviceWorker.removeEventListener('message', onMessage);
+                resolve({ files: event.data.files || [], missing: event.data.missing === true });
+            };
+            navigator.serviceWorker.addEventListener('message', onMessage);
+            registration.active.postMessage({ type: 'share-ready' });
+        });
+
+        // The service worker no longer has the share, e.g. the browser cleared its storage
+        if (missing) {
+            showError(SHARE_FAILED_MESSAGE);
+            return;
+        }
+        if (files.length === 0) {
+            showError('No videos were received from the share. Please pick them with Browse instead.');
+            return;
+        }
+        pendingSharedFiles = pendingSharedFiles.concat(files.map(withFileExtension));
+        await fetchStatus(); // The PIN state may not be known yet
+        queueSharedFiles();
+    } catch (e) {
+        console.warn('Could not receive shared files:', e);
+        showError('The shared videos could not be received. Please pick them with Browse instead.');
+    }
+}
+
+// Queue shared files that are waiting, unless the PIN still has to be entered
+function queueSharedFiles() {
+    if (pendingSharedFiles.length === 0) return;
+    if (pinRequired && !sessionActive) {
+        const count = pendingSharedFiles.length;
+        showToast(`Enter the PIN shown on the headset to send the ${count === 1 ? 'shared video' : `${count} shared videos`}`, 'info');
+        updatePinUI();
+        return;
+    }
+
+    const files = pendingSharedFiles;
+    pendingSharedFiles = [];
+    showTab('transfer');
+    handleFiles(files);
+}
+
+// Gallery apps sometimes share files named without an extension, which handleFiles() rejects
+function withFileExtension(file) {
+    const extension = SHARED_FILE_EXTENSIONS[file.type];
+    if (!extension || file.name.includes('.')) return file;
+    return new File([file], `${file.name || 'shared-video'}.${extension}`, { type: file.type, lastModified: file.lastModified });
+}
@@ -0,0 +1,73 @@
+/**
+ * WiFi Transfer - Service worker
+ * Makes the transfer page installable and receives videos shared to it from other apps
+ * ("Share → OnTheGoVR", see "share_target" in manifest.webmanifest). It only registers when the
+ * page is opened over HTTPS with a certificate the browser trusts (see share.js).
+ *
+ * Shared files are posted to /share-target. They are kept in the Cache API, which outlives this
+ * worker being stopped, and the page is opened, which asks for them and queues them like picked
+ * files (see share.js). Nothing else is cached: the page is only useful while the headset's
+ * server is reachable.
+ */
+
+const SHARE_TARGET_PATH = '/share-target';
+const SHARE_FILES_FIELD = 'videos'; // "files" param name in manifest.webmanifest
+const SHARE_CACHE = 'share-target'; // Files of the last share, until the page asks for them
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'POST' || url.pathname !== SHARE_TARGET_PATH) return;
+
+    event.respondWith(storeSharedFiles(event.request)
+        .then(() => Response.redirect('/?share-target', 303))
+        .catch(err => {
+            console.warn('Could not keep shared files:', err);
+            return Response.redirect('/?share-target=failed', 303);
+        }));
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type !== 'share-ready' || !event.source) return;
+
+    event.waitUntil(takeSharedFiles()
+        .catch(() => null)
+        .then(files => event.source.postMessage({ type: 'shared-files', files: files || [], missing: !files })));
+});
+
+// Replaces any share the page has not claimed yet. The name and date don't survive as a
+// Response, so they go in headers
+async function storeSharedFiles(request) {
+    const data = await request.formData();
+    const files = data.getAll(SHARE_FILES_FIELD).filter(file => file instanceof File);
+
+    await caches.delete(SHARE_CACHE);
+    const cache = await caches.open(SHARE_CACHE);
+    await Promise.all(files.map((file, i) => cache.put(`${SHARE_TARGET_PATH}/${i}`, new Response(file, {
+        headers: {
+            'Content-Type': file.type,
+            'X-File-Name': encodeURIComponent(file.name),
+            'X-Last-Modified': String(file.lastModified)
+        }
+    }))));
+}
+
+// The files of the last share, or null if there is none (e.g. the browser cleared it)
+async function takeSharedFiles() {
+    if (!(await caches.has(SHARE_CACHE))) return null;
+
+    const cache = await caches.open(SHARE_CACHE);
+    const requests = await cache.keys();
+    const files = await Promise.all(requests.map(async (request) => {
+        const response = await cache.match(request);
+        return new File([await response.blob()], decodeURIComponent(response.headers.get('X-File-Name') || ''), {
+            type: response.headers.get('Content-Type') || '',
+            lastModified: Number(response.headers.get('X-Last-Modified')) || Date.now()
+        });
+    }));
+    await caches.delete(SHARE_CACHE);
+    return files;
+}
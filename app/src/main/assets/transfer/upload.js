@@ -3,6 +3,8 @@
  * Handles drag-and-drop, file selection, upload queue with TUS resumable uploads
  *
  * Uses tus-js-client library for resumable uploads with automatic retry.
+ * The vendored tus.min.js is tus-js-client 3.7.7. setUploadChunkSize relies on its private
+ * _parallelUploads field, so check that still exists when updating the library.
  * @see https://github.com/tus/tus-js-client
  */
 
@@ -10,35 +12,172 @@
 const dropZone = document.getElementById('dropZone');
 const fileInput = document.getElementById('fileInput');
 const browseBtn = document.getElementById('browseBtn');
+const folderInput = document.getElementById('folderInput');
+const browseFolderBtn = document.getElementById('browseFolderBtn');
 const uploadQueue = document.getElementById('uploadQueue');
 const queueList = document.getElementById('queueList');
+const concurrencySelect = document.getElementById('concurrencySelect');
+const bandwidthSelect = document.getElementById('bandwidthSelect');
+const pauseAllBtn = document.getElementById('pauseAllBtn');
+const formatAllSelect = document.getElementById('formatAllSelect');
 const fileListSection = document.getElementById('fileListSection');
 const fileList = document.getElementById('fileList');
+const fileCount = document.getElementById('fileCount');
+const loadMoreBtn = document.getElementById('loadMoreBtn');
+const librarySearchInput = document.getElementById('librarySearchInput');
+const libraryTagFilter = document.getElementById('libraryTagFilter');
 const storageAvailable = document.getElementById('storageAvailable');
+const tabButtons = document.querySelectorAll('.tab-btn');
 
 // State
 let uploadCounter = 0;
-const activeUploads = new Map(); // Map<id, tus.Upload>
+const activeUploads = new Map(); // Map<id, tus.Upload> for uploads currently transferring
+const uploadJobs = new Map(); // Map<id, job> for every queue item, see queueUpload()
 const uploadMetadata = new Map(); // Track start time, speed calculations
 let pinRequired = false;
-let verifiedPin = null;
-let previousUploads = []; // Track previous uploads from localStorage that can be resumed
+let sessionActive = false; // True once the server has set our session cookie
+let pinLockoutUntil = 0; // Timestamp until which PIN attempts are rejected
+let pinLockoutTimer = null;
+let previousUploads = []; // Track previous uploads from localStorage and the server that can be resumed
+let serverIncompleteUploads = []; // Unfinished uploads reported by the server, from any browser
+const fileRelativePaths = new WeakMap(); // Map<File, path> for files from dropped or picked folders
+const fileMediaInfo = new WeakMap(); // Map<File, probeMedia() result> for files probed before upload
+const fileFrames = new WeakMap(); // Map<File, Promise<captureFrames() result>>, see getFrames()
+const fileSignatures = new WeakMap(); // Map<File, Promise<signature>>, see getFileSignature()
+const fileChecksums = new WeakMap(); // Map<File, checksum> so a file sent to several headsets is hashed once
+let frameCaptureChain = Promise.resolve(); // Captures one file at a time so decoders don't pile up
+let fileListOffset = 0; // Number of library files currently rendered
+const libraryFiles = new Map(); // Map<mediaStoreId, file> for rendered library entries
+let libraryFolders = null; // Cached /api/folders response
+let libraryQuery = ''; // Text the library list is filtered by (name, title, description or tags)
+let libraryTag = ''; // Tag the library list is filtered by
+let librarySearchTimer = null;
+let duplicateCheckChain = Promise.resolve(); // Serializes duplicate checks so prompts don't overlap
+
+// The QR code on the headset opens this page with a one-time pairing token, see pairWithQrToken()
+const PAIR_HASH_PREFIX = '#pair=';
 
 // TUS Configuration
 const TUS_ENDPOINT = '/tus/';
-const TUS_CHUNK_SIZE = 5 * 1024 * 1024; // 5MB chunks
+const TUS_CHUNK_SIZE = 5 * 1024 * 1024; // 5MB first chunk, then sized by adaptChunkSize()
 const TUS_RETRY_DELAYS = [0, 1000, 3000, 5000, 10000, 30000]; // Retry delays in ms
 
+// Integrity Configuration
+// Files are hashed before upload and the server verifies the bytes it wrote against the hash
+const HASH_WORKER_URL = '/hash-worker.js';
+const PROCESSING_POLL_INTERVAL_MS = 1500; // How often to ask the server for processing status
+const PROCESSING_MAX_POLL_ERRORS = 3;
+const PROCESSING_STATE_LABELS = { // Queue item text for each server-side processing step
+    COPYING: 'Saving on headset...',
+    VALIDATING: 'Validating...',
+    FINALIZING: 'Finalizing...',
+    THUMBNAILING: 'Adding to library...'
+};
+
+// Live Events Configuration
+// The headset pushes status changes over a WebSocket; polling is only a fallback while it is down
+const EVENTS_PATH = '/api/events';
+const EVENTS_RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000]; // Reconnect backoff in ms
+const STATUS_POLL_INTERVAL_MS = 30000;
+const PROCESSING_EVENT_TIMEOUT_MS = 15000; // Re-check processing status if no event arrives
+let eventsConnected = false;
+let eventsEverConnected = false;
+let eventsReconnectAttempt = 0;
+let eventsSocket = null;
+const processingWaiters = new Map(); // Map<tusUploadId, callback> for uploads awaiting a processing event
+
+// Queue Configuration
+// Queue priority is the order of items in #queueList, which the user can reorder by dragging
+const DEFAULT_CONCURRENCY = 2;
+const CONCURRENCY_STORAGE_KEY = 'uploadConcurrency';
+const BANDWIDTH_STORAGE_KEY = 'uploadBandwidthLimit';
+const QUEUE_STORAGE_KEY = 'uploadQueueState';
+let maxConcurrentUploads = DEFAULT_CONCURRENCY;
+
+// Adaptive Chunk Size Configuration
+// Each upload sizes its chunks to take about CHUNK_TARGET_DURATION_MS at its recent throughput,
+// so fast networks aren't slowed by per-request overhead and a failed chunk on a flaky one loses little
+const MIN_CHUNK_SIZE = 512 * 1024;
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+const CHUNK_TARGET_DURATION_MS = 4000;
+const CHUNK_GROWTH_FACTOR = 2; // A chunk is at most this many times larger than the previous one
+const CHUNK_ERROR_SHRINK_FACTOR = 4; // A failed chunk divides the chunk size by this
+const THROUGHPUT_SMOOTHING = 0.3; // Weight of the latest chunk in the throughput estimate
+
+// Parallel Upload Configuration
+// Large files are split into parts that upload side by side and are joined on the headset
+// (TUS concatenation). Each part resumes on its own after an interruption
+const PARALLEL_UPLOAD_MIN_SIZE = 512 * 1024 * 1024;
+const PARALLEL_UPLOAD_PART_SIZE = 256 * 1024 * 1024; // About one part per this many bytes
+const MAX_PARALLEL_PARTS = 4;
+
+// Bandwidth Limit Configuration
+// The limit is shared by all uploads in this browser. Chunks still go out at full speed but are
+// spaced so the average stays under it, and are kept to BANDWIDTH_BURST_MS worth of data
+const BANDWIDTH_BURST_MS = 2000;
+let bandwidthLimit = 0; // Bytes per second, 0 for unlimited
+let bandwidthNextSendAt = 0; // Earliest time the next chunk may start under the limit
+
+// Library Configuration
+const FILE_LIST_PAGE_SIZE = 20;
+const FILE_LOOKUP_PAGE_SIZE = 100; // Largest page the server returns, used when searching for a video
+
+// Subtitle Configuration
+// Subtitle files are paired with a video by file name ("Movie.en.srt" -> "Movie.mp4") and stored next to it
+const VIDEO_EXTENSIONS = ['mp4', 'mkv'];
+const SUBTITLE_EXTENSIONS = ['srt', 'vtt', 'ass', 'ssa'];
+const MAX_SUBTITLE_SIZE = 5 * 1024 * 1024; // 5MB, matches the server limit
+
+// VR Format Configuration
+// projection and stereoMode are sent as TUS metadata and match VideoFormat on the headset
+const VIDEO_FORMATS = [
+    { projection: 'FLAT', stereoMode: 'MONO', label: 'Flat 2D' },
+    { projection: 'FLAT', stereoMode: 'SIDE_BY_SIDE', label: 'Flat 3D side-by-side' },
+    { projection: 'FLAT', stereoMode: 'TOP_BOTTOM', label: 'Flat 3D over-under' },
+    { projection: 'EQUIRECT_180', stereoMode: 'MONO', label: '180° mono' },
+    { projection: 'EQUIRECT_180', stereoMode: 'SIDE_BY_SIDE', label: '180° 3D side-by-side' },
+    { projection: 'EQUIRECT_180', stereoMode: 'TOP_BOTTOM', label: '180° 3D over-under' },
+    { projection: 'EQUIRECT_360', stereoMode: 'MONO', label: '360° mono' },
+    { projection: 'EQUIRECT_360', stereoMode: 'SIDE_BY_SIDE', label: '360° 3D side-by-side' },
+    { projection: 'EQUIRECT_360', stereoMode: 'TOP_BOTTOM', label: '360° 3D over-under' }
+];
+const FORMAT_NAME_TAGS = { // File name tags used to guess the format, as in VideoFormat.fromFileName
+    SIDE_BY_SIDE: ['lr', 'sbs', '3dh'],
+    TOP_BOTTOM: ['tb', 'ou', '3dv'],
+    EQUIRECT_180: ['180', 'vr180', '180x180'],
+    EQUIRECT_360: ['360', 'vr360', '360x180']
+};
+
+// Library Details Configuration
+// Title, description, tags and folder go out as TUS metadata; limits match UploadDetails on the headset
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const INVALID_TAG_CHARS = /["<>]/; // Rejected by the headset as well
+const LIBRARY_SEARCH_DELAY_MS = 300; // Wait for typing to pause before searching
+
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
     setupEventListeners();
     setupBeforeUnloadHandler();
-    fetchStatus();
-    fetchFileList();
+    loadConcurrencySetting();
+    loadBandwidthLimit();
+    restoreQueueState(); // Show queue items from before a page reload
     cleanupExpiredLocalStorageUploads(); // Clean up old entries first
     findPreviousUploads(); // Check for resumable uploads from localStorage
-    // Refresh status periodically
-    setInterval(fetchStatus, 30000);
+    // Pair first, so the requests that need a session are made with the new one
+    pairWithQrToken().finally(() => {
+        fetchStatus();
+        connectEvents(); // Live updates from the headset
+        fetchFileList();
+        fetchIncompleteUploads(); // Add uploads started from other browsers or devices
+    });
+    if (['#remote', '#settings', '#history'].includes(location.hash)) showTab(location.hash.slice(1));
+    // Refresh status periodically while live updates are unavailable
+    setInterval(() => {
+        if (!eventsConnected) fetchStatus();
+    }, STATUS_POLL_INTERVAL_MS);
 });
 
 // Event Listeners Setup
@@ -57,9 +196,68 @@ function setupEventListeners() {
         }
     });
 
+    // Browse folder button
+    browseFolderBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        folderInput.click();
+    });
+
+    // Folder input change - webkitRelativePath includes the picked folder name
+    folderInput.addEventListener('change', (e) => {
+        const files = Array.from(e.target.files);
+        files.forEach(file => {
+            if (file.webkitRelativePath) {
+                fileRelativePaths.set(file, file.webkitRelativePath);
+            }
+        });
+        if (files.length > 0) {
+            handleFiles(files);
+        }
+        e.target.value = ''; // Reset for re-selection
+    });
+
     // Drop zone click
     dropZone.addEventListener('click', () => fileInput.click());
 
+    // Transfer, Remote, Settings and History tabs
+    tabButtons.forEach(button => {
+        button.addEventListener('click', () => showTab(button.dataset.tab));
+    });
+
+    // Queue controls
+    concurrencySelect.addEventListener('change', () => {
+        maxConcurrentUploads = parseInt(concurrencySelect.value, 10) || DEFAULT_CONCURRENCY;
+        localStorage.setItem(CONCURRENCY_STORAGE_KEY, String(maxConcurrentUploads));
+        scheduleUploads();
+    });
+    bandwidthSelect.addEventListener('change', () => {
+        setBandwidthLimit(Number(bandwidthSelect.value) * 1024 * 1024);
+        localStorage.setItem(BANDWIDTH_STORAGE_KEY, bandwidthSelect.value);
+    });
+    pauseAllBtn.addEventListener('click', toggleAllUploads);
+    formatAllSelect.innerHTML = '<option value="">Set all...</option>' + formatOptions(null);
+    formatAllSelect.addEventListener('change', () => {
+        if (formatAllSelect.value) setFormatForAll(parseFormatKey(formatAllSelect.value));
+        formatAllSelect.value = '';
+    });
+    setupQueueReordering();
+
+    // Library pagination
+    loadMoreBtn.addEventListener('click', () => fetchFileList(true));
+
+    // Library management actions (delegated, items are re-rendered on refresh)
+    fileList.addEventListener('click', handleFileListClick);
+
+    // Library search and tag filter
+    librarySearchInput.addEventListener('input', () => {
+        clearTimeout(librarySearchTimer);
+        librarySearchTimer = setTimeout(() => {
+            libraryQuery = librarySearchInput.value.trim();
+            fetchFileList();
+        }, LIBRARY_SEARCH_DELAY_MS);
+    });
+    libraryTagFilter.addEventListener('click', () => setLibraryTag(''));
+
     // Drag events
     ['dragenter', 'dragover'].forEach(event => {
         dropZone.addEventListener(event, (e) => {
@@ -78,7 +276,22 @@ function setupEventListeners() {
     });
 
     // Handle drop
-    dropZone.addEventListener('drop', (e) => {
+    dropZone.addEventListener('drop', async (e) => {
+        // Entries must be read synchronously, the DataTransfer is cleared after the event
+        const entries = Array.from(e.dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+            .filter(entry => entry !== null);
+
+        if (entries.some(entry => entry.isDirectory)) {
+            const files = await collectFilesFromEntries(entries);
+            if (files.length > 0) {
+                handleFiles(files);
+            } else {
+                showError('The dropped folder does not contain any files.');
+            }
+            return;
+        }
+
         const files = e.dataTransfer.files;
         if (files.length > 0) {
             handleFiles(files);
@@ -109,18 +322,67 @@ function setupBeforeUnloadHandler() {
     });
 }
 
+// Recursively collect files from dropped file system entries
+// Files inside folders remember their path (e.g. "Show/Season 1/ep1.mkv") for the server
+async function collectFilesFromEntries(entries) {
+    const files = [];
+
+    for (const entry of entries) {
+        try {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                const relativePath = entry.fullPath.replace(/^\//, '');
+                if (relativePath.includes('/')) {
+                    fileRelativePaths.set(file, relativePath);
+                }
+                files.push(file);
+            } else if (entry.isDirectory) {
+                const children = await readAllDirectoryEntries(entry);
+                files.push(...await collectFilesFromEntries(children));
+            }
+        } catch (e) {
+            console.warn('Failed to read dropped entry:', entry.fullPath, e);
+        }
+    }
+
+    return files;
+}
+
+// readEntries() returns results in batches, so keep reading until it returns nothing
+async function readAllDirectoryEntries(directoryEntry) {
+    const reader = directoryEntry.createReader();
+    const entries = [];
+
+    while (true) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (batch.length === 0) break;
+        entries.push(...batch);
+    }
+
+    return entries;
+}
+
 // Handle selected files
 function handleFiles(files) {
     // Check if PIN is required but not verified
-    if (pinRequired && !verifiedPin) {
+    if (pinRequired && !sessionActive) {
         showError('Please enter the PIN shown on the VR headset first.');
         updatePinUI();
         return;
     }
 
+    // Other headsets selected in "Send to" get each video too, see peers.js
+    const targets = selectedUploadTargets();
+    const toThisHeadset = targets.includes(null);
+    const peers = targets.filter(target => target !== null);
+    if (targets.length === 0) {
+        showError('Select at least one headset to send the files to.');
+        return;
+    }
+
     // Check if storage is critical before allowing any uploads
     const storageEl = storageAvailable.parentElement;
-    if (storageEl && storageEl.classList.contains('critical')) {
+    if (toThisHeadset && peers.length === 0 && storageEl && storageEl.classList.contains('critical')) {
         showError('Uploads are disabled: Storage is critically low. Please free up space on the device first.');
         return;
     }
@@ -129,11 +391,24 @@ function handleFiles(files) {
     const pendingResume = window.pendingResumeUpload;
     window.pendingResumeUpload = null; // Clear pending resume
 
+    let skippedFolderFiles = 0;
+    const newFiles = []; // { file, targets }, checked for duplicates on each headset before queueing
+    const subtitleFiles = []; // Paired with videos once those are queued
+
     Array.from(files).forEach(file => {
         // Validate file type
         const ext = file.name.split('.').pop().toLowerCase();
-        if (!['mp4', 'mkv'].includes(ext)) {
-            showError(`"${file.name}" is not supported. Only MP4 and MKV files allowed.`);
+        if (SUBTITLE_EXTENSIONS.includes(ext)) {
+            subtitleFiles.push(file);
+            return;
+        }
+        if (!VIDEO_EXTENSIONS.includes(ext)) {
+            // Folders often contain artwork or .nfo files, skip those quietly
+            if (fileRelativePaths.has(file)) {
+                skippedFolderFiles++;
+            } else {
+                showError(`"${file.name}" is not supported. Only MP4 and MKV videos and SRT, VTT, ASS or SSA subtitles allowed.`);
+            }
             return;
         }
 
@@ -144,6 +419,25 @@ function handleFiles(files) {
             return;
         }
 
+        const fileTargets = peers.filter(peer => {
+            const problem = targetProblem(peer, file);
+            if (problem) showError(`"${file.name}" can't be sent: ${problem}.`);
+            return !problem;
+        });
+        const queueFor = () => {
+            if (fileTargets.length > 0) newFiles.push({ file, targets: fileTargets });
+        };
+        if (!toThisHeadset) {
+            queueFor();
+            return;
+        }
+
+        if (storageEl && storageEl.classList.contains('critical')) {
+            showError(`"${file.name}" was not sent to ${targetName(null)}: storage is critically low.`);
+            queueFor();
+            return;
+        }
+
         // Check against available storage (if known)
         const storageText = storageAvailable.textContent;
         const storageMatch = storageText.match(/([0-9.]+)\s*(GB|MB|TB)/i);
@@ -157,6 +451,7 @@ function handleFiles(files) {
 
             if (file.size > availableBytes * 0.95) { // 95% threshold
                 showError(`Not enough storage space for "${file.name}" (${formatBytes(file.size)}). Only ${storageText.replace('💾 ', '')} available.`);
+                queueFor();
                 return;
             }
         }
@@ -174,77 +469,1171 @@ function handleFiles(files) {
             }
         }
 
-        queueUpload(file, previousUpload);
+        // Re-selected file for queue items restored after a page reload, for any headset
+        const waitingJobs = findWaitingJobs(file);
+        if (waitingJobs.length > 0) {
+            waitingJobs.forEach(job => attachFileToJob(job, file, job.target ? null : previousUpload));
+        } else if (previousUpload) {
+            queueUpload(file, previousUpload);
+            queueFor();
+        } else {
+            fileTargets.unshift(null);
+            queueFor();
+        }
+    });
+
+    if (skippedFolderFiles > 0) {
+        showToast(`Skipped ${skippedFolderFiles} non-video file${skippedFolderFiles === 1 ? '' : 's'} from folder`, 'info');
+    }
+
+    if (newFiles.length > 0) {
+        duplicateCheckChain = duplicateCheckChain.then(() => queueNewFiles(newFiles));
+    }
+    if (subtitleFiles.length > 0) {
+        // Runs after the videos dropped with them are queued, so they can pair with those
+        duplicateCheckChain = duplicateCheckChain.then(() => pairSubtitles(subtitleFiles));
+    }
+}
+
+// Queue files for the headsets that don't have them yet and ask what to do on the ones that do
+// entries are { file, targets } as collected by handleFiles()
+async function queueNewFiles(entries) {
+    const files = await confirmPlayableFiles(entries.map(entry => entry.file));
+
+    const duplicates = [];
+    for (const { file, targets } of entries) {
+        if (!files.includes(file)) continue;
+        for (const target of targets) {
+            const match = await checkDuplicate(file, target);
+            if (match) {
+                duplicates.push({ file, match, target });
+            } else {
+                queueUpload(file, null, target);
+            }
+        }
+    }
+
+    let choiceForAll = null;
+    for (let i = 0; i < duplicates.length; i++) {
+        const { file, match, target } = duplicates[i];
+        let choice = choiceForAll;
+        if (!choice) {
+            const answer = await promptDuplicate(file, match, target, duplicates.length - i - 1);
+            choice = answer.choice;
+            if (answer.applyToAll) choiceForAll = choice;
+        }
+        // Replace falls back to keeping both when the existing copy can't be deleted
+        if (choice === 'replace' && !match.replaceable) choice = 'keep';
+
+        if (choice === 'skip') {
+            showToast(`Skipped "${file.name}" - already on ${target ? target.name : 'headset'}`, 'info');
+        } else if (choice === 'replace') {
+            if (await deleteExistingVideo(match, target)) queueUpload(file, null, target);
+        } else {
+            queueUpload(file, null, target);
+        }
+    }
+}
+
+// Read each file's headers and ask before uploading files the headset can't play
+// Resolves to the files that should still be uploaded
+async function confirmPlayableFiles(files) {
+    const accepted = [];
+    const unplayable = [];
+    for (const file of files) {
+        const issues = await getMediaIssues(file);
+        if (issues.some(issue => issue.level === 'error')) {
+            unplayable.push({ file, issues });
+        } else {
+            accepted.push(file);
+        }
+    }
+
+    let choiceForAll = null;
+    for (let i = 0; i < unplayable.length; i++) {
+        const { file, issues } = unplayable[i];
+        let choice = choiceForAll;
+        if (!choice) {
+            const answer = await promptUnplayable(file, issues, unplayable.length - i - 1);
+            choice = answer.choice;
+            if (answer.applyToAll) choiceForAll = choice;
+        }
+
+        if (choice === 'upload') {
+            accepted.push(file);
+        } else {
+            showToast(`Skipped "${file.name}" - it won't play on the headset`, 'info');
+        }
+    }
+    return accepted;
+}
+
+// Probe a file once and return its compatibility issues (none if its headers can't be read)
+async function getMediaIssues(file) {
+    if (!fileMediaInfo.has(file)) {
+        fileMediaInfo.set(file, await probeMedia(file));
+    }
+    const info = fileMediaInfo.get(file);
+    return info ? checkCompatibility(info) : [];
+}
+
+// Show the skip / upload anyway dialog for a file the headset can't play
+// Resolves to { choice, applyToAll }
+function promptUnplayable(file, issues, remaining) {
+    return new Promise(resolve => {
+        const dialog = document.createElement('div');
+        dialog.className = 'duplicate-dialog';
+        dialog.innerHTML = `
+            <div class="duplicate-dialog-content">
+                <h3>Won't play on the headset</h3>
+                <p class="duplicate-file-name"></p>
+                <ul class="media-issue-list">
+                    ${issues.map(issue => `<li class="${issue.level}">${escapeHtml(issue.message)}</li>`).join('')}
+                </ul>
+                <div class="duplicate-actions">
+                    <button class="duplicate-btn primary" data-choice="skip">Skip</button>
+                    <button class="duplicate-btn" data-choice="upload">Upload anyway</button>
+                </div>
+                ${remaining > 0 ? `
+                    <label class="duplicate-apply-all">
+                        <input type="checkbox"> Do this for the next ${remaining} file${remaining === 1 ? '' : 's'}
+                    </label>
+                ` : ''}
+            </div>
+        `;
+        dialog.querySelector('.duplicate-file-name').textContent = fileRelativePaths.get(file) || file.name;
+
+        dialog.addEventListener('click', (e) => {
+            const button = e.target.closest('.duplicate-btn');
+            if (!button) return;
+            const applyToAll = dialog.querySelector('.duplicate-apply-all input')?.checked || false;
+            dialog.remove();
+            resolve({ choice: button.dataset.choice, applyToAll });
+        });
+
+        document.body.appendChild(dialog);
     });
 }
 
-// Add file to upload queue
-function queueUpload(file, previousUpload = null) {
+// Show what's in a queued file (resolution, codecs, duration) and any playback warnings
+async function showMediaInfo(job) {
+    if (!job.file) return;
+    const issues = await getMediaIssues(job.file);
+    const info = fileMediaInfo.get(job.file);
+    const container = document.getElementById(`media-${job.id}`);
+    if (!info || !container) return;
+
+    const parts = [];
+    if (info.width && info.height) parts.push(`${info.width}×${info.height}`);
+    if (info.videoCodec) parts.push(codecName(info.videoCodec));
+    if (info.durationMs) parts.push(formatDuration(info.durationMs));
+    if (info.audioTracks.length > 0) {
+        parts.push(info.audioTracks.map(track =>
+            codecName(track.codec) + (track.language ? ` (${track.language})` : '')
+        ).join(', '));
+    }
+    if (info.subtitleTracks.length > 0) {
+        parts.push(`${info.subtitleTracks.length} subtitle track${info.subtitleTracks.length === 1 ? '' : 's'}`);
+    }
+
+    container.innerHTML = `
+        <span class="queue-item-media-summary">${escapeHtml(parts.join(' · '))}</span>
+        ${issues.map(issue => `<span class="media-issue ${issue.level}">⚠ ${escapeHtml(issue.message)}</span>`).join('')}
+    `;
+}
+
+// Capture a file's poster and preview frames once, queued behind earlier captures
+function getFrames(file) {
+    if (!fileFrames.has(file)) {
+        const capture = frameCaptureChain.then(() => captureFrames(file));
+        frameCaptureChain = capture.catch(() => {});
+        fileFrames.set(file, capture);
+    }
+    return fileFrames.get(file);
+}
+
+// Show the poster and preview frames in a queue item
+async function showFrames(job) {
+    if (!job.file) return;
+    const frames = await getFrames(job.file);
+    const container = document.getElementById(`frames-${job.id}`);
+    if (!frames || !container) return;
+
+    container.innerHTML = frames.map(frame => {
+        frame.url = frame.url || URL.createObjectURL(frame.blob);
+        return `<img class="queue-frame ${frame.kind}" src="${frame.url}" alt="" title="${formatDuration(frame.positionMs)}">`;
+    }).join('');
+}
+
+// Send the captured frames to the server before the file data, so the headset
+// uses them as the video's artwork instead of extracting its own
+async function sendUploadFrames(id, uploadUrl) {
+    const job = uploadJobs.get(id);
+    if (!job || job.framesSent || !job.file) return;
+    job.framesSent = true;
+
+    const frames = await getFrames(job.file);
+    if (!frames) return;
+
+    const uploadId = uploadPath(uploadUrl).split('/').pop();
+    for (const frame of frames) {
+        try {
+            const response = await fetch(
+                targetUrl(job.target, `/api/uploads/${encodeURIComponent(uploadId)}/frames?kind=${frame.kind}&position=${frame.positionMs}`),
+                { method: 'POST', headers: targetHeaders(job.target, { 'Content-Type': 'image/jpeg' }), body: frame.blob }
+            );
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        } catch (e) {
+            // Artwork is optional; the headset generates a thumbnail without it
+            console.warn(`Could not send ${frame.kind} frame for ${job.name}:`, e);
+        }
+    }
+}
+
+// Ask a headset (null for this one) whether a file is already on it
+// Returns the match, or null if it isn't or the check could not be made
+async function checkDuplicate(file, target = null) {
+    try {
+        const signature = await getFileSignature(file);
+        const response = await fetch(targetUrl(target, '/api/files/check'), {
+            method: 'POST',
+            headers: targetHeaders(target, { 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ name: file.name, size: file.size, signature })
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        return data.exists ? data.match : null;
+    } catch (e) {
+        console.warn('Duplicate check failed, uploading anyway:', e);
+        return null;
+    }
+}
+
+// computeFileSignature() once per file, however many headsets it is checked against
+function getFileSignature(file) {
+    if (!fileSignatures.has(file)) fileSignatures.set(file, computeFileSignature(file));
+    return fileSignatures.get(file);
+}
+
+// Content signature as computed by the headset's library scan, or null if unavailable
+function computeFileSignature(file) {
+    if (!window.Worker) return Promise.resolve(null);
+
+    return new Promise(resolve => {
+        const worker = new Worker(HASH_WORKER_URL);
+        const finish = (signature) => {
+            worker.terminate();
+            resolve(signature);
+        };
+        worker.onmessage = (e) => finish(e.data.type === 'done' ? e.data.signature : null);
+        worker.onerror = () => finish(null);
+        worker.postMessage({ file, mode: 'signature' });
+    });
+}
+
+// Show the skip / replace / keep both dialog for a duplicate on a headset (null for this one)
+// Resolves to { choice, applyToAll }
+function promptDuplicate(file, match, target, remaining) {
+    const where = target ? escapeHtml(target.name) : 'the headset';
+    return new Promise(resolve => {
+        const dialog = document.createElement('div');
+        dialog.className = 'duplicate-dialog';
+        dialog.innerHTML = `
+            <div class="duplicate-dialog-content">
+                <h3>Already on ${target ? escapeHtml(target.name) : 'headset'}</h3>
+                <p class="duplicate-file-name"></p>
+                <p class="duplicate-detail"></p>
+                <div class="duplicate-actions">
+                    <button class="duplicate-btn" data-choice="skip">Skip</button>
+                    <button class="duplicate-btn" data-choice="replace" ${match.replaceable ? '' : 'disabled'}>Replace</button>
+                    <button class="duplicate-btn primary" data-choice="keep">Keep both</button>
+                </div>
+                ${match.replaceable ? '' : `<p class="duplicate-hint">This copy is in a library folder on ${where} and can't be replaced from here.</p>`}
+                ${remaining > 0 ? `
+                    <label class="duplicate-apply-all">
+                        <input type="checkbox"> Do this for the next ${remaining} duplicate${remaining === 1 ? '' : 's'}
+                    </label>
+                ` : ''}
+            </div>
+        `;
+        dialog.querySelector('.duplicate-file-name').textContent = fileRelativePaths.get(file) || file.name;
+        const headset = target ? target.name : 'the headset';
+        dialog.querySelector('.duplicate-detail').textContent = match.matchedBy === 'signature'
+            ? `The same video is already on ${headset} as "${match.title}".`
+            : `A file with the same name and size (${formatBytes(match.size)}) is already on ${headset}.`;
+
+        dialog.addEventListener('click', (e) => {
+            const button = e.target.closest('.duplicate-btn');
+            if (!button || button.disabled) return;
+            const applyToAll = dialog.querySelector('.duplicate-apply-all input')?.checked || false;
+            dialog.remove();
+            resolve({ choice: button.dataset.choice, applyToAll });
+        });
+
+        document.body.appendChild(dialog);
+    });
+}
+
+// Delete the existing copy so the upload replaces it, returns true on success
+async function deleteExistingVideo(match, target = null) {
+    try {
+        const response = await fetch(targetUrl(target, `/api/files/${match.id}`), {
+            method: 'DELETE',
+            headers: targetHeaders(target)
+        });
+        if (response.status === 401) {
+            onTargetUnauthorized(target);
+            showError(`PIN required - please enter the PIN${target ? ` for ${target.name}` : ''}`);
+            return false;
+        }
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            showError(data.error || `Could not replace "${match.title}"`);
+            return false;
+        }
+        if (!target) fetchFileList();
+        return true;
+    } catch (e) {
+        showError('Unable to reach the headset. Please try again.');
+        return false;
+    }
+}
+
+// Pair subtitle files with a queued video, or with one already on the headset
+async function pairSubtitles(files) {
+    for (const file of files) {
+        if (file.size > MAX_SUBTITLE_SIZE) {
+            showError(`"${file.name}" is too large (${formatBytes(file.size)}). Subtitle files can be up to ${formatBytes(MAX_SUBTITLE_SIZE)}.`);
+            continue;
+        }
+
+        const baseNames = subtitleBaseNames(file.name);
+        const jobs = findJobsForSubtitle(baseNames);
+        if (jobs.length > 0) {
+            jobs.forEach(job => attachSubtitleToJob(job, file));
+            continue;
+        }
+
+        const video = await findLibraryVideo(baseNames);
+        if (!video) {
+            showError(`No video found for "${file.name}". Subtitle files need the same name as their video, e.g. "Movie.srt" or "Movie.en.srt" for "Movie.mp4".`);
+            continue;
+        }
+        const error = await uploadSubtitle(video.id, file);
+        if (error) {
+            showError(`Could not add "${file.name}": ${error}`);
+        } else {
+            showToast(`Added subtitles to "${video.name}"`, 'success');
+            if (!eventsConnected) fetchFileList(); // Otherwise a files-changed event refreshes it
+        }
+    }
+}
+
+// Names a subtitle file can pair with: "Movie.en.srt" -> ["Movie.en", "Movie"]
+function subtitleBaseNames(name) {
+    const stem = name.replace(/\.[^.]+$/, '');
+    const withoutLanguage = stem.replace(/\.[a-z]{2,3}(-[a-z0-9]{2,8})?$/i, '');
+    return withoutLanguage !== stem ? [stem, withoutLanguage] : [stem];
+}
+
+// File name without folder or extension: "Show/ep1.mkv" -> "ep1"
+function videoBaseName(name) {
+    return name.split('/').pop().replace(/\.[^.]+$/, '');
+}
+
+// Find the most recently queued video a subtitle file belongs to, with its copies for other headsets
+function findJobsForSubtitle(baseNames) {
+    const jobs = Array.from(uploadJobs.values()).filter(job => job.state !== 'error' && job.state !== 'cancelled');
+    const latest = jobs.slice().reverse().find(job => baseNames.includes(videoBaseName(job.name)));
+    return latest ? jobs.filter(job => job.name === latest.name && job.size === latest.size) : [];
+}
+
+// Find a video on the headset a subtitle file belongs to, searching past the rendered page if needed
+async function findLibraryVideo(baseNames) {
+    const matches = (file) => baseNames.includes(videoBaseName(file.name));
+    const rendered = Array.from(libraryFiles.values()).find(matches);
+    if (rendered) return rendered;
+
+    let offset = 0;
+    try {
+        while (true) {
+            const response = await fetch(`/api/files?offset=${offset}&limit=${FILE_LOOKUP_PAGE_SIZE}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            const found = (data.files || []).find(matches);
+            if (found) return found;
+            if (!data.hasMore) return null;
+            offset += data.files.length;
+        }
+    } catch (e) {
+        console.error('Failed to search library for subtitle video:', e);
+        return null;
+    }
+}
+
+// Remember a subtitle file for a queued video; it is sent once the video is in the library
+function attachSubtitleToJob(job, file) {
+    job.subtitles = (job.subtitles || []).filter(subtitle => subtitle.file.name !== file.name);
+    job.subtitles.push({ file, state: 'pending', error: null });
+    renderJobSubtitles(job);
+
+    if (job.videoId) uploadJobSubtitles(job);
+}
+
+// Send a finished job's pending subtitle files to the headset
+async function uploadJobSubtitles(job) {
+    for (const subtitle of job.subtitles || []) {
+        if (subtitle.state !== 'pending') continue;
+        subtitle.state = 'uploading';
+        renderJobSubtitles(job);
+
+        subtitle.error = await uploadSubtitle(job.videoId, subtitle.file, job.target);
+        subtitle.state = subtitle.error ? 'error' : 'done';
+        renderJobSubtitles(job);
+    }
+}
+
+// Upload a subtitle file for a video on a headset (null for this one)
+// Returns null on success, or an error message
+async function uploadSubtitle(videoId, file, target = null) {
+    try {
+        const response = await fetch(targetUrl(target, `/api/files/${videoId}/subtitles?name=${encodeURIComponent(file.name)}`), {
+            method: 'POST',
+            headers: targetHeaders(target, { 'Content-Type': 'application/octet-stream' }),
+            body: file
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (response.status === 401) {
+            onTargetUnauthorized(target);
+            return 'PIN required - please enter the PIN';
+        }
+        return response.ok ? null : (data.error || `Upload failed (${response.status})`);
+    } catch (e) {
+        return `Unable to reach ${target ? target.name : 'the headset'}`;
+    }
+}
+
+// Show a queue item's subtitle files and whether they were added
+function renderJobSubtitles(job) {
+    const container = document.getElementById(`subtitles-${job.id}`);
+    if (!container) return;
+
+    const icons = { pending: '⏳', uploading: '↑', done: '✓', error: '✗' };
+    container.innerHTML = (job.subtitles || []).map(subtitle => `
+        <span class="subtitle-chip ${subtitle.state}" title="${escapeHtml(subtitle.error || '')}">
+            ${icons[subtitle.state]} CC ${escapeHtml(subtitle.file.name)}
+        </span>
+    `).join('');
+}
+
+// Add file to upload queue, for this headset or another one (target, see peers.js)
+// Jobs move through: waiting (file needed after reload) -> queued -> uploading -> success/error/cancelled,
+// and can be paused from queued or uploading
+function queueUpload(file, previousUpload = null, target = null) {
     const id = ++uploadCounter;
-    const isResume = previousUpload !== null;
+    const job = {
+        id,
+        file,
+        target,
+        previousUpload,
+        upload: null, // tus.Upload, created when the job first starts
+        checksum: null, // Base64 SHA-256, computed before the upload is created
+        hashWorker: null,
+        state: 'queued',
+        name: fileRelativePaths.get(file) || file.name,
+        size: file.size,
+        lastModified: file.lastModified,
+        relativePath: fileRelativePaths.get(file) || null,
+        format: guessVideoFormat(file.name),
+        details: emptyDetails(),
+        detailsSynced: true // False while edits haven't reached the server, see syncJobDetails()
+    };
+    uploadJobs.set(id, job);
+
+    queueList.appendChild(createQueueItem(job));
+    uploadQueue.classList.add('has-items');
+    updateStatus(id, previousUpload ? 'Queued (will resume)' : 'Queued');
+    showMediaInfo(job);
+    showFrames(job);
+
+    scheduleUploads();
+}
+
+// Create the queue item UI for a job
+function createQueueItem(job) {
+    const { id } = job;
+    const isResume = job.previousUpload !== null;
 
-    // Create queue item UI
     const item = document.createElement('div');
     item.className = 'queue-item';
     item.id = `queue-item-${id}`;
+    item.dataset.id = id;
+    item.draggable = true;
     item.innerHTML = `
         <div class="queue-item-header">
-            <span class="queue-item-name">${isResume ? '↻ ' : ''}${escapeHtml(file.name)}</span>
+            <span class="queue-item-name">
+                <span class="drag-handle" title="Drag to reorder">⋮⋮</span>
+                ${isResume ? '↻ ' : ''}${escapeHtml(job.name)}
+                ${job.target || hasPeerTargets() ? `<span class="queue-item-target">→ ${escapeHtml(targetName(job.target))}</span>` : ''}
+            </span>
             <div class="queue-item-actions">
-                <span class="queue-item-size">${formatBytes(file.size)}</span>
+                <select class="format-select" id="format-${id}" title="VR format"${isFormatLocked(job) ? ' disabled' : ''}>
+                    ${formatOptions(job.format)}
+                </select>
+                <span class="queue-item-size">${formatBytes(job.size)}</span>
+                <button class="details-btn${hasDetails(job.details) ? ' has-details' : ''}" id="details-btn-${id}" title="Title, description and tags">✎</button>
+                <button class="pause-btn" id="pause-${id}" title="Pause upload">⏸</button>
                 <button class="cancel-btn" id="cancel-${id}" title="Cancel upload">✕</button>
             </div>
         </div>
         <div class="progress-bar">
             <div class="progress-fill" id="progress-${id}"></div>
         </div>
-        <div class="queue-status" id="status-${id}">${isResume ? 'Resuming...' : 'Preparing...'}</div>
+        <div class="queue-status" id="status-${id}"></div>
+        <div class="queue-item-details" id="details-${id}" hidden></div>
+        <div class="queue-item-media" id="media-${id}"></div>
+        <div class="queue-item-frames" id="frames-${id}"></div>
+        <div class="queue-item-subtitles" id="subtitles-${id}"></div>
     `;
 
-    queueList.appendChild(item);
-    uploadQueue.classList.add('has-items');
+    item.querySelector(`#pause-${id}`).addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (job.state === 'paused') {
+            resumeUpload(id);
+        } else {
+            pauseUpload(id);
+        }
+    });
 
-    // Add cancel button click handler
-    const cancelBtn = document.getElementById(`cancel-${id}`);
-    if (cancelBtn) {
-        cancelBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            cancelUpload(id);
+    item.querySelector(`#cancel-${id}`).addEventListener('click', (e) => {
+        e.stopPropagation();
+        cancelUpload(id);
+    });
+
+    item.querySelector(`#format-${id}`).addEventListener('change', (e) => {
+        job.format = parseFormatKey(e.target.value);
+        persistQueueState();
+    });
+
+    item.querySelector(`#details-btn-${id}`).addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleJobDetails(job);
+    });
+
+    return item;
+}
+
+// No title (the file name is used), description or tags, and the folder the library scan picks
+function emptyDetails() {
+    return { title: '', description: '', tags: [], folderId: null };
+}
+
+function hasDetails(details) {
+    return Boolean(details.title || details.description || details.tags.length > 0 || details.folderId !== null);
+}
+
+// Split a comma-separated tag list, dropping blanks and duplicates that only differ in case
+function parseTags(value) {
+    const seen = new Set();
+    return value.split(',').map(tag => tag.trim()).filter(tag => {
+        const key = tag.toLowerCase();
+        if (!tag || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// Returns why the headset would reject these details, or null
+function detailsError(details) {
+    if (details.title.length > MAX_TITLE_LENGTH) return `Titles can be up to ${MAX_TITLE_LENGTH} characters.`;
+    if (details.description.length > MAX_DESCRIPTION_LENGTH) return `Descriptions can be up to ${MAX_DESCRIPTION_LENGTH} characters.`;
+    if (details.tags.length > MAX_TAGS) return `A video can have up to ${MAX_TAGS} tags.`;
+    if (details.tags.some(tag => tag.length > MAX_TAG_LENGTH)) return `Tags can be up to ${MAX_TAG_LENGTH} characters.`;
+    if (details.tags.some(tag => INVALID_TAG_CHARS.test(tag))) return 'Tags can\'t contain ", < or >.';
+    return null;
+}
+
+// Show or hide a queue item's title, description, tags and folder form
+// Details can be edited before, during and after the upload
+async function toggleJobDetails(job) {
+    const container = document.getElementById(`details-${job.id}`);
+    if (!container) return;
+    if (!container.hidden) {
+        container.hidden = true;
+        return;
+    }
+
+    if (!container.hasChildNodes()) {
+        // Folders are this headset's, other headsets use their default folder
+        const folders = job.target ? null : await fetchLibraryFolders();
+        container.innerHTML = `
+            <input type="text" class="details-title" maxlength="${MAX_TITLE_LENGTH}"
+                placeholder="Title (${escapeHtml(videoBaseName(job.name))})">
+            <textarea class="details-description" maxlength="${MAX_DESCRIPTION_LENGTH}" rows="2"
+                placeholder="Description"></textarea>
+            <div class="details-row">
+                <input type="text" class="details-tags" placeholder="Tags, separated by commas">
+                ${folders ? `
+                    <select class="details-folder" title="Library folder">
+                        <option value="">Default folder</option>
+                        ${folders.map(folder => `
+                            <option value="${folder.id}" ${folder.id === job.details.folderId ? 'selected' : ''}>${escapeHtml(folder.name)}</option>
+                        `).join('')}
+                    </select>
+                ` : ''}
+            </div>
+        `;
+        container.querySelector('.details-title').value = job.details.title;
+        container.querySelector('.details-description').value = job.details.description;
+        container.querySelector('.details-tags').value = job.details.tags.join(', ');
+        container.addEventListener('change', () => updateJobDetails(job, container));
+    }
+    container.hidden = false;
+}
+
+// Take the details from a queue item's form and send them if the upload already exists
+function updateJobDetails(job, container) {
+    const folderValue = container.querySelector('.details-folder')?.value || '';
+    const details = {
+        title: container.querySelector('.details-title').value.trim(),
+        description: container.querySelector('.details-description').value.trim(),
+        tags: parseTags(container.querySelector('.details-tags').value),
+        folderId: folderValue === '' ? null : Number(folderValue)
+    };
+    const error = detailsError(details);
+    if (error) {
+        showError(error);
+        return;
+    }
+
+    job.details = details;
+    job.detailsSynced = false;
+    document.getElementById(`details-btn-${job.id}`)?.classList.toggle('has-details', hasDetails(details));
+    persistQueueState();
+    syncJobDetails(job);
+}
+
+// Send a job's details to the headset: to the library entry once the video is imported,
+// otherwise to the upload so they are applied on import. Uploads the server hasn't created
+// yet get them as TUS metadata instead.
+async function syncJobDetails(job) {
+    let url;
+    if (job.videoId) {
+        url = `/api/files/${job.videoId}/details`;
+    } else if (jobUploadUrl(job)) {
+        url = `/api/uploads/${encodeURIComponent(uploadPath(jobUploadUrl(job)).split('/').pop())}/details`;
+    } else {
+        return;
+    }
+
+    try {
+        const response = await fetch(targetUrl(job.target, url), {
+            method: 'POST',
+            headers: targetHeaders(job.target, { 'Content-Type': 'application/json' }),
+            body: JSON.stringify(job.details)
         });
+        const data = await response.json().catch(() => ({}));
+
+        if (response.status === 401) {
+            onTargetUnauthorized(job.target);
+            showError(`PIN required - please enter the PIN${job.target ? ` for ${job.target.name}` : ''}`);
+            return;
+        }
+        if (response.status === 404 && !job.videoId) {
+            return; // Imported in the meantime, sent again to the library entry (see applyProcessingStatus)
+        }
+        if (!response.ok) {
+            showError(`Could not save details of "${job.name}": ${data.error || `request failed (${response.status})`}`);
+            return;
+        }
+
+        if (job.videoId && job.details.folderId !== null) {
+            await fetch(targetUrl(job.target, `/api/files/${job.videoId}/folder`), {
+                method: 'POST',
+                headers: targetHeaders(job.target, { 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ folderId: job.details.folderId })
+            });
+        }
+        job.detailsSynced = true;
+        if (job.videoId && !job.target && !eventsConnected) fetchFileList();
+    } catch (e) {
+        console.warn(`Could not send details of ${job.name}:`, e);
     }
+}
 
-    // Start upload (will resume if previousUpload is provided)
-    uploadFile(id, file, previousUpload);
+// Details edited between creating the tus.Upload and the server creating the upload
+function sendPendingDetails(id) {
+    const job = uploadJobs.get(id);
+    if (job && !job.detailsSynced) return syncJobDetails(job);
 }
 
-// Upload a single file using TUS resumable upload protocol
-function uploadFile(id, file, previousUpload = null) {
-    // Initialize upload metadata for speed tracking
-    // Note: initialOffset will be set when first progress event arrives (for resumed uploads)
-    uploadMetadata.set(id, {
-        startTime: Date.now(),
-        fileSize: file.size,
-        initialOffset: null, // Will be set on first progress callback
-        lastDisplayUpdate: null,
-        lastSpeedInfo: null
+// Start queued uploads in queue order until the concurrency limit is reached
+function scheduleUploads() {
+    let running = Array.from(uploadJobs.values()).filter(job => job.state === 'uploading').length;
+
+    for (const item of queueList.querySelectorAll('.queue-item')) {
+        if (running >= maxConcurrentUploads) break;
+        const job = uploadJobs.get(Number(item.dataset.id));
+        if (job && job.state === 'queued') {
+            startJob(job);
+            running++;
+        }
+    }
+
+    onQueueChanged();
+}
+
+// Start a queued job, continuing its existing tus.Upload if it was paused
+// New uploads are hashed first; the hash counts against the concurrency limit like an upload
+async function startJob(job) {
+    job.state = 'uploading';
+    setPauseButton(job);
+
+    if (job.upload) {
+        initSpeedTracking(job.id, job.size);
+        activeUploads.set(job.id, job.upload);
+        job.upload.options.headers = targetHeaders(job.target); // The PIN may have been entered again
+        updateStatus(job.id, 'Resuming upload...');
+        job.upload.start();
+        return;
+    }
+
+    // Resumed uploads already sent their metadata when they were created
+    // Copies of a file for other headsets reuse the checksum of the first one hashed
+    if (!job.previousUpload && !job.checksum && window.Worker) {
+        job.checksum = fileChecksums.get(job.file) || await computeChecksum(job);
+        if (job.checksum) fileChecksums.set(job.file, job.checksum);
+        if (job.state !== 'uploading') return; // Paused or cancelled while hashing
+    }
+
+    document.getElementById(`format-${job.id}`).disabled = true;
+    uploadFile(job.id, job.file, job.previousUpload);
+}
+
+// Guess a video's VR format from tags in its file name ("Beach_180_LR.mp4" -> 180° side-by-side)
+function guessVideoFormat(name) {
+    const tags = name.replace(/\.[^.]+$/, '').toLowerCase().split(/[^a-z0-9]+/);
+    const hasTag = (key) => FORMAT_NAME_TAGS[key].some(tag => tags.includes(tag));
+
+    let projection = 'FLAT';
+    if (hasTag('EQUIRECT_360')) projection = 'EQUIRECT_360';
+    else if (hasTag('EQUIRECT_180')) projection = 'EQUIRECT_180';
+
+    let stereoMode = 'MONO';
+    if (hasTag('SIDE_BY_SIDE')) stereoMode = 'SIDE_BY_SIDE';
+    else if (hasTag('TOP_BOTTOM')) stereoMode = 'TOP_BOTTOM';
+
+    return { projection, stereoMode };
+}
+
+function formatKey(format) {
+    return `${format.projection}:${format.stereoMode}`;
+}
+
+function parseFormatKey(key) {
+    const [projection, stereoMode] = key.split(':');
+    return { projection, stereoMode };
+}
+
+function formatLabel(format) {
+    const match = VIDEO_FORMATS.find(f => formatKey(f) === formatKey(format));
+    return match ? match.label : formatKey(format);
+}
+
+// <option>s for every VR format, with the given one selected
+function formatOptions(selected) {
+    const selectedKey = selected ? formatKey(selected) : null;
+    return VIDEO_FORMATS.map(format => {
+        const key = formatKey(format);
+        return `<option value="${key}"${key === selectedKey ? ' selected' : ''}>${format.label}</option>`;
+    }).join('');
+}
+
+// The format goes out with the TUS metadata when the upload is created and can't change afterwards
+function isFormatLocked(job) {
+    return job.upload !== null || job.previousUpload !== null || !['queued', 'paused', 'waiting'].includes(job.state);
+}
+
+// Apply a format to every queue item that hasn't started uploading
+function setFormatForAll(format) {
+    let changed = 0;
+    uploadJobs.forEach(job => {
+        if (isFormatLocked(job)) return;
+        job.format = format;
+        const select = document.getElementById(`format-${job.id}`);
+        if (select) select.value = formatKey(format);
+        changed++;
     });
+    persistQueueState();
+
+    showToast(changed > 0
+        ? `Set ${changed} upload${changed === 1 ? '' : 's'} to ${formatLabel(format)}`
+        : 'No queued uploads left to change', 'info');
+}
+
+// Compute the file's SHA-256 in a Web Worker, reporting progress in the queue item
+// Resolves to null if hashing fails or is stopped, and the upload continues unverified
+function computeChecksum(job) {
+    return new Promise(resolve => {
+        const worker = new Worker(HASH_WORKER_URL);
+        job.hashWorker = worker;
+        updateStatus(job.id, 'Computing checksum...');
+
+        const finish = (checksum) => {
+            worker.terminate();
+            job.hashWorker = null;
+            resolve(checksum);
+        };
+
+        worker.onmessage = (e) => {
+            const message = e.data;
+            if (message.type === 'progress') {
+                updateStatus(job.id, `Computing checksum... ${message.percent}%`);
+            } else if (message.type === 'done') {
+                finish(message.checksum);
+            } else if (message.type === 'error') {
+                console.warn('Checksum failed, uploading without verification:', message.message);
+                finish(null);
+            }
+        };
+        worker.onerror = (e) => {
+            console.warn('Checksum worker error, uploading without verification:', e.message);
+            finish(null);
+        };
+        job.cancelHashing = () => finish(null);
+
+        worker.postMessage({ file: job.file });
+    });
+}
+
+// Stop a running checksum computation, e.g. when the job is paused or cancelled
+function stopHashing(job) {
+    if (job.hashWorker && job.cancelHashing) {
+        job.cancelHashing();
+    }
+}
+
+// Pause an upload; in-flight transfers are aborted without terminating them on the server
+function pauseUpload(id) {
+    const job = uploadJobs.get(id);
+    if (!job || (job.state !== 'uploading' && job.state !== 'queued')) return;
+
+    if (job.state === 'uploading' && job.upload) {
+        job.upload.abort();
+        activeUploads.delete(id);
+        uploadMetadata.delete(id);
+    }
+    stopHashing(job);
 
-    // Build headers with PIN if available
-    const headers = {};
-    if (verifiedPin) {
-        headers['X-Upload-Pin'] = verifiedPin;
+    job.state = 'paused';
+    setPauseButton(job);
+    updateStatus(id, '⏸ Paused');
+    scheduleUploads(); // Give the free slot to the next queued item
+}
+
+// Put a paused upload back in the queue
+function resumeUpload(id) {
+    const job = uploadJobs.get(id);
+    if (!job || job.state !== 'paused') return;
+
+    job.state = 'queued';
+    setPauseButton(job);
+    updateStatus(id, 'Queued');
+    scheduleUploads();
+}
+
+// Pause everything that is running or queued, or resume everything if nothing is
+function toggleAllUploads() {
+    const jobs = Array.from(uploadJobs.values());
+    const hasPending = jobs.some(job => job.state === 'uploading' || job.state === 'queued');
+
+    if (hasPending) {
+        // Pause queued jobs first so freed slots are not handed to them
+        jobs.filter(job => job.state === 'queued').forEach(job => pauseUpload(job.id));
+        jobs.filter(job => job.state === 'uploading').forEach(job => pauseUpload(job.id));
+    } else {
+        jobs.filter(job => job.state === 'paused').forEach(job => {
+            job.state = 'queued';
+            setPauseButton(job);
+            updateStatus(job.id, 'Queued');
+        });
+        scheduleUploads();
+    }
+}
+
+// Called when a job reaches a final state
+function finishJob(id, state) {
+    const job = uploadJobs.get(id);
+    if (job) {
+        job.state = state;
     }
+    hidePauseButton(id);
+    scheduleUploads();
+}
+
+function setPauseButton(job) {
+    const pauseBtn = document.getElementById(`pause-${job.id}`);
+    if (!pauseBtn) return;
+
+    const paused = job.state === 'paused';
+    pauseBtn.textContent = paused ? '▶' : '⏸';
+    pauseBtn.title = paused ? 'Resume upload' : 'Pause upload';
+    pauseBtn.style.display = job.state === 'waiting' ? 'none' : '';
+
+    const item = document.getElementById(`queue-item-${job.id}`);
+    if (item) {
+        item.classList.toggle('paused', paused);
+        item.classList.toggle('waiting', job.state === 'waiting');
+    }
+}
+
+function hidePauseButton(id) {
+    const pauseBtn = document.getElementById(`pause-${id}`);
+    if (pauseBtn) {
+        pauseBtn.style.display = 'none';
+    }
+    const item = document.getElementById(`queue-item-${id}`);
+    if (item) {
+        item.draggable = false;
+    }
+}
+
+// Update the global controls and save the queue after any change
+function onQueueChanged() {
+    const jobs = Array.from(uploadJobs.values());
+    const hasPending = jobs.some(job => job.state === 'uploading' || job.state === 'queued');
+    const hasPaused = jobs.some(job => job.state === 'paused');
+
+    pauseAllBtn.hidden = !hasPending && !hasPaused;
+    pauseAllBtn.textContent = hasPending ? 'Pause all' : 'Resume all';
+
+    persistQueueState();
+}
+
+function loadConcurrencySetting() {
+    const stored = parseInt(localStorage.getItem(CONCURRENCY_STORAGE_KEY), 10);
+    if (stored >= 1 && stored <= 4) {
+        maxConcurrentUploads = stored;
+    }
+    concurrencySelect.value = String(maxConcurrentUploads);
+}
+
+function loadBandwidthLimit() {
+    const stored = localStorage.getItem(BANDWIDTH_STORAGE_KEY);
+    if (stored && Array.from(bandwidthSelect.options).some(option => option.value === stored)) {
+        bandwidthSelect.value = stored;
+        setBandwidthLimit(Number(stored) * 1024 * 1024);
+    }
+}
+
+// Change the bandwidth limit and re-clamp the chunk size of running uploads
+function setBandwidthLimit(bytesPerSecond) {
+    bandwidthLimit = bytesPerSecond;
+    bandwidthNextSendAt = 0;
+    uploadJobs.forEach(job => {
+        if (!job.upload) return;
+        job.chunkSize = clampChunkSize(job.chunkSize || TUS_CHUNK_SIZE);
+        setUploadChunkSize(job.upload, job.chunkSize);
+    });
+}
+
+// Drag-to-reorder queue items; the new order is the scheduling priority
+function setupQueueReordering() {
+    queueList.addEventListener('dragstart', (e) => {
+        const item = e.target.closest('.queue-item');
+        if (!item) return;
+        item.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+    });
+
+    queueList.addEventListener('dragover', (e) => {
+        const dragging = queueList.querySelector('.queue-item.dragging');
+        if (!dragging) return;
+        e.preventDefault();
+
+        const after = getQueueItemAfter(e.clientY);
+        if (after) {
+            queueList.insertBefore(dragging, after);
+        } else {
+            queueList.appendChild(dragging);
+        }
+    });
+
+    queueList.addEventListener('dragend', (e) => {
+        const item = e.target.closest('.queue-item');
+        if (item) item.classList.remove('dragging');
+        onQueueChanged();
+    });
+}
+
+// First queue item whose vertical midpoint is below the cursor
+function getQueueItemAfter(y) {
+    const items = Array.from(queueList.querySelectorAll('.queue-item:not(.dragging)'));
+    return items.find(item => {
+        const box = item.getBoundingClientRect();
+        return y < box.top + box.height / 2;
+    }) || null;
+}
+
+// Save unfinished queue items so the queue survives a page reload
+// File contents can't be stored, so restored items wait for the user to select the file again
+function persistQueueState() {
+    const entries = [];
+    queueList.querySelectorAll('.queue-item').forEach(item => {
+        const job = uploadJobs.get(Number(item.dataset.id));
+        if (!job || !['queued', 'uploading', 'paused', 'waiting'].includes(job.state)) return;
+        entries.push({
+            name: job.name,
+            size: job.size,
+            lastModified: job.lastModified,
+            relativePath: job.relativePath,
+            format: job.format,
+            details: job.details,
+            target: job.target ? { url: job.target.url, name: job.target.name } : null,
+            paused: job.state === 'paused' || (job.state === 'waiting' && job.paused === true)
+        });
+    });
+
+    if (entries.length > 0) {
+        localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(entries));
+    } else {
+        localStorage.removeItem(QUEUE_STORAGE_KEY);
+    }
+}
+
+function restoreQueueState() {
+    let entries = [];
+    try {
+        entries = JSON.parse(localStorage.getItem(QUEUE_STORAGE_KEY)) || [];
+    } catch (e) {
+        console.log('Discarding unreadable queue state:', e);
+    }
+
+    entries.forEach(entry => {
+        const id = ++uploadCounter;
+        const job = {
+            id,
+            file: null,
+            target: restoreUploadTarget(entry.target),
+            previousUpload: null,
+            upload: null,
+            checksum: null,
+            hashWorker: null,
+            state: 'waiting',
+            paused: entry.paused === true,
+            name: entry.name,
+            size: entry.size,
+            lastModified: entry.lastModified,
+            relativePath: entry.relativePath || null,
+            format: entry.format || guessVideoFormat(entry.name),
+            details: entry.details || emptyDetails(),
+            detailsSynced: true
+        };
+        uploadJobs.set(id, job);
+
+        queueList.appendChild(createQueueItem(job));
+        setPauseButton(job);
+        updateStatus(id, 'Select this file again to continue');
+    });
+
+    if (entries.length > 0) {
+        uploadQueue.classList.add('has-items');
+        showToast(`${entries.length} queued upload${entries.length === 1 ? '' : 's'} restored - select the files again to continue`, 'info');
+    }
+    onQueueChanged();
+}
+
+// Find the restored queue items (one per headset) that match a newly selected file
+function findWaitingJobs(file) {
+    return Array.from(uploadJobs.values()).filter(job =>
+        job.state === 'waiting' &&
+        job.size === file.size &&
+        job.lastModified === file.lastModified &&
+        (job.relativePath || job.name).split('/').pop() === file.name
+    );
+}
+
+// Give a restored queue item its file and put it back in the queue (or leave it paused)
+function attachFileToJob(job, file, previousUpload) {
+    if (job.relativePath && !fileRelativePaths.has(file)) {
+        fileRelativePaths.set(file, job.relativePath);
+    }
+    job.file = file;
+    job.previousUpload = previousUpload;
+    job.state = job.paused ? 'paused' : 'queued';
+    delete job.paused;
+
+    setPauseButton(job);
+    updateStatus(job.id, job.state === 'paused' ? '⏸ Paused' : 'Queued');
+    showMediaInfo(job);
+    showFrames(job);
+    scheduleUploads();
+}
+
+// TUS metadata for a file; relativePath lets the server recreate the folder structure,
+// checksum ("sha256 <base64>", as in TUS Upload-Checksum) lets it verify the received bytes
+// projection / stereoMode record its VR format (stored, not used for playback yet), title,
+// description, tags (comma-separated) and folderId fill in its library entry and transferId
+// identifies the transfer in the headset's transfer log
+function buildUploadMetadata(file, checksum = null, format = null, details = null) {
+    const metadata = {
+        filename: file.name,
+        filetype: file.type || 'application/octet-stream'
+    };
+    const relativePath = fileRelativePaths.get(file);
+    if (relativePath) {
+        metadata.relativePath = relativePath;
+    }
+    if (checksum) {
+        metadata.checksum = `sha256 ${checksum}`;
+    }
+    if (format) {
+        metadata.projection = format.projection;
+        metadata.stereoMode = format.stereoMode;
+    }
+    if (details) {
+        if (details.title) metadata.title = details.title;
+        if (details.description) metadata.description = details.description;
+        if (details.tags.length > 0) metadata.tags = details.tags.join(',');
+        if (details.folderId !== null) metadata.folderId = String(details.folderId);
+    }
+    metadata.transferId = newTransferId();
+    return metadata;
+}
+
+// The parts of a parallel upload carry what the headset's transfer log needs; transferId ties
+// them to the final upload that joins them
+function buildPartMetadata(file, metadata) {
+    return {
+        filename: metadata.filename,
+        filetype: metadata.filetype,
+        filesize: String(file.size),
+        transferId: metadata.transferId
+    };
+}
+
+// Random ID for one transfer (crypto.randomUUID() is only available on HTTPS pages)
+function newTransferId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+}
+
+// Upload a single file using TUS resumable upload protocol
+function uploadFile(id, file, previousUpload = null) {
+    initSpeedTracking(id, file.size);
+    const target = uploadJobs.get(id)?.target || null;
+    const endpoint = targetUrl(target, TUS_ENDPOINT);
+    const metadata = buildUploadMetadata(file, uploadJobs.get(id)?.checksum, uploadJobs.get(id)?.format, uploadJobs.get(id)?.details);
 
     // Create TUS upload with retry configuration
     const upload = new tus.Upload(file, {
-        endpoint: TUS_ENDPOINT,
+        endpoint: endpoint,
+        headers: targetHeaders(target),
         retryDelays: TUS_RETRY_DELAYS,
-        chunkSize: TUS_CHUNK_SIZE,
-        headers: headers,
-        metadata: {
-            filename: file.name,
-            filetype: file.type || 'application/octet-stream'
-        },
+        chunkSize: clampChunkSize(uploadJobs.get(id)?.chunkSize || TUS_CHUNK_SIZE),
+        parallelUploads: parallelPartsFor(file.size, previousUpload),
+        metadata: metadata,
+        metadataForPartialUploads: buildPartMetadata(file, metadata),
         // Store URL in localStorage for resume after page refresh
         storeFingerprintForResuming: true,
         // Remove fingerprint from localStorage on successful upload
@@ -259,6 +1648,7 @@ function uploadFile(id, file, previousUpload = null) {
             if (status === 401 || status === 403) {
                 return false;
             }
+            shrinkChunkSize(id);
             return true;
         },
 
@@ -273,17 +1663,19 @@ function uploadFile(id, file, previousUpload = null) {
         onSuccess: function() {
             activeUploads.delete(id);
             uploadMetadata.delete(id);
+            finishJob(id, 'success');
 
             // Manually clean up localStorage entries for this upload
             // tus-js-client's removeFingerprintOnSuccess may not clean all entries
             // due to the key format: tus::{fingerprint}::{random}
-            cleanupLocalStorageForFile(file);
+            cleanupLocalStorageForFile(file, endpoint);
 
-            markSuccess(id, { success: true });
-            fetchFileList(); // Refresh file list
-            fetchStatus(); // Refresh storage info
             // Refresh previous uploads list since this one is now complete
+            forgetServerIncompleteUpload(upload.url);
             findPreviousUploads();
+
+            // The server copies and verifies the file after the last chunk
+            waitForServerProcessing(id, upload.url);
         },
 
         // Error callback
@@ -291,14 +1683,14 @@ function uploadFile(id, file, previousUpload = null) {
             console.error('TUS upload error:', error);
             activeUploads.delete(id);
             uploadMetadata.delete(id);
+            finishJob(id, 'error');
 
             // Parse error status
             const status = error.originalResponse ? error.originalResponse.getStatus() : 0;
 
             if (status === 401) {
-                markError(id, 'PIN required - please enter the PIN');
-                verifiedPin = null;
-                fetchStatus();
+                markError(id, target ? `PIN required - please enter the PIN for ${target.name}` : 'PIN required - please enter the PIN');
+                onTargetUnauthorized(target);
             } else if (status === 413) {
                 markError(id, 'File too large for server');
             } else if (status === 507) {
@@ -315,29 +1707,73 @@ function uploadFile(id, file, previousUpload = null) {
             findPreviousUploads();
         },
 
+        // Frames and details edited since the metadata was built go up once the upload URL
+        // exists and before the first chunk; every chunk waits for the bandwidth limit.
+        // Upload-Offset is relative to the part in a parallel upload, so the wait is sized
+        // from the chunk size rather than what is left of the file
+        // Parallel uploads only get upload.url once their parts are joined, until then the
+        // frames and details go to a part and the headset hands them on
+        onBeforeRequest: function(req) {
+            if (req.getMethod() === 'PATCH') {
+                if (!upload.url) rememberPartUrl(id, req.getURL());
+                const chunkBytes = Math.min(uploadJobs.get(id)?.chunkSize || TUS_CHUNK_SIZE, file.size);
+                return Promise.all([sendUploadFrames(id, upload.url || req.getURL()), sendPendingDetails(id)])
+                    .then(() => waitForBandwidth(chunkBytes))
+                    .then(() => startChunkTiming(id, req));
+            }
+        },
+
         // Called when upload is being retried after error
         onAfterResponse: function(req, res) {
             // Log retry attempts for debugging
             console.log(`TUS response: ${res.getStatus()} for ${req.getMethod()}`);
+            if (req.getMethod() === 'PATCH' && res.getStatus() >= 200 && res.getStatus() < 300) {
+                adaptChunkSize(id, req, res);
+            }
         }
     });
 
     activeUploads.set(id, upload);
+    const job = uploadJobs.get(id);
+    if (job) {
+        job.upload = upload;
+        // A resumed upload keeps the metadata it was created with
+        if (!previousUpload) job.detailsSynced = true;
+    }
 
-    // If resuming from a previous upload, use that URL
-    if (previousUpload && previousUpload.uploadUrl) {
+    // If resuming from a previous upload, use its URL (or its parts' URLs)
+    if (previousUpload && (previousUpload.uploadUrl || previousUpload.parallelUploadUrls)) {
         // Remove the old localStorage entry to prevent duplicates
         // tus-js-client will create a new entry when the upload starts
         if (previousUpload.key) {
             localStorage.removeItem(previousUpload.key);
             console.log('Removed old localStorage entry before resume:', previousUpload.key);
         }
-        upload.url = previousUpload.uploadUrl;
+        upload.resumeFromPreviousUpload({
+            uploadUrl: previousUpload.uploadUrl || null,
+            parallelUploadUrls: previousUpload.parallelUploadUrls || null
+        });
+        (previousUpload.parallelUploadUrls || []).forEach(url => rememberPartUrl(id, url));
         updateStatus(id, 'Resuming upload...');
     } else {
         updateStatus(id, 'Starting upload...');
     }
 
+    if (target) {
+        // Uploads to other headsets aren't in the resumable list (see findPreviousUploads()),
+        // they continue from tus-js-client's stored URL when the same file is sent again
+        upload.findPreviousUploads().then(previous => {
+            if (uploadJobs.get(id)?.state !== 'uploading') return; // Paused or cancelled meanwhile
+            if (previous.length > 0) {
+                upload.resumeFromPreviousUpload(previous[0]);
+                (previous[0].parallelUploadUrls || []).forEach(url => rememberPartUrl(id, url));
+                updateStatus(id, 'Resuming upload...');
+            }
+            upload.start();
+        });
+        return;
+    }
+
     // Start the upload
     upload.start();
 
@@ -346,6 +1782,20 @@ function uploadFile(id, file, previousUpload = null) {
     findPreviousUploads();
 }
 
+// Initialize upload metadata for speed tracking
+// Note: initialOffset will be set when first progress event arrives (for resumed uploads)
+function initSpeedTracking(id, fileSize) {
+    uploadMetadata.set(id, {
+        startTime: Date.now(),
+        fileSize: fileSize,
+        initialOffset: null, // Will be set on first progress callback
+        lastDisplayUpdate: null,
+        lastSpeedInfo: null,
+        chunkStarts: new Map(), // Map<request URL, { time, offset }> for chunks in flight, see adaptChunkSize()
+        throughput: null // Smoothed bytes per second of recent chunks
+    });
+}
+
 // Parse error message from server response
 function parseErrorMessage(error) {
     if (!error) return 'Upload failed';
@@ -408,17 +1858,119 @@ function calculateSpeed(id, loaded, total) {
         return meta.lastSpeedInfo;
     }
 
-    // Update display values
-    meta.lastDisplayUpdate = now;
+    // Update display values
+    meta.lastDisplayUpdate = now;
+
+    const speedInfo = {
+        speed: overallSpeed,
+        speedFormatted: formatSpeed(overallSpeed),
+        etaFormatted: formatEta(etaSeconds)
+    };
+
+    meta.lastSpeedInfo = speedInfo;
+    return speedInfo;
+}
+
+// Record when a chunk's request starts, after any bandwidth limit wait
+// Parts of a parallel upload are timed separately, keyed by their URL
+function startChunkTiming(id, req) {
+    const meta = uploadMetadata.get(id);
+    if (!meta) return;
+    meta.chunkStarts.set(uploadPath(req.getURL()), {
+        time: Date.now(),
+        offset: Number(req.getHeader('Upload-Offset')) || 0
+    });
+}
+
+// Size the next chunk from the throughput of the one just sent
+// calculateSpeed() averages over the whole session for display; chunk sizing follows recent
+// conditions instead, growing at most CHUNK_GROWTH_FACTOR per chunk
+function adaptChunkSize(id, req, res) {
+    const job = uploadJobs.get(id);
+    const meta = uploadMetadata.get(id);
+    const start = meta && meta.chunkStarts.get(uploadPath(req.getURL()));
+    if (!job || !job.upload || !start) return;
+    meta.chunkStarts.delete(uploadPath(req.getURL()));
+
+    const chunkBytes = Number(res.getHeader('Upload-Offset')) - start.offset;
+    if (!(chunkBytes > 0)) return;
+    const elapsed = Math.max(Date.now() - start.time, 1);
+    const throughput = (chunkBytes / elapsed) * 1000;
+    meta.throughput = meta.throughput
+        ? meta.throughput * (1 - THROUGHPUT_SMOOTHING) + throughput * THROUGHPUT_SMOOTHING
+        : throughput;
+
+    const target = (meta.throughput * CHUNK_TARGET_DURATION_MS) / 1000;
+    job.chunkSize = clampChunkSize(Math.min(target, (job.chunkSize || TUS_CHUNK_SIZE) * CHUNK_GROWTH_FACTOR));
+    setUploadChunkSize(job.upload, job.chunkSize);
+}
+
+// A chunk failed and will be retried: retry with a much smaller one
+function shrinkChunkSize(id) {
+    const job = uploadJobs.get(id);
+    const meta = uploadMetadata.get(id);
+    if (!job || !job.upload) return;
+
+    job.chunkSize = clampChunkSize((job.chunkSize || TUS_CHUNK_SIZE) / CHUNK_ERROR_SHRINK_FACTOR);
+    setUploadChunkSize(job.upload, job.chunkSize);
+    if (meta) {
+        meta.chunkStarts.clear();
+        meta.throughput = meta.throughput ? meta.throughput / CHUNK_ERROR_SHRINK_FACTOR : null;
+    }
+}
+
+// tus-js-client reads the chunk size before every PATCH. Parts of a parallel upload are
+// separate tus.Uploads with a copy of the options, so they are updated too. tus-js-client
+// keeps them in the private _parallelUploads (3.7.7, see the top of this file)
+function setUploadChunkSize(upload, size) {
+    upload.options.chunkSize = size;
+    (upload._parallelUploads || []).forEach(part => {
+        part.options.chunkSize = size;
+    });
+}
+
+// Number of parts to upload a file in; a resumed upload keeps the parts it was started with
+function parallelPartsFor(size, previousUpload) {
+    if (previousUpload) {
+        return previousUpload.parallelUploadUrls ? previousUpload.parallelUploadUrls.length : 1;
+    }
+    if (size < PARALLEL_UPLOAD_MIN_SIZE) return 1;
+    return Math.min(MAX_PARALLEL_PARTS, Math.ceil(size / PARALLEL_UPLOAD_PART_SIZE));
+}
+
+// Keep track of a parallel upload's part URLs, to cancel them and to send frames and details
+// before the parts are joined
+function rememberPartUrl(id, url) {
+    const job = uploadJobs.get(id);
+    if (!job) return;
+    job.partUploadUrls = job.partUploadUrls || new Set();
+    job.partUploadUrls.add(url);
+}
 
-    const speedInfo = {
-        speed: overallSpeed,
-        speedFormatted: formatSpeed(overallSpeed),
-        etaFormatted: formatEta(etaSeconds)
-    };
+// URL the server knows a job's upload by: the upload itself, or one of its parts until they are joined
+function jobUploadUrl(job) {
+    if (!job.upload) return null;
+    if (job.upload.url) return job.upload.url;
+    return job.partUploadUrls ? job.partUploadUrls.values().next().value || null : null;
+}
 
-    meta.lastSpeedInfo = speedInfo;
-    return speedInfo;
+// Keep a chunk size within bounds, and to BANDWIDTH_BURST_MS of data when a limit is set
+function clampChunkSize(size) {
+    const max = bandwidthLimit
+        ? Math.max(MIN_CHUNK_SIZE, Math.min(MAX_CHUNK_SIZE, (bandwidthLimit * BANDWIDTH_BURST_MS) / 1000))
+        : MAX_CHUNK_SIZE;
+    return Math.round(Math.min(Math.max(size, MIN_CHUNK_SIZE), max));
+}
+
+// Resolves when a chunk of chunkBytes may start without going over the bandwidth limit
+// Each chunk reserves its share of time, so uploads running in parallel split the limit
+function waitForBandwidth(chunkBytes) {
+    if (!bandwidthLimit) return Promise.resolve();
+
+    const now = Date.now();
+    const startAt = Math.max(now, bandwidthNextSendAt);
+    bandwidthNextSendAt = startAt + (chunkBytes / bandwidthLimit) * 1000;
+    return new Promise(resolve => setTimeout(resolve, startAt - now));
 }
 
 // Format speed to human readable (e.g., "12.5 MB/s")
@@ -486,7 +2038,7 @@ function markSuccess(id, response) {
         // Hide cancel button on success
         hideCancelButton(id);
     }
-    fetchStatus(); // Refresh storage info
+    refreshTargetStatus(uploadJobs.get(id)?.target || null); // Refresh storage info
 }
 
 // Mark upload as failed
@@ -500,6 +2052,127 @@ function markError(id, message) {
     }
 }
 
+// Wait until the server has copied, validated and imported a fully received upload
+// Progress arrives as processing events; the status endpoint is polled when events are unavailable
+// Other headsets are always polled, their events go to their own pages
+async function waitForServerProcessing(id, uploadUrl) {
+    const target = uploadJobs.get(id)?.target || null;
+    const uploadId = uploadPath(uploadUrl).split('/').pop();
+    updateProgress(id, 100);
+    updateStatus(id, 'Verifying on headset...');
+
+    let errors = 0;
+    let data = null;
+    while (errors < PROCESSING_MAX_POLL_ERRORS) {
+        // Listen before fetching so an event can't slip in between
+        const pushed = waitForProcessingEvent(
+            uploadId,
+            eventsConnected && !target ? PROCESSING_EVENT_TIMEOUT_MS : PROCESSING_POLL_INTERVAL_MS
+        );
+
+        if (!data) {
+            try {
+                const response = await fetch(targetUrl(target, `/api/uploads/${encodeURIComponent(uploadId)}`), {
+                    headers: targetHeaders(target)
+                });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                data = await response.json();
+                errors = 0;
+            } catch (e) {
+                errors++;
+                console.log('Upload status check failed:', e);
+            }
+        }
+
+        if (data && applyProcessingStatus(id, data)) return;
+        data = await pushed;
+    }
+
+    // All bytes were accepted, so assume it went through but say we couldn't confirm it
+    markSuccess(id, { success: true });
+    updateStatus(id, '✓ Uploaded (verification status unavailable)');
+    if (!target) fetchFileList();
+}
+
+// Resolves with the next processing event for an upload, or null after timeoutMs
+function waitForProcessingEvent(uploadId, timeoutMs) {
+    return new Promise(resolve => {
+        const timer = setTimeout(() => {
+            processingWaiters.delete(uploadId);
+            resolve(null);
+        }, timeoutMs);
+        processingWaiters.set(uploadId, (data) => {
+            clearTimeout(timer);
+            processingWaiters.delete(uploadId);
+            resolve(data);
+        });
+    });
+}
+
+// Show a processing status for a queue item, returns true once processing has finished
+function applyProcessingStatus(id, data) {
+    const job = uploadJobs.get(id);
+    // The library list shows this headset, a files-changed event refreshes it when events are connected
+    const refreshLibrary = !eventsConnected && !(job && job.target);
+    switch (data.state) {
+        case 'IMPORTED':
+            markSuccess(id, { success: true });
+            updateStatus(id, '✓ Ready to watch');
+            if (refreshLibrary) fetchFileList();
+            if (job && data.videoId) {
+                job.videoId = data.videoId;
+                uploadJobSubtitles(job);
+                if (!job.detailsSynced) syncJobDetails(job);
+            }
+            return true;
+        case 'SAVED':
+            markSuccess(id, { success: true });
+            updateStatus(id, '✓ Saved - it will appear in the library after the next scan');
+            if (refreshLibrary) fetchFileList();
+            if (job && data.videoId) {
+                job.videoId = data.videoId;
+                uploadJobSubtitles(job); // The server says so if the library doesn't have the video yet
+            }
+            return true;
+        case 'CHECKSUM_MISMATCH':
+            markChecksumMismatch(id);
+            return true;
+        case 'INVALID_CONTENT':
+        case 'FAILED':
+            if (job) job.state = 'error';
+            markError(id, data.error || 'Processing failed on headset');
+            return true;
+    }
+    if (data.finished) {
+        // A finished state this client doesn't know about
+        markSuccess(id, { success: true });
+        return true;
+    }
+
+    const label = PROCESSING_STATE_LABELS[data.state] || 'Processing on headset...';
+    if (data.progress !== null && data.progress !== undefined) {
+        updateStatus(id, `${label} ${data.progress}%`);
+    } else {
+        updateStatus(id, label);
+    }
+    return false;
+}
+
+// Mark upload as corrupted in transfer - the server discarded the file
+function markChecksumMismatch(id) {
+    const job = uploadJobs.get(id);
+    if (job) {
+        job.state = 'error';
+    }
+    const item = document.getElementById(`queue-item-${id}`);
+    if (item) {
+        item.classList.add('error', 'mismatch');
+        updateStatus(id, '✗ Checksum mismatch - the file was corrupted in transfer and discarded. Please upload it again.');
+        hideCancelButton(id);
+    }
+    showError('An upload failed verification and was discarded. Please upload it again.');
+}
+
 // Mark upload as cancelled
 function markCancelled(id) {
     const item = document.getElementById(`queue-item-${id}`);
@@ -519,22 +2192,33 @@ function hideCancelButton(id) {
 }
 
 /**
- * Cancel an active upload.
+ * Cancel an upload in any unfinished state.
  * Aborts the TUS upload, cleans up localStorage, and requests server cleanup.
  * @param {number} id - The upload queue item ID
  */
 function cancelUpload(id) {
-    const upload = activeUploads.get(id);
+    const job = uploadJobs.get(id);
+    if (!job || !['queued', 'uploading', 'paused', 'waiting'].includes(job.state)) {
+        console.log('No unfinished upload found for id:', id);
+        return;
+    }
+
+    const upload = job.upload;
+    stopHashing(job);
+    finishJob(id, 'cancelled');
+
+    // Not started yet, nothing to clean up on the server
     if (!upload) {
-        console.log('No active upload found for id:', id);
+        markCancelled(id);
+        showToast('Upload cancelled', 'info');
         return;
     }
 
     // Abort the upload (stops network transfer)
     upload.abort();
 
-    // Get the upload URL for server-side cleanup
-    const uploadUrl = upload.url;
+    // Get the upload URLs for server-side cleanup (the parts of a parallel upload still in progress)
+    const uploadUrls = upload.url ? [upload.url] : Array.from(job.partUploadUrls || []);
 
     // Clean up from our tracking maps
     activeUploads.delete(id);
@@ -542,7 +2226,7 @@ function cancelUpload(id) {
 
     // Clean up localStorage entries for this file
     if (upload.file) {
-        cleanupLocalStorageForFile(upload.file);
+        cleanupLocalStorageForFile(upload.file, upload.options.endpoint);
     }
 
     // Update UI immediately
@@ -552,26 +2236,23 @@ function cancelUpload(id) {
     // Request server-side cleanup via DELETE request
     // Use a small delay to allow any in-flight PATCH requests to complete/abort
     // This prevents a race condition where DELETE runs before PATCH finishes
-    if (uploadUrl) {
+    uploadUrls.forEach(uploadUrl => {
         setTimeout(() => {
             console.log('Sending DELETE request after abort delay:', uploadUrl);
             fetch(uploadUrl, {
                 method: 'DELETE',
-                headers: {
-                    'Tus-Resumable': '1.0.0',
-                    'X-Upload-Pin': localStorage.getItem('uploadPin') || ''
-                }
+                headers: targetHeaders(job.target, { 'Tus-Resumable': '1.0.0' })
             }).then(response => {
                 console.log('Server cleanup DELETE response:', response.status);
                 if (response.ok) {
                     // Refresh storage info after successful deletion
-                    fetchStatus();
+                    refreshTargetStatus(job.target);
                 }
             }).catch(err => {
                 console.log('Server cleanup request failed (may already be cleaned):', err);
             });
         }, 500); // 500ms delay to allow in-flight requests to complete
-    }
+    });
 
     // Refresh previous uploads list
     findPreviousUploads();
@@ -620,33 +2301,42 @@ async function fetchStatus() {
         const response = await fetch('/api/status');
         const data = await response.json();
 
-        // Check if PIN is required
+        // Check if PIN is required and whether our session cookie is still valid
         pinRequired = data.pinRequired === true;
+        sessionActive = data.authenticated === true;
+        if (data.lockoutRemainingMs > 0) {
+            pinLockoutUntil = Date.now() + data.lockoutRemainingMs;
+        }
         updatePinUI();
+        updateStorageInfo(data);
+    } catch (e) {
+        storageAvailable.textContent = 'Unable to fetch storage info';
+    }
+}
 
-        if (data.storageAvailableFormatted) {
-            storageAvailable.textContent = `💾 ${data.storageAvailableFormatted} available`;
+// Show available storage from a status response or storage event
+function updateStorageInfo(data) {
+    if (!data.storageAvailableFormatted) return;
 
-            // Add warning classes for low storage
-            const storageEl = storageAvailable.parentElement;
-            storageEl.classList.remove('low', 'critical');
+    storageAvailable.textContent = `💾 ${data.storageAvailableFormatted} available`;
 
-            const isCritical = data.storageAvailable < 500 * 1024 * 1024;
-            const isLow = data.storageAvailable < 2 * 1024 * 1024 * 1024;
+    // Add warning classes for low storage
+    const storageEl = storageAvailable.parentElement;
+    storageEl.classList.remove('low', 'critical');
 
-            if (isCritical) {
-                storageEl.classList.add('critical');
-                showStorageWarning('critical', data.storageAvailableFormatted);
-            } else if (isLow) {
-                storageEl.classList.add('low');
-                showStorageWarning('low', data.storageAvailableFormatted);
-            } else {
-                hideStorageWarning();
-            }
-        }
-    } catch (e) {
-        storageAvailable.textContent = 'Unable to fetch storage info';
+    const isCritical = data.storageAvailable < 500 * 1024 * 1024;
+    const isLow = data.storageAvailable < 2 * 1024 * 1024 * 1024;
+
+    if (isCritical) {
+        storageEl.classList.add('critical');
+        showStorageWarning('critical', data.storageAvailableFormatted);
+    } else if (isLow) {
+        storageEl.classList.add('low');
+        showStorageWarning('low', data.storageAvailableFormatted);
+    } else {
+        hideStorageWarning();
     }
+    renderTargets();
 }
 
 // Show storage warning banner
@@ -692,33 +2382,359 @@ function hideStorageWarning() {
     }
 }
 
-// Fetch uploaded files list
-async function fetchFileList() {
+// Fetch a page of the video library, filtered by the search text and tag
+// When append is false the list is reloaded from the first page
+async function fetchFileList(append = false) {
+    const offset = append ? fileListOffset : 0;
+    loadMoreBtn.disabled = true;
+
     try {
-        const response = await fetch('/api/files');
+        const params = new URLSearchParams({ offset, limit: FILE_LIST_PAGE_SIZE });
+        if (libraryQuery) params.set('q', libraryQuery);
+        if (libraryTag) params.set('tag', libraryTag);
+        const response = await fetch(`/api/files?${params}`);
+        if (response.status === 401) {
+            // The library is only listed with a session; verifyPin() fetches it again
+            fileList.innerHTML = '<p class="empty-state">Enter the PIN to see the videos on this headset</p>';
+            fileCount.textContent = '';
+            loadMoreBtn.hidden = true;
+            return;
+        }
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
         const data = await response.json();
+        const files = data.files || [];
 
-        if (data.files && data.files.length > 0) {
-            fileList.innerHTML = data.files.map(file => `
-                <div class="file-item">
-                    <span class="file-item-name">🎬 ${escapeHtml(file.name)}</span>
-                    <div class="file-item-meta">
-                        <span>${file.sizeFormatted}</span>
-                        <span>${formatTime(file.uploadedAt)}</span>
-                    </div>
-                </div>
-            `).join('');
+        if (offset === 0) libraryFiles.clear();
+        files.forEach(file => libraryFiles.set(String(file.id), file));
+
+        if (offset === 0 && files.length === 0) {
+            fileList.innerHTML = libraryQuery || libraryTag
+                ? '<p class="empty-state">No videos match the search</p>'
+                : '<p class="empty-state">No files uploaded yet</p>';
+        } else {
+            const html = files.map(renderFileItem).join('');
+            if (offset === 0) {
+                fileList.innerHTML = html;
+            } else {
+                fileList.insertAdjacentHTML('beforeend', html);
+            }
+        }
+
+        fileListOffset = offset + files.length;
+        fileCount.textContent = data.total > 0 ? `(${data.total})` : '';
+        loadMoreBtn.hidden = !data.hasMore;
+    } catch (e) {
+        if (offset === 0) {
+            fileList.innerHTML = '<p class="empty-state">Unable to fetch files</p>';
+            fileCount.textContent = '';
+            loadMoreBtn.hidden = true;
         } else {
-            fileList.innerHTML = '<p class="empty-state">No files uploaded yet</p>';
+            showError('Unable to load more files. Please try again.');
+        }
+    } finally {
+        loadMoreBtn.disabled = false;
+    }
+}
+
+// Show only library videos with a tag, or all of them for an empty tag
+function setLibraryTag(tag) {
+    libraryTag = tag;
+    libraryTagFilter.hidden = !tag;
+    libraryTagFilter.textContent = tag ? `#${tag} ✕` : '';
+    fetchFileList();
+}
+
+// Render a single library entry with thumbnail, duration and upload time
+// A title set by the uploader is shown above the file name, tags can be clicked to filter by them
+function renderFileItem(file) {
+    const duration = formatDuration(file.durationMs);
+    const title = file.title && file.title !== file.name ? file.title : null;
+    const tags = file.tags || [];
+    return `
+        <div class="file-item" data-id="${file.id}">
+            <div class="file-item-thumb">
+                <img src="${escapeHtml(file.thumbnailUrl)}" alt="" loading="lazy" onerror="this.remove()">
+                <span class="file-item-thumb-fallback">🎬</span>
+                ${duration ? `<span class="file-item-duration">${duration}</span>` : ''}
+            </div>
+            <div class="file-item-info">
+                <div class="file-item-text">
+                    ${title ? `<span class="file-item-title">${escapeHtml(title)}</span>` : ''}
+                    <span class="file-item-name">${escapeHtml(file.name)}</span>
+                    ${file.description ? `<span class="file-item-description">${escapeHtml(file.description)}</span>` : ''}
+                    ${tags.length > 0 ? `
+                        <div class="file-item-tags">
+                            ${tags.map(tag => `<button class="file-item-tag" data-action="tag" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+                <div class="file-item-meta">
+                    ${file.path ? `<span class="file-item-path">📁 ${escapeHtml(file.path)}</span>` : ''}
+                    ${file.projection && formatKey(file) !== 'FLAT:MONO' ? `<span class="file-item-format">${escapeHtml(formatLabel(file))}</span>` : ''}
+                    ${file.subtitles && file.subtitles.length > 0 ? `<span class="file-item-subtitles" title="${escapeHtml(file.subtitles.join(', '))}">CC ${file.subtitles.length}</span>` : ''}
+                    <span>${file.sizeFormatted}</span>
+                    <span>${formatTime(file.uploadedAt)}</span>
+                </div>
+            </div>
+            <button class="file-item-action" data-action="preview" title="Preview">▶</button>
+            <a class="file-item-action" href="${escapeHtml(file.downloadUrl)}" download title="Download">⬇</a>
+            <button class="file-item-manage-btn" data-action="manage" title="Manage">⋯</button>
+        </div>
+    `;
+}
+
+// Route clicks inside the library list to the management actions
+function handleFileListClick(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const item = button.closest('.file-item');
+    const file = item && libraryFiles.get(item.dataset.id);
+    if (!file) return;
+
+    switch (button.dataset.action) {
+        case 'preview':
+            showVideoPreview(file);
+            break;
+        case 'manage':
+            toggleManagePanel(item, file);
+            break;
+        case 'rename':
+            renameLibraryFile(file, item.querySelector('.manage-name-input').value, button);
+            break;
+        case 'move':
+            moveLibraryFile(file, item.querySelector('.manage-folder-select').value, button);
+            break;
+        case 'delete':
+            deleteLibraryFile(file, button);
+            break;
+        case 'subtitles':
+            pickSubtitlesForFile(file, button);
+            break;
+        case 'details':
+            saveLibraryDetails(file, item.querySelector('.file-manage-panel'), button);
+            break;
+        case 'tag':
+            setLibraryTag(button.dataset.tag);
+            break;
+    }
+}
+
+// Play a library video streamed back from the headset, e.g. to check that an upload is intact
+function showVideoPreview(file) {
+    const dialog = document.createElement('div');
+    dialog.className = 'duplicate-dialog';
+    dialog.innerHTML = `
+        <div class="duplicate-dialog-content preview-dialog-content">
+            <h3 class="preview-title"></h3>
+            <video class="preview-video" controls autoplay playsinline preload="metadata"></video>
+            <p class="preview-error" hidden>This browser can't play this video. Download it to check it on this computer instead.</p>
+            <div class="duplicate-actions">
+                <a class="duplicate-btn" href="${escapeHtml(file.downloadUrl)}" download>⬇ Download</a>
+                <button class="duplicate-btn primary" data-action="close">Close</button>
+            </div>
+        </div>
+    `;
+    dialog.querySelector('.preview-title').textContent = file.title || file.name;
+
+    const video = dialog.querySelector('.preview-video');
+    video.addEventListener('error', () => {
+        video.hidden = true;
+        dialog.querySelector('.preview-error').hidden = false;
+    });
+    video.src = file.streamUrl;
+
+    const onKeyDown = (e) => {
+        if (e.key === 'Escape') close();
+    };
+    const close = () => {
+        // Stop the headset streaming once the dialog is gone
+        video.pause();
+        video.removeAttribute('src');
+        video.load();
+        dialog.remove();
+        document.removeEventListener('keydown', onKeyDown);
+    };
+    dialog.addEventListener('click', (e) => {
+        if (e.target === dialog || e.target.closest('[data-action="close"]')) close();
+    });
+    document.addEventListener('keydown', onKeyDown);
+
+    document.body.appendChild(dialog);
+}
+
+// Show or hide the inline rename/move/delete panel for a library entry
+async function toggleManagePanel(item, file) {
+    const existing = item.querySelector('.file-manage-panel');
+    if (existing) {
+        existing.remove();
+        return;
+    }
+
+    const folders = await fetchLibraryFolders();
+    const folderOptions = folders.map(folder => `
+        <option value="${folder.id}" ${folder.id === file.folderId ? 'selected' : ''}>${escapeHtml(folder.name)}</option>
+    `).join('');
+
+    const panel = document.createElement('div');
+    panel.className = 'file-manage-panel';
+    panel.innerHTML = `
+        <div class="manage-row">
+            <input type="text" class="manage-name-input" maxlength="255">
+            <button class="manage-btn" data-action="rename">Rename</button>
+        </div>
+        <div class="manage-row">
+            <select class="manage-folder-select" ${file.indexed ? '' : 'disabled'}>
+                <option value="">No folder</option>
+                ${folderOptions}
+            </select>
+            <button class="manage-btn" data-action="move" ${file.indexed ? '' : 'disabled'}>Move</button>
+        </div>
+        <div class="manage-row">
+            <input type="text" class="manage-title-input" maxlength="${MAX_TITLE_LENGTH}" placeholder="Title" ${file.indexed ? '' : 'disabled'}>
+            <input type="text" class="manage-tags-input" placeholder="Tags, separated by commas" ${file.indexed ? '' : 'disabled'}>
+        </div>
+        <div class="manage-row">
+            <textarea class="manage-description-input" maxlength="${MAX_DESCRIPTION_LENGTH}" rows="2" placeholder="Description" ${file.indexed ? '' : 'disabled'}></textarea>
+            <button class="manage-btn" data-action="details" ${file.indexed ? '' : 'disabled'}>Save</button>
+        </div>
+        ${file.indexed ? '' : '<p class="manage-hint">Folders, details and subtitles can be added once the video appears in the library.</p>'}
+        <div class="manage-row">
+            <button class="manage-btn" data-action="subtitles" ${file.indexed ? '' : 'disabled'}>Add subtitles</button>
+            <button class="manage-btn danger" data-action="delete">Delete</button>
+        </div>
+    `;
+    panel.querySelector('.manage-name-input').value = file.name;
+    panel.querySelector('.manage-title-input').value = file.title && file.title !== file.name ? file.title : '';
+    panel.querySelector('.manage-tags-input').value = (file.tags || []).join(', ');
+    panel.querySelector('.manage-description-input').value = file.description || '';
+    item.appendChild(panel);
+}
+
+// Fetch library folders once per page load
+async function fetchLibraryFolders() {
+    if (libraryFolders) return libraryFolders;
+
+    try {
+        const response = await fetch('/api/folders');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        libraryFolders = data.folders || [];
+    } catch (e) {
+        console.error('Failed to fetch folders:', e);
+        return [];
+    }
+    return libraryFolders;
+}
+
+async function renameLibraryFile(file, name, button) {
+    if (!name.trim() || name.trim() === file.name) return;
+    const ok = await sendLibraryAction(`/api/files/${file.id}/rename`, 'POST', { name: name.trim() }, button);
+    if (ok) showToast('Video renamed', 'success');
+}
+
+async function moveLibraryFile(file, folderValue, button) {
+    const folderId = folderValue === '' ? null : Number(folderValue);
+    const ok = await sendLibraryAction(`/api/files/${file.id}/folder`, 'POST', { folderId }, button);
+    if (ok) showToast('Video moved', 'success');
+}
+
+async function saveLibraryDetails(file, panel, button) {
+    const details = {
+        title: panel.querySelector('.manage-title-input').value.trim(),
+        description: panel.querySelector('.manage-description-input').value.trim(),
+        tags: parseTags(panel.querySelector('.manage-tags-input').value)
+    };
+    const error = detailsError(details);
+    if (error) {
+        showError(error);
+        return;
+    }
+    const ok = await sendLibraryAction(`/api/files/${file.id}/details`, 'POST', details, button);
+    if (ok) showToast('Details saved', 'success');
+}
+
+async function deleteLibraryFile(file, button) {
+    if (!confirm(`Delete "${file.name}" from the headset? This cannot be undone.`)) return;
+    const ok = await sendLibraryAction(`/api/files/${file.id}`, 'DELETE', null, button);
+    if (ok) {
+        showToast('Video deleted', 'success');
+        fetchStatus(); // Refresh storage info
+    }
+}
+
+// Let the user pick subtitle files for a library video; they are renamed to match it on the headset
+function pickSubtitlesForFile(file, button) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = SUBTITLE_EXTENSIONS.map(ext => `.${ext}`).join(',');
+    input.multiple = true;
+    input.addEventListener('change', async () => {
+        button.disabled = true;
+        let added = 0;
+        for (const subtitle of Array.from(input.files)) {
+            if (subtitle.size > MAX_SUBTITLE_SIZE) {
+                showError(`"${subtitle.name}" is too large (${formatBytes(subtitle.size)}). Subtitle files can be up to ${formatBytes(MAX_SUBTITLE_SIZE)}.`);
+                continue;
+            }
+            const error = await uploadSubtitle(file.id, subtitle);
+            if (error) {
+                showError(`Could not add "${subtitle.name}": ${error}`);
+            } else {
+                added++;
+            }
+        }
+        button.disabled = false;
+        if (added > 0) {
+            showToast(`Added ${added} subtitle file${added === 1 ? '' : 's'}`, 'success');
+            if (!eventsConnected) fetchFileList();
+        }
+    });
+    input.click();
+}
+
+// Send a library management request and refresh the list on success
+// Returns true if the server accepted the change
+async function sendLibraryAction(url, method, body, button) {
+    button.disabled = true;
+
+    try {
+        const headers = {};
+        if (body) headers['Content-Type'] = 'application/json';
+
+        const response = await fetch(url, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (response.status === 401) {
+            sessionActive = false;
+            fetchStatus();
+            showError('PIN required - please enter the PIN');
+            return false;
+        }
+        if (!response.ok) {
+            showError(data.error || `Request failed (${response.status})`);
+            return false;
         }
+
+        fetchFileList();
+        return true;
     } catch (e) {
-        fileList.innerHTML = '<p class="empty-state">Unable to fetch files</p>';
+        showError('Unable to reach the headset. Please try again.');
+        return false;
+    } finally {
+        button.disabled = false;
     }
 }
 
 // Clean up localStorage entries for a specific file (used on successful upload)
 // This ensures the "Incomplete Uploads" section doesn't show completed uploads
-function cleanupLocalStorageForFile(file) {
+// Only entries for uploads to endpoint, whose URL is part of the key, so copies of the
+// file going to other headsets can still be resumed
+function cleanupLocalStorageForFile(file, endpoint = TUS_ENDPOINT) {
     if (!file) return;
 
     const keysToRemove = [];
@@ -733,7 +2749,8 @@ function cleanupLocalStorageForFile(file) {
                     const uploadData = JSON.parse(storedValue);
                     // Match by filename and size from stored metadata
                     if (uploadData.metadata?.filename === file.name &&
-                        uploadData.size === file.size) {
+                        uploadData.size === file.size &&
+                        key.includes(`-${endpoint}::`)) {
                         keysToRemove.push(key);
                     }
                 }
@@ -773,7 +2790,7 @@ function cleanupExpiredLocalStorageUploads() {
                         if (!isNaN(creationTime) && (now - creationTime) > TUS_EXPIRATION_MS) {
                             keysToRemove.push({
                                 key: key,
-                                uploadUrl: uploadData.uploadUrl
+                                uploadUrls: previousUploadUrls(uploadData)
                             });
                         }
                     }
@@ -781,7 +2798,7 @@ function cleanupExpiredLocalStorageUploads() {
             } catch (e) {
                 // If we can't parse it, it might be corrupted - remove it
                 console.log('Removing unparseable TUS localStorage entry:', key);
-                keysToRemove.push({ key: key, uploadUrl: null });
+                keysToRemove.push({ key: key, uploadUrls: [] });
             }
         }
     }
@@ -792,14 +2809,14 @@ function cleanupExpiredLocalStorageUploads() {
         console.log('Cleaned up expired TUS localStorage entry:', entry.key);
 
         // Try to clean up server-side as well (best effort)
-        if (entry.uploadUrl) {
-            fetch(entry.uploadUrl, {
+        entry.uploadUrls.forEach(uploadUrl => {
+            fetch(uploadUrl, {
                 method: 'DELETE',
                 headers: { 'Tus-Resumable': '1.0.0' }
             }).catch(() => {
                 // Ignore errors - server may have already cleaned up
             });
-        }
+        });
     });
 
     if (keysToRemove.length > 0) {
@@ -825,6 +2842,7 @@ function findPreviousUploads() {
     // Parse each stored upload
     // tus-js-client stores upload data as JSON with format:
     // { size, metadata: { filename, filetype }, creationTime, uploadUrl }
+    // Parallel uploads store parallelUploadUrls (one per part) instead of uploadUrl
     tusKeys.forEach(key => {
         try {
             const storedValue = localStorage.getItem(key);
@@ -839,12 +2857,16 @@ function findPreviousUploads() {
                 }
 
                 // Extract upload URL from the stored data
-                const uploadUrl = uploadData.uploadUrl;
-                if (!uploadUrl) {
+                const uploadUrl = uploadData.uploadUrl || null;
+                const parallelUploadUrls = Array.isArray(uploadData.parallelUploadUrls) ? uploadData.parallelUploadUrls : null;
+                if (!uploadUrl && !parallelUploadUrls) {
                     console.log('No uploadUrl in TUS localStorage entry:', key);
                     return;
                 }
 
+                // Uploads to other headsets continue when their file is sent again, see uploadFile()
+                if (!isLocalUploadUrl(uploadUrl || parallelUploadUrls[0])) return;
+
                 // Extract filename and size from metadata
                 const filename = uploadData.metadata?.filename;
                 const size = uploadData.size;
@@ -858,6 +2880,7 @@ function findPreviousUploads() {
                 previousUploads.push({
                     key: key,
                     uploadUrl: uploadUrl,
+                    parallelUploadUrls: parallelUploadUrls,
                     filename: filename,
                     size: size
                 });
@@ -867,17 +2890,37 @@ function findPreviousUploads() {
         }
     });
 
-    // Filter out uploads that are currently active
-    // Get all active upload URLs
+    // Merge in uploads the server knows about, using the server's offset for progress
+    // Local entries store absolute URLs and server entries paths, so compare by path
+    // Parallel uploads are only known locally, the server tracks whole uploads
+    const localUploads = new Map(previousUploads.map(upload => [uploadPath(previousUploadUrls(upload)[0]), upload]));
+    serverIncompleteUploads.forEach(serverUpload => {
+        const local = localUploads.get(uploadPath(serverUpload.uploadUrl));
+        if (local) {
+            local.offset = serverUpload.offset;
+        } else {
+            previousUploads.push({
+                key: null, // No localStorage entry in this browser
+                uploadUrl: serverUpload.uploadUrl,
+                filename: serverUpload.filename,
+                size: serverUpload.size,
+                offset: serverUpload.offset,
+                fromServer: true
+            });
+        }
+    });
+
+    // Filter out uploads that are currently active or paused in the queue
     const activeUploadUrls = new Set();
-    activeUploads.forEach(upload => {
-        if (upload.url) {
-            activeUploadUrls.add(upload.url);
+    uploadJobs.forEach(job => {
+        if (job.upload && (job.state === 'uploading' || job.state === 'paused')) {
+            if (job.upload.url) activeUploadUrls.add(uploadPath(job.upload.url));
+            (job.partUploadUrls || []).forEach(url => activeUploadUrls.add(uploadPath(url)));
         }
     });
 
     // Remove entries that match active uploads
-    previousUploads = previousUploads.filter(upload => !activeUploadUrls.has(upload.uploadUrl));
+    previousUploads = previousUploads.filter(upload => !activeUploadUrls.has(uploadPath(previousUploadUrls(upload)[0])));
 
     // Show UI if we found previous uploads (that aren't currently active)
     if (previousUploads.length > 0) {
@@ -886,7 +2929,52 @@ function findPreviousUploads() {
         hidePreviousUploadsUI();
     }
 
-    console.log('Found', previousUploads.length, 'resumable uploads in localStorage (excluding active)');
+    console.log('Found', previousUploads.length, 'resumable uploads (excluding active)');
+}
+
+// Fetch unfinished uploads from the server so uploads can be resumed from any browser
+async function fetchIncompleteUploads() {
+    try {
+        const response = await fetch('/api/uploads/incomplete');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        serverIncompleteUploads = data.uploads || [];
+    } catch (e) {
+        console.log('Unable to fetch incomplete uploads from server:', e);
+    }
+    findPreviousUploads();
+}
+
+// Drop a finished or discarded upload from the server list without refetching it
+function forgetServerIncompleteUpload(uploadUrl) {
+    if (!uploadUrl) return;
+    serverIncompleteUploads = serverIncompleteUploads.filter(
+        serverUpload => uploadPath(serverUpload.uploadUrl) !== uploadPath(uploadUrl)
+    );
+}
+
+// Server URLs of a stored upload: its own, or its parts' for a parallel upload
+function previousUploadUrls(upload) {
+    if (upload.uploadUrl) return [upload.uploadUrl];
+    return Array.isArray(upload.parallelUploadUrls) ? upload.parallelUploadUrls.filter(Boolean) : [];
+}
+
+// Whether an upload URL is on this headset rather than another one
+function isLocalUploadUrl(url) {
+    try {
+        return new URL(url, window.location.href).origin === window.location.origin;
+    } catch (e) {
+        return true;
+    }
+}
+
+// Path part of an upload URL, e.g. "/tus/abc123"
+function uploadPath(url) {
+    try {
+        return new URL(url, window.location.href).pathname;
+    } catch (e) {
+        return url;
+    }
 }
 
 // Show UI for previous uploads that can be resumed
@@ -935,7 +3023,10 @@ function showPreviousUploadsUI() {
                             ${escapeHtml(upload.filename)}
                         </div>
                         <div style="color: rgba(255,255,255,0.6); font-size: 12px; margin-top: 4px;">
-                            File size: ${formatBytes(upload.size)}
+                            ${upload.offset > 0
+                                ? `${formatBytes(upload.offset)} of ${formatBytes(upload.size)} uploaded`
+                                : `File size: ${formatBytes(upload.size)}`}
+                            ${upload.fromServer ? ' • started in another browser' : ''}
                         </div>
                     </div>
                     <div style="display: flex; gap: 8px;">
@@ -1002,18 +3093,21 @@ function discardPreviousUpload(index) {
         return;
     }
 
-    // Remove from localStorage
-    localStorage.removeItem(upload.key);
+    // Remove from localStorage (server-only entries have no key)
+    if (upload.key) {
+        localStorage.removeItem(upload.key);
+    }
+    forgetServerIncompleteUpload(upload.uploadUrl);
 
     // Also try to tell server to cleanup (optional, may fail if server cleaned up already)
-    if (upload.uploadUrl) {
-        fetch(upload.uploadUrl, {
+    previousUploadUrls(upload).forEach(uploadUrl => {
+        fetch(uploadUrl, {
             method: 'DELETE',
             headers: { 'Tus-Resumable': '1.0.0' }
         }).catch(() => {
             // Ignore errors - server may have already cleaned up
         });
-    }
+    });
 
     // Refresh UI
     findPreviousUploads();
@@ -1029,6 +3123,12 @@ function formatBytes(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
 }
 
+// Utility: Format a video duration in milliseconds (e.g., "1:42:05"), empty if unknown
+function formatDuration(ms) {
+    if (!ms || ms <= 0) return '';
+    return formatEta(ms / 1000);
+}
+
 // Utility: Format timestamp to relative time
 function formatTime(timestamp) {
     const now = Date.now();
@@ -1042,18 +3142,135 @@ function formatTime(timestamp) {
     return new Date(timestamp).toLocaleDateString();
 }
 
-// Utility: Escape HTML to prevent XSS
+// Utility: Escape HTML to prevent XSS. Quotes are escaped too, so the result is also safe
+// inside attribute values
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Show the Transfer, Remote, Settings or History tab; the others can be opened directly with
+// #remote, #settings or #history
+function showTab(name) {
+    tabButtons.forEach(button => {
+        const active = button.dataset.tab === name;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-selected', String(active));
+        document.getElementById(`${button.dataset.tab}Panel`).hidden = !active;
+    });
+    history.replaceState(null, '', name === 'transfer' ? location.pathname : `#${name}`);
+    setRemoteVisible(name === 'remote');
+    setSettingsVisible(name === 'settings');
+    setHistoryVisible(name === 'history');
+}
+
+// Live events: connect to the headset's event channel, reconnecting with backoff
+function connectEvents() {
+    if (!window.WebSocket) return;
+
+    const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(`${protocol}//${location.host}${EVENTS_PATH}`);
+    eventsSocket = socket;
+
+    socket.onopen = () => {
+        eventsConnected = true;
+        eventsReconnectAttempt = 0;
+    };
+
+    socket.onmessage = (e) => {
+        try {
+            handleServerEvent(JSON.parse(e.data));
+        } catch (err) {
+            console.warn('Ignoring malformed server event:', err);
+        }
+    };
+
+    socket.onclose = () => {
+        eventsConnected = false;
+        const delay = EVENTS_RECONNECT_DELAYS[Math.min(eventsReconnectAttempt, EVENTS_RECONNECT_DELAYS.length - 1)];
+        eventsReconnectAttempt++;
+        setTimeout(connectEvents, delay);
+    };
+}
+
+// The server decides what a connection may receive (e.g. player events) when it opens,
+// so reconnect after our session changes
+function reconnectEvents() {
+    if (eventsSocket && eventsSocket.readyState === WebSocket.OPEN) eventsSocket.close();
+}
+
+function handleServerEvent(event) {
+    switch (event.type) {
+        case 'hello':
+            pinRequired = event.pinRequired === true;
+            sessionActive = event.authenticated === true;
+            updatePinUI();
+            updateStorageInfo(event);
+            hideServerStoppedBanner();
+            // Catch up on anything that changed while disconnected
+            if (eventsEverConnected) {
+                fetchFileList();
+                fetchIncompleteUploads();
+            }
+            if (remoteVisible) fetchRemoteState();
+            if (settingsVisible) fetchSettings();
+            if (historyVisible) fetchHistory();
+            eventsEverConnected = true;
+            break;
+        case 'storage':
+            updateStorageInfo(event);
+            break;
+        case 'processing': {
+            const waiter = processingWaiters.get(event.id);
+            if (waiter) waiter(event);
+            break;
+        }
+        case 'files-changed':
+            fetchFileList();
+            break;
+        case 'pin':
+            // PIN changes end existing sessions, so re-check ours
+            fetchStatus();
+            reconnectEvents();
+            break;
+        case 'player':
+            updateRemoteState(event);
+            break;
+        case 'settings':
+            onSettingsChanged();
+            break;
+        case 'history':
+            onHistoryChanged();
+            break;
+        case 'shutdown':
+            showServerStoppedBanner(event.reason);
+            break;
+    }
+}
+
+function showServerStoppedBanner(reason) {
+    let banner = document.getElementById('server-stopped-banner');
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'server-stopped-banner';
+        banner.className = 'server-stopped-banner';
+        const container = document.querySelector('.container');
+        container.insertBefore(banner, container.firstChild);
+    }
+    banner.textContent = `⏹ ${reason || 'The transfer server was stopped'}. This page will reconnect when it is started again.`;
+}
+
+function hideServerStoppedBanner() {
+    const banner = document.getElementById('server-stopped-banner');
+    if (banner) banner.remove();
 }
 
 // PIN Protection UI
 function updatePinUI() {
     let pinSection = document.getElementById('pin-section');
 
-    if (pinRequired && !verifiedPin) {
+    if (pinRequired && !sessionActive) {
         // Show PIN entry UI
         if (!pinSection) {
             pinSection = document.createElement('div');
@@ -1105,12 +3322,47 @@ function updatePinUI() {
 
             pinInput.focus();
         }
+        updatePinLockout();
     } else if (pinSection) {
         // Hide PIN entry UI
         pinSection.remove();
     }
 }
 
+// Disable the PIN dialog while the server is rejecting attempts, with a countdown until it unlocks
+function updatePinLockout() {
+    const pinInput = document.getElementById('pin-input');
+    const pinSubmit = document.getElementById('pin-submit');
+    const pinError = document.getElementById('pin-error');
+    if (!pinInput || !pinSubmit || !pinError) {
+        clearInterval(pinLockoutTimer);
+        pinLockoutTimer = null;
+        return;
+    }
+
+    const remainingSeconds = Math.ceil((pinLockoutUntil - Date.now()) / 1000);
+    if (remainingSeconds > 0) {
+        pinInput.disabled = true;
+        pinSubmit.disabled = true;
+        const minutes = Math.floor(remainingSeconds / 60);
+        const seconds = String(remainingSeconds % 60).padStart(2, '0');
+        pinError.textContent = `Too many attempts. Try again in ${minutes}:${seconds}`;
+        if (!pinLockoutTimer) {
+            pinLockoutTimer = setInterval(updatePinLockout, 1000);
+        }
+        return;
+    }
+
+    if (pinLockoutTimer) {
+        clearInterval(pinLockoutTimer);
+        pinLockoutTimer = null;
+        pinInput.disabled = false;
+        pinSubmit.disabled = false;
+        pinError.textContent = '';
+        pinInput.focus();
+    }
+}
+
 async function verifyPin(pin) {
     const pinError = document.getElementById('pin-error');
     const pinSubmit = document.getElementById('pin-submit');
@@ -1119,6 +3371,7 @@ async function verifyPin(pin) {
     pinSubmit.textContent = 'Verifying...';
 
     try {
+        // On success the server sets an HttpOnly session cookie that later requests carry
         const response = await fetch('/api/verify-pin', {
             method: 'POST',
             headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
@@ -1128,11 +3381,24 @@ async function verifyPin(pin) {
         const data = await response.json();
 
         if (data.success) {
-            verifiedPin = pin;
+            sessionActive = true;
             updatePinUI();
+            reconnectEvents();
+            fetchPeers(); // Other headsets are only listed with a session
+            fetchFileList(); // So are the library and the uploads to resume
+            fetchIncompleteUploads();
+            if (settingsVisible) fetchSettings();
+            if (historyVisible) fetchHistory();
             showToast('PIN verified successfully!', 'success');
+            queueSharedFiles(); // Videos shared to the app while the PIN was needed
+        } else if (response.status === 429) {
+            pinLockoutUntil = Date.now() + (data.retryAfterMs || 30000);
+            document.getElementById('pin-input').value = '';
         } else {
-            pinError.textContent = 'Invalid PIN. Please try again.';
+            const remaining = data.attemptsRemaining;
+            pinError.textContent = remaining !== undefined
+                ? `Invalid PIN. ${remaining} attempt${remaining === 1 ? '' : 's'} left.`
+                : 'Invalid PIN. Please try again.';
             document.getElementById('pin-input').value = '';
             document.getElementById('pin-input').focus();
         }
@@ -1141,6 +3407,36 @@ async function verifyPin(pin) {
     } finally {
         pinSubmit.disabled = false;
         pinSubmit.textContent = 'Verify PIN';
+        updatePinLockout();
+    }
+}
+
+// Exchange the pairing token from the headset's QR code ("#pair=<token>") for a session,
+// so the PIN doesn't have to be typed in
+async function pairWithQrToken() {
+    if (!location.hash.startsWith(PAIR_HASH_PREFIX)) return;
+    const token = decodeURIComponent(location.hash.slice(PAIR_HASH_PREFIX.length));
+    // The token only works once, keep it out of the address bar, history and bookmarks
+    history.replaceState(null, '', location.pathname + location.search);
+    if (!token) return;
+
+    try {
+        const response = await fetch('/api/pair', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (data.success) {
+            sessionActive = true;
+            fetchPeers(); // Other headsets are only listed with a session
+            showToast('Connected to the headset', 'success');
+        } else {
+            showToast(data.error || 'This QR code can no longer be used. Enter the PIN shown on the headset.', 'error');
+        }
+    } catch (e) {
+        showToast('Pairing failed. Enter the PIN shown on the headset instead.', 'error');
     }
 }
 
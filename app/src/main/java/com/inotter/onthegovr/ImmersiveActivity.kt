@@ -42,6 +42,7 @@ import com.inotter.onthegovr.spatial.PanelBroadcastManager
 import com.inotter.onthegovr.spatial.SpatialConstants
 import com.inotter.onthegovr.spatial.TheatreViewModel
 import com.inotter.onthegovr.spatial.data.EnvironmentType
+import com.inotter.onthegovr.spatial.data.SceneSettingsStore
 import com.inotter.onthegovr.spatial.panels.ControlsPanelActivity
 import com.inotter.onthegovr.spatial.panels.LibraryPanelActivity
 import kotlinx.coroutines.CoroutineScope
@@ -176,7 +177,7 @@ class ImmersiveActivity : AppSystemActivity() {
         exoPlayer = ExoPlayer.Builder(this).build()
 	
 	        // Create theatre ViewModel (local playback only; sync handled in 2D UI layer)
-	        theatreViewModel = TheatreViewModel(exoPlayer, systemManager)
+	        theatreViewModel = TheatreViewModel(exoPlayer, systemManager, SceneSettingsStore(this))
 
         // Register broadcast receiver for panel commands
         registerReceiver(
@@ -267,6 +268,9 @@ class ImmersiveActivity : AppSystemActivity() {
         
         // Register skybox with lighting manager so it can be tinted
         skybox?.let { theatreViewModel.getSceneLightingManager()?.registerSkybox(it) }
+        
+        // Restore the environment and lighting chosen last time (in VR or from the web client)
+        theatreViewModel.applySavedSceneSettings()
     }
 
     /**
@@ -8,16 +8,34 @@ import android.app.Service
 import android.content.Intent
 import android.net.Uri
 import android.os.Binder
+import android.os.Build
 import android.os.IBinder
+import android.provider.Settings
 import androidx.core.app.NotificationCompat
 import androidx.work.ExistingWorkPolicy
 import androidx.work.OneTimeWorkRequestBuilder
 import androidx.work.WorkManager
+import com.inotter.onthegovr.data.datasources.videolibrary.VideoLibraryDataSource
+import com.inotter.onthegovr.data.managers.PermissionManager.PermissionManager
+import com.inotter.onthegovr.data.managers.ThumbnailManager.UploadedFrameStore
+import com.inotter.onthegovr.data.managers.TransferManager.DeviceSettingsHandler
 import com.inotter.onthegovr.data.managers.TransferManager.JettyUploadServer
+import com.inotter.onthegovr.data.managers.TransferManager.LibraryManagementHandler
 import com.inotter.onthegovr.data.managers.TransferManager.MediaStoreUploader
 import com.inotter.onthegovr.data.managers.TransferManager.NetworkUtils
+import com.inotter.onthegovr.data.managers.TransferManager.SessionAuthenticator
+import com.inotter.onthegovr.data.managers.TransferManager.TransferCertificateStore
+import com.inotter.onthegovr.data.managers.TransferManager.TransferEventBroadcaster
+import com.inotter.onthegovr.data.managers.TransferManager.TransferHistoryRecorder
+import com.inotter.onthegovr.data.managers.TransferManager.TransferPeerDiscovery
 import com.inotter.onthegovr.data.managers.TransferManager.TusUploadHandler
+import com.inotter.onthegovr.data.repositories.LibraryRepository.LibraryRepository
+import com.inotter.onthegovr.data.repositories.ScanSettingsRepository.ScanSettingsRepository
+import com.inotter.onthegovr.data.repositories.TransferLogRepository.TransferLogRepository
 import com.inotter.onthegovr.data.repositories.UploadSessionRepository.UploadSessionRepository
+import com.inotter.onthegovr.data.repositories.VideoRepository.VideoRepository
+import com.inotter.onthegovr.playback.RemotePlaybackController
+import com.inotter.onthegovr.spatial.data.SceneSettingsStore
 import com.inotter.onthegovr.workers.MediaStoreScanWorker
 import com.inotter.onthegovr.workers.UploadCleanupWorker
 import dagger.hilt.android.AndroidEntryPoint
@@ -60,7 +78,14 @@ class TransferService : Service() {
     /** Service state */
     sealed class State {
         object Stopped : State()
-        data class Running(val ipAddress: String, val port: Int) : State()
+        /** [certificateFingerprint] is set when the server speaks HTTPS */
+        data class Running(
+            val ipAddress: String,
+            val port: Int,
+            val certificateFingerprint: String? = null
+        ) : State() {
+            val url: String get() = "${if (certificateFingerprint != null) "https" else "http"}://$ipAddress:$port"
+        }
         data class Error(val message: String) : State()
     }
 
@@ -71,10 +96,35 @@ class TransferService : Service() {
     @Inject
     lateinit var uploadSessionRepository: UploadSessionRepository
 
+    @Inject
+    lateinit var videoRepository: VideoRepository
+
+    @Inject
+    lateinit var libraryRepository: LibraryRepository
+
+    @Inject
+    lateinit var remotePlaybackController: RemotePlaybackController
+
+    @Inject
+    lateinit var videoLibraryDataSource: VideoLibraryDataSource
+
+    @Inject
+    lateinit var scanSettingsRepository: ScanSettingsRepository
+
+    @Inject
+    lateinit var permissionManager: PermissionManager
+
+    @Inject
+    lateinit var transferLogRepository: TransferLogRepository
+
     private val binder = LocalBinder()
     private var jettyServer: JettyUploadServer? = null
     private var tusFileUploadService: TusFileUploadService? = null
     private var tusUploadHandler: TusUploadHandler? = null
+    private var eventBroadcaster: TransferEventBroadcaster? = null
+    private var sessionAuthenticator: SessionAuthenticator? = null
+    private var playerEventsJob: Job? = null
+    private var peerDiscovery: TransferPeerDiscovery? = null
     private val serviceScope = CoroutineScope(Dispatchers.IO + SupervisorJob())
 
     private val _state = MutableStateFlow<State>(State.Stopped)
@@ -153,6 +203,7 @@ class TransferService : Service() {
 
             // Create TUS file upload service with disk storage
             // Use app cache directory for temp TUS files
+            // The concatenation extension, which the web client's parallel uploads use, is on by default
             val tusDataDir = File(cacheDir, "tus")
             tusDataDir.mkdirs()
             val tusService = TusFileUploadService()
@@ -162,30 +213,100 @@ class TransferService : Service() {
                 .withMaxUploadSize(Long.MAX_VALUE - 1) // Must be < Long.MAX_VALUE due to library validation
             tusFileUploadService = tusService
 
+            // Create event broadcaster for live updates in the web client
+            val broadcaster = TransferEventBroadcaster(
+                context = applicationContext,
+                isPinEnabled = { _pinEnabled.value }
+            )
+            eventBroadcaster = broadcaster
+
+            // Record every transfer in the persistent transfer log
+            val historyRecorder = TransferHistoryRecorder(
+                transferLogRepository = transferLogRepository,
+                tusService = tusService,
+                onHistoryChanged = { broadcaster.publishHistoryChanged() }
+            )
+
+            // Frames the web client captures while uploading, shared by the upload and library handlers
+            val frameStore = UploadedFrameStore(this)
+
             // Create upload handler to move completed files to MediaStore
             val uploadHandler = TusUploadHandler(
                 uploadSessionRepository = uploadSessionRepository,
                 mediaStoreUploader = mediaStoreUploader,
+                libraryRepository = libraryRepository,
+                videoRepository = videoRepository,
                 tusService = tusService,
                 tusDataDir = tusDataDir,
-                onFileUploaded = { uri -> onFileUploaded(uri) }
+                frameStore = frameStore,
+                onFileUploaded = { uri -> onFileUploaded(uri) },
+                onProcessingStatusChanged = { id, status ->
+                    broadcaster.publishProcessing(id, status)
+                    historyRecorder.onProcessingStatus(id, status)
+                }
             )
             tusUploadHandler = uploadHandler
 
+            // Create library handler for remote delete/rename/move requests
+            val libraryHandler = LibraryManagementHandler(
+                mediaStoreUploader = mediaStoreUploader,
+                videoRepository = videoRepository,
+                libraryRepository = libraryRepository,
+                frameStore = frameStore,
+                onLibraryChanged = { action, name -> broadcaster.publishFilesChanged(action, name) }
+            )
+
+            // Create settings handler for the web client's Settings tab
+            val settingsHandler = DeviceSettingsHandler(
+                context = applicationContext,
+                dataSource = videoLibraryDataSource,
+                scanSettingsRepository = scanSettingsRepository,
+                permissionManager = permissionManager,
+                sceneSettingsStore = SceneSettingsStore(applicationContext),
+                onSettingsChanged = { broadcaster.publishSettingsChanged() }
+            )
+
+            // Create session authenticator; the browser exchanges the PIN for a session cookie
+            val authenticator = SessionAuthenticator(
+                currentPin = { _currentPin.value.takeIf { _pinEnabled.value } }
+            )
+            sessionAuthenticator = authenticator
+
+            // HTTPS with this headset's self-signed certificate, when turned on in the transfer screen
+            val certificateStore = TransferCertificateStore(applicationContext)
+            val certificate = if (certificateStore.isHttpsEnabled()) certificateStore.loadOrCreateCertificate() else null
+
+            // Advertise this headset and find the others, so the web client can upload to several
+            val discovery = TransferPeerDiscovery(applicationContext, getDeviceName())
+            peerDiscovery = discovery
+
             // Create Jetty server with TUS support
             val result: Pair<JettyUploadServer, Int> = JettyUploadServer.createWithFallbackPorts(
                 context = applicationContext,
                 tusService = tusService,
                 uploadHandler = uploadHandler,
-                pinVerifier = { pin: String -> verifyPin(pin) },
-                isPinEnabled = { _pinEnabled.value },
+                authenticator = authenticator,
                 onFileUploaded = { uri: android.net.Uri -> onFileUploaded(uri) },
-                tusDataDir = tusDataDir
+                tusDataDir = tusDataDir,
+                libraryHandler = libraryHandler,
+                eventBroadcaster = broadcaster,
+                remoteControl = remotePlaybackController,
+                peerDiscovery = discovery,
+                settingsHandler = settingsHandler,
+                historyRecorder = historyRecorder,
+                transferLog = transferLogRepository,
+                certificate = certificate
             )
             val server = result.first
             val actualPort = result.second
 
             jettyServer = server
+            discovery.start(actualPort, secure = certificate != null)
+
+            // Push player state to the web client's remote control
+            playerEventsJob = serviceScope.launch {
+                remotePlaybackController.state.collect { state -> broadcaster.publishPlayer(state) }
+            }
 
             // Observe uploaded files
             serviceScope.launch {
@@ -194,8 +315,9 @@ class TransferService : Service() {
                 }
             }
 
-            _state.value = State.Running(ipAddress, actualPort)
-            updateNotification("Server running at http://$ipAddress:$actualPort")
+            val running = State.Running(ipAddress, actualPort, certificate?.fingerprint)
+            _state.value = running
+            updateNotification("Server running at ${running.url}")
 
             android.util.Log.i("TransferService", "Jetty TUS server started on port $actualPort")
 
@@ -222,15 +344,37 @@ class TransferService : Service() {
 
     /** Stops the Jetty HTTP server */
     fun stopServer() {
+        playerEventsJob?.cancel()
+        playerEventsJob = null
+        peerDiscovery?.stop()
+        peerDiscovery = null
         jettyServer?.stop()
         jettyServer = null
         tusFileUploadService = null
         tusUploadHandler = null
+        eventBroadcaster = null
+        sessionAuthenticator = null
         _state.value = State.Stopped
     }
 
+    /**
+     * Restarts a running server so it picks up a changed setting, such as HTTPS. Open pages are
+     * told the server stopped; after switching between HTTP and HTTPS they need the new address.
+     */
+    fun restartServer() {
+        if (jettyServer == null) return
+        stopServer()
+        startServer()
+    }
+
     /** Called when a file is successfully uploaded to MediaStore */
     private fun onFileUploaded(contentUri: Uri) {
+        // Record the upload so it shows up in the recent uploads list
+        val mediaStoreUploader = MediaStoreUploader(contentResolver)
+        val filename = mediaStoreUploader.getDisplayName(contentUri) ?: contentUri.lastPathSegment ?: "video"
+        jettyServer?.addUploadedFile(filename, mediaStoreUploader.getFileSize(contentUri))
+        eventBroadcaster?.publishFilesChanged("uploaded", filename)
+
         // Update notification
         val currentState = _state.value
         if (currentState is State.Running) {
@@ -289,6 +433,7 @@ class TransferService : Service() {
         val pin = generatePin()
         _currentPin.value = pin
         _pinEnabled.value = true
+        eventBroadcaster?.publishPinChanged()
         android.util.Log.i("TransferService", "PIN protection enabled")
         return pin
     }
@@ -297,6 +442,7 @@ class TransferService : Service() {
     fun setPin(pin: String) {
         _currentPin.value = pin
         _pinEnabled.value = true
+        eventBroadcaster?.publishPinChanged()
         android.util.Log.i("TransferService", "PIN set from repository")
     }
 
@@ -304,20 +450,27 @@ class TransferService : Service() {
     fun disablePinProtection() {
         _currentPin.value = null
         _pinEnabled.value = false
+        eventBroadcaster?.publishPinChanged()
         android.util.Log.i("TransferService", "PIN protection disabled")
     }
 
+    /** Creates a one-time pairing token for the QR code, or null if the server isn't running */
+    fun createPairingToken(): SessionAuthenticator.PairingToken? = sessionAuthenticator?.createPairingToken()
+
+    /** Returns true if a pairing token can still be used, see [SessionAuthenticator.isPairingTokenValid] */
+    fun isPairingTokenValid(token: String): Boolean = sessionAuthenticator?.isPairingTokenValid(token) == true
+
+    /** Name shown to other headsets' web clients: the name set in the device settings, or the model */
+    private fun getDeviceName(): String {
+        return Settings.Global.getString(contentResolver, Settings.Global.DEVICE_NAME)?.takeIf { it.isNotBlank() }
+            ?: Build.MODEL
+    }
+
     /** Generates a new 4-digit PIN */
     private fun generatePin(): String {
         return (1000..9999).random().toString()
     }
 
-    /** Verifies if the provided PIN matches the current PIN */
-    fun verifyPin(pin: String): Boolean {
-        val currentPin = _currentPin.value ?: return true // No PIN required if not enabled
-        return pin == currentPin
-    }
-
     /**
      * Triggers MediaStore scan to discover uploaded files.
      * Files are already in MediaStore (Movies/OnTheGoVR/), just need to scan.
@@ -428,7 +581,7 @@ class TransferService : Service() {
     fun getServerUrl(): String? {
         val currentState = _state.value
         return if (currentState is State.Running) {
-            "http://${currentState.ipAddress}:${currentState.port}"
+            currentState.url
         } else null
     }
 
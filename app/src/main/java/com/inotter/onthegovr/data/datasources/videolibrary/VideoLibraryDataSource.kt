@@ -4,9 +4,13 @@ import com.inotter.onthegovr.data.datasources.videolibrary.models.LibraryFolder
 import com.inotter.onthegovr.data.datasources.videolibrary.models.PlaybackSettings
 import com.inotter.onthegovr.data.datasources.videolibrary.models.ScanSettings
 import com.inotter.onthegovr.data.datasources.videolibrary.models.SourceType
+import com.inotter.onthegovr.data.datasources.videolibrary.models.SubtitleSidecar
 import com.inotter.onthegovr.data.datasources.videolibrary.models.Thumbnail
+import com.inotter.onthegovr.data.datasources.videolibrary.models.TransferLogEntry
+import com.inotter.onthegovr.data.datasources.videolibrary.models.TransferOutcome
 import com.inotter.onthegovr.data.datasources.videolibrary.models.UploadSession
 import com.inotter.onthegovr.data.datasources.videolibrary.models.UploadSessionStatus
+import com.inotter.onthegovr.data.datasources.videolibrary.models.VideoFormat
 import com.inotter.onthegovr.data.datasources.videolibrary.models.VideoItem
 import kotlinx.coroutines.flow.Flow
 
@@ -27,10 +31,16 @@ interface VideoLibraryDataSource {
     // ============== Video Item Operations ==============
 
     suspend fun insertOrReplaceVideo(item: VideoItem): Long
+    suspend fun updateVideo(item: VideoItem)
     fun getAllVideos(): Flow<List<VideoItem>>
     suspend fun deleteVideoById(id: Long)
     suspend fun findVideoBySignature(sig: String): VideoItem?
     suspend fun updateVideoPlaybackProgress(id: Long, lastPlayedAt: Long?, lastPositionMs: Long?)
+    suspend fun updateVideoTitle(id: Long, title: String)
+    suspend fun updateVideoDetails(id: Long, title: String, description: String?, tags: List<String>)
+    suspend fun updateVideoFolder(id: Long, folderId: Long?)
+    suspend fun updateVideoSubtitles(id: Long, subtitles: List<SubtitleSidecar>)
+    suspend fun updateVideoFormat(id: Long, format: VideoFormat)
     suspend fun markVideosUnavailable(ids: List<Long>, flag: Boolean = true)
     suspend fun getVideosByFolderId(folderId: Long): List<VideoItem>
     fun getVideosBySourceType(sourceType: SourceType): Flow<List<VideoItem>>
@@ -42,7 +52,8 @@ interface VideoLibraryDataSource {
     // ============== Thumbnail Operations ==============
 
     suspend fun upsertThumbnail(thumb: Thumbnail)
-    suspend fun getThumbnail(videoId: Long): Thumbnail?
+    suspend fun getThumbnails(videoId: Long): List<Thumbnail>
+    suspend fun replaceThumbnails(videoId: Long, thumbs: List<Thumbnail>)
 
     // ============== Playback Settings Operations ==============
 
@@ -98,5 +109,36 @@ interface VideoLibraryDataSource {
 
     /** Delete expired TUS sessions (older than 24 hours) */
     suspend fun deleteExpiredUploadSessions(cutoffMillis: Long = UploadSession.EXPIRATION_MILLIS): Int
-}
 
+    // ============== Transfer Log Operations ==============
+
+    /** Insert a log entry; ignored if one with the same transferKey exists */
+    suspend fun insertTransferLogEntry(entry: TransferLogEntry): Long
+    suspend fun getTransferLogEntry(transferKey: String): TransferLogEntry?
+
+    /** Newest first; null filters match everything, a negative limit returns all entries */
+    suspend fun queryTransferLog(
+        outcome: TransferOutcome?,
+        query: String?,
+        from: Long?,
+        to: Long?,
+        limit: Int,
+        offset: Int
+    ): List<TransferLogEntry>
+    suspend fun countTransferLog(outcome: TransferOutcome?, query: String?, from: Long?, to: Long?): Int
+    suspend fun updateTransferBytesReceived(transferKey: String, bytes: Long)
+    suspend fun markTransferReceived(transferKey: String, bytes: Long, timestamp: Long = System.currentTimeMillis())
+
+    /** Set the outcome of a transfer still in progress; returns the number of entries updated */
+    suspend fun finishTransfer(
+        transferKey: String,
+        outcome: TransferOutcome,
+        error: String? = null,
+        bytes: Long? = null,
+        timestamp: Long = System.currentTimeMillis()
+    ): Int
+
+    /** Mark transfers started more than [cutoffMillis] ago that never finished as expired */
+    suspend fun expireStaleTransfers(cutoffMillis: Long = UploadSession.EXPIRATION_MILLIS): Int
+    suspend fun deleteTransferLogOlderThan(timestamp: Long): Int
+}
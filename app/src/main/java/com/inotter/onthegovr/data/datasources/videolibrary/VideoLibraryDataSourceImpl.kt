@@ -1,12 +1,17 @@
 package com.inotter.onthegovr.data.datasources.videolibrary
 
+import androidx.room.withTransaction
 import com.inotter.onthegovr.data.datasources.videolibrary.models.LibraryFolder
 import com.inotter.onthegovr.data.datasources.videolibrary.models.PlaybackSettings
 import com.inotter.onthegovr.data.datasources.videolibrary.models.ScanSettings
 import com.inotter.onthegovr.data.datasources.videolibrary.models.SourceType
+import com.inotter.onthegovr.data.datasources.videolibrary.models.SubtitleSidecar
 import com.inotter.onthegovr.data.datasources.videolibrary.models.Thumbnail
+import com.inotter.onthegovr.data.datasources.videolibrary.models.TransferLogEntry
+import com.inotter.onthegovr.data.datasources.videolibrary.models.TransferOutcome
 import com.inotter.onthegovr.data.datasources.videolibrary.models.UploadSession
 import com.inotter.onthegovr.data.datasources.videolibrary.models.UploadSessionStatus
+import com.inotter.onthegovr.data.datasources.videolibrary.models.VideoFormat
 import com.inotter.onthegovr.data.datasources.videolibrary.models.VideoItem
 import kotlinx.coroutines.flow.Flow
 import javax.inject.Inject
@@ -27,6 +32,7 @@ class VideoLibraryDataSourceImpl @Inject constructor(
     private val playbackSettingsDao = database.playbackSettingsDao()
     private val scanSettingsDao = database.scanSettingsDao()
     private val uploadSessionDao = database.uploadSessionDao()
+    private val transferLogDao = database.transferLogDao()
 
     // ============== Library Folder Operations ==============
 
@@ -50,6 +56,9 @@ class VideoLibraryDataSourceImpl @Inject constructor(
     override suspend fun insertOrReplaceVideo(item: VideoItem): Long =
         videoItemDao.insertOrReplace(item)
 
+    override suspend fun updateVideo(item: VideoItem) =
+        videoItemDao.update(item)
+
     override fun getAllVideos(): Flow<List<VideoItem>> =
         videoItemDao.getAll()
 
@@ -62,6 +71,21 @@ class VideoLibraryDataSourceImpl @Inject constructor(
     override suspend fun updateVideoPlaybackProgress(id: Long, lastPlayedAt: Long?, lastPositionMs: Long?) =
         videoItemDao.updatePlaybackProgress(id, lastPlayedAt, lastPositionMs)
 
+    override suspend fun updateVideoTitle(id: Long, title: String) =
+        videoItemDao.updateTitle(id, title)
+
+    override suspend fun updateVideoDetails(id: Long, title: String, description: String?, tags: List<String>) =
+        videoItemDao.updateDetails(id, title, description, tags)
+
+    override suspend fun updateVideoFolder(id: Long, folderId: Long?) =
+        videoItemDao.updateFolderId(id, folderId)
+
+    override suspend fun updateVideoSubtitles(id: Long, subtitles: List<SubtitleSidecar>) =
+        videoItemDao.updateSubtitles(id, subtitles)
+
+    override suspend fun updateVideoFormat(id: Long, format: VideoFormat) =
+        videoItemDao.updateFormat(id, format.projection, format.stereoMode)
+
     override suspend fun markVideosUnavailable(ids: List<Long>, flag: Boolean) =
         videoItemDao.markUnavailable(ids, flag)
 
@@ -88,8 +112,14 @@ class VideoLibraryDataSourceImpl @Inject constructor(
     override suspend fun upsertThumbnail(thumb: Thumbnail) =
         thumbnailDao.upsert(thumb)
 
-    override suspend fun getThumbnail(videoId: Long): Thumbnail? =
-        thumbnailDao.get(videoId)
+    override suspend fun getThumbnails(videoId: Long): List<Thumbnail> =
+        thumbnailDao.getForVideo(videoId)
+
+    override suspend fun replaceThumbnails(videoId: Long, thumbs: List<Thumbnail>) =
+        database.withTransaction {
+            thumbnailDao.deleteForVideo(videoId)
+            thumbnailDao.insertAll(thumbs)
+        }
 
     // ============== Playback Settings Operations ==============
 
@@ -196,5 +226,51 @@ class VideoLibraryDataSourceImpl @Inject constructor(
         val cutoff = System.currentTimeMillis() - cutoffMillis
         return uploadSessionDao.deleteExpired(cutoff)
     }
-}
 
+    // ============== Transfer Log Operations ==============
+
+    override suspend fun insertTransferLogEntry(entry: TransferLogEntry): Long =
+        transferLogDao.insert(entry)
+
+    override suspend fun getTransferLogEntry(transferKey: String): TransferLogEntry? =
+        transferLogDao.getByTransferKey(transferKey)
+
+    override suspend fun queryTransferLog(
+        outcome: TransferOutcome?,
+        query: String?,
+        from: Long?,
+        to: Long?,
+        limit: Int,
+        offset: Int
+    ): List<TransferLogEntry> =
+        transferLogDao.query(outcome, query?.let(::escapeLike), from, to, limit, offset)
+
+    override suspend fun countTransferLog(outcome: TransferOutcome?, query: String?, from: Long?, to: Long?): Int =
+        transferLogDao.count(outcome, query?.let(::escapeLike), from, to)
+
+    override suspend fun updateTransferBytesReceived(transferKey: String, bytes: Long) =
+        transferLogDao.updateBytesReceived(transferKey, bytes)
+
+    override suspend fun markTransferReceived(transferKey: String, bytes: Long, timestamp: Long) =
+        transferLogDao.markReceived(transferKey, bytes, timestamp)
+
+    override suspend fun finishTransfer(
+        transferKey: String,
+        outcome: TransferOutcome,
+        error: String?,
+        bytes: Long?,
+        timestamp: Long
+    ): Int = transferLogDao.finish(transferKey, outcome, error, bytes, timestamp)
+
+    override suspend fun expireStaleTransfers(cutoffMillis: Long): Int {
+        val cutoff = System.currentTimeMillis() - cutoffMillis
+        return transferLogDao.markExpired(cutoff)
+    }
+
+    override suspend fun deleteTransferLogOlderThan(timestamp: Long): Int =
+        transferLogDao.deleteOlderThan(timestamp)
+
+    /** Escapes LIKE wildcards so the search text matches literally */
+    private fun escapeLike(text: String): String =
+        text.replace("\\", "\\\\").replace("%", "\\%").replace("_", "\\_")
+}
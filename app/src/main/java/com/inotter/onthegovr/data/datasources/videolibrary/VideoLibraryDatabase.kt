@@ -9,6 +9,7 @@ import com.inotter.onthegovr.data.datasources.videolibrary.dao.LibraryFolderDao
 import com.inotter.onthegovr.data.datasources.videolibrary.dao.PlaybackSettingsDao
 import com.inotter.onthegovr.data.datasources.videolibrary.dao.ScanSettingsDao
 import com.inotter.onthegovr.data.datasources.videolibrary.dao.ThumbnailDao
+import com.inotter.onthegovr.data.datasources.videolibrary.dao.TransferLogDao
 import com.inotter.onthegovr.data.datasources.videolibrary.dao.UploadSessionDao
 import com.inotter.onthegovr.data.datasources.videolibrary.dao.VideoItemDao
 import com.inotter.onthegovr.data.datasources.videolibrary.models.Converters
@@ -16,17 +17,18 @@ import com.inotter.onthegovr.data.datasources.videolibrary.models.LibraryFolder
 import com.inotter.onthegovr.data.datasources.videolibrary.models.PlaybackSettings
 import com.inotter.onthegovr.data.datasources.videolibrary.models.ScanSettings
 import com.inotter.onthegovr.data.datasources.videolibrary.models.Thumbnail
+import com.inotter.onthegovr.data.datasources.videolibrary.models.TransferLogEntry
 import com.inotter.onthegovr.data.datasources.videolibrary.models.UploadSession
 import com.inotter.onthegovr.data.datasources.videolibrary.models.VideoItem
 
 /**
  * Room database for the VR video library feature.
  * Contains entities for library folders, video items, thumbnails, playback settings, scan settings,
- * and upload sessions for resumable uploads.
+ * upload sessions for resumable uploads, and the log of transfers received over WiFi.
  */
 @Database(
-    entities = [LibraryFolder::class, VideoItem::class, Thumbnail::class, PlaybackSettings::class, ScanSettings::class, UploadSession::class],
-    version = 5,
+    entities = [LibraryFolder::class, VideoItem::class, Thumbnail::class, PlaybackSettings::class, ScanSettings::class, UploadSession::class, TransferLogEntry::class],
+    version = 10,
     exportSchema = true,
 )
 @TypeConverters(Converters::class)
@@ -37,6 +39,7 @@ abstract class VideoLibraryDatabase : RoomDatabase() {
   abstract fun playbackSettingsDao(): PlaybackSettingsDao
   abstract fun scanSettingsDao(): ScanSettingsDao
   abstract fun uploadSessionDao(): UploadSessionDao
+  abstract fun transferLogDao(): TransferLogDao
 
   companion object {
     /**
@@ -140,6 +143,94 @@ abstract class VideoLibraryDatabase : RoomDatabase() {
         db.execSQL("ALTER TABLE playback_settings ADD COLUMN volume REAL NOT NULL DEFAULT 0.5")
       }
     }
+
+    /**
+     * Migration from version 5 to 6:
+     * - Add subtitles column to video_items (JSON list of subtitle sidecar files)
+     */
+    val MIGRATION_5_6 = object : Migration(5, 6) {
+      override fun migrate(db: SupportSQLiteDatabase) {
+        db.execSQL("ALTER TABLE video_items ADD COLUMN subtitles TEXT NOT NULL DEFAULT '[]'")
+      }
+    }
+
+    /**
+     * Migration from version 6 to 7:
+     * - Allow several thumbnails per video (poster and preview frames): recreate thumbnails
+     *   with its own primary key, kind, positionMs and path columns
+     * - Existing rows become posters
+     */
+    val MIGRATION_6_7 = object : Migration(6, 7) {
+      override fun migrate(db: SupportSQLiteDatabase) {
+        db.execSQL("""
+          CREATE TABLE IF NOT EXISTS thumbnails_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL,
+            videoId INTEGER NOT NULL,
+            kind TEXT NOT NULL,
+            positionMs INTEGER NOT NULL,
+            path TEXT,
+            generationStatus TEXT NOT NULL,
+            lastGeneratedAt INTEGER,
+            FOREIGN KEY(videoId) REFERENCES video_items(id) ON UPDATE NO ACTION ON DELETE CASCADE
+          )
+        """)
+        db.execSQL("""
+          INSERT INTO thumbnails_new (videoId, kind, positionMs, path, generationStatus, lastGeneratedAt)
+          SELECT videoId, 'Poster', 0, NULL, generationStatus, lastGeneratedAt FROM thumbnails
+        """)
+        db.execSQL("DROP TABLE thumbnails")
+        db.execSQL("ALTER TABLE thumbnails_new RENAME TO thumbnails")
+        db.execSQL("CREATE INDEX IF NOT EXISTS index_thumbnails_videoId ON thumbnails(videoId)")
+      }
+    }
+
+    /**
+     * Migration from version 7 to 8:
+     * - Add projection and stereoMode columns to video_items (VR format, flat mono by default)
+     */
+    val MIGRATION_7_8 = object : Migration(7, 8) {
+      override fun migrate(db: SupportSQLiteDatabase) {
+        db.execSQL("ALTER TABLE video_items ADD COLUMN projection TEXT NOT NULL DEFAULT 'FLAT'")
+        db.execSQL("ALTER TABLE video_items ADD COLUMN stereoMode TEXT NOT NULL DEFAULT 'MONO'")
+      }
+    }
+
+    /**
+     * Migration from version 8 to 9:
+     * - Add description and tags columns to video_items (set from the upload queue)
+     */
+    val MIGRATION_8_9 = object : Migration(8, 9) {
+      override fun migrate(db: SupportSQLiteDatabase) {
+        db.execSQL("ALTER TABLE video_items ADD COLUMN description TEXT")
+        db.execSQL("ALTER TABLE video_items ADD COLUMN tags TEXT NOT NULL DEFAULT '[]'")
+      }
+    }
+
+    /**
+     * Migration from version 9 to 10:
+     * - Create transfer_log table (history of WiFi transfers, kept after the server stops)
+     */
+    val MIGRATION_9_10 = object : Migration(9, 10) {
+      override fun migrate(db: SupportSQLiteDatabase) {
+        db.execSQL("""
+          CREATE TABLE IF NOT EXISTS transfer_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL,
+            transferKey TEXT NOT NULL,
+            filename TEXT NOT NULL,
+            size INTEGER NOT NULL,
+            bytesReceived INTEGER NOT NULL,
+            remoteAddress TEXT,
+            userAgent TEXT,
+            startedAt INTEGER NOT NULL,
+            endedAt INTEGER,
+            outcome TEXT NOT NULL,
+            error TEXT
+          )
+        """)
+        db.execSQL("CREATE UNIQUE INDEX IF NOT EXISTS index_transfer_log_transferKey ON transfer_log(transferKey)")
+        db.execSQL("CREATE INDEX IF NOT EXISTS index_transfer_log_startedAt ON transfer_log(startedAt)")
+      }
+    }
   }
 }
 
@@ -11,7 +11,12 @@ interface ThumbnailDao {
   @Insert(onConflict = OnConflictStrategy.REPLACE)
   suspend fun upsert(thumb: Thumbnail)
 
-  @Query("SELECT * FROM thumbnails WHERE videoId = :videoId")
-  suspend fun get(videoId: Long): Thumbnail?
-}
+  @Insert
+  suspend fun insertAll(thumbs: List<Thumbnail>)
+
+  @Query("SELECT * FROM thumbnails WHERE videoId = :videoId ORDER BY kind, positionMs")
+  suspend fun getForVideo(videoId: Long): List<Thumbnail>
 
+  @Query("DELETE FROM thumbnails WHERE videoId = :videoId")
+  suspend fun deleteForVideo(videoId: Long)
+}
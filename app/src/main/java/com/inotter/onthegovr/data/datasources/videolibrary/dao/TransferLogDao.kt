@@ -0,0 +1,89 @@
+package com.inotter.onthegovr.data.datasources.videolibrary.dao
+
+import androidx.room.Dao
+import androidx.room.Insert
+import androidx.room.OnConflictStrategy
+import androidx.room.Query
+import com.inotter.onthegovr.data.datasources.videolibrary.models.TransferLogEntry
+import com.inotter.onthegovr.data.datasources.videolibrary.models.TransferOutcome
+
+/**
+ * Data Access Object for TransferLogEntry entity.
+ *
+ * Filter parameters left null match everything. [query] is matched against the file name,
+ * IP address and user agent with LIKE, so callers escape '%', '_' and '\' with '\'.
+ */
+@Dao
+interface TransferLogDao {
+    /** Does nothing if an entry with the same transferKey exists */
+    @Insert(onConflict = OnConflictStrategy.IGNORE)
+    suspend fun insert(entry: TransferLogEntry): Long
+
+    @Query("SELECT * FROM transfer_log WHERE transferKey = :transferKey")
+    suspend fun getByTransferKey(transferKey: String): TransferLogEntry?
+
+    @Query("""
+        SELECT * FROM transfer_log
+        WHERE (:outcome IS NULL OR outcome = :outcome)
+          AND (:from IS NULL OR startedAt >= :from)
+          AND (:to IS NULL OR startedAt < :to)
+          AND (:query IS NULL
+               OR filename LIKE '%' || :query || '%' ESCAPE '\'
+               OR remoteAddress LIKE '%' || :query || '%' ESCAPE '\'
+               OR userAgent LIKE '%' || :query || '%' ESCAPE '\')
+        ORDER BY startedAt DESC
+        LIMIT :limit OFFSET :offset
+    """)
+    suspend fun query(
+        outcome: TransferOutcome?,
+        query: String?,
+        from: Long?,
+        to: Long?,
+        limit: Int,
+        offset: Int
+    ): List<TransferLogEntry>
+
+    @Query("""
+        SELECT COUNT(*) FROM transfer_log
+        WHERE (:outcome IS NULL OR outcome = :outcome)
+          AND (:from IS NULL OR startedAt >= :from)
+          AND (:to IS NULL OR startedAt < :to)
+          AND (:query IS NULL
+               OR filename LIKE '%' || :query || '%' ESCAPE '\'
+               OR remoteAddress LIKE '%' || :query || '%' ESCAPE '\'
+               OR userAgent LIKE '%' || :query || '%' ESCAPE '\')
+    """)
+    suspend fun count(outcome: TransferOutcome?, query: String?, from: Long?, to: Long?): Int
+
+    @Query("UPDATE transfer_log SET bytesReceived = :bytes WHERE transferKey = :transferKey AND outcome = 'IN_PROGRESS'")
+    suspend fun updateBytesReceived(transferKey: String, bytes: Long)
+
+    /** Records the last byte arriving; the outcome follows once the file is processed */
+    @Query("UPDATE transfer_log SET bytesReceived = :bytes, endedAt = :timestamp WHERE transferKey = :transferKey AND outcome = 'IN_PROGRESS'")
+    suspend fun markReceived(transferKey: String, bytes: Long, timestamp: Long = System.currentTimeMillis())
+
+    /**
+     * Sets the outcome of a transfer still in progress. Keeps the time the last byte arrived
+     * if [markReceived] recorded it. [bytes] null keeps the bytes received so far.
+     */
+    @Query("""
+        UPDATE transfer_log
+        SET outcome = :outcome, error = :error, endedAt = COALESCE(endedAt, :timestamp),
+            bytesReceived = COALESCE(:bytes, bytesReceived)
+        WHERE transferKey = :transferKey AND outcome = 'IN_PROGRESS'
+    """)
+    suspend fun finish(
+        transferKey: String,
+        outcome: TransferOutcome,
+        error: String?,
+        bytes: Long?,
+        timestamp: Long = System.currentTimeMillis()
+    ): Int
+
+    /** Gives up on transfers started before [cutoff] that never finished */
+    @Query("UPDATE transfer_log SET outcome = 'EXPIRED', endedAt = :timestamp WHERE outcome = 'IN_PROGRESS' AND startedAt < :cutoff")
+    suspend fun markExpired(cutoff: Long, timestamp: Long = System.currentTimeMillis()): Int
+
+    @Query("DELETE FROM transfer_log WHERE startedAt < :cutoff")
+    suspend fun deleteOlderThan(cutoff: Long): Int
+}
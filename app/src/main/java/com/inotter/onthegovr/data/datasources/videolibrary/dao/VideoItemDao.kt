@@ -4,8 +4,12 @@ import androidx.room.Dao
 import androidx.room.Insert
 import androidx.room.OnConflictStrategy
 import androidx.room.Query
+import androidx.room.Update
 import com.inotter.onthegovr.data.datasources.videolibrary.models.SourceType
+import com.inotter.onthegovr.data.datasources.videolibrary.models.StereoMode
+import com.inotter.onthegovr.data.datasources.videolibrary.models.SubtitleSidecar
 import com.inotter.onthegovr.data.datasources.videolibrary.models.VideoItem
+import com.inotter.onthegovr.data.datasources.videolibrary.models.VideoProjection
 import kotlinx.coroutines.flow.Flow
 
 @Dao
@@ -13,6 +17,10 @@ interface VideoItemDao {
   @Insert(onConflict = OnConflictStrategy.REPLACE)
   suspend fun insertOrReplace(item: VideoItem): Long
 
+  /** Updates the row in place. Unlike [insertOrReplace], this keeps the video's thumbnails. */
+  @Update
+  suspend fun update(item: VideoItem)
+
   @Query("SELECT * FROM video_items ORDER BY createdAt DESC")
   fun getAll(): Flow<List<VideoItem>>
 
@@ -25,6 +33,21 @@ interface VideoItemDao {
   @Query("UPDATE video_items SET lastPlayedAt = :lastPlayedAt, lastPositionMs = :lastPositionMs WHERE id = :id")
   suspend fun updatePlaybackProgress(id: Long, lastPlayedAt: Long?, lastPositionMs: Long?)
 
+  @Query("UPDATE video_items SET title = :title WHERE id = :id")
+  suspend fun updateTitle(id: Long, title: String)
+
+  @Query("UPDATE video_items SET title = :title, description = :description, tags = :tags WHERE id = :id")
+  suspend fun updateDetails(id: Long, title: String, description: String?, tags: List<String>)
+
+  @Query("UPDATE video_items SET folderId = :folderId WHERE id = :id")
+  suspend fun updateFolderId(id: Long, folderId: Long?)
+
+  @Query("UPDATE video_items SET subtitles = :subtitles WHERE id = :id")
+  suspend fun updateSubtitles(id: Long, subtitles: List<SubtitleSidecar>)
+
+  @Query("UPDATE video_items SET projection = :projection, stereoMode = :stereoMode WHERE id = :id")
+  suspend fun updateFormat(id: Long, projection: VideoProjection, stereoMode: StereoMode)
+
   @Query("UPDATE video_items SET unavailable = :flag WHERE id IN (:ids)")
   suspend fun markUnavailable(ids: List<Long>, flag: Boolean = true)
 
@@ -1,14 +1,60 @@
 package com.inotter.onthegovr.data.datasources.videolibrary.models
 
 import androidx.room.TypeConverter
+import org.json.JSONArray
+import org.json.JSONObject
 
 class Converters {
   @TypeConverter fun fromThumbStatus(value: ThumbnailGenerationStatus?): String? = value?.name
   @TypeConverter fun toThumbStatus(value: String?): ThumbnailGenerationStatus? =
       value?.let { runCatching { ThumbnailGenerationStatus.valueOf(it) }.getOrNull() }
 
+  @TypeConverter fun fromThumbKind(value: ThumbnailKind?): String? = value?.name
+  @TypeConverter fun toThumbKind(value: String?): ThumbnailKind? =
+      value?.let { runCatching { ThumbnailKind.valueOf(it) }.getOrDefault(ThumbnailKind.Poster) }
+
   @TypeConverter fun fromSourceType(value: SourceType?): String? = value?.name
   @TypeConverter fun toSourceType(value: String?): SourceType? =
       value?.let { runCatching { SourceType.valueOf(it) }.getOrDefault(SourceType.SAF) }
-}
 
+  @TypeConverter fun fromProjection(value: VideoProjection?): String? = value?.name
+  @TypeConverter fun toProjection(value: String?): VideoProjection? =
+      value?.let { runCatching { VideoProjection.valueOf(it) }.getOrDefault(VideoProjection.FLAT) }
+
+  @TypeConverter fun fromStereoMode(value: StereoMode?): String? = value?.name
+  @TypeConverter fun toStereoMode(value: String?): StereoMode? =
+      value?.let { runCatching { StereoMode.valueOf(it) }.getOrDefault(StereoMode.MONO) }
+
+  @TypeConverter fun fromTags(value: List<String>?): String = JSONArray(value.orEmpty()).toString()
+  @TypeConverter fun toTags(value: String?): List<String> =
+      runCatching {
+        val array = JSONArray(value ?: "[]")
+        (0 until array.length()).map { i -> array.getString(i) }
+      }.getOrDefault(emptyList())
+
+  @TypeConverter fun fromSubtitles(value: List<SubtitleSidecar>?): String =
+      JSONArray().apply {
+        value.orEmpty().forEach { subtitle ->
+          put(JSONObject().apply {
+            put("uri", subtitle.uri)
+            put("fileName", subtitle.fileName)
+            put("mimeType", subtitle.mimeType)
+            put("language", subtitle.language ?: JSONObject.NULL)
+          })
+        }
+      }.toString()
+
+  @TypeConverter fun toSubtitles(value: String?): List<SubtitleSidecar> =
+      runCatching {
+        val array = JSONArray(value ?: "[]")
+        (0 until array.length()).map { i ->
+          val json = array.getJSONObject(i)
+          SubtitleSidecar(
+              uri = json.getString("uri"),
+              fileName = json.getString("fileName"),
+              mimeType = json.getString("mimeType"),
+              language = if (json.isNull("language")) null else json.optString("language"),
+          )
+        }
+      }.getOrDefault(emptyList())
+}
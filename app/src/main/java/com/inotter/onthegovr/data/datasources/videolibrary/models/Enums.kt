@@ -2,3 +2,4 @@ package com.inotter.onthegovr.data.datasources.videolibrary.models
 
 enum class ThumbnailGenerationStatus { Pending, Done, Failed }
 
+enum class ThumbnailKind { Poster, Preview }
@@ -6,7 +6,8 @@ import androidx.room.PrimaryKey
 
 /**
  * Represents a library folder containing video files.
- * Each folder is identified by a unique SAF tree URI.
+ * Each folder is identified by a unique SAF tree URI, or by a MediaStore relative
+ * path for folders created by WiFi Transfer (see [MEDIASTORE_URI_PREFIX]).
  *
  * @property id Auto-generated primary key
  * @property treeUri SAF document tree URI (unique)
@@ -26,5 +27,18 @@ data class LibraryFolder(
     val includeSubfolders: Boolean = true,
     val addedAt: Long,
     val lastScanTime: Long? = null,
-)
+) {
+    /** True if this folder is backed by a MediaStore relative path rather than a SAF tree. */
+    val isMediaStoreFolder: Boolean
+        get() = treeUri.startsWith(MEDIASTORE_URI_PREFIX)
+
+    companion object {
+        /** [treeUri] prefix for folders backed by a MediaStore relative path */
+        const val MEDIASTORE_URI_PREFIX = "mediastore:"
+
+        /** Builds the [treeUri] key for a MediaStore relative path, e.g. "Movies/OnTheGoVR/Show/". */
+        fun mediaStoreTreeUri(relativePath: String): String =
+            MEDIASTORE_URI_PREFIX + relativePath.trimEnd('/')
+    }
+}
 
@@ -9,5 +9,10 @@ data class PlaybackSettings(
     val skipIntervalMs: Int = 10_000,
     val resumeEnabled: Boolean = true,
     val volume: Float = 0.5f,
-)
+) {
+  companion object {
+    /** Skip intervals offered in the settings screen and the web client */
+    val SKIP_INTERVAL_OPTIONS_MS = listOf(5_000, 10_000, 15_000, 30_000)
+  }
+}
 
@@ -0,0 +1,41 @@
+package com.inotter.onthegovr.data.datasources.videolibrary.models
+
+/**
+ * An external subtitle file stored next to a video (e.g. "Movie.en.srt" beside "Movie.mp4").
+ * Kept in [VideoItem.subtitles] so library rescans, which copy the item, keep the link.
+ *
+ * @property uri content:// URI of the subtitle file
+ * @property fileName Display name of the subtitle file
+ * @property mimeType Subtitle MIME type (SubRip, WebVTT or SSA)
+ * @property language Language tag taken from the file name ("en" in "Movie.en.srt"), if any
+ */
+data class SubtitleSidecar(
+    val uri: String,
+    val fileName: String,
+    val mimeType: String,
+    val language: String? = null,
+) {
+    companion object {
+        /** Subtitle extensions (lowercase) mapped to their MIME types */
+        val MIME_TYPES = mapOf(
+            "srt" to "application/x-subrip",
+            "vtt" to "text/vtt",
+            "ass" to "text/x-ssa",
+            "ssa" to "text/x-ssa",
+        )
+
+        /** Matches language tags like "en", "eng" or "pt-BR" */
+        private val LANGUAGE_TAG = Regex("^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})?$")
+
+        /** Returns the MIME type for a subtitle file name, or null if it is not a supported subtitle. */
+        fun mimeTypeFor(fileName: String): String? =
+            MIME_TYPES[fileName.substringAfterLast('.', "").lowercase()]
+
+        /** Returns the language tag before the extension ("Movie.en.srt" -> "en"), or null if there is none. */
+        fun languageFromFileName(fileName: String): String? {
+            val stem = fileName.substringBeforeLast('.')
+            if (!stem.contains('.')) return null
+            return stem.substringAfterLast('.').takeIf { LANGUAGE_TAG.matches(it) }
+        }
+    }
+}
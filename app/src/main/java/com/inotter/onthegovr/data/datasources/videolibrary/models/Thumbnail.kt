@@ -5,6 +5,14 @@ import androidx.room.ForeignKey
 import androidx.room.Index
 import androidx.room.PrimaryKey
 
+/**
+ * A frame image of a video: its poster or one of its preview frames.
+ *
+ * @property videoId Video the frame belongs to
+ * @property kind Poster (library artwork) or Preview
+ * @property positionMs Position in the video the frame was taken from
+ * @property path Absolute path to the JPEG file, or null until generated
+ */
 @Entity(
     tableName = "thumbnails",
     foreignKeys = [
@@ -15,11 +23,14 @@ import androidx.room.PrimaryKey
         onDelete = ForeignKey.CASCADE,
       ),
     ],
-    indices = [Index(value = ["videoId"], unique = true)],
+    indices = [Index("videoId")],
 )
 data class Thumbnail(
-    @PrimaryKey val videoId: Long,
+    @PrimaryKey(autoGenerate = true) val id: Long = 0,
+    val videoId: Long,
+    val kind: ThumbnailKind = ThumbnailKind.Poster,
+    val positionMs: Long = 0,
+    val path: String? = null,
     val generationStatus: ThumbnailGenerationStatus = ThumbnailGenerationStatus.Pending,
     val lastGeneratedAt: Long? = null,
 )
-
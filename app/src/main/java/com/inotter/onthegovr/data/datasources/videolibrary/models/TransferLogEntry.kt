@@ -0,0 +1,74 @@
+package com.inotter.onthegovr.data.datasources.videolibrary.models
+
+import androidx.room.Entity
+import androidx.room.Index
+import androidx.room.PrimaryKey
+
+/**
+ * One file sent to the transfer server, kept after the server stops as an audit log of who
+ * uploaded what. Written by the transfer server as the upload progresses.
+ *
+ * @property id Auto-generated primary key
+ * @property transferKey Identifies the transfer across its TUS uploads: the TUS upload ID, or the
+ *   web client's transfer ID for a parallel upload sent as several parts
+ * @property filename Name of the file as sent by the client
+ * @property size Total file size in bytes
+ * @property bytesReceived Bytes the server had received when the transfer ended (or so far)
+ * @property remoteAddress IP address of the uploading client
+ * @property userAgent User-Agent header of the uploading browser
+ * @property startedAt When the client created the upload (epoch millis)
+ * @property endedAt When the last byte arrived, or when the transfer was cancelled or given up;
+ *   null while in progress
+ * @property outcome How the transfer ended
+ * @property error Why the transfer failed, if it did
+ */
+@Entity(
+    tableName = "transfer_log",
+    indices = [
+        Index(value = ["transferKey"], unique = true),
+        Index(value = ["startedAt"])
+    ]
+)
+data class TransferLogEntry(
+    @PrimaryKey(autoGenerate = true)
+    val id: Long = 0,
+    val transferKey: String,
+    val filename: String,
+    val size: Long,
+    val bytesReceived: Long = 0,
+    val remoteAddress: String? = null,
+    val userAgent: String? = null,
+    val startedAt: Long = System.currentTimeMillis(),
+    val endedAt: Long? = null,
+    val outcome: TransferOutcome = TransferOutcome.IN_PROGRESS,
+    val error: String? = null
+) {
+    /** Time from creating the upload to the last byte (or cancellation), null while in progress */
+    val durationMs: Long?
+        get() = endedAt?.let { (it - startedAt).coerceAtLeast(0) }
+
+    /** Average transfer speed in bytes per second, null while in progress */
+    val averageBytesPerSecond: Long?
+        get() = durationMs?.takeIf { it > 0 }?.let { bytesReceived * 1000 / it }
+
+    companion object {
+        /** Entries older than this are removed by the periodic upload cleanup */
+        const val RETENTION_MILLIS = 180 * 24 * 60 * 60 * 1000L
+    }
+}
+
+/**
+ * How a logged transfer ended.
+ */
+enum class TransferOutcome {
+    /** Still receiving data, or waiting for the client to resume */
+    IN_PROGRESS,
+    /** Received and saved to the headset */
+    COMPLETED,
+    /** Received but rejected or not saved (checksum mismatch, invalid file, storage error) */
+    FAILED,
+    /** Cancelled by the client */
+    CANCELLED,
+    /** Never finished; the unfinished upload expired */
+    EXPIRED
+}
@@ -20,7 +20,8 @@ import androidx.room.PrimaryKey
  * @property filename Original filename being uploaded
  * @property expectedSize Total expected file size in bytes
  * @property bytesReceived Number of bytes successfully written to MediaStore (TUS offset)
- * @property mediaStoreUri Content URI of the pending MediaStore entry (IS_PENDING=1)
+ * @property mediaStoreUri Content URI of the pending MediaStore entry (IS_PENDING=1), or a
+ *   [PENDING_URI_PREFIX] placeholder while data is still being received into TUS storage
  * @property mimeType MIME type of the file (e.g., "video/mp4")
  * @property createdAt Timestamp when the upload session was created (epoch millis)
  * @property lastUpdatedAt Timestamp of last progress update (epoch millis)
@@ -72,9 +73,19 @@ data class UploadSession(
                System.currentTimeMillis() - lastUpdatedAt > maxAgeMillis
     }
 
+    /**
+     * Returns true if [mediaStoreUri] refers to a real MediaStore entry
+     * rather than the placeholder used while the upload is in progress.
+     */
+    val hasMediaStoreEntry: Boolean
+        get() = !mediaStoreUri.startsWith(PENDING_URI_PREFIX)
+
     companion object {
         /** 24 hours in milliseconds - TUS session expiration time */
         const val EXPIRATION_MILLIS = 24 * 60 * 60 * 1000L
+
+        /** Placeholder [mediaStoreUri] prefix, unique per TUS upload ID, until the MediaStore entry exists */
+        const val PENDING_URI_PREFIX = "pending:"
     }
 }
 
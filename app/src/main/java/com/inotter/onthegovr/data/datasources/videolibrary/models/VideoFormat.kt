@@ -0,0 +1,82 @@
+package com.inotter.onthegovr.data.datasources.videolibrary.models
+
+/**
+ * How a video is projected in VR: the surface its frames are mapped onto and how
+ * the two eyes' images are packed into each frame.
+ * Stored on [VideoItem] as its projection and stereoMode columns. Nothing reads it yet: the
+ * player and the theatre show every video on a flat screen, whatever its format.
+ *
+ * @property projection Flat screen, or 180°/360° equirectangular sphere
+ * @property stereoMode Mono, or one image per eye side by side or over-under
+ */
+data class VideoFormat(
+    val projection: VideoProjection = VideoProjection.FLAT,
+    val stereoMode: StereoMode = StereoMode.MONO,
+) {
+    companion object {
+        /** File name tags, matched case-insensitively between separators ("Beach_180_LR.mp4") */
+        private val SIDE_BY_SIDE_TAGS = setOf("lr", "sbs", "3dh")
+        private val TOP_BOTTOM_TAGS = setOf("tb", "ou", "3dv")
+        private val EQUIRECT_180_TAGS = setOf("180", "vr180", "180x180")
+        private val EQUIRECT_360_TAGS = setOf("360", "vr360", "360x180")
+
+        private val TAG_SEPARATOR = Regex("[^a-z0-9]+")
+
+        /**
+         * Guesses the format from file name conventions such as "_LR", "_TB", "_180" or "_360".
+         * Names without any of these tags are flat mono.
+         */
+        fun fromFileName(fileName: String): VideoFormat {
+            val tags = fileName.substringBeforeLast('.').lowercase().split(TAG_SEPARATOR).toSet()
+            val projection = when {
+                tags.any { it in EQUIRECT_360_TAGS } -> VideoProjection.EQUIRECT_360
+                tags.any { it in EQUIRECT_180_TAGS } -> VideoProjection.EQUIRECT_180
+                else -> VideoProjection.FLAT
+            }
+            val stereoMode = when {
+                tags.any { it in SIDE_BY_SIDE_TAGS } -> StereoMode.SIDE_BY_SIDE
+                tags.any { it in TOP_BOTTOM_TAGS } -> StereoMode.TOP_BOTTOM
+                else -> StereoMode.MONO
+            }
+            return VideoFormat(projection, stereoMode)
+        }
+
+        /**
+         * Parses enum names as sent by the web client ("EQUIRECT_180", "SIDE_BY_SIDE").
+         * Returns null if either is missing or unknown.
+         */
+        fun fromNames(projection: String?, stereoMode: String?): VideoFormat? {
+            val parsedProjection = VideoProjection.entries.find { it.name == projection } ?: return null
+            val parsedStereoMode = StereoMode.entries.find { it.name == stereoMode } ?: return null
+            return VideoFormat(parsedProjection, parsedStereoMode)
+        }
+    }
+}
+
+/**
+ * Surface a video's frames are mapped onto.
+ */
+enum class VideoProjection {
+    /** Regular video shown on a flat screen */
+    FLAT,
+
+    /** Half sphere in front of the viewer (VR180) */
+    EQUIRECT_180,
+
+    /** Full sphere around the viewer */
+    EQUIRECT_360
+}
+
+/**
+ * How the left and right eye images are packed into each frame.
+ */
+enum class StereoMode {
+    /** One image for both eyes */
+    MONO,
+
+    /** Left eye on the left half, right eye on the right half */
+    SIDE_BY_SIDE,
+
+    /** Left eye on the top half, right eye on the bottom half */
+    TOP_BOTTOM
+}
@@ -1,5 +1,6 @@
 package com.inotter.onthegovr.data.datasources.videolibrary.models
 
+import androidx.room.Embedded
 import androidx.room.Entity
 import androidx.room.ForeignKey
 import androidx.room.Index
@@ -12,7 +13,9 @@ import androidx.room.PrimaryKey
  * @property id Auto-generated primary key
  * @property folderId Foreign key to the parent library folder (NULL for MediaStore-discovered)
  * @property fileUri SAF document URI or content:// URI for the video file
- * @property title Video title (from file name)
+ * @property title Video title (from file name unless set by the uploader)
+ * @property description Free-text description set by the uploader
+ * @property tags Tags set by the uploader, used to filter the library
  * @property durationMs Video duration in milliseconds
  * @property sizeBytes File size in bytes
  * @property contentSignature Unique signature (first/last 8MiB hash + size)
@@ -23,6 +26,8 @@ import androidx.room.PrimaryKey
  * @property thumbnailPath Absolute path to cached thumbnail file
  * @property sourceType Source of discovery (SAF or MEDIASTORE)
  * @property mediaStoreId MediaStore._ID for tracking (null for SAF-discovered)
+ * @property subtitles External subtitle files paired with this video
+ * @property format VR projection and stereo layout; stored for now, playback doesn't use it yet
  */
 @Entity(
     tableName = "video_items",
@@ -41,6 +46,8 @@ data class VideoItem(
     val folderId: Long? = null,
     val fileUri: String,
     val title: String,
+    val description: String? = null,
+    val tags: List<String> = emptyList(),
     val durationMs: Long,
     val sizeBytes: Long,
     val contentSignature: String,
@@ -51,5 +58,7 @@ data class VideoItem(
     val thumbnailPath: String? = null,
     val sourceType: SourceType = SourceType.SAF,
     val mediaStoreId: Long? = null,
+    val subtitles: List<SubtitleSidecar> = emptyList(),
+    @Embedded val format: VideoFormat = VideoFormat(),
 )
 
@@ -24,6 +24,7 @@ data class ScannedVideo(
     val durationMs: Long,
     val dateAdded: Long,
     val mimeType: String?,
+    val relativePath: String? = null,
 ) {
     /**
      * Checks if this video has a supported format.
@@ -30,6 +30,7 @@ class ScannerManagerImpl @Inject constructor(
         MediaStore.Video.Media.DURATION,
         MediaStore.Video.Media.DATE_ADDED,
         MediaStore.Video.Media.MIME_TYPE,
+        MediaStore.Video.Media.RELATIVE_PATH,  // Used to match WiFi Transfer folders
     )
 
     override suspend fun scanAllVideos(): List<ScannedVideo> = withContext(Dispatchers.IO) {
@@ -49,6 +50,7 @@ class ScannerManagerImpl @Inject constructor(
             val durationColumn = cursor.getColumnIndexOrThrow(MediaStore.Video.Media.DURATION)
             val dateColumn = cursor.getColumnIndexOrThrow(MediaStore.Video.Media.DATE_ADDED)
             val mimeColumn = cursor.getColumnIndexOrThrow(MediaStore.Video.Media.MIME_TYPE)
+            val relativePathColumn = cursor.getColumnIndexOrThrow(MediaStore.Video.Media.RELATIVE_PATH)
 
             while (cursor.moveToNext()) {
                 val id = cursor.getLong(idColumn)
@@ -66,6 +68,7 @@ class ScannerManagerImpl @Inject constructor(
                     durationMs = cursor.getLong(durationColumn),
                     dateAdded = cursor.getLong(dateColumn),
                     mimeType = cursor.getString(mimeColumn),
+                    relativePath = cursor.getString(relativePathColumn),
                 )
 
                 // Only add supported formats
@@ -0,0 +1,132 @@
+package com.inotter.onthegovr.data.managers.ThumbnailManager
+
+import android.content.Context
+import com.inotter.onthegovr.data.datasources.videolibrary.models.ThumbnailKind
+import java.io.File
+
+/**
+ * Poster and preview frames the web client captured from a video it is uploading.
+ *
+ * Frames are staged under the TUS upload ID while the file is uploading, moved under the
+ * MediaStore ID once the file is finalized ([claim]), and picked up by the library scan that
+ * imports the video ([framesFor]) instead of it extracting a thumbnail on the headset.
+ *
+ * @property context Android application context
+ */
+class UploadedFrameStore(private val context: Context) {
+
+    companion object {
+        private const val TAG = "UploadedFrameStore"
+        private const val DIR_NAME = "uploaded_frames"
+
+        /** Largest frame accepted from the client */
+        const val MAX_FRAME_SIZE_BYTES = 1L * 1024 * 1024
+
+        /** Preview frames kept per video, besides the poster */
+        const val MAX_PREVIEW_FRAMES = 8
+
+        /** Frame files are named "<kind>_<positionMs>.jpg" */
+        private val FRAME_FILE = Regex("^(poster|preview)_(\\d+)\\.jpg$")
+
+        private fun isJpeg(bytes: ByteArray): Boolean =
+            bytes.size > 3 && bytes[0] == 0xFF.toByte() && bytes[1] == 0xD8.toByte() && bytes[2] == 0xFF.toByte()
+    }
+
+    /**
+     * A stored frame image.
+     *
+     * @property kind Poster or preview frame
+     * @property positionMs Position in the video the frame was taken from
+     * @property file The JPEG file
+     */
+    data class Frame(
+        val kind: ThumbnailKind,
+        val positionMs: Long,
+        val file: File,
+    )
+
+    private val rootDir: File get() = File(context.cacheDir, DIR_NAME)
+
+    /**
+     * Stages a frame for an upload still in progress. A new poster replaces the previous one.
+     * Returns false if the bytes are not a JPEG or the upload already has [MAX_PREVIEW_FRAMES] previews.
+     */
+    fun save(uploadId: String, kind: ThumbnailKind, positionMs: Long, jpeg: ByteArray): Boolean {
+        if (!isJpeg(jpeg)) return false
+
+        val dir = File(rootDir, uploadId)
+        val existing = listFrames(dir)
+        val name = frameFileName(kind, positionMs)
+        if (kind == ThumbnailKind.Preview &&
+            existing.count { it.kind == ThumbnailKind.Preview && it.file.name != name } >= MAX_PREVIEW_FRAMES
+        ) {
+            return false
+        }
+
+        return try {
+            dir.mkdirs()
+            if (kind == ThumbnailKind.Poster) {
+                existing.filter { it.kind == ThumbnailKind.Poster }.forEach { it.file.delete() }
+            }
+            File(dir, name).writeBytes(jpeg)
+            true
+        } catch (e: Exception) {
+            android.util.Log.w(TAG, "Failed to save frame for $uploadId: ${e.message}")
+            false
+        }
+    }
+
+    /**
+     * Moves an upload's staged frames under its MediaStore ID once the file is in MediaStore.
+     * Returns false if the client sent no frames.
+     */
+    fun claim(uploadId: String, mediaStoreId: Long): Boolean {
+        val staged = File(rootDir, uploadId)
+        if (listFrames(staged).isEmpty()) return false
+
+        val target = mediaStoreDir(mediaStoreId)
+        target.deleteRecursively()
+        return staged.renameTo(target)
+    }
+
+    /**
+     * Moves frames staged under one upload to another, for the parts of a parallel upload
+     * once they are joined. Frames already staged under [toUploadId] are kept.
+     */
+    fun transfer(fromUploadId: String, toUploadId: String) {
+        val staged = File(rootDir, fromUploadId)
+        val target = File(rootDir, toUploadId)
+        if (listFrames(staged).isEmpty() || listFrames(target).isNotEmpty()) {
+            staged.deleteRecursively()
+            return
+        }
+        target.deleteRecursively()
+        staged.renameTo(target)
+    }
+
+    /** Returns the frames uploaded for a MediaStore video, poster first then previews by position. */
+    fun framesFor(mediaStoreId: Long): List<Frame> =
+        listFrames(mediaStoreDir(mediaStoreId)).sortedWith(compareBy({ it.kind }, { it.positionMs }))
+
+    /** Deletes the frames staged for an upload that was cancelled or failed. */
+    fun discard(uploadId: String) {
+        File(rootDir, uploadId).deleteRecursively()
+    }
+
+    /** Deletes the frames kept for a MediaStore video, once the video itself is deleted. */
+    fun remove(mediaStoreId: Long) {
+        mediaStoreDir(mediaStoreId).deleteRecursively()
+    }
+
+    private fun mediaStoreDir(mediaStoreId: Long) = File(rootDir, "mediastore_$mediaStoreId")
+
+    private fun frameFileName(kind: ThumbnailKind, positionMs: Long) =
+        "${kind.name.lowercase()}_$positionMs.jpg"
+
+    private fun listFrames(dir: File): List<Frame> =
+        dir.listFiles().orEmpty().mapNotNull { file ->
+            val match = FRAME_FILE.matchEntire(file.name) ?: return@mapNotNull null
+            val kind = if (match.groupValues[1] == "poster") ThumbnailKind.Poster else ThumbnailKind.Preview
+            Frame(kind, match.groupValues[2].toLong(), file)
+        }
+}
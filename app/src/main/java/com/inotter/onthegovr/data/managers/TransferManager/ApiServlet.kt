@@ -1,34 +1,199 @@
 package com.inotter.onthegovr.data.managers.TransferManager
 
 import android.content.Context
+import android.graphics.Bitmap
+import com.inotter.onthegovr.data.datasources.videolibrary.models.PlaybackSettings
+import com.inotter.onthegovr.data.datasources.videolibrary.models.ThumbnailKind
+import com.inotter.onthegovr.data.datasources.videolibrary.models.TransferLogEntry
+import com.inotter.onthegovr.data.datasources.videolibrary.models.TransferOutcome
+import com.inotter.onthegovr.data.datasources.videolibrary.models.VideoItem
+import com.inotter.onthegovr.data.managers.ThumbnailManager.UploadedFrameStore
+import com.inotter.onthegovr.data.managers.TransferManager.models.DeviceSettings
+import com.inotter.onthegovr.data.managers.TransferManager.models.DeviceSettingsUpdate
+import com.inotter.onthegovr.data.managers.TransferManager.models.LibraryActionResult
+import com.inotter.onthegovr.data.managers.TransferManager.models.UploadDetails
+import com.inotter.onthegovr.data.managers.TransferManager.models.UploadedVideo
+import com.inotter.onthegovr.data.repositories.TransferLogRepository.TransferLogFilter
+import com.inotter.onthegovr.data.repositories.TransferLogRepository.TransferLogRepository
+import com.inotter.onthegovr.playback.RemotePlaybackCommand
+import com.inotter.onthegovr.playback.RemotePlaybackController
+import com.inotter.onthegovr.spatial.data.EnvironmentType
+import kotlinx.coroutines.runBlocking
+import org.json.JSONArray
 import org.json.JSONObject
 import javax.servlet.http.HttpServlet
 import javax.servlet.http.HttpServletRequest
 import javax.servlet.http.HttpServletResponse
 
 /**
- * Servlet for API endpoints (status, PIN verification).
+ * Servlet for API endpoints (status, PIN verification, file listing and management).
  *
  * Handles:
  * - GET /api/status - Server status and storage info
- * - POST /api/verify-pin - PIN verification
+ * - GET /api/files?offset=0&limit=20&q=beach&tag=holiday - Paged list of uploaded videos, optionally
+ *   filtered by text in the name, title, description or tags and by an exact tag (session required)
+ * - GET /api/files/{id}/thumbnail - JPEG thumbnail for an uploaded video (session required)
+ * - GET /api/folders - Library folders videos can be assigned to (session required)
+ * - GET /api/uploads/incomplete - Unfinished TUS uploads that can be resumed from any browser
+ *   (session required)
+ * - GET /api/uploads/{id} - Processing state of a fully received upload, through to library import
+ *   (session required)
+ * - GET /api/player - State of the headset player for the remote control (session required)
+ * - GET /api/peers - This headset's name and the other headsets running the transfer server on the
+ *   network, for uploading to several at once (session required)
+ * - GET /api/settings - Playback, scan and environment settings with the allowed choices (session required)
+ * - GET /api/history?offset=0&limit=50&outcome=failed&q=beach&from=...&to=... - Paged transfer log,
+ *   newest first, optionally filtered by outcome, text in the file name, IP address or user agent
+ *   and start time in epoch millis (session required)
+ * - GET /api/history/export?format=csv - The filtered transfer log as a CSV or JSON download
+ *   (session required)
+ * - POST /api/verify-pin - PIN verification, sets the session cookie (rate limited); requests from
+ *   a peer's page also get the token, see [PeerCorsFilter]
+ * - POST /api/pair - Exchanges the one-time pairing token from the headset's QR code for a session
+ *   cookie, without the PIN
+ * - POST /api/files/check - Check whether a file is already on the headset before uploading
+ *   (session required)
+ * - POST /api/uploads/{id}/frames?kind=poster&position=12000 - Poster or preview frame for an upload
+ *   in progress, JPEG as body (session required)
+ * - POST /api/uploads/{id}/details - Title, description, tags and folder for an upload that has not
+ *   been imported yet (session required)
+ * - POST /api/files/{id}/rename - Rename a video (session required)
+ * - POST /api/files/{id}/folder - Assign a video to a library folder (session required)
+ * - POST /api/files/{id}/details - Set a video's title, description and tags (session required)
+ * - POST /api/files/{id}/subtitles?name=Movie.en.srt - Add a subtitle sidecar, raw file as body (session required)
+ * - POST /api/player/{play|pause|toggle|seek|skip|volume|subtitle} - Remote control of the headset
+ *   player (session required)
+ * - POST /api/settings - Change any of the settings, applied live on the headset (session required)
+ * - DELETE /api/files/{id} - Delete a video (session required)
+ *
+ * Sessions are issued and checked by [SessionAuthenticator]. With a PIN set, only status, PIN
+ * verification and pairing answer without one.
  */
 class ApiServlet(
     private val context: Context,
-    private val pinVerifier: (String) -> Boolean = { true },
-    private val isPinEnabled: () -> Boolean = { false }
+    private val authenticator: SessionAuthenticator,
+    private val mediaStoreUploader: MediaStoreUploader = MediaStoreUploader(context.contentResolver),
+    private val uploadedFiles: () -> List<JettyUploadServer.UploadedFile> = { emptyList() },
+    private val libraryHandler: LibraryManagementHandler? = null,
+    private val uploadHandler: TusUploadHandler? = null,
+    private val remoteControl: RemotePlaybackController? = null,
+    private val peerDiscovery: TransferPeerDiscovery? = null,
+    private val settingsHandler: DeviceSettingsHandler? = null,
+    private val transferLog: TransferLogRepository? = null
 ) : HttpServlet() {
 
     companion object {
         private const val TAG = "ApiServlet"
         private const val MIME_JSON = "application/json"
+        private const val MIME_JPEG = "image/jpeg"
+
+        /** Not defined in javax.servlet 3.1 */
+        private const val SC_TOO_MANY_REQUESTS = 429
+        private const val SC_PAYLOAD_TOO_LARGE = 413
+
+        /** Default and maximum page sizes for GET /api/files */
+        private const val DEFAULT_PAGE_SIZE = 20
+        private const val MAX_PAGE_SIZE = 100
+
+        /** Default page size for GET /api/history */
+        private const val DEFAULT_HISTORY_PAGE_SIZE = 50
+
+        /** Thumbnail size requested from MediaStore (16:9) */
+        private const val THUMBNAIL_WIDTH = 320
+        private const val THUMBNAIL_HEIGHT = 180
+
+        private val THUMBNAIL_PATH = Regex("^/files/(\\d+)/thumbnail$")
+        private val FILE_PATH = Regex("^/files/(\\d+)$")
+        private val FILE_ACTION_PATH = Regex("^/files/(\\d+)/(rename|folder|subtitles|details)$")
+        private val UPLOAD_STATUS_PATH = Regex("^/uploads/([\\w-]+)$")
+        private val UPLOAD_FRAME_PATH = Regex("^/uploads/([\\w-]+)/frames$")
+        private val UPLOAD_DETAILS_PATH = Regex("^/uploads/([\\w-]+)/details$")
+        private val PLAYER_COMMAND_PATH = Regex("^/player/(play|pause|toggle|seek|skip|volume|subtitle)$")
+
+        /** The transfer log for GET /api/history/export?format=csv, one row per transfer. */
+        internal fun historyCsv(entries: List<TransferLogEntry>): String = buildString {
+            append("started_at,ended_at,filename,size_bytes,bytes_received,duration_ms,average_bytes_per_second,outcome,error,ip_address,user_agent\r\n")
+            entries.forEach { entry ->
+                val fields = listOf(
+                    java.time.Instant.ofEpochMilli(entry.startedAt).toString(),
+                    entry.endedAt?.let { java.time.Instant.ofEpochMilli(it).toString() },
+                    entry.filename,
+                    entry.size.toString(),
+                    entry.bytesReceived.toString(),
+                    entry.durationMs?.toString(),
+                    entry.averageBytesPerSecond?.toString(),
+                    entry.outcome.name.lowercase(),
+                    entry.error,
+                    entry.remoteAddress,
+                    entry.userAgent
+                )
+                append(fields.joinToString(",") { csvField(it.orEmpty()) })
+                append("\r\n")
+            }
+        }
+
+        /**
+         * Quotes a CSV field when needed. Text a spreadsheet would read as a formula
+         * (a file named "=cmd|..." for instance) is prefixed with an apostrophe.
+         */
+        private fun csvField(value: String): String {
+            val text = if (value.isNotEmpty() && value[0] in "=+-@\t\r") "'$value" else value
+            return if (text.any { it == ',' || it == '"' || it == '\n' || it == '\r' }) {
+                "\"" + text.replace("\"", "\"\"") + "\""
+            } else {
+                text
+            }
+        }
     }
 
     override fun doGet(req: HttpServletRequest, resp: HttpServletResponse) {
         val path = req.pathInfo ?: "/"
+        // IDs too long for a Long match the pattern but name no video, so they end up as 404
+        val thumbnailId = THUMBNAIL_PATH.matchEntire(path)?.groupValues?.get(1)?.toLongOrNull()
+        val uploadStatusMatch = UPLOAD_STATUS_PATH.matchEntire(path)
 
-        when (path) {
-            "/status" -> handleStatus(resp)
+        when {
+            path == "/status" -> handleStatus(req, resp)
+            path == "/files" -> {
+                if (!authenticator.requireSession(req, resp)) return
+                handleListFiles(req, resp)
+            }
+            path == "/folders" -> {
+                if (!authenticator.requireSession(req, resp)) return
+                handleListFolders(resp)
+            }
+            path == "/uploads/incomplete" -> {
+                if (!authenticator.requireSession(req, resp)) return
+                handleIncompleteUploads(resp)
+            }
+            path == "/player" -> {
+                if (!authenticator.requireSession(req, resp)) return
+                handlePlayerState(resp)
+            }
+            path == "/peers" -> {
+                if (!authenticator.requireSession(req, resp)) return
+                handleListPeers(resp)
+            }
+            path == "/settings" -> {
+                if (!authenticator.requireSession(req, resp)) return
+                handleGetSettings(resp)
+            }
+            path == "/history" -> {
+                if (!authenticator.requireSession(req, resp)) return
+                handleGetHistory(req, resp)
+            }
+            path == "/history/export" -> {
+                if (!authenticator.requireSession(req, resp)) return
+                handleExportHistory(req, resp)
+            }
+            uploadStatusMatch != null -> {
+                if (!authenticator.requireSession(req, resp)) return
+                handleUploadStatus(uploadStatusMatch.groupValues[1], resp)
+            }
+            thumbnailId != null -> {
+                if (!authenticator.requireSession(req, resp)) return
+                handleThumbnail(thumbnailId, resp)
+            }
             else -> {
                 resp.status = HttpServletResponse.SC_NOT_FOUND
                 resp.contentType = MIME_JSON
@@ -39,9 +204,45 @@ class ApiServlet(
 
     override fun doPost(req: HttpServletRequest, resp: HttpServletResponse) {
         val path = req.pathInfo ?: "/"
+        // IDs too long for a Long name no video, they end up as 404
+        val actionMatch = FILE_ACTION_PATH.matchEntire(path)?.takeIf { it.groupValues[1].toLongOrNull() != null }
+        val frameMatch = UPLOAD_FRAME_PATH.matchEntire(path)
+        val detailsMatch = UPLOAD_DETAILS_PATH.matchEntire(path)
+        val playerMatch = PLAYER_COMMAND_PATH.matchEntire(path)
 
-        when (path) {
-            "/verify-pin" -> handleVerifyPin(req, resp)
+        when {
+            path == "/verify-pin" -> handleVerifyPin(req, resp)
+            path == "/pair" -> handlePair(req, resp)
+            path == "/files/check" -> {
+                if (!authenticator.requireSession(req, resp)) return
+                handleCheckFile(req, resp)
+            }
+            frameMatch != null -> {
+                if (!authenticator.requireSession(req, resp)) return
+                handleUploadFrame(frameMatch.groupValues[1], req, resp)
+            }
+            detailsMatch != null -> {
+                if (!authenticator.requireSession(req, resp)) return
+                handleUploadDetails(detailsMatch.groupValues[1], req, resp)
+            }
+            playerMatch != null -> {
+                if (!authenticator.requireSession(req, resp)) return
+                handlePlayerCommand(playerMatch.groupValues[1], req, resp)
+            }
+            path == "/settings" -> {
+                if (!authenticator.requireSession(req, resp)) return
+                handleUpdateSettings(req, resp)
+            }
+            actionMatch != null -> {
+                if (!authenticator.requireSession(req, resp)) return
+                val mediaStoreId = actionMatch.groupValues[1].toLong()
+                when (actionMatch.groupValues[2]) {
+                    "rename" -> handleRenameFile(mediaStoreId, req, resp)
+                    "folder" -> handleMoveFile(mediaStoreId, req, resp)
+                    "subtitles" -> handleAddSubtitle(mediaStoreId, req, resp)
+                    "details" -> handleUpdateDetails(mediaStoreId, req, resp)
+                }
+            }
             else -> {
                 resp.status = HttpServletResponse.SC_NOT_FOUND
                 resp.contentType = MIME_JSON
@@ -50,17 +251,36 @@ class ApiServlet(
         }
     }
 
+    override fun doDelete(req: HttpServletRequest, resp: HttpServletResponse) {
+        val path = req.pathInfo ?: "/"
+        val fileMatch = FILE_PATH.matchEntire(path)?.takeIf { it.groupValues[1].toLongOrNull() != null }
+
+        if (fileMatch == null) {
+            resp.status = HttpServletResponse.SC_NOT_FOUND
+            resp.contentType = MIME_JSON
+            resp.writer.write("""{"error": "Not found: $path"}""")
+            return
+        }
+
+        if (!authenticator.requireSession(req, resp)) return
+        val handler = libraryHandler ?: return writeLibraryUnavailable(resp)
+        val result = runBlocking { handler.deleteVideo(fileMatch.groupValues[1].toLong()) }
+        writeActionResult(resp, result)
+    }
+
     /**
      * Handles GET /api/status - returns server status and storage info.
      */
-    private fun handleStatus(resp: HttpServletResponse) {
+    private fun handleStatus(req: HttpServletRequest, resp: HttpServletResponse) {
         val availableStorage = FileValidator.getAvailableStorage(context)
 
         val json = JSONObject().apply {
             put("running", true)
             put("storageAvailable", availableStorage)
             put("storageAvailableFormatted", FileValidator.formatBytes(availableStorage))
-            put("pinRequired", isPinEnabled())
+            put("pinRequired", authenticator.isPinEnabled)
+            put("authenticated", authenticator.isAuthorized(req))
+            put("lockoutRemainingMs", authenticator.lockoutRemaining(req.remoteAddr))
             put("tusEnabled", true)
         }
 
@@ -72,26 +292,705 @@ class ApiServlet(
     }
 
     /**
-     * Handles POST /api/verify-pin - verifies the provided PIN.
+     * Handles GET /api/files - returns a page of videos from Movies/OnTheGoVR, newest first.
+     *
+     * Upload times come from this server session's upload history when available,
+     * falling back to MediaStore's DATE_ADDED for files uploaded earlier.
+     * "q" matches case-insensitively against the file name and the library title, description
+     * and tags; "tag" keeps videos carrying that tag. Paging applies to the filtered list.
+     */
+    private fun handleListFiles(req: HttpServletRequest, resp: HttpServletResponse) {
+        val offset = req.getParameter("offset")?.toIntOrNull()?.coerceAtLeast(0) ?: 0
+        val limit = req.getParameter("limit")?.toIntOrNull()?.coerceIn(1, MAX_PAGE_SIZE) ?: DEFAULT_PAGE_SIZE
+
+        val query = req.getParameter("q")?.trim().orEmpty()
+        val tag = req.getParameter("tag")?.trim().orEmpty()
+
+        val sessionUploads = uploadedFiles().associateBy { it.name }
+        val libraryEntries = libraryHandler?.let { runBlocking { it.getLibraryEntries() } } ?: emptyMap()
+        val videos = mediaStoreUploader.queryUploadedVideos().filter { video ->
+            val entry = libraryEntries[video.mediaStoreId]
+            (query.isEmpty() || matchesQuery(video, entry, query)) &&
+                (tag.isEmpty() || entry?.tags.orEmpty().any { it.equals(tag, ignoreCase = true) })
+        }
+        val page = videos.drop(offset).take(limit)
+
+        val files = JSONArray()
+        page.forEach { video ->
+            files.put(toFileJson(video, sessionUploads[video.displayName], libraryEntries[video.mediaStoreId]))
+        }
+
+        val json = JSONObject().apply {
+            put("files", files)
+            put("total", videos.size)
+            put("offset", offset)
+            put("limit", limit)
+            put("hasMore", offset + page.size < videos.size)
+        }
+
+        resp.status = HttpServletResponse.SC_OK
+        resp.contentType = MIME_JSON
+        resp.writer.write(json.toString())
+
+        android.util.Log.d(TAG, "File list request: offset=$offset, limit=$limit, total=${videos.size}")
+    }
+
+    private fun matchesQuery(video: UploadedVideo, entry: VideoItem?, query: String): Boolean {
+        val fields = listOfNotNull(video.displayName, entry?.title, entry?.description) + entry?.tags.orEmpty()
+        return fields.any { it.contains(query, ignoreCase = true) }
+    }
+
+    private fun toFileJson(
+        video: UploadedVideo,
+        sessionUpload: JettyUploadServer.UploadedFile?,
+        libraryEntry: VideoItem?
+    ): JSONObject {
+        return JSONObject().apply {
+            put("id", video.mediaStoreId)
+            put("name", video.displayName)
+            put("size", video.size)
+            put("sizeFormatted", FileValidator.formatBytes(video.size))
+            put("uploadedAt", sessionUpload?.uploadedAt ?: video.dateAddedMillis)
+            put("uploadedThisSession", sessionUpload != null)
+            put("durationMs", video.durationMs)
+            put("mimeType", video.mimeType ?: JSONObject.NULL)
+            put("thumbnailUrl", "/api/files/${video.mediaStoreId}/thumbnail")
+            put("streamUrl", "/media/${video.mediaStoreId}")
+            put("downloadUrl", "/media/${video.mediaStoreId}?download=1")
+            put("path", video.subfolder ?: JSONObject.NULL)
+            put("indexed", libraryEntry != null)
+            put("folderId", libraryEntry?.folderId ?: JSONObject.NULL)
+            put("title", libraryEntry?.title ?: JSONObject.NULL)
+            put("description", libraryEntry?.description ?: JSONObject.NULL)
+            put("tags", JSONArray(libraryEntry?.tags.orEmpty()))
+            put("subtitles", JSONArray(libraryEntry?.subtitles.orEmpty().map { it.fileName }))
+            put("projection", libraryEntry?.format?.projection?.name ?: JSONObject.NULL)
+            put("stereoMode", libraryEntry?.format?.stereoMode?.name ?: JSONObject.NULL)
+        }
+    }
+
+    /**
+     * Handles GET /api/folders - returns library folders videos can be assigned to.
+     */
+    private fun handleListFolders(resp: HttpServletResponse) {
+        val handler = libraryHandler ?: return writeLibraryUnavailable(resp)
+        val folders = runBlocking { handler.listFolders() }
+
+        val json = JSONObject().apply {
+            put("folders", JSONArray().apply {
+                folders.forEach { folder ->
+                    put(JSONObject().apply {
+                        put("id", folder.id)
+                        put("name", folder.displayName)
+                    })
+                }
+            })
+        }
+
+        resp.status = HttpServletResponse.SC_OK
+        resp.contentType = MIME_JSON
+        resp.writer.write(json.toString())
+    }
+
+    /**
+     * Handles GET /api/uploads/incomplete - returns uploads that were interrupted before completion.
+     */
+    private fun handleIncompleteUploads(resp: HttpServletResponse) {
+        val uploads = uploadHandler?.let { runBlocking { it.getIncompleteUploads() } } ?: emptyList()
+
+        val json = JSONObject().apply {
+            put("uploads", JSONArray().apply {
+                uploads.forEach { upload ->
+                    put(JSONObject().apply {
+                        put("id", upload.tusUploadId)
+                        put("uploadUrl", upload.uploadUrl)
+                        put("filename", upload.filename)
+                        put("size", upload.size)
+                        put("offset", upload.offset)
+                        put("mimeType", upload.mimeType)
+                        put("createdAt", upload.createdAt)
+                        put("lastUpdatedAt", upload.lastUpdatedAt)
+                    })
+                }
+            })
+        }
+
+        resp.status = HttpServletResponse.SC_OK
+        resp.contentType = MIME_JSON
+        resp.writer.write(json.toString())
+
+        android.util.Log.d(TAG, "Incomplete uploads request: ${uploads.size} found")
+    }
+
+    /**
+     * Handles GET /api/uploads/{id} - returns the processing state of a completed upload.
+     * The client checks this after its last chunk to follow copying, validation and library import.
+     */
+    private fun handleUploadStatus(tusUploadId: String, resp: HttpServletResponse) {
+        val status = uploadHandler?.getProcessingStatus(tusUploadId)
+        if (status == null) {
+            resp.status = HttpServletResponse.SC_NOT_FOUND
+            resp.contentType = MIME_JSON
+            resp.writer.write("""{"error": "Unknown upload: $tusUploadId"}""")
+            return
+        }
+
+        val json = JSONObject().apply {
+            put("id", tusUploadId)
+            put("state", status.state.name)
+            put("finished", status.state.isFinished)
+            put("error", status.error ?: JSONObject.NULL)
+            put("progress", status.progress ?: JSONObject.NULL)
+            put("videoId", status.videoId ?: JSONObject.NULL)
+        }
+
+        resp.status = HttpServletResponse.SC_OK
+        resp.contentType = MIME_JSON
+        resp.writer.write(json.toString())
+    }
+
+    /**
+     * Handles POST /api/files/check - body: {"name": "Movie.mp4", "size": 123, "signature": "<hex>:123"}
+     * The signature is optional; without it only name and size are compared.
+     */
+    private fun handleCheckFile(req: HttpServletRequest, resp: HttpServletResponse) {
+        val handler = libraryHandler ?: return writeLibraryUnavailable(resp)
+        val body = readJsonBody(req)
+        val name = body?.optString("name", "").orEmpty()
+        val size = body?.optLong("size", -1L) ?: -1L
+        if (name.isEmpty() || size < 0) {
+            writeActionResult(resp, LibraryActionResult.Invalid("name and size are required"))
+            return
+        }
+        val signature = body?.optString("signature", "")?.takeIf { it.isNotEmpty() }
+
+        val match = runBlocking { handler.findDuplicate(name, size, signature) }
+        val json = JSONObject().apply {
+            put("exists", match != null)
+            if (match != null) {
+                put("match", JSONObject().apply {
+                    put("id", match.mediaStoreId ?: JSONObject.NULL)
+                    put("title", match.title)
+                    put("size", match.size)
+                    put("matchedBy", match.matchedBy)
+                    put("replaceable", match.replaceable)
+                })
+            }
+        }
+
+        resp.status = HttpServletResponse.SC_OK
+        resp.contentType = MIME_JSON
+        resp.writer.write(json.toString())
+
+        android.util.Log.d(TAG, "Duplicate check for $name: ${match?.matchedBy ?: "none"}")
+    }
+
+    /**
+     * Handles POST /api/files/{id}/rename - body: {"name": "New name.mp4"}
+     */
+    private fun handleRenameFile(mediaStoreId: Long, req: HttpServletRequest, resp: HttpServletResponse) {
+        val handler = libraryHandler ?: return writeLibraryUnavailable(resp)
+        val body = readJsonBody(req)
+        val name = body?.optString("name", "").orEmpty()
+
+        val result = runBlocking { handler.renameVideo(mediaStoreId, name) }
+        writeActionResult(resp, result)
+    }
+
+    /**
+     * Handles POST /api/files/{id}/folder - body: {"folderId": 3} or {"folderId": null}
+     */
+    private fun handleMoveFile(mediaStoreId: Long, req: HttpServletRequest, resp: HttpServletResponse) {
+        val handler = libraryHandler ?: return writeLibraryUnavailable(resp)
+        val body = readJsonBody(req)
+        if (body == null || !body.has("folderId")) {
+            writeActionResult(resp, LibraryActionResult.Invalid("folderId is required"))
+            return
+        }
+        val folderId = if (body.isNull("folderId")) null else body.optLong("folderId")
+
+        val result = runBlocking { handler.moveVideo(mediaStoreId, folderId) }
+        writeActionResult(resp, result)
+    }
+
+    /**
+     * Handles POST /api/files/{id}/details - body: {"title": "...", "description": "...", "tags": ["..."]}
+     */
+    private fun handleUpdateDetails(mediaStoreId: Long, req: HttpServletRequest, resp: HttpServletResponse) {
+        val handler = libraryHandler ?: return writeLibraryUnavailable(resp)
+        val body = readJsonBody(req)
+            ?: return writeActionResult(resp, LibraryActionResult.Invalid("A JSON body is required"))
+
+        val result = runBlocking { handler.updateDetails(mediaStoreId, readDetails(body)) }
+        writeActionResult(resp, result)
+    }
+
+    /**
+     * Handles POST /api/files/{id}/subtitles?name=Movie.en.srt - body: the subtitle file
+     */
+    private fun handleAddSubtitle(mediaStoreId: Long, req: HttpServletRequest, resp: HttpServletResponse) {
+        val handler = libraryHandler ?: return writeLibraryUnavailable(resp)
+        val name = req.getParameter("name").orEmpty()
+        if (!FileValidator.isValidSubtitleFile(name)) {
+            writeActionResult(resp, LibraryActionResult.Invalid(
+                "Unsupported subtitle format. Supported formats: ${FileValidator.getSupportedSubtitleExtensionsDisplay()}"
+            ))
+            return
+        }
+
+        val content = req.inputStream.use { it.readBytesUpTo(FileValidator.MAX_SUBTITLE_SIZE_BYTES + 1) }
+        if (req.contentLengthLong > FileValidator.MAX_SUBTITLE_SIZE_BYTES || content.size > FileValidator.MAX_SUBTITLE_SIZE_BYTES) {
+            resp.status = SC_PAYLOAD_TOO_LARGE
+            resp.contentType = MIME_JSON
+            resp.writer.write(JSONObject().apply {
+                put("success", false)
+                put("error", "Subtitle file is larger than ${FileValidator.formatBytes(FileValidator.MAX_SUBTITLE_SIZE_BYTES)}")
+            }.toString())
+            return
+        }
+
+        val result = runBlocking { handler.addSubtitle(mediaStoreId, name, content) }
+        writeActionResult(resp, result)
+    }
+
+    /**
+     * Handles POST /api/uploads/{id}/frames?kind=poster|preview&position=ms - body: the JPEG frame
+     */
+    private fun handleUploadFrame(tusUploadId: String, req: HttpServletRequest, resp: HttpServletResponse) {
+        val handler = uploadHandler ?: return writeLibraryUnavailable(resp, "Uploads are not available")
+        val kind = when (req.getParameter("kind")) {
+            "poster" -> ThumbnailKind.Poster
+            "preview" -> ThumbnailKind.Preview
+            else -> null
+        }
+        val positionMs = req.getParameter("position")?.toLongOrNull()?.takeIf { it >= 0 }
+        if (kind == null || positionMs == null) {
+            writeActionResult(resp, LibraryActionResult.Invalid("kind (poster or preview) and position are required"))
+            return
+        }
+
+        val jpeg = req.inputStream.use { it.readBytesUpTo(UploadedFrameStore.MAX_FRAME_SIZE_BYTES + 1) }
+        if (req.contentLengthLong > UploadedFrameStore.MAX_FRAME_SIZE_BYTES || jpeg.size > UploadedFrameStore.MAX_FRAME_SIZE_BYTES) {
+            resp.status = SC_PAYLOAD_TOO_LARGE
+            resp.contentType = MIME_JSON
+            resp.writer.write(JSONObject().apply {
+                put("success", false)
+                put("error", "Frame is larger than ${FileValidator.formatBytes(UploadedFrameStore.MAX_FRAME_SIZE_BYTES)}")
+            }.toString())
+            return
+        }
+
+        writeActionResult(resp, handler.saveUploadFrame(tusUploadId, kind, positionMs, jpeg))
+    }
+
+    /**
+     * Handles POST /api/uploads/{id}/details - body: {"title": "...", "description": "...",
+     * "tags": ["..."], "folderId": 3}, replacing the details sent as TUS metadata
+     */
+    private fun handleUploadDetails(tusUploadId: String, req: HttpServletRequest, resp: HttpServletResponse) {
+        val handler = uploadHandler ?: return writeLibraryUnavailable(resp, "Uploads are not available")
+        val body = readJsonBody(req)
+            ?: return writeActionResult(resp, LibraryActionResult.Invalid("A JSON body is required"))
+
+        val result = runBlocking { handler.updateUploadDetails(tusUploadId, readDetails(body)) }
+        writeActionResult(resp, result)
+    }
+
+    /**
+     * Handles GET /api/player - returns what the headset is playing, or {"active": false}
+     */
+    private fun handlePlayerState(resp: HttpServletResponse) {
+        val json = remoteControl?.state?.value?.toJson() ?: JSONObject().put("active", false)
+
+        resp.status = HttpServletResponse.SC_OK
+        resp.contentType = MIME_JSON
+        resp.writer.write(json.toString())
+    }
+
+    /**
+     * Handles GET /api/peers - returns {"name": "Quest 3", "peers": [{"name": "...", "url": "http://..."}]}.
+     * Without discovery only this headset is listed.
+     */
+    private fun handleListPeers(resp: HttpServletResponse) {
+        val json = JSONObject().apply {
+            put("name", peerDiscovery?.deviceName ?: android.os.Build.MODEL)
+            put("peers", JSONArray().apply {
+                peerDiscovery?.getPeers()?.forEach { peer ->
+                    put(JSONObject().apply {
+                        put("name", peer.name)
+                        put("url", peer.origin)
+                    })
+                }
+            })
+        }
+
+        resp.status = HttpServletResponse.SC_OK
+        resp.contentType = MIME_JSON
+        resp.writer.write(json.toString())
+    }
+
+    /**
+     * Handles POST /api/player/{command}. play, pause and toggle take no body; the others take
+     * {"positionMs": 60000} (seek), {"forward": true} (skip), {"volume": 0.5} (volume)
+     * or {"trackIndex": 2} (subtitle, -1 turns subtitles off).
+     */
+    private fun handlePlayerCommand(name: String, req: HttpServletRequest, resp: HttpServletResponse) {
+        val controller = remoteControl
+            ?: return writeActionResult(resp, LibraryActionResult.Failed("Remote control is not available"))
+        val state = controller.state.value
+            ?: return writeActionResult(resp, LibraryActionResult.NotFound("Nothing is playing on the headset"))
+
+        val command = when (name) {
+            "play" -> RemotePlaybackCommand.Play
+            "pause" -> RemotePlaybackCommand.Pause
+            "toggle" -> RemotePlaybackCommand.TogglePlayPause
+            else -> {
+                val body = readJsonBody(req)
+                    ?: return writeActionResult(resp, LibraryActionResult.Invalid("A JSON body is required"))
+                readPlayerCommand(name, body, state.subtitles.size)
+                    ?: return writeActionResult(resp, LibraryActionResult.Invalid("Invalid $name request"))
+            }
+        }
+
+        val result = if (controller.send(command)) {
+            LibraryActionResult.Success
+        } else {
+            LibraryActionResult.NotFound("Nothing is playing on the headset")
+        }
+        writeActionResult(resp, result)
+    }
+
+    /** Returns null if a value is missing or out of range. */
+    private fun readPlayerCommand(name: String, body: JSONObject, subtitleCount: Int): RemotePlaybackCommand? =
+        when (name) {
+            "seek" -> body.optLong("positionMs", -1).takeIf { it >= 0 }?.let { RemotePlaybackCommand.SeekTo(it) }
+            "skip" -> if (body.has("forward")) RemotePlaybackCommand.Skip(body.optBoolean("forward")) else null
+            "volume" -> body.optDouble("volume").takeIf { it in 0.0..1.0 }
+                ?.let { RemotePlaybackCommand.SetVolume(it.toFloat()) }
+            "subtitle" -> body.optInt("trackIndex", Int.MIN_VALUE).takeIf { it in -1 until subtitleCount }
+                ?.let { RemotePlaybackCommand.SelectSubtitle(it) }
+            else -> null
+        }
+
+    /**
+     * Handles GET /api/settings - returns {"playback": {...}, "scan": {...}, "environment": {...},
+     * "options": {"skipIntervalsMs": [...], "environments": [{"name": "VOID", "displayName": "Void"}]}}
+     */
+    private fun handleGetSettings(resp: HttpServletResponse) {
+        val handler = settingsHandler
+            ?: return writeActionResult(resp, LibraryActionResult.Failed("Settings are not available"))
+        val json = settingsJson(runBlocking { handler.getSettings() })
+
+        resp.status = HttpServletResponse.SC_OK
+        resp.contentType = MIME_JSON
+        resp.writer.write(json.toString())
+    }
+
+    /**
+     * Handles POST /api/settings - body has the same shape as GET /api/settings without "options";
+     * every field is optional. Returns the saved settings.
+     */
+    private fun handleUpdateSettings(req: HttpServletRequest, resp: HttpServletResponse) {
+        val handler = settingsHandler
+            ?: return writeActionResult(resp, LibraryActionResult.Failed("Settings are not available"))
+        val body = readJsonBody(req)
+            ?: return writeActionResult(resp, LibraryActionResult.Invalid("A JSON body is required"))
+        val update = try {
+            readSettingsUpdate(body)
+        } catch (e: IllegalArgumentException) {
+            return writeActionResult(resp, LibraryActionResult.Invalid(e.message ?: "Invalid settings"))
+        }
+
+        val result = runBlocking { handler.updateSettings(update) }
+        if (result != LibraryActionResult.Success) return writeActionResult(resp, result)
+
+        val json = settingsJson(runBlocking { handler.getSettings() }).put("success", true)
+        resp.status = HttpServletResponse.SC_OK
+        resp.contentType = MIME_JSON
+        resp.writer.write(json.toString())
+    }
+
+    private fun settingsJson(settings: DeviceSettings): JSONObject = JSONObject().apply {
+        put("playback", JSONObject().apply {
+            put("skipIntervalMs", settings.playback.skipIntervalMs)
+            put("resumeEnabled", settings.playback.resumeEnabled)
+            put("volume", settings.playback.volume.toDouble())
+        })
+        put("scan", JSONObject().apply {
+            put("autoScanEnabled", settings.scan.autoScanEnabled)
+            put("lastMediaStoreScan", settings.scan.lastMediaStoreScan)
+        })
+        put("environment", JSONObject().apply {
+            put("environment", settings.scene.environment.name)
+            put("lightingIntensity", settings.scene.lightingIntensity.toDouble())
+        })
+        put("options", JSONObject().apply {
+            put("skipIntervalsMs", JSONArray(PlaybackSettings.SKIP_INTERVAL_OPTIONS_MS))
+            put("environments", JSONArray().apply {
+                EnvironmentType.entries.forEach { type ->
+                    put(JSONObject().put("name", type.name).put("displayName", type.displayName))
+                }
+            })
+        })
+    }
+
+    /**
+     * Reads a settings update. Missing and null fields are left unchanged; a field with the wrong
+     * type throws [IllegalArgumentException]. Ranges are checked by [DeviceSettingsUpdate.validationError].
+     */
+    private fun readSettingsUpdate(body: JSONObject): DeviceSettingsUpdate {
+        val playback = body.optJSONObject("playback") ?: JSONObject()
+        val scan = body.optJSONObject("scan") ?: JSONObject()
+        val environment = body.optJSONObject("environment") ?: JSONObject()
+        return DeviceSettingsUpdate(
+            skipIntervalMs = playback.optionalValue("skipIntervalMs") { (it as? Number)?.toInt() },
+            resumeEnabled = playback.optionalValue("resumeEnabled") { it as? Boolean },
+            volume = playback.optionalValue("volume") { (it as? Number)?.toFloat() },
+            autoScanEnabled = scan.optionalValue("autoScanEnabled") { it as? Boolean },
+            environment = environment.optionalValue("environment") { it as? String },
+            lightingIntensity = environment.optionalValue("lightingIntensity") { (it as? Number)?.toFloat() }
+        )
+    }
+
+    private fun <T> JSONObject.optionalValue(key: String, convert: (Any) -> T?): T? {
+        if (isNull(key)) return null
+        return convert(get(key)) ?: throw IllegalArgumentException("Invalid value for $key")
+    }
+
+    /**
+     * Handles GET /api/history - returns {"entries": [...], "total": 120, "offset": 0, "limit": 50, "hasMore": true}.
+     */
+    private fun handleGetHistory(req: HttpServletRequest, resp: HttpServletResponse) {
+        val repository = transferLog
+            ?: return writeActionResult(resp, LibraryActionResult.Failed("Transfer history is not available"))
+        val filter = readHistoryFilter(req)
+            ?: return writeActionResult(resp, LibraryActionResult.Invalid("Unknown outcome: ${req.getParameter("outcome")}"))
+        val offset = req.getParameter("offset")?.toIntOrNull()?.coerceAtLeast(0) ?: 0
+        val limit = req.getParameter("limit")?.toIntOrNull()?.coerceIn(1, MAX_PAGE_SIZE) ?: DEFAULT_HISTORY_PAGE_SIZE
+
+        val page = runBlocking { repository.getEntries(filter, offset, limit) }
+        val json = JSONObject().apply {
+            put("entries", JSONArray().apply { page.entries.forEach { put(toHistoryJson(it)) } })
+            put("total", page.total)
+            put("offset", offset)
+            put("limit", limit)
+            put("hasMore", offset + page.entries.size < page.total)
+        }
+
+        resp.status = HttpServletResponse.SC_OK
+        resp.contentType = MIME_JSON
+        resp.writer.write(json.toString())
+    }
+
+    /**
+     * Handles GET /api/history/export?format=csv|json - the whole transfer log matching the same
+     * filters as GET /api/history, as an attachment.
+     */
+    private fun handleExportHistory(req: HttpServletRequest, resp: HttpServletResponse) {
+        val repository = transferLog
+            ?: return writeActionResult(resp, LibraryActionResult.Failed("Transfer history is not available"))
+        val filter = readHistoryFilter(req)
+            ?: return writeActionResult(resp, LibraryActionResult.Invalid("Unknown outcome: ${req.getParameter("outcome")}"))
+        val format = req.getParameter("format")?.lowercase() ?: "csv"
+        if (format != "csv" && format != "json") {
+            return writeActionResult(resp, LibraryActionResult.Invalid("Format must be csv or json"))
+        }
+
+        val entries = runBlocking { repository.getAllEntries(filter) }
+        val body = if (format == "csv") {
+            historyCsv(entries)
+        } else {
+            JSONArray().apply { entries.forEach { put(toHistoryJson(it)) } }.toString(2)
+        }
+
+        resp.status = HttpServletResponse.SC_OK
+        resp.contentType = if (format == "csv") "text/csv; charset=utf-8" else "$MIME_JSON; charset=utf-8"
+        resp.setHeader("Content-Disposition", "attachment; filename=\"transfer-history.$format\"")
+        resp.writer.write(body)
+
+        android.util.Log.d(TAG, "Exported ${entries.size} transfer log entries as $format")
+    }
+
+    /** Reads the history filters, or returns null for an unknown outcome. */
+    private fun readHistoryFilter(req: HttpServletRequest): TransferLogFilter? {
+        val outcomeName = req.getParameter("outcome")?.trim().orEmpty()
+        val outcome = if (outcomeName.isEmpty()) {
+            null
+        } else {
+            TransferOutcome.entries.firstOrNull { it.name.equals(outcomeName, ignoreCase = true) } ?: return null
+        }
+        return TransferLogFilter(
+            outcome = outcome,
+            query = req.getParameter("q")?.trim()?.takeIf { it.isNotEmpty() },
+            from = req.getParameter("from")?.toLongOrNull(),
+            to = req.getParameter("to")?.toLongOrNull()
+        )
+    }
+
+    private fun toHistoryJson(entry: TransferLogEntry): JSONObject = JSONObject().apply {
+        put("id", entry.id)
+        put("filename", entry.filename)
+        put("size", entry.size)
+        put("bytesReceived", entry.bytesReceived)
+        put("remoteAddress", entry.remoteAddress ?: JSONObject.NULL)
+        put("userAgent", entry.userAgent ?: JSONObject.NULL)
+        put("startedAt", entry.startedAt)
+        put("endedAt", entry.endedAt ?: JSONObject.NULL)
+        put("durationMs", entry.durationMs ?: JSONObject.NULL)
+        put("averageBytesPerSecond", entry.averageBytesPerSecond ?: JSONObject.NULL)
+        put("outcome", entry.outcome.name.lowercase())
+        put("error", entry.error ?: JSONObject.NULL)
+    }
+
+    private fun readDetails(body: JSONObject): UploadDetails {
+        val tags = body.optJSONArray("tags") ?: JSONArray()
+        return UploadDetails.of(
+            title = if (body.isNull("title")) null else body.optString("title"),
+            description = if (body.isNull("description")) null else body.optString("description"),
+            tags = (0 until tags.length()).map { tags.optString(it) },
+            folderId = if (body.isNull("folderId")) null else body.optLong("folderId")
+        )
+    }
+
+    /** Reads at most [limit] bytes, so an oversized body is not buffered in full. */
+    private fun java.io.InputStream.readBytesUpTo(limit: Long): ByteArray {
+        val output = java.io.ByteArrayOutputStream()
+        val buffer = ByteArray(8192)
+        while (output.size() < limit) {
+            val read = read(buffer, 0, minOf(buffer.size.toLong(), limit - output.size()).toInt())
+            if (read < 0) break
+            output.write(buffer, 0, read)
+        }
+        return output.toByteArray()
+    }
+
+    private fun writeActionResult(resp: HttpServletResponse, result: LibraryActionResult) {
+        val (status, error) = when (result) {
+            is LibraryActionResult.Success -> HttpServletResponse.SC_OK to null
+            is LibraryActionResult.NotFound -> HttpServletResponse.SC_NOT_FOUND to result.message
+            is LibraryActionResult.Invalid -> HttpServletResponse.SC_BAD_REQUEST to result.message
+            is LibraryActionResult.Failed -> HttpServletResponse.SC_INTERNAL_SERVER_ERROR to result.message
+        }
+
+        val json = JSONObject().apply {
+            put("success", error == null)
+            if (error != null) put("error", error)
+        }
+
+        resp.status = status
+        resp.contentType = MIME_JSON
+        resp.writer.write(json.toString())
+    }
+
+    /** Writes a 503 for a route whose handler is not set up */
+    private fun writeLibraryUnavailable(resp: HttpServletResponse, error: String = "Library management is not available") {
+        resp.status = HttpServletResponse.SC_SERVICE_UNAVAILABLE
+        resp.contentType = MIME_JSON
+        resp.writer.write(JSONObject().apply {
+            put("success", false)
+            put("error", error)
+        }.toString())
+    }
+
+    private fun readJsonBody(req: HttpServletRequest): JSONObject? {
+        return try {
+            JSONObject(req.reader.readText())
+        } catch (e: Exception) {
+            android.util.Log.w(TAG, "Failed to parse JSON body", e)
+            null
+        }
+    }
+
+    /**
+     * Handles GET /api/files/{id}/thumbnail - returns a JPEG thumbnail.
+     * Only videos inside Movies/OnTheGoVR are served.
+     */
+    private fun handleThumbnail(mediaStoreId: Long, resp: HttpServletResponse) {
+        val video = mediaStoreUploader.findUploadedVideo(mediaStoreId)
+        val bitmap = video?.let { mediaStoreUploader.loadThumbnail(it.contentUri, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT) }
+
+        if (bitmap == null) {
+            resp.status = HttpServletResponse.SC_NOT_FOUND
+            resp.contentType = MIME_JSON
+            resp.writer.write("""{"error": "Thumbnail not available"}""")
+            return
+        }
+
+        resp.status = HttpServletResponse.SC_OK
+        resp.contentType = MIME_JPEG
+        resp.setHeader("Cache-Control", "max-age=3600")
+        resp.outputStream.use { output ->
+            bitmap.compress(Bitmap.CompressFormat.JPEG, 80, output)
+        }
+    }
+
+    /**
+     * Handles POST /api/verify-pin - exchanges the PIN for a session cookie.
+     * Returns 401 with the attempts left for a wrong PIN, or 429 with retryAfterMs while locked out.
      */
     private fun handleVerifyPin(req: HttpServletRequest, resp: HttpServletResponse) {
         // Read PIN from request body or parameters
         val pin = extractPin(req)
 
-        val isValid = pinVerifier(pin.trim())
-
-        val json = JSONObject().apply {
-            put("success", isValid)
-            if (!isValid) {
-                put("error", "Invalid PIN")
+        val json = JSONObject()
+        when (val result = authenticator.login(pin.trim(), req.remoteAddr)) {
+            is SessionAuthenticator.LoginResult.Success -> {
+                authenticator.writeSessionCookie(resp, result.token, secure = req.isSecure)
+                resp.status = HttpServletResponse.SC_OK
+                json.put("success", true)
+                json.put("expiresAt", result.expiresAt)
+                // The cookie isn't sent with cross-origin requests, peer pages use the token instead
+                if (PeerCorsFilter.isPeerRequest(req)) json.put("token", result.token)
+            }
+            is SessionAuthenticator.LoginResult.InvalidPin -> {
+                resp.status = HttpServletResponse.SC_UNAUTHORIZED
+                json.put("success", false)
+                json.put("error", "Invalid PIN")
+                json.put("attemptsRemaining", result.attemptsRemaining)
+            }
+            is SessionAuthenticator.LoginResult.LockedOut -> {
+                resp.status = SC_TOO_MANY_REQUESTS
+                resp.setHeader("Retry-After", ((result.retryAfterMs + 999) / 1000).toString())
+                json.put("success", false)
+                json.put("error", "Too many attempts")
+                json.put("retryAfterMs", result.retryAfterMs)
             }
         }
 
-        resp.status = if (isValid) HttpServletResponse.SC_OK else HttpServletResponse.SC_UNAUTHORIZED
         resp.contentType = MIME_JSON
         resp.writer.write(json.toString())
 
-        android.util.Log.d(TAG, "PIN verification: ${if (isValid) "success" else "failed"}")
+        android.util.Log.d(TAG, "PIN verification: ${if (json.getBoolean("success")) "success" else "failed"}")
+    }
+
+    /**
+     * Handles POST /api/pair - exchanges a pairing token ({"token": "..."}) from the QR code on the
+     * headset for a session cookie. Returns 401 if the token expired or was already used.
+     */
+    private fun handlePair(req: HttpServletRequest, resp: HttpServletResponse) {
+        val token = try {
+            JSONObject(req.reader.readText()).optString("token", "")
+        } catch (e: Exception) {
+            ""
+        }
+
+        val json = JSONObject()
+        val result = token.takeIf { it.isNotBlank() }?.let { authenticator.pair(it.trim()) }
+        if (result != null) {
+            authenticator.writeSessionCookie(resp, result.token, secure = req.isSecure)
+            resp.status = HttpServletResponse.SC_OK
+            json.put("success", true)
+            json.put("expiresAt", result.expiresAt)
+        } else {
+            resp.status = HttpServletResponse.SC_UNAUTHORIZED
+            json.put("success", false)
+            json.put("error", "This QR code has expired or was already used. Scan the new code on the headset or enter the PIN.")
+        }
+
+        resp.contentType = MIME_JSON
+        resp.writer.write(json.toString())
+
+        android.util.Log.d(TAG, "Pairing from ${req.remoteAddr}: ${if (result != null) "success" else "failed"}")
     }
 
     /**
@@ -121,4 +1020,3 @@ class ApiServlet(
         }
     }
 }
-
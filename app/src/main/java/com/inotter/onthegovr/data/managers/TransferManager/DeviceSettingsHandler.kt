@@ -0,0 +1,98 @@
+package com.inotter.onthegovr.data.managers.TransferManager
+
+import android.content.Context
+import androidx.work.ExistingWorkPolicy
+import androidx.work.OneTimeWorkRequestBuilder
+import androidx.work.WorkManager
+import com.inotter.onthegovr.data.datasources.videolibrary.VideoLibraryDataSource
+import com.inotter.onthegovr.data.datasources.videolibrary.models.PlaybackSettings
+import com.inotter.onthegovr.data.managers.PermissionManager.PermissionManager
+import com.inotter.onthegovr.data.managers.TransferManager.models.DeviceSettings
+import com.inotter.onthegovr.data.managers.TransferManager.models.DeviceSettingsUpdate
+import com.inotter.onthegovr.data.managers.TransferManager.models.LibraryActionResult
+import com.inotter.onthegovr.data.repositories.ScanSettingsRepository.ScanSettingsRepository
+import com.inotter.onthegovr.spatial.PanelBroadcastManager
+import com.inotter.onthegovr.spatial.data.EnvironmentType
+import com.inotter.onthegovr.spatial.data.SceneSettingsStore
+import com.inotter.onthegovr.workers.MediaStoreScanWorker
+
+/**
+ * Handles the web client's Settings tab, so a headset can be set up before it is handed to someone.
+ *
+ * Covers the preferences otherwise only changed inside VR:
+ * 1. Playback: skip interval, resume and volume ([PlaybackSettings])
+ * 2. Scan: automatic MediaStore scanning; turning it on starts a scan, as it does in the library
+ * 3. Environment: theatre environment and lighting intensity ([SceneSettingsStore])
+ *
+ * Changes apply live: the player and library observe the database, and the theatre, if it is
+ * open, gets the same broadcasts its controls panel sends. Successful changes are reported
+ * through [onSettingsChanged].
+ */
+class DeviceSettingsHandler(
+    private val context: Context,
+    private val dataSource: VideoLibraryDataSource,
+    private val scanSettingsRepository: ScanSettingsRepository,
+    private val permissionManager: PermissionManager,
+    private val sceneSettingsStore: SceneSettingsStore,
+    private val onSettingsChanged: () -> Unit = {}
+) {
+    companion object {
+        private const val TAG = "DeviceSettingsHandler"
+    }
+
+    suspend fun getSettings(): DeviceSettings = DeviceSettings(
+        playback = dataSource.getPlaybackSettings() ?: PlaybackSettings(),
+        scan = scanSettingsRepository.getSettingsSync(),
+        scene = sceneSettingsStore.load()
+    )
+
+    /** Validates the whole update before saving any of it. */
+    suspend fun updateSettings(update: DeviceSettingsUpdate): LibraryActionResult {
+        update.validationError()?.let { return LibraryActionResult.Invalid(it) }
+
+        val current = getSettings()
+        val playback = current.playback.copy(
+            skipIntervalMs = update.skipIntervalMs ?: current.playback.skipIntervalMs,
+            resumeEnabled = update.resumeEnabled ?: current.playback.resumeEnabled,
+            volume = update.volume ?: current.playback.volume
+        )
+        val scene = current.scene.copy(
+            environment = update.environment?.let { EnvironmentType.valueOf(it) } ?: current.scene.environment,
+            lightingIntensity = update.lightingIntensity ?: current.scene.lightingIntensity
+        )
+
+        val autoScanEnabled = update.autoScanEnabled?.takeIf { it != current.scan.autoScanEnabled }
+        try {
+            if (playback != current.playback) dataSource.upsertPlaybackSettings(playback)
+            autoScanEnabled?.let { scanSettingsRepository.setAutoScanEnabled(it) }
+        } catch (e: Exception) {
+            android.util.Log.e(TAG, "Failed to save settings", e)
+            return LibraryActionResult.Failed("Could not save settings")
+        }
+        if (autoScanEnabled == true && permissionManager.hasAnyVideoAccess()) triggerMediaStoreScan()
+
+        if (scene != current.scene) {
+            sceneSettingsStore.save(scene)
+            // Ignored when the theatre isn't open; it loads the saved settings when it starts
+            if (scene.environment != current.scene.environment) {
+                PanelBroadcastManager.sendEnvironmentChanged(context, scene.environment)
+            }
+            if (scene.lightingIntensity != current.scene.lightingIntensity) {
+                PanelBroadcastManager.sendLightingChanged(context, scene.lightingIntensity)
+            }
+        }
+
+        android.util.Log.i(TAG, "Settings updated: $update")
+        onSettingsChanged()
+        return LibraryActionResult.Success
+    }
+
+    private fun triggerMediaStoreScan() {
+        val workRequest = OneTimeWorkRequestBuilder<MediaStoreScanWorker>().build()
+        WorkManager.getInstance(context).enqueueUniqueWork(
+            MediaStoreScanWorker.WORK_NAME,
+            ExistingWorkPolicy.REPLACE,
+            workRequest
+        )
+    }
+}
@@ -2,6 +2,7 @@ package com.inotter.onthegovr.data.managers.TransferManager
 
 import android.content.Context
 import android.os.StatFs
+import com.inotter.onthegovr.data.datasources.videolibrary.models.SubtitleSidecar
 
 /**
  * Validates uploaded files for the WiFi transfer feature.
@@ -20,6 +21,9 @@ object FileValidator {
         "application/octet-stream"  // Generic binary, allow if extension matches
     )
 
+    /** Largest accepted subtitle file (5 MB) */
+    const val MAX_SUBTITLE_SIZE_BYTES = 5L * 1024 * 1024
+
     /** Minimum required free storage in bytes (500 MB buffer) */
     private const val MIN_STORAGE_BUFFER_BYTES = 500L * 1024 * 1024
 
@@ -55,6 +59,11 @@ object FileValidator {
         return true
     }
 
+    /**
+     * Validates if a file is a supported subtitle sidecar (SRT, VTT, ASS or SSA) based on extension.
+     */
+    fun isValidSubtitleFile(filename: String): Boolean = SubtitleSidecar.mimeTypeFor(filename) != null
+
     /**
      * Validates file content by checking magic bytes.
      * Should be called after receiving the first few bytes of an upload.
@@ -136,5 +145,10 @@ object FileValidator {
     fun getSupportedExtensionsDisplay(): String {
         return SUPPORTED_EXTENSIONS.joinToString(", ") { it.uppercase() }
     }
+
+    /** Gets the list of supported subtitle extensions as a user-friendly string. */
+    fun getSupportedSubtitleExtensionsDisplay(): String {
+        return SubtitleSidecar.MIME_TYPES.keys.joinToString(", ") { it.uppercase() }
+    }
 }
 
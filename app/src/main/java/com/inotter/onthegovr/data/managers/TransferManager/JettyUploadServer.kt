@@ -1,23 +1,41 @@
 package com.inotter.onthegovr.data.managers.TransferManager
 
 import android.content.Context
+import com.inotter.onthegovr.data.repositories.TransferLogRepository.TransferLogRepository
+import com.inotter.onthegovr.playback.RemotePlaybackController
 import kotlinx.coroutines.flow.MutableStateFlow
 import kotlinx.coroutines.flow.StateFlow
 import kotlinx.coroutines.flow.asStateFlow
 import me.desair.tus.server.TusFileUploadService
+import org.eclipse.jetty.server.HttpConfiguration
+import org.eclipse.jetty.server.HttpConnectionFactory
+import org.eclipse.jetty.server.SecureRequestCustomizer
 import org.eclipse.jetty.server.Server
+import org.eclipse.jetty.server.ServerConnector
+import org.eclipse.jetty.server.SslConnectionFactory
+import org.eclipse.jetty.servlet.FilterHolder
 import org.eclipse.jetty.servlet.ServletContextHandler
 import org.eclipse.jetty.servlet.ServletHolder
+import org.eclipse.jetty.util.ssl.SslContextFactory
+import java.util.EnumSet
+import javax.servlet.DispatcherType
 
 class JettyUploadServer(
     private val context: Context,
     private val port: Int = DEFAULT_PORT,
     private val tusService: TusFileUploadService,
     private val uploadHandler: TusUploadHandler? = null,
-    private val pinVerifier: (String) -> Boolean = { true },
-    private val isPinEnabled: () -> Boolean = { false },
+    private val authenticator: SessionAuthenticator,
     private val onFileUploaded: (android.net.Uri) -> Unit = {},
-    private val tusDataDir: java.io.File? = null
+    private val tusDataDir: java.io.File? = null,
+    private val libraryHandler: LibraryManagementHandler? = null,
+    private val eventBroadcaster: TransferEventBroadcaster? = null,
+    private val remoteControl: RemotePlaybackController? = null,
+    private val peerDiscovery: TransferPeerDiscovery? = null,
+    private val settingsHandler: DeviceSettingsHandler? = null,
+    private val historyRecorder: TransferHistoryRecorder? = null,
+    private val transferLog: TransferLogRepository? = null,
+    private val certificate: TransferCertificateStore.ServerCertificate? = null
 ) {
     companion object {
         const val DEFAULT_PORT = 8080
@@ -28,17 +46,25 @@ class JettyUploadServer(
             context: Context,
             tusService: TusFileUploadService,
             uploadHandler: TusUploadHandler? = null,
-            pinVerifier: (String) -> Boolean = { true },
-            isPinEnabled: () -> Boolean = { false },
+            authenticator: SessionAuthenticator,
             onFileUploaded: (android.net.Uri) -> Unit = {},
-            tusDataDir: java.io.File? = null
+            tusDataDir: java.io.File? = null,
+            libraryHandler: LibraryManagementHandler? = null,
+            eventBroadcaster: TransferEventBroadcaster? = null,
+            remoteControl: RemotePlaybackController? = null,
+            peerDiscovery: TransferPeerDiscovery? = null,
+            settingsHandler: DeviceSettingsHandler? = null,
+            historyRecorder: TransferHistoryRecorder? = null,
+            transferLog: TransferLogRepository? = null,
+            certificate: TransferCertificateStore.ServerCertificate? = null
         ): Pair<JettyUploadServer, Int> {
             val portsToTry = listOf(DEFAULT_PORT) + FALLBACK_PORTS
             for (port in portsToTry) {
                 try {
                     val server = JettyUploadServer(
                         context, port, tusService, uploadHandler,
-                        pinVerifier, isPinEnabled, onFileUploaded, tusDataDir
+                        authenticator, onFileUploaded, tusDataDir, libraryHandler, eventBroadcaster,
+                        remoteControl, peerDiscovery, settingsHandler, historyRecorder, transferLog, certificate
                     )
                     server.start()
                     android.util.Log.i(TAG, "Server started on port $port")
@@ -64,6 +90,12 @@ class JettyUploadServer(
     )
 
     private val _uploadedFiles = MutableStateFlow<List<UploadedFile>>(emptyList())
+
+    /**
+     * Files uploaded while this server runs, for the headset's status screen. The history kept
+     * across restarts, with cancelled and failed transfers, is the transfer log written by
+     * [TransferHistoryRecorder].
+     */
     val uploadedFiles: StateFlow<List<UploadedFile>> = _uploadedFiles.asStateFlow()
 
     private val _lastActivityTime = MutableStateFlow(System.currentTimeMillis())
@@ -73,31 +105,87 @@ class JettyUploadServer(
 
     val isAlive: Boolean get() = server?.isRunning == true
 
+    /** True if the server speaks HTTPS only, with [certificate] */
+    val isSecure: Boolean get() = certificate != null
+
     fun start() {
         if (server?.isRunning == true) return
 
-        val jettyServer = Server(port)
+        val jettyServer = if (certificate != null) createHttpsServer(certificate) else Server(port)
         val contextHandler = ServletContextHandler(ServletContextHandler.NO_SESSIONS)
         contextHandler.contextPath = "/"
 
-        val tusServlet = TusUploadServlet(tusService, uploadHandler, pinVerifier, isPinEnabled, tusDataDir)
+        // Pages served by other headsets upload here too, see TransferPeerDiscovery
+        if (peerDiscovery != null) {
+            val corsFilter = PeerCorsFilter(peerDiscovery::isPeerOrigin)
+            contextHandler.addFilter(FilterHolder(corsFilter), "/*", EnumSet.of(DispatcherType.REQUEST))
+        }
+
+        val tusServlet = TusUploadServlet(tusService, uploadHandler, authenticator, tusDataDir, historyRecorder)
         contextHandler.addServlet(ServletHolder(tusServlet), "/tus/*")
 
-        val apiServlet = ApiServlet(context, pinVerifier, isPinEnabled)
+        val apiServlet = ApiServlet(
+            context, authenticator,
+            mediaStoreUploader = MediaStoreUploader(context.contentResolver),
+            uploadedFiles = { uploadedFiles.value },
+            libraryHandler = libraryHandler,
+            uploadHandler = uploadHandler,
+            remoteControl = remoteControl,
+            peerDiscovery = peerDiscovery,
+            settingsHandler = settingsHandler,
+            transferLog = transferLog
+        )
         contextHandler.addServlet(ServletHolder(apiServlet), "/api/*")
 
+        // Exact mapping takes precedence over /api/*
+        if (eventBroadcaster != null) {
+            val eventsServlet = TransferEventsServlet(eventBroadcaster, authenticator)
+            contextHandler.addServlet(ServletHolder(eventsServlet), "/api/events")
+        }
+
+        val mediaServlet = LibraryMediaServlet(MediaStoreUploader(context.contentResolver), authenticator)
+        contextHandler.addServlet(ServletHolder(mediaServlet), "/media/*")
+
         val staticServlet = StaticAssetsServlet(context)
         contextHandler.addServlet(ServletHolder(staticServlet), "/*")
 
         jettyServer.handler = contextHandler
         jettyServer.start()
         server = jettyServer
+        eventBroadcaster?.start()
+
+        android.util.Log.i(TAG, "Jetty server started on port $port (${if (isSecure) "HTTPS" else "HTTP"})")
+    }
 
-        android.util.Log.i(TAG, "Jetty server started on port $port")
+    /**
+     * Server with a single TLS connector on [port]. The page, the API, the events WebSocket and
+     * TUS uploads all go through it unchanged, since the web client only uses relative URLs.
+     */
+    private fun createHttpsServer(certificate: TransferCertificateStore.ServerCertificate): Server {
+        val jettyServer = Server()
+        val sslContextFactory = SslContextFactory.Server().apply {
+            keyStore = certificate.keyStore
+            setKeyStorePassword(certificate.password)
+        }
+        val httpsConfig = HttpConfiguration().apply {
+            secureScheme = "https"
+            securePort = port
+            // Browsers reach the headset by IP address, which the certificate doesn't name
+            addCustomizer(SecureRequestCustomizer(false))
+        }
+        val connector = ServerConnector(
+            jettyServer,
+            SslConnectionFactory(sslContextFactory, "http/1.1"),
+            HttpConnectionFactory(httpsConfig)
+        )
+        connector.port = port
+        jettyServer.addConnector(connector)
+        return jettyServer
     }
 
     fun stop() {
         try {
+            eventBroadcaster?.shutdown()
             server?.stop()
             server = null
             android.util.Log.i(TAG, "Jetty server stopped")
@@ -0,0 +1,254 @@
+package com.inotter.onthegovr.data.managers.TransferManager
+
+import android.net.Uri
+import com.inotter.onthegovr.data.datasources.videolibrary.models.LibraryFolder
+import com.inotter.onthegovr.data.datasources.videolibrary.models.SubtitleSidecar
+import com.inotter.onthegovr.data.datasources.videolibrary.models.VideoItem
+import com.inotter.onthegovr.data.managers.ThumbnailManager.UploadedFrameStore
+import com.inotter.onthegovr.data.managers.TransferManager.models.DuplicateMatch
+import com.inotter.onthegovr.data.managers.TransferManager.models.LibraryActionResult
+import com.inotter.onthegovr.data.managers.TransferManager.models.UploadDetails
+import com.inotter.onthegovr.data.managers.TransferManager.models.UploadedVideo
+import com.inotter.onthegovr.data.repositories.LibraryRepository.LibraryRepository
+import com.inotter.onthegovr.data.repositories.VideoRepository.VideoRepository
+import kotlinx.coroutines.flow.first
+
+/**
+ * Handles remote library management requests from the web client.
+ *
+ * Operates on videos in Movies/OnTheGoVR (identified by MediaStore ID) and keeps
+ * the matching [VideoItem] in the library database in sync:
+ * 1. Delete removes the MediaStore file, its subtitle sidecars, its uploaded frames and its library entry
+ * 2. Rename updates the MediaStore display name, the sidecar names and the library title unless it was edited
+ * 3. Move assigns the library entry to a [LibraryFolder]
+ * 4. Add subtitle stores a sidecar next to the video and links it to the library entry
+ * 5. Edit details sets the library entry's title, description and tags
+ *
+ * Also answers duplicate checks before upload (see [findDuplicate]).
+ * Successful changes are reported through [onLibraryChanged] with the action
+ * ("deleted", "renamed", "moved", "subtitles" or "details") and the video's display name.
+ */
+class LibraryManagementHandler(
+    private val mediaStoreUploader: MediaStoreUploader,
+    private val videoRepository: VideoRepository,
+    private val libraryRepository: LibraryRepository,
+    private val frameStore: UploadedFrameStore? = null,
+    private val onLibraryChanged: (String, String) -> Unit = { _, _ -> }
+) {
+    companion object {
+        private const val TAG = "LibraryManagementHandler"
+
+        /** Characters not allowed in a display name */
+        private val INVALID_NAME_CHARS = Regex("[\\\\/:*?\"<>|\\u0000-\\u001F]")
+
+        private const val MAX_NAME_LENGTH = 255
+    }
+
+    /** Returns all library folders, ordered by display name. */
+    suspend fun listFolders(): List<LibraryFolder> = libraryRepository.listFolders().first()
+
+    /** Returns indexed library entries keyed by MediaStore ID. */
+    suspend fun getLibraryEntries(): Map<Long, VideoItem> {
+        return videoRepository.queryVideos().first()
+            .filter { it.mediaStoreId != null }
+            .associateBy { it.mediaStoreId!! }
+    }
+
+    /** Deletes an uploaded video from storage and removes it from the library. */
+    suspend fun deleteVideo(mediaStoreId: Long): LibraryActionResult {
+        val video = findUploadedVideo(mediaStoreId)
+            ?: return LibraryActionResult.NotFound("Video not found: $mediaStoreId")
+
+        if (!mediaStoreUploader.deleteVideo(video.contentUri)) {
+            return LibraryActionResult.Failed("Could not delete ${video.displayName}")
+        }
+
+        videoRepository.findByMediaStoreId(mediaStoreId)?.let { item ->
+            item.subtitles.forEach { mediaStoreUploader.deleteSubtitle(Uri.parse(it.uri)) }
+            videoRepository.deleteById(item.id)
+        }
+        frameStore?.remove(mediaStoreId)
+        android.util.Log.i(TAG, "Deleted video: ${video.displayName}")
+        onLibraryChanged("deleted", video.displayName)
+        return LibraryActionResult.Success
+    }
+
+    /**
+     * Renames an uploaded video. The original extension is kept when the new
+     * name omits it, and the result must still be a supported video file.
+     */
+    suspend fun renameVideo(mediaStoreId: Long, requestedName: String): LibraryActionResult {
+        val video = findUploadedVideo(mediaStoreId)
+            ?: return LibraryActionResult.NotFound("Video not found: $mediaStoreId")
+
+        val newName = normalizeName(requestedName, video.displayName)
+            ?: return LibraryActionResult.Invalid("Invalid file name")
+        if (!FileValidator.isValidVideoFile(newName, null)) {
+            return LibraryActionResult.Invalid(
+                "Unsupported extension. Supported formats: ${FileValidator.getSupportedExtensionsDisplay()}"
+            )
+        }
+        if (newName == video.displayName) return LibraryActionResult.Success
+
+        if (!mediaStoreUploader.renameVideo(video.contentUri, newName)) {
+            return LibraryActionResult.Failed("Could not rename ${video.displayName}")
+        }
+
+        videoRepository.findByMediaStoreId(mediaStoreId)?.let { item ->
+            // A title set in the details editor is kept; only the default one follows the file name
+            if (item.title == video.displayName) videoRepository.updateTitle(item.id, newName)
+            if (item.subtitles.isNotEmpty()) renameSubtitles(item.id, item.subtitles, newName)
+        }
+        android.util.Log.i(TAG, "Renamed video: ${video.displayName} -> $newName")
+        onLibraryChanged("renamed", newName)
+        return LibraryActionResult.Success
+    }
+
+    /**
+     * Assigns an uploaded video to a library folder, or detaches it when [folderId] is null.
+     * The video must already be indexed by the library scan.
+     */
+    suspend fun moveVideo(mediaStoreId: Long, folderId: Long?): LibraryActionResult {
+        val video = findUploadedVideo(mediaStoreId)
+            ?: return LibraryActionResult.NotFound("Video not found: $mediaStoreId")
+
+        val item = videoRepository.findByMediaStoreId(mediaStoreId)
+            ?: return LibraryActionResult.Invalid("Video has not been added to the library yet. Try again in a moment.")
+
+        if (folderId != null && libraryRepository.getFolder(folderId) == null) {
+            return LibraryActionResult.NotFound("Folder not found: $folderId")
+        }
+
+        videoRepository.moveToFolder(item.id, folderId)
+        android.util.Log.i(TAG, "Moved video ${item.title} to folder $folderId")
+        onLibraryChanged("moved", video.displayName)
+        return LibraryActionResult.Success
+    }
+
+    /**
+     * Sets the title, description and tags of an uploaded video's library entry. The folder in
+     * [details] is ignored, see [moveVideo]. Without a title the entry is titled after the file.
+     * The video must already be indexed by the library scan.
+     */
+    suspend fun updateDetails(mediaStoreId: Long, details: UploadDetails): LibraryActionResult {
+        val video = findUploadedVideo(mediaStoreId)
+            ?: return LibraryActionResult.NotFound("Video not found: $mediaStoreId")
+        details.validationError()?.let { return LibraryActionResult.Invalid(it) }
+
+        val item = videoRepository.findByMediaStoreId(mediaStoreId)
+            ?: return LibraryActionResult.Invalid("Video has not been added to the library yet. Try again in a moment.")
+
+        videoRepository.updateDetails(item.id, details.title ?: video.displayName, details.description, details.tags)
+        android.util.Log.i(TAG, "Updated details of ${video.displayName}: ${details.tags.size} tags")
+        onLibraryChanged("details", video.displayName)
+        return LibraryActionResult.Success
+    }
+
+    /**
+     * Stores a subtitle file next to an uploaded video and links it to the video's library entry.
+     *
+     * The sidecar is named after the video, keeping the language tag of [fileName]
+     * ("Movie.en.srt" for "Movie.mp4"), and replaces an existing sidecar of the same name.
+     * The video must already be indexed by the library scan.
+     */
+    suspend fun addSubtitle(mediaStoreId: Long, fileName: String, content: ByteArray): LibraryActionResult {
+        val video = findUploadedVideo(mediaStoreId)
+            ?: return LibraryActionResult.NotFound("Video not found: $mediaStoreId")
+
+        val mimeType = SubtitleSidecar.mimeTypeFor(fileName)
+            ?: return LibraryActionResult.Invalid(
+                "Unsupported subtitle format. Supported formats: ${FileValidator.getSupportedSubtitleExtensionsDisplay()}"
+            )
+        if (content.isEmpty()) return LibraryActionResult.Invalid("Subtitle file is empty")
+
+        val item = videoRepository.findByMediaStoreId(mediaStoreId)
+            ?: return LibraryActionResult.Invalid("Video has not been added to the library yet. Try again in a moment.")
+
+        val language = SubtitleSidecar.languageFromFileName(fileName)
+        val sidecarName = sidecarName(video.displayName, language, fileName.substringAfterLast('.').lowercase())
+
+        // Replace rather than let MediaStore save a numbered copy
+        item.subtitles.filter { it.fileName == sidecarName }.forEach { mediaStoreUploader.deleteSubtitle(Uri.parse(it.uri)) }
+
+        val uri = mediaStoreUploader.saveSubtitle(sidecarName, mimeType, video.subfolder, content)
+            ?: return LibraryActionResult.Failed("Could not save $sidecarName")
+
+        val sidecar = SubtitleSidecar(uri = uri.toString(), fileName = sidecarName, mimeType = mimeType, language = language)
+        videoRepository.updateSubtitles(item.id, item.subtitles.filter { it.fileName != sidecarName } + sidecar)
+        android.util.Log.i(TAG, "Added subtitle $sidecarName to ${video.displayName}")
+        onLibraryChanged("subtitles", video.displayName)
+        return LibraryActionResult.Success
+    }
+
+    /**
+     * Looks for a video already on the headset matching a file about to be uploaded.
+     *
+     * [signature] uses the library's content signature format (SHA-256 of the first and
+     * last 8 MiB, then ":size") and matches anything the library has indexed. Uploads not
+     * indexed yet, or clients that could not compute a signature, fall back to a name and
+     * size match against Movies/OnTheGoVR.
+     */
+    suspend fun findDuplicate(name: String, size: Long, signature: String?): DuplicateMatch? {
+        val uploadedVideos = mediaStoreUploader.queryUploadedVideos()
+
+        if (!signature.isNullOrBlank()) {
+            val item = videoRepository.findBySignature(signature)
+            if (item != null && !item.unavailable) {
+                // Only uploaded videos can be replaced, the rest belong to the user's own folders
+                val uploaded = item.mediaStoreId?.let { id -> uploadedVideos.find { it.mediaStoreId == id } }
+                return DuplicateMatch(
+                    title = item.title,
+                    size = item.sizeBytes,
+                    mediaStoreId = uploaded?.mediaStoreId,
+                    matchedBy = DuplicateMatch.MATCHED_BY_SIGNATURE
+                )
+            }
+        }
+
+        val uploaded = uploadedVideos.find { it.displayName == name && it.size == size } ?: return null
+        return DuplicateMatch(
+            title = uploaded.displayName,
+            size = uploaded.size,
+            mediaStoreId = uploaded.mediaStoreId,
+            matchedBy = DuplicateMatch.MATCHED_BY_NAME
+        )
+    }
+
+    private fun findUploadedVideo(mediaStoreId: Long): UploadedVideo? {
+        return mediaStoreUploader.queryUploadedVideos().find { it.mediaStoreId == mediaStoreId }
+    }
+
+    /** Renames subtitle sidecars to follow a renamed video so they stay paired by file name. */
+    private suspend fun renameSubtitles(videoId: Long, subtitles: List<SubtitleSidecar>, videoName: String) {
+        val renamed = subtitles.map { subtitle ->
+            val newName = sidecarName(videoName, subtitle.language, subtitle.fileName.substringAfterLast('.'))
+            if (newName != subtitle.fileName && mediaStoreUploader.renameVideo(Uri.parse(subtitle.uri), newName)) {
+                subtitle.copy(fileName = newName)
+            } else {
+                subtitle
+            }
+        }
+        videoRepository.updateSubtitles(videoId, renamed)
+    }
+
+    /** "Movie.mp4", "en", "srt" -> "Movie.en.srt" */
+    private fun sidecarName(videoName: String, language: String?, extension: String): String {
+        val baseName = videoName.substringBeforeLast('.')
+        return if (language != null) "$baseName.$language.$extension" else "$baseName.$extension"
+    }
+
+    /**
+     * Trims and validates a requested file name, appending the current extension if missing.
+     * Returns null if the name is empty, too long or contains path/control characters.
+     */
+    private fun normalizeName(requestedName: String, currentName: String): String? {
+        val trimmed = requestedName.trim()
+        if (trimmed.isEmpty() || trimmed.startsWith(".") || INVALID_NAME_CHARS.containsMatchIn(trimmed)) return null
+
+        val currentExtension = currentName.substringAfterLast('.', "")
+        val hasExtension = trimmed.substringAfterLast('.', "").equals(currentExtension, ignoreCase = true)
+        val name = if (hasExtension || currentExtension.isEmpty()) trimmed else "$trimmed.$currentExtension"
+
+        return name.takeIf { it.length <= MAX_NAME_LENGTH }
+    }
+}
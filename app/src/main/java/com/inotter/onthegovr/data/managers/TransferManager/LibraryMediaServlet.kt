@@ -0,0 +1,172 @@
+package com.inotter.onthegovr.data.managers.TransferManager
+
+import android.os.ParcelFileDescriptor
+import com.inotter.onthegovr.data.managers.TransferManager.models.UploadedVideo
+import java.io.FileInputStream
+import java.io.IOException
+import java.net.URLEncoder
+import javax.servlet.http.HttpServlet
+import javax.servlet.http.HttpServletRequest
+import javax.servlet.http.HttpServletResponse
+
+/**
+ * Servlet that sends library videos back to the web client, for its preview player and downloads.
+ *
+ * Handles:
+ * - GET /media/{id} - Stream a video; "?download=1" asks the browser to save it instead
+ * - HEAD /media/{id} - Headers only (size, type, range support)
+ *
+ * Single byte ranges ("bytes=0-1023", "bytes=1024-" or "bytes=-1024") are answered with
+ * 206 Partial Content so the browser can seek and resume downloads, like sync's
+ * VideoStreamingServlet does for local files. Multiple ranges are answered with the whole file.
+ *
+ * Only finalized videos in Movies/OnTheGoVR are served, and a session is required
+ * (see [SessionAuthenticator]).
+ */
+class LibraryMediaServlet(
+    private val mediaStoreUploader: MediaStoreUploader,
+    private val authenticator: SessionAuthenticator
+) : HttpServlet() {
+
+    companion object {
+        private const val TAG = "LibraryMediaServlet"
+
+        private val MEDIA_PATH = Regex("^/(\\d+)$")
+
+        /** MIME types for files MediaStore has no type for */
+        private val VIDEO_MIME_TYPES = mapOf(
+            "mp4" to "video/mp4",
+            "m4v" to "video/x-m4v",
+            "mkv" to "video/x-matroska",
+            "webm" to "video/webm"
+        )
+
+        /**
+         * Parses a Range header against a file of [fileLength] bytes.
+         * Returns null to send the whole file (no header, multiple ranges or a malformed header),
+         * an empty range if the range can't be satisfied, otherwise the bytes to send.
+         */
+        internal fun parseRange(header: String?, fileLength: Long): LongRange? {
+            val spec = header?.trim()?.takeIf { it.startsWith("bytes=") }?.removePrefix("bytes=") ?: return null
+            if (',' in spec) return null
+            val parts = spec.split('-', limit = 2).map { it.trim() }
+            if (parts.size != 2) return null
+            val (first, last) = parts
+
+            if (first.isEmpty()) {
+                // Suffix range: the last N bytes
+                val suffixLength = last.toLongOrNull() ?: return null
+                if (suffixLength <= 0 || fileLength == 0L) return LongRange.EMPTY
+                return (fileLength - minOf(suffixLength, fileLength)) until fileLength
+            }
+
+            val start = first.toLongOrNull() ?: return null
+            val end = if (last.isEmpty()) fileLength - 1 else last.toLongOrNull() ?: return null
+            if (start < 0 || end < start) return null
+            if (start >= fileLength) return LongRange.EMPTY
+            return start..minOf(end, fileLength - 1)
+        }
+    }
+
+    override fun doGet(req: HttpServletRequest, resp: HttpServletResponse) {
+        serve(req, resp, sendBody = true)
+    }
+
+    /** Answered without reading the file; HttpServlet's default HEAD would run GET and discard it. */
+    override fun doHead(req: HttpServletRequest, resp: HttpServletResponse) {
+        serve(req, resp, sendBody = false)
+    }
+
+    private fun serve(req: HttpServletRequest, resp: HttpServletResponse, sendBody: Boolean) {
+        if (!authenticator.requireSession(req, resp)) return
+
+        val mediaStoreId = MEDIA_PATH.matchEntire(req.pathInfo ?: "")?.groupValues?.get(1)?.toLongOrNull()
+        val video = mediaStoreId?.let { mediaStoreUploader.findUploadedVideo(it) }
+        if (video == null) {
+            sendError(resp, HttpServletResponse.SC_NOT_FOUND, "Video not found")
+            return
+        }
+        val descriptor = mediaStoreUploader.openFileDescriptor(video.contentUri)
+        if (descriptor == null) {
+            sendError(resp, HttpServletResponse.SC_NOT_FOUND, "Video not available")
+            return
+        }
+
+        ParcelFileDescriptor.AutoCloseInputStream(descriptor).use { input ->
+            val fileLength = descriptor.statSize.takeIf { it >= 0 } ?: video.size
+            val range = parseRange(req.getHeader("Range"), fileLength)
+
+            resp.contentType = video.mimeType ?: getMimeType(video.displayName)
+            resp.setHeader("Accept-Ranges", "bytes")
+            if (req.getParameter("download") != null) {
+                resp.setHeader("Content-Disposition", contentDisposition(video))
+            }
+
+            when {
+                range == null -> {
+                    resp.status = HttpServletResponse.SC_OK
+                    resp.setContentLengthLong(fileLength)
+                    if (sendBody) streamRange(input, 0, fileLength, resp, video)
+                }
+                range.isEmpty() -> {
+                    resp.setHeader("Content-Range", "bytes */$fileLength")
+                    sendError(resp, HttpServletResponse.SC_REQUESTED_RANGE_NOT_SATISFIABLE, "Invalid range")
+                }
+                else -> {
+                    val contentLength = range.last - range.first + 1
+                    resp.status = HttpServletResponse.SC_PARTIAL_CONTENT
+                    resp.setHeader("Content-Range", "bytes ${range.first}-${range.last}/$fileLength")
+                    resp.setContentLengthLong(contentLength)
+                    if (sendBody) streamRange(input, range.first, contentLength, resp, video)
+                }
+            }
+        }
+    }
+
+    /**
+     * Copies [length] bytes starting at [start] to the response.
+     * Browsers drop range requests whenever the user seeks, so a disconnect is not an error.
+     */
+    private fun streamRange(
+        input: FileInputStream,
+        start: Long,
+        length: Long,
+        resp: HttpServletResponse,
+        video: UploadedVideo
+    ) {
+        var written = 0L
+        try {
+            input.channel.position(start)
+            val output = resp.outputStream
+            val buffer = ByteArray(MediaStoreUploader.BUFFER_SIZE)
+            while (written < length) {
+                val read = input.read(buffer, 0, minOf(buffer.size.toLong(), length - written).toInt())
+                if (read < 0) break
+                output.write(buffer, 0, read)
+                written += read
+            }
+            output.flush()
+        } catch (e: IOException) {
+            android.util.Log.d(TAG, "Client stopped reading ${video.displayName} after $written/$length bytes: ${e.message}")
+        }
+    }
+
+    /** Attachment header with an ASCII fallback name and the UTF-8 name (RFC 6266). */
+    private fun contentDisposition(video: UploadedVideo): String {
+        val asciiName = video.displayName.replace(Regex("[^\\x20-\\x7E]|[\"\\\\]"), "_")
+        val encodedName = URLEncoder.encode(video.displayName, "UTF-8").replace("+", "%20")
+        return "attachment; filename=\"$asciiName\"; filename*=UTF-8''$encodedName"
+    }
+
+    private fun getMimeType(filename: String): String {
+        val extension = filename.substringAfterLast('.', "").lowercase()
+        return VIDEO_MIME_TYPES[extension] ?: "application/octet-stream"
+    }
+
+    private fun sendError(resp: HttpServletResponse, status: Int, message: String) {
+        resp.status = status
+        resp.contentType = "application/json"
+        resp.writer.write("""{"error": "$message"}""")
+        android.util.Log.w(TAG, "Error response: $status - $message")
+    }
+}
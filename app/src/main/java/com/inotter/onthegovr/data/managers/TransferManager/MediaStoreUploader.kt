@@ -1,16 +1,21 @@
 package com.inotter.onthegovr.data.managers.TransferManager
 
 import android.content.ContentResolver
+import android.content.ContentUris
 import android.content.ContentValues
+import android.graphics.Bitmap
 import android.net.Uri
 import android.os.Build
+import android.os.ParcelFileDescriptor
 import android.provider.MediaStore
+import android.util.Size
+import com.inotter.onthegovr.data.managers.TransferManager.models.UploadedVideo
 import java.io.OutputStream
 
 /**
  * Utility class for uploading files directly to the public MediaStore.
  *
- * Files are written to Movies/OnTheGoVR/ and:
+ * Files are written to Movies/OnTheGoVR/ (or a subfolder of it for folder uploads) and:
  * - Survive app uninstall
  * - Are visible to other apps (file managers, galleries)
  * - Are discovered by MediaStoreScanWorker automatically
@@ -32,17 +37,46 @@ class MediaStoreUploader(
         
         /** Buffer size for writing uploaded files (256KB for optimal large file I/O) */
         const val BUFFER_SIZE = 256 * 1024
+
+        /** Maximum folder nesting kept from a folder upload's relative path */
+        const val MAX_SUBFOLDER_DEPTH = 8
+
+        /** Characters not allowed in a folder name */
+        private val INVALID_FOLDER_CHARS = Regex("[:*?\"<>|\\u0000-\\u001F]")
+
+        /**
+         * Extracts a safe subfolder from a client-supplied relative file path.
+         * "Show/Season 1/ep1.mkv" becomes "Show/Season 1"; "..", hidden and empty
+         * segments are dropped. Returns null if the file is not inside a folder.
+         */
+        fun subfolderFromRelativePath(relativePath: String?): String? {
+            if (relativePath.isNullOrBlank()) return null
+            return relativePath.replace('\\', '/')
+                .split('/')
+                .dropLast(1) // Last segment is the file name
+                .map { it.replace(INVALID_FOLDER_CHARS, "_").trim().trimStart('.') }
+                .filter { it.isNotEmpty() }
+                .take(MAX_SUBFOLDER_DEPTH)
+                .joinToString("/")
+                .takeIf { it.isNotEmpty() }
+        }
+
+        /** MediaStore relative path for a subfolder of Movies/OnTheGoVR (with trailing slash). */
+        fun relativePathFor(subfolder: String?): String =
+            if (subfolder.isNullOrEmpty()) "$RELATIVE_PATH/" else "$RELATIVE_PATH/$subfolder/"
     }
 
     /**
      * Creates a new pending video entry in MediaStore.
      * The file is hidden from other apps until finalized with [finalizePendingVideo].
+     *
+     * @param subfolder Optional folder below Movies/OnTheGoVR, created by MediaStore if missing
      */
-    fun createPendingVideo(filename: String, mimeType: String): Uri? {
+    fun createPendingVideo(filename: String, mimeType: String, subfolder: String? = null): Uri? {
         val videoDetails = ContentValues().apply {
             put(MediaStore.Video.Media.DISPLAY_NAME, filename)
             put(MediaStore.Video.Media.MIME_TYPE, mimeType)
-            put(MediaStore.Video.Media.RELATIVE_PATH, RELATIVE_PATH)
+            put(MediaStore.Video.Media.RELATIVE_PATH, relativePathFor(subfolder))
             if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.Q) {
                 put(MediaStore.Video.Media.IS_PENDING, 1)
             }
@@ -117,6 +151,74 @@ class MediaStoreUploader(
         } catch (_: Exception) { false }
     }
 
+    /** Renames a finalized video by updating its MediaStore display name. */
+    fun renameVideo(uri: Uri, newName: String): Boolean {
+        val updateValues = ContentValues().apply { put(MediaStore.Video.Media.DISPLAY_NAME, newName) }
+        return try {
+            contentResolver.update(uri, updateValues, null, null) > 0
+        } catch (e: Exception) {
+            android.util.Log.e("MediaStoreUploader", "Failed to rename video", e)
+            false
+        }
+    }
+
+    /** Deletes a finalized video from MediaStore (and from disk). */
+    fun deleteVideo(uri: Uri): Boolean {
+        return try {
+            contentResolver.delete(uri, null, null) > 0
+        } catch (e: Exception) {
+            android.util.Log.e("MediaStoreUploader", "Failed to delete video", e)
+            false
+        }
+    }
+
+    /**
+     * Saves a subtitle file next to an uploaded video.
+     * Subtitles are not media, so they go through the Files collection, which accepts
+     * subtitle MIME types in Movies/ from Android 12.
+     *
+     * @param subfolder Folder below Movies/OnTheGoVR holding the video, or null for the top level
+     */
+    fun saveSubtitle(filename: String, mimeType: String, subfolder: String?, content: ByteArray): Uri? {
+        val details = ContentValues().apply {
+            put(MediaStore.Files.FileColumns.DISPLAY_NAME, filename)
+            put(MediaStore.Files.FileColumns.MIME_TYPE, mimeType)
+            put(MediaStore.Files.FileColumns.RELATIVE_PATH, relativePathFor(subfolder))
+            put(MediaStore.Files.FileColumns.IS_PENDING, 1)
+        }
+
+        val collection = MediaStore.Files.getContentUri(MediaStore.VOLUME_EXTERNAL_PRIMARY)
+        val uri = try {
+            contentResolver.insert(collection, details)
+        } catch (e: Exception) {
+            android.util.Log.e("MediaStoreUploader", "Failed to create subtitle entry", e)
+            null
+        } ?: return null
+
+        return try {
+            val outputStream = contentResolver.openOutputStream(uri)
+                ?: throw java.io.IOException("No output stream for $uri")
+            outputStream.use { it.write(content) }
+            val updateValues = ContentValues().apply { put(MediaStore.Files.FileColumns.IS_PENDING, 0) }
+            contentResolver.update(uri, updateValues, null, null)
+            uri
+        } catch (e: Exception) {
+            android.util.Log.e("MediaStoreUploader", "Failed to write subtitle", e)
+            runCatching { contentResolver.delete(uri, null, null) }
+            null
+        }
+    }
+
+    /** Deletes a subtitle file saved by [saveSubtitle]. */
+    fun deleteSubtitle(uri: Uri): Boolean {
+        return try {
+            contentResolver.delete(uri, null, null) > 0
+        } catch (e: Exception) {
+            android.util.Log.e("MediaStoreUploader", "Failed to delete subtitle", e)
+            false
+        }
+    }
+
     /** Extracts the display name from a MediaStore content URI. */
     fun getDisplayName(uri: Uri): String? {
         return try {
@@ -125,5 +227,77 @@ class MediaStoreUploader(
             }
         } catch (_: Exception) { null }
     }
-}
 
+    /** Lists finalized (non-pending) videos in Movies/OnTheGoVR/ and its subfolders, newest first. */
+    fun queryUploadedVideos(): List<UploadedVideo> = queryVideos()
+
+    /** Finds one finalized video in Movies/OnTheGoVR/ or its subfolders, or null if it is not there. */
+    fun findUploadedVideo(mediaStoreId: Long): UploadedVideo? =
+        queryVideos("${MediaStore.Video.Media._ID} = ?", arrayOf(mediaStoreId.toString())).firstOrNull()
+
+    /** Opens a MediaStore entry for reading, or returns null if it can't be opened. */
+    fun openFileDescriptor(uri: Uri): ParcelFileDescriptor? {
+        return try {
+            contentResolver.openFileDescriptor(uri, "r")
+        } catch (e: Exception) {
+            android.util.Log.e("MediaStoreUploader", "Failed to open $uri for reading", e)
+            null
+        }
+    }
+
+    private fun queryVideos(extraSelection: String? = null, extraArgs: Array<String> = emptyArray()): List<UploadedVideo> {
+        val videos = mutableListOf<UploadedVideo>()
+        try {
+            val selection = "(${MediaStore.Video.Media.RELATIVE_PATH} = ? OR ${MediaStore.Video.Media.RELATIVE_PATH} LIKE ?) AND ${MediaStore.Video.Media.IS_PENDING} = ?" +
+                (extraSelection?.let { " AND $it" } ?: "")
+            val selectionArgs = arrayOf(RELATIVE_PATH, "$RELATIVE_PATH/%", "0") + extraArgs
+            val projection = arrayOf(
+                MediaStore.Video.Media._ID,
+                MediaStore.Video.Media.DISPLAY_NAME,
+                MediaStore.Video.Media.SIZE,
+                MediaStore.Video.Media.DURATION,
+                MediaStore.Video.Media.DATE_ADDED,
+                MediaStore.Video.Media.MIME_TYPE,
+                MediaStore.Video.Media.RELATIVE_PATH
+            )
+            contentResolver.query(
+                MediaStore.Video.Media.EXTERNAL_CONTENT_URI, projection,
+                selection, selectionArgs, "${MediaStore.Video.Media.DATE_ADDED} DESC"
+            )?.use { cursor ->
+                val idColumn = cursor.getColumnIndexOrThrow(MediaStore.Video.Media._ID)
+                val nameColumn = cursor.getColumnIndexOrThrow(MediaStore.Video.Media.DISPLAY_NAME)
+                val sizeColumn = cursor.getColumnIndexOrThrow(MediaStore.Video.Media.SIZE)
+                val durationColumn = cursor.getColumnIndexOrThrow(MediaStore.Video.Media.DURATION)
+                val dateColumn = cursor.getColumnIndexOrThrow(MediaStore.Video.Media.DATE_ADDED)
+                val mimeColumn = cursor.getColumnIndexOrThrow(MediaStore.Video.Media.MIME_TYPE)
+                val pathColumn = cursor.getColumnIndexOrThrow(MediaStore.Video.Media.RELATIVE_PATH)
+                while (cursor.moveToNext()) {
+                    val id = cursor.getLong(idColumn)
+                    videos.add(UploadedVideo(
+                        mediaStoreId = id,
+                        contentUri = ContentUris.withAppendedId(MediaStore.Video.Media.EXTERNAL_CONTENT_URI, id),
+                        displayName = cursor.getString(nameColumn) ?: "video_$id",
+                        size = cursor.getLong(sizeColumn),
+                        durationMs = cursor.getLong(durationColumn),
+                        dateAddedMillis = cursor.getLong(dateColumn) * 1000,
+                        mimeType = cursor.getString(mimeColumn),
+                        subfolder = cursor.getString(pathColumn)
+                            ?.removePrefix(RELATIVE_PATH)
+                            ?.trim('/')
+                            ?.takeIf { it.isNotEmpty() }
+                    ))
+                }
+            }
+        } catch (e: Exception) {
+            android.util.Log.e("MediaStoreUploader", "Failed to query uploaded videos", e)
+        }
+        return videos
+    }
+
+    /** Loads the MediaStore thumbnail for a video, or null if none can be produced. */
+    fun loadThumbnail(uri: Uri, width: Int, height: Int): Bitmap? {
+        return try {
+            contentResolver.loadThumbnail(uri, Size(width, height), null)
+        } catch (_: Exception) { null }
+    }
+}
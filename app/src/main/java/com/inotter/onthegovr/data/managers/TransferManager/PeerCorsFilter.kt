@@ -0,0 +1,73 @@
+package com.inotter.onthegovr.data.managers.TransferManager
+
+import javax.servlet.Filter
+import javax.servlet.FilterChain
+import javax.servlet.FilterConfig
+import javax.servlet.ServletRequest
+import javax.servlet.ServletResponse
+import javax.servlet.http.HttpServletRequest
+import javax.servlet.http.HttpServletResponse
+
+/**
+ * Lets the web client served by another headset on the network call this server, so one
+ * browser page can upload the same files to several headsets (see [TransferPeerDiscovery]).
+ *
+ * Only origins of discovered transfer servers get CORS headers; requests from anywhere else
+ * pass through unchanged and stay limited by the browser's same-origin policy. Browsers don't
+ * send the SameSite session cookie along with these requests, so peer pages send the token from
+ * POST /api/verify-pin as a bearer token instead (see [SessionAuthenticator.isAuthorized]).
+ */
+class PeerCorsFilter(
+    private val isPeerOrigin: (String) -> Boolean
+) : Filter {
+
+    companion object {
+        private const val ALLOWED_METHODS = "GET, HEAD, POST, PATCH, DELETE, OPTIONS"
+
+        /** Request headers used by the web client and tus-js-client */
+        private const val ALLOWED_HEADERS = "Authorization, Content-Type, Tus-Resumable, Upload-Length, " +
+            "Upload-Offset, Upload-Metadata, Upload-Concat, Upload-Defer-Length, Upload-Checksum, " +
+            "X-HTTP-Method-Override, X-Requested-With"
+
+        /** Response headers tus-js-client reads */
+        private const val EXPOSED_HEADERS = "Location, Tus-Resumable, Tus-Version, Tus-Extension, " +
+            "Tus-Max-Size, Upload-Offset, Upload-Length, Upload-Metadata, Upload-Concat, Upload-Expires"
+
+        private const val PREFLIGHT_MAX_AGE_SECONDS = "600"
+
+        private const val PEER_ORIGIN_ATTRIBUTE = "onthegovr.peerOrigin"
+
+        /** Returns true if [req] was sent by a peer's web client (set by this filter). */
+        fun isPeerRequest(req: HttpServletRequest): Boolean = req.getAttribute(PEER_ORIGIN_ATTRIBUTE) != null
+    }
+
+    override fun init(filterConfig: FilterConfig?) {}
+
+    override fun destroy() {}
+
+    override fun doFilter(request: ServletRequest, response: ServletResponse, chain: FilterChain) {
+        val req = request as HttpServletRequest
+        val resp = response as HttpServletResponse
+        resp.addHeader("Vary", "Origin")
+
+        val origin = req.getHeader("Origin")
+        if (origin == null || !isPeerOrigin(origin)) {
+            chain.doFilter(request, response)
+            return
+        }
+
+        resp.setHeader("Access-Control-Allow-Origin", origin)
+        if (req.method == "OPTIONS" && req.getHeader("Access-Control-Request-Method") != null) {
+            // Preflight, answered here so it doesn't reach the TUS servlet's own OPTIONS handling
+            resp.setHeader("Access-Control-Allow-Methods", ALLOWED_METHODS)
+            resp.setHeader("Access-Control-Allow-Headers", ALLOWED_HEADERS)
+            resp.setHeader("Access-Control-Max-Age", PREFLIGHT_MAX_AGE_SECONDS)
+            resp.status = HttpServletResponse.SC_NO_CONTENT
+            return
+        }
+
+        resp.setHeader("Access-Control-Expose-Headers", EXPOSED_HEADERS)
+        req.setAttribute(PEER_ORIGIN_ATTRIBUTE, origin)
+        chain.doFilter(request, response)
+    }
+}
@@ -0,0 +1,222 @@
+package com.inotter.onthegovr.data.managers.TransferManager
+
+import java.security.MessageDigest
+import java.security.SecureRandom
+import java.util.Base64
+import java.util.concurrent.ConcurrentHashMap
+import javax.crypto.Mac
+import javax.crypto.spec.SecretKeySpec
+import javax.servlet.http.HttpServletRequest
+import javax.servlet.http.HttpServletResponse
+
+/**
+ * Session authentication for the WiFi transfer server.
+ *
+ * The browser exchanges the PIN once (POST /api/verify-pin) for a signed, expiring
+ * session token, stored in an HttpOnly cookie that every later request carries:
+ * 1. Tokens are "expiresAt.nonce.signature", signed with HMAC-SHA256 using a key
+ *    generated when the server starts, so restarting the server ends all sessions
+ * 2. The current PIN is part of the signed data, so changing or re-enabling the PIN
+ *    invalidates existing sessions
+ * 3. Failed PIN attempts are counted per client address; after [MAX_FAILED_ATTEMPTS]
+ *    the client is locked out, with the lockout doubling each time up to [MAX_LOCKOUT_MS]
+ *
+ * Pages served by other headsets can't use the cookie, so they get the token in the
+ * verify-pin response and send it as "Authorization: Bearer <token>" (see [PeerCorsFilter]).
+ *
+ * The QR code on the headset carries a one-time pairing token instead of the PIN
+ * ([createPairingToken]), which the browser exchanges for a session (POST /api/pair). A pairing
+ * token works once, for [PAIRING_TOKEN_TTL_MS], and only while the PIN it was issued for is set.
+ *
+ * When PIN protection is disabled every request is authorized.
+ */
+class SessionAuthenticator(
+    private val currentPin: () -> String?,
+    private val clock: () -> Long = { System.currentTimeMillis() }
+) {
+    companion object {
+        private const val TAG = "SessionAuthenticator"
+
+        const val COOKIE_NAME = "otg_session"
+        private const val BEARER_PREFIX = "Bearer "
+        const val SESSION_TTL_MS = 12 * 60 * 60 * 1000L // 12 hours
+        const val PAIRING_TOKEN_TTL_MS = 5 * 60 * 1000L // 5 minutes
+
+        const val MAX_FAILED_ATTEMPTS = 5
+        private const val BASE_LOCKOUT_MS = 30 * 1000L
+        private const val MAX_LOCKOUT_MS = 15 * 60 * 1000L
+
+        private const val HMAC_ALGORITHM = "HmacSHA256"
+        private const val KEY_BYTES = 32
+        private const val NONCE_BYTES = 16
+        private const val PAIRING_TOKEN_BYTES = 16
+
+        // java.util.Base64 rather than android.util.Base64, so the authenticator runs in JVM tests
+        private val base64 = Base64.getUrlEncoder().withoutPadding()
+    }
+
+    /** Outcome of a PIN login attempt */
+    sealed class LoginResult {
+        data class Success(val token: String, val expiresAt: Long) : LoginResult()
+        data class InvalidPin(val attemptsRemaining: Int) : LoginResult()
+        data class LockedOut(val retryAfterMs: Long) : LoginResult()
+    }
+
+    /** A one-time pairing token for the QR code shown on the headset */
+    data class PairingToken(val token: String, val expiresAt: Long)
+
+    private data class PendingPairing(val expiresAt: Long, val pin: String)
+
+    private data class AttemptState(
+        val failures: Int = 0,
+        val lockouts: Int = 0,
+        val lockedUntil: Long = 0L
+    )
+
+    private val random = SecureRandom()
+    private val key = ByteArray(KEY_BYTES).also { random.nextBytes(it) }
+    private val attempts = ConcurrentHashMap<String, AttemptState>()
+    private val pairingTokens = ConcurrentHashMap<String, PendingPairing>()
+
+    val isPinEnabled: Boolean get() = currentPin() != null
+
+    /**
+     * Checks [pin] for the client at [clientAddress] and issues a session token on success.
+     * Attempts during a lockout are rejected without checking the PIN.
+     */
+    @Synchronized
+    fun login(pin: String, clientAddress: String): LoginResult {
+        val now = clock()
+        val state = attempts[clientAddress] ?: AttemptState()
+        if (state.lockedUntil > now) {
+            return LoginResult.LockedOut(state.lockedUntil - now)
+        }
+
+        val expectedPin = currentPin()
+        if (expectedPin == null || MessageDigest.isEqual(pin.toByteArray(), expectedPin.toByteArray())) {
+            attempts.remove(clientAddress)
+            val expiresAt = now + SESSION_TTL_MS
+            return LoginResult.Success(createToken(expiresAt, expectedPin.orEmpty()), expiresAt)
+        }
+
+        val failures = state.failures + 1
+        if (failures < MAX_FAILED_ATTEMPTS) {
+            attempts[clientAddress] = state.copy(failures = failures)
+            return LoginResult.InvalidPin(MAX_FAILED_ATTEMPTS - failures)
+        }
+
+        val lockoutMs = (BASE_LOCKOUT_MS shl state.lockouts.coerceAtMost(10)).coerceAtMost(MAX_LOCKOUT_MS)
+        attempts[clientAddress] = AttemptState(lockouts = state.lockouts + 1, lockedUntil = now + lockoutMs)
+        android.util.Log.w(TAG, "Too many failed PIN attempts from $clientAddress, locked out for ${lockoutMs / 1000}s")
+        return LoginResult.LockedOut(lockoutMs)
+    }
+
+    /**
+     * Issues a one-time pairing token for the current PIN. Expired tokens are dropped here,
+     * so a headset that keeps its QR code on screen doesn't collect them.
+     */
+    fun createPairingToken(): PairingToken {
+        val now = clock()
+        pairingTokens.entries.removeIf { it.value.expiresAt <= now }
+
+        val token = base64.encodeToString(ByteArray(PAIRING_TOKEN_BYTES).also { random.nextBytes(it) })
+        val expiresAt = now + PAIRING_TOKEN_TTL_MS
+        pairingTokens[token] = PendingPairing(expiresAt, currentPin().orEmpty())
+        return PairingToken(token, expiresAt)
+    }
+
+    /** Returns true if [token] can still be exchanged: it is unused, unexpired and the PIN hasn't changed. */
+    fun isPairingTokenValid(token: String): Boolean {
+        val pending = pairingTokens[token] ?: return false
+        return pending.expiresAt > clock() && pending.pin == currentPin().orEmpty()
+    }
+
+    /**
+     * Exchanges a pairing token for a session token. The pairing token is used up either way.
+     * Returns null if it is unknown, expired or was issued for a different PIN.
+     *
+     * Pairing tokens can't be guessed, so failures don't count towards the PIN lockout.
+     */
+    fun pair(token: String): LoginResult.Success? {
+        val pending = pairingTokens.remove(token) ?: return null
+        val now = clock()
+        val pin = currentPin().orEmpty()
+        if (pending.expiresAt <= now || pending.pin != pin) return null
+
+        val expiresAt = now + SESSION_TTL_MS
+        return LoginResult.Success(createToken(expiresAt, pin), expiresAt)
+    }
+
+    /** Milliseconds until [clientAddress] may try the PIN again, or 0 if it is not locked out. */
+    fun lockoutRemaining(clientAddress: String): Long {
+        val lockedUntil = attempts[clientAddress]?.lockedUntil ?: return 0L
+        return (lockedUntil - clock()).coerceAtLeast(0L)
+    }
+
+    /**
+     * Returns true if PIN protection is off or the request carries a valid session token,
+     * in the session cookie or as a bearer token.
+     */
+    fun isAuthorized(req: HttpServletRequest): Boolean = sessionExpiresAt(req) != null
+
+    /**
+     * Returns when the request's session token expires, [Long.MAX_VALUE] if PIN protection is off,
+     * or null if the request is not authorized. For connections that outlive the request, like the
+     * event WebSocket.
+     */
+    fun sessionExpiresAt(req: HttpServletRequest): Long? {
+        val pin = currentPin() ?: return Long.MAX_VALUE
+        val token = req.getHeader("Authorization")?.takeIf { it.startsWith(BEARER_PREFIX) }?.removePrefix(BEARER_PREFIX)
+            ?: req.cookies?.firstOrNull { it.name == COOKIE_NAME }?.value
+            ?: return null
+        return verifyToken(token, pin)
+    }
+
+    /**
+     * Checks the session for a request that requires authentication.
+     * Writes a 401 response and returns false if the request is not authorized.
+     */
+    fun requireSession(req: HttpServletRequest, resp: HttpServletResponse): Boolean {
+        if (isAuthorized(req)) return true
+
+        android.util.Log.w(TAG, "Unauthorized ${req.method} ${req.requestURI}")
+        resp.status = HttpServletResponse.SC_UNAUTHORIZED
+        resp.contentType = "application/json"
+        resp.writer.write("""{"success": false, "error": "PIN required. Please enter the PIN shown on the VR headset."}""")
+        return false
+    }
+
+    /**
+     * Sets the session cookie. SameSite=Strict keeps other sites from using it; over HTTPS it is
+     * also marked Secure, so the browser never sends it unencrypted.
+     */
+    fun writeSessionCookie(resp: HttpServletResponse, token: String, secure: Boolean = false) {
+        val maxAgeSeconds = SESSION_TTL_MS / 1000
+        val secureAttribute = if (secure) "; Secure" else ""
+        resp.addHeader("Set-Cookie", "$COOKIE_NAME=$token; Path=/; Max-Age=$maxAgeSeconds; HttpOnly; SameSite=Strict$secureAttribute")
+    }
+
+    private fun createToken(expiresAt: Long, pin: String): String {
+        val nonce = ByteArray(NONCE_BYTES).also { random.nextBytes(it) }
+        val payload = "$expiresAt.${base64.encodeToString(nonce)}"
+        return "$payload.${sign(payload, pin)}"
+    }
+
+    /** Returns the token's expiry if it is valid, or null */
+    private fun verifyToken(token: String, pin: String): Long? {
+        val payload = token.substringBeforeLast('.', "")
+        val signature = token.substringAfterLast('.', "")
+        if (payload.isEmpty() || signature.isEmpty()) return null
+
+        val expiresAt = payload.substringBefore('.').toLongOrNull() ?: return null
+        if (expiresAt <= clock()) return null
+
+        return expiresAt.takeIf { MessageDigest.isEqual(signature.toByteArray(), sign(payload, pin).toByteArray()) }
+    }
+
+    private fun sign(payload: String, pin: String): String {
+        val mac = Mac.getInstance(HMAC_ALGORITHM)
+        mac.init(SecretKeySpec(key, HMAC_ALGORITHM))
+        return base64.encodeToString(mac.doFinal("$payload.$pin".toByteArray()))
+    }
+}
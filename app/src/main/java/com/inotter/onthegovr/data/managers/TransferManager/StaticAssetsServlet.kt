@@ -13,6 +13,15 @@ import javax.servlet.http.HttpServletResponse
  * - style.css (styles)
  * - upload.js (upload logic)
  * - tus.min.js (TUS client library)
+ * - hash-worker.js (Web Worker computing upload checksums)
+ * - media-probe.js (reads MP4/MKV headers to flag files the player can't handle)
+ * - frame-capture.js (captures poster and preview frames sent with uploads)
+ * - remote.js (remote control of the headset player)
+ * - peers.js (uploading to other headsets on the network)
+ * - settings.js (Settings tab: playback, scan and environment preferences)
+ * - history.js (History tab: the transfer log, filters and exports)
+ * - share.js, sw.js, manifest.webmanifest and icons/ (installable app that receives videos
+ *   shared from other apps, see [doPost])
  */
 class StaticAssetsServlet(
     private val context: Context
@@ -26,6 +35,10 @@ class StaticAssetsServlet(
         private const val MIME_CSS = "text/css"
         private const val MIME_JS = "application/javascript"
         private const val MIME_JSON = "application/json"
+        private const val MIME_MANIFEST = "application/manifest+json"
+
+        /** Web Share Target action in manifest.webmanifest */
+        private const val SHARE_TARGET_PATH = "/share-target"
     }
 
     override fun doGet(req: HttpServletRequest, resp: HttpServletResponse) {
@@ -47,8 +60,8 @@ class StaticAssetsServlet(
             // Set content type
             resp.contentType = getMimeType(assetPath)
 
-            // Set cache headers
-            if (assetPath.endsWith(".html")) {
+            // Set cache headers; the service worker and manifest are checked for updates on every load
+            if (assetPath.endsWith(".html") || assetPath.endsWith("/sw.js") || assetPath.endsWith(".webmanifest")) {
                 resp.setHeader("Cache-Control", "no-cache")
             } else {
                 resp.setHeader("Cache-Control", "max-age=3600")
@@ -76,6 +89,22 @@ class StaticAssetsServlet(
         }
     }
 
+    /**
+     * Handles a share the service worker did not intercept (e.g. it was not installed yet).
+     * The shared files are not read; the page is opened and asks the user to pick them instead.
+     */
+    override fun doPost(req: HttpServletRequest, resp: HttpServletResponse) {
+        val path = req.pathInfo ?: req.servletPath ?: "/"
+        if (path != SHARE_TARGET_PATH) {
+            resp.sendError(HttpServletResponse.SC_METHOD_NOT_ALLOWED)
+            return
+        }
+
+        android.util.Log.w(TAG, "Share target request reached the server, the service worker did not handle it")
+        resp.status = HttpServletResponse.SC_SEE_OTHER
+        resp.setHeader("Location", "/?share-target=failed")
+    }
+
     /**
      * Determines MIME type based on file extension.
      */
@@ -85,6 +114,7 @@ class StaticAssetsServlet(
             path.endsWith(".css") -> MIME_CSS
             path.endsWith(".js") -> MIME_JS
             path.endsWith(".json") -> MIME_JSON
+            path.endsWith(".webmanifest") -> MIME_MANIFEST
             path.endsWith(".png") -> "image/png"
             path.endsWith(".svg") -> "image/svg+xml"
             path.endsWith(".ico") -> "image/x-icon"
@@ -0,0 +1,134 @@
+package com.inotter.onthegovr.data.managers.TransferManager
+
+import android.content.Context
+import android.content.SharedPreferences
+import android.util.Base64
+import org.bouncycastle.asn1.x500.X500Name
+import org.bouncycastle.asn1.x509.BasicConstraints
+import org.bouncycastle.asn1.x509.Extension
+import org.bouncycastle.cert.jcajce.JcaX509CertificateConverter
+import org.bouncycastle.cert.jcajce.JcaX509v3CertificateBuilder
+import org.bouncycastle.operator.jcajce.JcaContentSignerBuilder
+import java.io.File
+import java.math.BigInteger
+import java.security.KeyPairGenerator
+import java.security.KeyStore
+import java.security.MessageDigest
+import java.security.SecureRandom
+import java.security.cert.X509Certificate
+import java.security.spec.ECGenParameterSpec
+import java.util.Date
+
+/**
+ * HTTPS setting and certificate of the WiFi transfer server.
+ *
+ * When HTTPS is turned on, the server uses a self-signed certificate generated the first time it
+ * is needed and kept in app storage, so it stays the same across restarts and IP address changes.
+ * Browsers can't check a self-signed certificate, so they warn about it; the headset shows its
+ * SHA-256 [ServerCertificate.fingerprint] for the user to compare with the one the browser shows.
+ *
+ * Usage:
+ * ```
+ * val store = TransferCertificateStore(context)
+ * val certificate = if (store.isHttpsEnabled()) store.loadOrCreateCertificate() else null
+ * ```
+ */
+class TransferCertificateStore(context: Context) {
+
+    companion object {
+        private const val TAG = "TransferCertificateStore"
+
+        private const val PREFS_NAME = "transfer_server_settings"
+        private const val KEY_HTTPS_ENABLED = "https_enabled"
+        private const val KEY_KEYSTORE_PASSWORD = "keystore_password"
+
+        private const val KEYSTORE_FILE = "transfer_server.p12"
+        private const val KEYSTORE_TYPE = "PKCS12"
+        private const val KEY_ALIAS = "transfer-server"
+
+        private const val SUBJECT = "CN=OnTheGoVR WiFi Transfer"
+        private const val VALIDITY_MS = 20 * 365 * 24 * 60 * 60 * 1000L // 20 years
+        private const val PASSWORD_BYTES = 24
+    }
+
+    /**
+     * The server's key and certificate.
+     *
+     * @property fingerprint SHA-256 of the certificate, as colon-separated hex pairs like browsers show it
+     */
+    class ServerCertificate(
+        val keyStore: KeyStore,
+        val password: String,
+        val fingerprint: String
+    )
+
+    private val appContext = context.applicationContext
+    private val prefs: SharedPreferences = appContext.getSharedPreferences(PREFS_NAME, Context.MODE_PRIVATE)
+    private val keyStoreFile = File(appContext.filesDir, KEYSTORE_FILE)
+
+    fun isHttpsEnabled(): Boolean = prefs.getBoolean(KEY_HTTPS_ENABLED, false)
+
+    fun setHttpsEnabled(enabled: Boolean) {
+        prefs.edit().putBoolean(KEY_HTTPS_ENABLED, enabled).apply()
+    }
+
+    /**
+     * Loads this headset's certificate, generating it on first use. A keystore that can't be read
+     * is replaced, which changes the fingerprint.
+     */
+    @Synchronized
+    fun loadOrCreateCertificate(): ServerCertificate {
+        val password = prefs.getString(KEY_KEYSTORE_PASSWORD, null)
+        if (password != null && keyStoreFile.exists()) {
+            try {
+                val keyStore = KeyStore.getInstance(KEYSTORE_TYPE)
+                keyStoreFile.inputStream().use { keyStore.load(it, password.toCharArray()) }
+                val certificate = keyStore.getCertificate(KEY_ALIAS) as X509Certificate
+                certificate.checkValidity()
+                return ServerCertificate(keyStore, password, fingerprintOf(certificate))
+            } catch (e: Exception) {
+                android.util.Log.w(TAG, "Stored certificate unusable, generating a new one: ${e.message}")
+            }
+        }
+        return createCertificate()
+    }
+
+    private fun createCertificate(): ServerCertificate {
+        val random = SecureRandom()
+        val keyPair = KeyPairGenerator.getInstance("EC").apply {
+            initialize(ECGenParameterSpec("secp256r1"), random)
+        }.generateKeyPair()
+
+        val now = System.currentTimeMillis()
+        val subject = X500Name(SUBJECT)
+        val builder = JcaX509v3CertificateBuilder(
+            subject,
+            BigInteger(64, random),
+            Date(now - 24 * 60 * 60 * 1000L), // Tolerates a browser clock that is a little behind
+            Date(now + VALIDITY_MS),
+            subject,
+            keyPair.public
+        ).addExtension(Extension.basicConstraints, true, BasicConstraints(false))
+        val signer = JcaContentSignerBuilder("SHA256withECDSA").build(keyPair.private)
+        val certificate = JcaX509CertificateConverter().getCertificate(builder.build(signer))
+
+        val password = Base64.encodeToString(
+            ByteArray(PASSWORD_BYTES).also { random.nextBytes(it) },
+            Base64.NO_WRAP or Base64.NO_PADDING
+        )
+        val keyStore = KeyStore.getInstance(KEYSTORE_TYPE).apply {
+            load(null, null)
+            setKeyEntry(KEY_ALIAS, keyPair.private, password.toCharArray(), arrayOf(certificate))
+        }
+        keyStoreFile.outputStream().use { keyStore.store(it, password.toCharArray()) }
+        prefs.edit().putString(KEY_KEYSTORE_PASSWORD, password).apply()
+
+        val fingerprint = fingerprintOf(certificate)
+        android.util.Log.i(TAG, "Generated transfer server certificate $fingerprint")
+        return ServerCertificate(keyStore, password, fingerprint)
+    }
+
+    private fun fingerprintOf(certificate: X509Certificate): String =
+        MessageDigest.getInstance("SHA-256").digest(certificate.encoded)
+            .joinToString(":") { "%02X".format(it) }
+}
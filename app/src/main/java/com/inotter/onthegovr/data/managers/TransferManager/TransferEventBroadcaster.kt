@@ -0,0 +1,245 @@
+package com.inotter.onthegovr.data.managers.TransferManager
+
+import android.content.Context
+import com.inotter.onthegovr.data.managers.TransferManager.models.UploadProcessingStatus
+import com.inotter.onthegovr.playback.RemotePlaybackState
+import org.eclipse.jetty.websocket.api.Session
+import org.json.JSONObject
+import java.util.concurrent.ConcurrentHashMap
+import java.util.concurrent.Executors
+import java.util.concurrent.ScheduledExecutorService
+import java.util.concurrent.TimeUnit
+
+/**
+ * Pushes live server events to connected web clients (WebSocket /api/events).
+ *
+ * Every message is a JSON object with a "type" field:
+ * - hello - Sent on connect: storage, PIN requirement and whether the client has a session
+ * - storage - Available storage changed
+ * - processing - A fully received upload changed processing state (see [UploadProcessingStatus]);
+ *   sent to clients that had a session
+ * - files-changed - A video was uploaded, deleted, renamed, moved or given subtitles; sent to
+ *   clients that had a session
+ * - pin - PIN protection was turned on, off or changed; sessions must be re-checked
+ * - player - The headset player's state changed, for the remote control (see [RemotePlaybackState]);
+ *   only sent to clients that had a session when they connected
+ * - settings - Headset settings were changed from a web client; sent to clients that had a session
+ * - history - A transfer started or ended (see [TransferHistoryRecorder]); sent to clients that had a session
+ * - shutdown - The server is stopping
+ *
+ * Clients without a session only get hello, storage, pin and shutdown. When the PIN changes,
+ * every client loses its session here too, until it reconnects with a valid one. A client whose
+ * session expires is disconnected with [CLOSE_SESSION_EXPIRED] the next time it would get a
+ * session-only event, so it reconnects and asks for the PIN again.
+ *
+ * Storage is checked every [STORAGE_CHECK_INTERVAL_MS] while clients are connected,
+ * since other apps on the headset can change it too. While a video plays, its position
+ * changes constantly; position-only player updates are sent every [PLAYER_POSITION_INTERVAL_MS]
+ * and clients move the position along in between.
+ */
+class TransferEventBroadcaster(
+    private val context: Context,
+    private val isPinEnabled: () -> Boolean
+) {
+    companion object {
+        private const val TAG = "TransferEventBroadcaster"
+
+        const val EVENT_HELLO = "hello"
+        const val EVENT_STORAGE = "storage"
+        const val EVENT_PROCESSING = "processing"
+        const val EVENT_FILES_CHANGED = "files-changed"
+        const val EVENT_PIN = "pin"
+        const val EVENT_PLAYER = "player"
+        const val EVENT_SETTINGS = "settings"
+        const val EVENT_HISTORY = "history"
+        const val EVENT_SHUTDOWN = "shutdown"
+
+        private const val STORAGE_CHECK_INTERVAL_MS = 10_000L
+
+        /** Smaller storage changes are not worth a push */
+        private const val STORAGE_CHANGE_THRESHOLD = 10L * 1024 * 1024
+
+        private const val PLAYER_POSITION_INTERVAL_MS = 1000L
+
+        /** WebSocket "policy violation" close code */
+        const val CLOSE_SESSION_EXPIRED = 1008
+    }
+
+    private val sessions = ConcurrentHashMap.newKeySet<Session>()
+
+    /** Clients that had a session when they connected, with when that session expires */
+    private val authenticatedSessions = ConcurrentHashMap<Session, Long>()
+    private var storageMonitor: ScheduledExecutorService? = null
+
+    @Volatile
+    private var lastStorageAvailable = -1L
+
+    private var lastPlayerState: RemotePlaybackState? = null
+    private var lastPlayerPublishedAt = 0L
+
+    val clientCount: Int get() = sessions.size
+
+    /** Starts the storage monitor. Called when the server starts. */
+    fun start() {
+        if (storageMonitor != null) return
+        storageMonitor = Executors.newSingleThreadScheduledExecutor().apply {
+            scheduleWithFixedDelay(
+                { if (sessions.isNotEmpty()) publishStorageIfChanged() },
+                STORAGE_CHECK_INTERVAL_MS, STORAGE_CHECK_INTERVAL_MS, TimeUnit.MILLISECONDS
+            )
+        }
+    }
+
+    /** Tells clients the server is going away, then disconnects them and stops the monitor. */
+    fun shutdown() {
+        broadcast(EVENT_SHUTDOWN, JSONObject().put("reason", "Transfer server stopped on the headset"))
+        sessions.forEach { session ->
+            try {
+                session.close(1001, "Server stopping")
+            } catch (e: Exception) {
+                android.util.Log.w(TAG, "Failed to close event session: ${e.message}")
+            }
+        }
+        sessions.clear()
+        authenticatedSessions.clear()
+        storageMonitor?.shutdownNow()
+        storageMonitor = null
+    }
+
+    /**
+     * Registers a connected client and sends it the current state.
+     * @param sessionExpiresAt When the client's session expires, or null if it has none
+     */
+    fun register(session: Session, sessionExpiresAt: Long?) {
+        sessions.add(session)
+        if (sessionExpiresAt != null) authenticatedSessions[session] = sessionExpiresAt
+        send(session, EVENT_HELLO, storageJson().apply {
+            put("pinRequired", isPinEnabled())
+            put("authenticated", sessionExpiresAt != null)
+        })
+        android.util.Log.d(TAG, "Event client connected (${sessions.size} total)")
+    }
+
+    fun unregister(session: Session) {
+        sessions.remove(session)
+        authenticatedSessions.remove(session)
+        android.util.Log.d(TAG, "Event client disconnected (${sessions.size} total)")
+    }
+
+    fun publishProcessing(tusUploadId: String, status: UploadProcessingStatus) {
+        broadcastToAuthenticated(EVENT_PROCESSING, JSONObject().apply {
+            put("id", tusUploadId)
+            put("state", status.state.name)
+            put("finished", status.state.isFinished)
+            put("error", status.error ?: JSONObject.NULL)
+            put("progress", status.progress ?: JSONObject.NULL)
+            put("videoId", status.videoId ?: JSONObject.NULL)
+        })
+    }
+
+    /**
+     * @param reason "uploaded", "deleted", "renamed", "moved", "subtitles" or "details"
+     */
+    fun publishFilesChanged(reason: String, name: String?) {
+        broadcastToAuthenticated(EVENT_FILES_CHANGED, JSONObject().apply {
+            put("reason", reason)
+            put("name", name ?: JSONObject.NULL)
+        })
+        publishStorageIfChanged()
+    }
+
+    fun publishPinChanged() {
+        // A new PIN ends all sessions (see SessionAuthenticator); clients re-check theirs on this event
+        if (isPinEnabled()) authenticatedSessions.clear()
+        broadcast(EVENT_PIN, JSONObject().put("pinRequired", isPinEnabled()))
+    }
+
+    /**
+     * Sends the player state, or {"active": false} when nothing is playing.
+     * Changes to anything but the position are sent right away.
+     */
+    @Synchronized
+    fun publishPlayer(state: RemotePlaybackState?) {
+        val now = System.currentTimeMillis()
+        val last = lastPlayerState
+        val positionOnly = state != null && last != null &&
+            state.copy(positionMs = last.positionMs, bufferedPositionMs = last.bufferedPositionMs) == last
+        if (positionOnly && now - lastPlayerPublishedAt < PLAYER_POSITION_INTERVAL_MS) return
+
+        lastPlayerState = state
+        lastPlayerPublishedAt = now
+        val json = state?.toJson() ?: JSONObject().put("active", false)
+        broadcastToAuthenticated(EVENT_PLAYER, json)
+    }
+
+    fun publishSettingsChanged() {
+        broadcastToAuthenticated(EVENT_SETTINGS, JSONObject())
+    }
+
+    fun publishHistoryChanged() {
+        broadcastToAuthenticated(EVENT_HISTORY, JSONObject())
+    }
+
+    /** Sends the available storage if it moved by more than [STORAGE_CHANGE_THRESHOLD] since the last push. */
+    fun publishStorageIfChanged() {
+        val json = storageJson()
+        val available = json.getLong("storageAvailable")
+        if (lastStorageAvailable >= 0 && Math.abs(available - lastStorageAvailable) < STORAGE_CHANGE_THRESHOLD) return
+        lastStorageAvailable = available
+        broadcast(EVENT_STORAGE, json)
+    }
+
+    private fun storageJson(): JSONObject {
+        val available = FileValidator.getAvailableStorage(context)
+        return JSONObject().apply {
+            put("storageAvailable", available)
+            put("storageAvailableFormatted", FileValidator.formatBytes(available))
+        }
+    }
+
+    private fun broadcast(type: String, data: JSONObject) {
+        if (sessions.isEmpty()) return
+        sessions.forEach { send(it, type, data) }
+    }
+
+    /**
+     * Sends to clients that had a session when they connected, or to all of them without a PIN.
+     * Clients whose session has expired since are disconnected instead.
+     */
+    private fun broadcastToAuthenticated(type: String, data: JSONObject) {
+        if (!isPinEnabled()) {
+            sessions.forEach { send(it, type, data) }
+            return
+        }
+        val now = System.currentTimeMillis()
+        authenticatedSessions.forEach { (session, expiresAt) ->
+            if (expiresAt <= now) closeExpired(session) else send(session, type, data)
+        }
+    }
+
+    private fun closeExpired(session: Session) {
+        sessions.remove(session)
+        authenticatedSessions.remove(session)
+        try {
+            session.close(CLOSE_SESSION_EXPIRED, "Session expired")
+        } catch (e: Exception) {
+            android.util.Log.w(TAG, "Failed to close expired event session: ${e.message}")
+        }
+    }
+
+    /** Non-blocking send, safe to call from request and worker threads. */
+    private fun send(session: Session, type: String, data: JSONObject) {
+        if (!session.isOpen) {
+            sessions.remove(session)
+            authenticatedSessions.remove(session)
+            return
+        }
+        try {
+            session.remote.sendStringByFuture(JSONObject(data.toString()).put("type", type).toString())
+        } catch (e: Exception) {
+            android.util.Log.w(TAG, "Failed to send $type event: ${e.message}")
+            sessions.remove(session)
+            authenticatedSessions.remove(session)
+        }
+    }
+}
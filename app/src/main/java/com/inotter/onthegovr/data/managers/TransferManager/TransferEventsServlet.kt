@@ -0,0 +1,57 @@
+package com.inotter.onthegovr.data.managers.TransferManager
+
+import org.eclipse.jetty.websocket.api.Session
+import org.eclipse.jetty.websocket.api.WebSocketAdapter
+import org.eclipse.jetty.websocket.servlet.WebSocketServlet
+import org.eclipse.jetty.websocket.servlet.WebSocketServletFactory
+
+/**
+ * WebSocket servlet for the web client's live event channel (/api/events).
+ *
+ * The channel is push-only: each connection is registered with the
+ * [TransferEventBroadcaster], and anything the client sends is ignored.
+ */
+class TransferEventsServlet(
+    private val broadcaster: TransferEventBroadcaster,
+    private val authenticator: SessionAuthenticator
+) : WebSocketServlet() {
+
+    companion object {
+        private const val TAG = "TransferEventsServlet"
+
+        /** Clients reconnect when the server drops an idle connection */
+        private const val IDLE_TIMEOUT_MS = 300000L // 5 minutes
+    }
+
+    override fun configure(factory: WebSocketServletFactory) {
+        factory.policy.idleTimeout = IDLE_TIMEOUT_MS
+        factory.policy.maxTextMessageSize = 1024
+
+        factory.setCreator { req, _ ->
+            // Cookies are only readable during the upgrade request, so keep when the session
+            // ends; the broadcaster closes the connection then
+            EventSocket(authenticator.sessionExpiresAt(req.httpServletRequest))
+        }
+
+        android.util.Log.i(TAG, "Event WebSocket servlet configured")
+    }
+
+    /** @param sessionExpiresAt See [SessionAuthenticator.sessionExpiresAt] */
+    private inner class EventSocket(private val sessionExpiresAt: Long?) : WebSocketAdapter() {
+
+        override fun onWebSocketConnect(session: Session) {
+            super.onWebSocketConnect(session)
+            broadcaster.register(session, sessionExpiresAt)
+        }
+
+        override fun onWebSocketClose(statusCode: Int, reason: String?) {
+            session?.let { broadcaster.unregister(it) }
+            super.onWebSocketClose(statusCode, reason)
+        }
+
+        override fun onWebSocketError(cause: Throwable) {
+            super.onWebSocketError(cause)
+            android.util.Log.w(TAG, "Event WebSocket error: ${cause.message}")
+        }
+    }
+}
@@ -0,0 +1,196 @@
+package com.inotter.onthegovr.data.managers.TransferManager
+
+import com.inotter.onthegovr.data.managers.TransferManager.models.UploadProcessingState
+import com.inotter.onthegovr.data.managers.TransferManager.models.UploadProcessingStatus
+import com.inotter.onthegovr.data.repositories.TransferLogRepository.TransferLogRepository
+import kotlinx.coroutines.CoroutineScope
+import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.launch
+import me.desair.tus.server.TusFileUploadService
+import me.desair.tus.server.upload.UploadInfo
+import me.desair.tus.server.upload.UploadType
+import java.util.concurrent.ConcurrentHashMap
+
+/**
+ * Writes the transfer log ([TransferLogRepository]) from TUS requests and upload processing.
+ *
+ * A transfer is logged when its upload is created (with the client's IP address and user agent),
+ * its bytes are updated after each chunk, and it ends when:
+ * 1. The client cancels it (DELETE /tus/{id}): CANCELLED
+ * 2. [TusUploadHandler] saves it to the headset: COMPLETED
+ * 3. [TusUploadHandler] rejects or fails to save it: FAILED
+ * Transfers that never finish are marked EXPIRED by UploadCleanupWorker.
+ *
+ * The web client sends a "transferId" with the metadata of each upload and of the parts of a
+ * parallel upload, so the parts and the final upload that joins them share one log entry.
+ * Uploads without one are logged under their TUS upload ID, except parts, which are then only
+ * logged through their final upload.
+ *
+ * Every change to the log is reported through [onHistoryChanged].
+ */
+class TransferHistoryRecorder(
+    private val transferLogRepository: TransferLogRepository,
+    private val tusService: TusFileUploadService,
+    private val onHistoryChanged: () -> Unit = {}
+) {
+    companion object {
+        private const val TAG = "TransferHistoryRecorder"
+
+        /** Longest client transfer ID accepted from metadata */
+        private const val MAX_TRANSFER_ID_LENGTH = 64
+    }
+
+    private val scope = CoroutineScope(Dispatchers.IO)
+
+    /** Transfer key of each TUS upload seen by this server session */
+    private val transferKeys = ConcurrentHashMap<String, String>()
+
+    /** Last known offset of each TUS upload, summed per transfer for parallel uploads */
+    private val offsets = ConcurrentHashMap<String, Long>()
+
+    /**
+     * Logs a transfer after POST /tus/ created its upload. The final upload of a parallel
+     * upload is complete when created, so it also records the transfer as received.
+     *
+     * @param uploadUri Path of the new upload (from the Location header)
+     */
+    fun onUploadCreated(uploadUri: String, remoteAddress: String?, userAgent: String?) {
+        val uploadInfo = getUploadInfo(uploadUri) ?: return
+        val tusId = uploadInfo.id?.toString() ?: return
+        val metadata = uploadInfo.metadata.orEmpty()
+        val isPart = uploadInfo.uploadType == UploadType.PARTIAL
+        if (isPart && extractTransferId(uploadInfo) == null) return
+
+        val key = transferKeyFor(uploadInfo)
+        transferKeys[tusId] = key
+        uploadInfo.concatenationPartIds.orEmpty().forEach { transferKeys[it.toString()] = key }
+        val filename = metadata["filename"] as? String ?: "Unknown file"
+        val size = if (isPart) (metadata["filesize"] as? String)?.toLongOrNull() ?: 0L else uploadInfo.length ?: 0L
+
+        scope.launch {
+            try {
+                transferLogRepository.recordStarted(key, filename, size, remoteAddress, userAgent)
+                if (uploadInfo.uploadType == UploadType.CONCATENATED) {
+                    transferLogRepository.markReceived(key, uploadInfo.length ?: 0L)
+                }
+                onHistoryChanged()
+            } catch (e: Exception) {
+                android.util.Log.w(TAG, "Failed to log transfer $key: ${e.message}")
+            }
+        }
+    }
+
+    /**
+     * Updates the bytes received after a PATCH, and records an upload that is not split into
+     * parts as received once its last byte arrived.
+     */
+    fun onUploadProgress(uploadUri: String) {
+        val uploadInfo = getUploadInfo(uploadUri) ?: return
+        val tusId = uploadInfo.id?.toString() ?: return
+        val isPart = uploadInfo.uploadType == UploadType.PARTIAL
+        if (isPart && extractTransferId(uploadInfo) == null) return
+
+        // Also covers uploads created before the server restarted
+        val key = transferKeys.getOrPut(tusId) { transferKeyFor(uploadInfo) }
+        offsets[tusId] = uploadInfo.offset ?: 0L
+        val bytes = bytesReceived(key)
+        val length = uploadInfo.length ?: 0L
+        val received = !isPart && length > 0 && (uploadInfo.offset ?: 0L) >= length
+
+        scope.launch {
+            try {
+                if (received) {
+                    transferLogRepository.markReceived(key, bytes)
+                    onHistoryChanged()
+                } else {
+                    transferLogRepository.updateProgress(key, bytes)
+                }
+            } catch (e: Exception) {
+                android.util.Log.w(TAG, "Failed to update transfer $key: ${e.message}")
+            }
+        }
+    }
+
+    /**
+     * Records a transfer as cancelled when the client deletes one of its uploads.
+     *
+     * @param uploadInfo The upload before it was deleted, or null if the server no longer had it
+     */
+    fun onUploadCancelled(tusUploadId: String, uploadInfo: UploadInfo?) {
+        val key = transferKeys[tusUploadId] ?: uploadInfo?.let { transferKeyFor(it) } ?: return
+        val bytes = if (offsets.keys.any { transferKeys[it] == key }) bytesReceived(key) else uploadInfo?.offset
+
+        scope.launch {
+            try {
+                transferLogRepository.markCancelled(key, bytes)
+                onHistoryChanged()
+            } catch (e: Exception) {
+                android.util.Log.w(TAG, "Failed to log cancelled transfer $key: ${e.message}")
+            }
+            forget(key)
+        }
+    }
+
+    /**
+     * Records the outcome once [TusUploadHandler] has finished processing an upload.
+     */
+    fun onProcessingStatus(tusUploadId: String, status: UploadProcessingStatus) {
+        if (!status.state.isFinished) return
+        val key = transferKeys[tusUploadId] ?: tusUploadId
+
+        scope.launch {
+            try {
+                when (status.state) {
+                    UploadProcessingState.IMPORTED, UploadProcessingState.SAVED ->
+                        transferLogRepository.markCompleted(key)
+                    else -> transferLogRepository.markFailed(key, status.error ?: failureMessage(status.state))
+                }
+                onHistoryChanged()
+            } catch (e: Exception) {
+                android.util.Log.w(TAG, "Failed to log outcome of transfer $key: ${e.message}")
+            }
+            forget(key)
+        }
+    }
+
+    /**
+     * Key of the transfer an upload belongs to. A final upload uses its parts' key, since a
+     * resumed parallel upload is joined with new metadata.
+     */
+    private fun transferKeyFor(uploadInfo: UploadInfo): String {
+        if (uploadInfo.uploadType == UploadType.CONCATENATED) {
+            uploadInfo.concatenationPartIds.orEmpty().firstNotNullOfOrNull { partId ->
+                transferKeys[partId.toString()] ?: getUploadInfo("/tus/$partId")?.let { extractTransferId(it) }
+            }?.let { return it }
+        }
+        return extractTransferId(uploadInfo) ?: uploadInfo.id.toString()
+    }
+
+    private fun extractTransferId(uploadInfo: UploadInfo): String? {
+        val transferId = uploadInfo.metadata?.get("transferId") as? String ?: return null
+        return transferId.trim().takeIf { it.isNotEmpty() && it.length <= MAX_TRANSFER_ID_LENGTH }
+    }
+
+    private fun bytesReceived(transferKey: String): Long =
+        offsets.entries.filter { transferKeys[it.key] == transferKey }.sumOf { it.value }
+
+    private fun forget(transferKey: String) {
+        val tusIds = transferKeys.filterValues { it == transferKey }.keys
+        tusIds.forEach {
+            transferKeys.remove(it)
+            offsets.remove(it)
+        }
+    }
+
+    private fun failureMessage(state: UploadProcessingState): String = when (state) {
+        UploadProcessingState.CHECKSUM_MISMATCH -> "Checksum mismatch"
+        UploadProcessingState.INVALID_CONTENT -> "Invalid video file"
+        else -> "Processing failed"
+    }
+
+    private fun getUploadInfo(uploadUri: String): UploadInfo? = try {
+        tusService.getUploadInfo(uploadUri, null)
+    } catch (e: Exception) {
+        null
+    }
+}
@@ -0,0 +1,254 @@
+package com.inotter.onthegovr.data.managers.TransferManager
+
+import android.content.Context
+import android.net.nsd.NsdManager
+import android.net.nsd.NsdServiceInfo
+import android.util.Log
+import java.net.Inet6Address
+import java.util.concurrent.ConcurrentHashMap
+
+/**
+ * Finds the other headsets running the transfer server on the local network, so the web client
+ * can send the same files to several of them from one page.
+ *
+ * While the server runs it advertises itself over mDNS as [SERVICE_TYPE], with its device name
+ * and whether it serves HTTPS in the TXT record, and browses for the other servers. Browsers
+ * can't use mDNS, so the page asks its own headset for the list (GET /api/peers) and then talks
+ * to the peers directly; [PeerCorsFilter] allows those cross-origin requests from discovered
+ * peers only.
+ *
+ * Usage:
+ * ```
+ * val discovery = TransferPeerDiscovery(context, deviceName = "Quest 3 - Living Room")
+ * discovery.start(port = 8080, secure = false)
+ * // ... server running
+ * discovery.stop()
+ * ```
+ */
+class TransferPeerDiscovery(
+    context: Context,
+    val deviceName: String
+) {
+    companion object {
+        private const val TAG = "TransferPeerDiscovery"
+        private const val SERVICE_TYPE = "_otgvr-transfer._tcp"
+
+        // TXT record keys
+        private const val TXT_KEY_NAME = "name"
+        private const val TXT_KEY_VERSION = "version"
+        private const val TXT_KEY_SECURE = "secure"
+
+        private const val PROTOCOL_VERSION = "1"
+
+        /** Longest peer name shown in the web client */
+        private const val MAX_PEER_NAME_LENGTH = 64
+
+        /** Control characters and markup, dropped from names any device on the network can set */
+        private val UNSAFE_NAME_CHARS = Regex("[\\u0000-\\u001F\\u007F<>\"'&`]")
+
+        /** Returns [name] without [UNSAFE_NAME_CHARS], cut to [MAX_PEER_NAME_LENGTH], or null if nothing is left. */
+        private fun sanitizePeerName(name: String?): String? =
+            name?.replace(UNSAFE_NAME_CHARS, "")?.trim()?.take(MAX_PEER_NAME_LENGTH)?.trim()?.takeIf { it.isNotEmpty() }
+    }
+
+    /**
+     * Another headset's transfer server.
+     *
+     * @property serviceName mDNS service instance name, unique on the network
+     * @property name Device name to show in the web client
+     * @property secure True if the peer serves HTTPS (see [TransferCertificateStore])
+     */
+    data class Peer(
+        val serviceName: String,
+        val name: String,
+        val host: String,
+        val port: Int,
+        val secure: Boolean = false
+    ) {
+        /** Origin of the peer's web client, which is also the base URL of its API */
+        val origin: String
+            get() {
+                val scheme = if (secure) "https" else "http"
+                return if (host.contains(':')) "$scheme://[$host]:$port" else "$scheme://$host:$port"
+            }
+    }
+
+    private val nsdManager = context.getSystemService(Context.NSD_SERVICE) as NsdManager
+
+    private val peers = ConcurrentHashMap<String, Peer>()
+
+    private var registrationListener: NsdManager.RegistrationListener? = null
+    private var discoveryListener: NsdManager.DiscoveryListener? = null
+
+    @Volatile
+    private var ownServiceName: String? = null
+
+    // NsdManager resolves one service at a time, the rest wait here
+    private val pendingResolves = ArrayDeque<NsdServiceInfo>()
+    private var resolving = false
+
+    /** Currently known peers, sorted by name */
+    fun getPeers(): List<Peer> = peers.values.sortedBy { it.name.lowercase() }
+
+    /** Returns true if [origin] (as in the Origin request header) is a discovered peer's web client. */
+    fun isPeerOrigin(origin: String): Boolean = peers.values.any { it.origin.equals(origin, ignoreCase = true) }
+
+    /**
+     * Advertises the server running on [port], over HTTPS if [secure], and starts looking for
+     * other servers.
+     */
+    fun start(port: Int, secure: Boolean = false) {
+        if (registrationListener != null) {
+            Log.w(TAG, "Already started, restarting")
+            stop()
+        }
+
+        val serviceInfo = NsdServiceInfo().apply {
+            serviceName = deviceName
+            serviceType = SERVICE_TYPE
+            setPort(port)
+            setAttribute(TXT_KEY_NAME, deviceName)
+            setAttribute(TXT_KEY_VERSION, PROTOCOL_VERSION)
+            setAttribute(TXT_KEY_SECURE, if (secure) "1" else "0")
+        }
+
+        val registration = object : NsdManager.RegistrationListener {
+            override fun onServiceRegistered(serviceInfo: NsdServiceInfo?) {
+                // The name may have been changed to make it unique on the network
+                ownServiceName = serviceInfo?.serviceName
+                ownServiceName?.let { peers.remove(it) }
+                Log.i(TAG, "Transfer server advertised as $ownServiceName")
+            }
+
+            override fun onRegistrationFailed(serviceInfo: NsdServiceInfo?, errorCode: Int) {
+                Log.e(TAG, "Service registration failed: errorCode=$errorCode")
+            }
+
+            override fun onServiceUnregistered(serviceInfo: NsdServiceInfo?) {
+                Log.i(TAG, "Service unregistered: ${serviceInfo?.serviceName}")
+            }
+
+            override fun onUnregistrationFailed(serviceInfo: NsdServiceInfo?, errorCode: Int) {
+                Log.e(TAG, "Service unregistration failed: errorCode=$errorCode")
+            }
+        }
+
+        val discovery = object : NsdManager.DiscoveryListener {
+            override fun onDiscoveryStarted(serviceType: String?) {
+                Log.i(TAG, "Looking for other transfer servers")
+            }
+
+            override fun onDiscoveryStopped(serviceType: String?) {
+                Log.i(TAG, "Stopped looking for other transfer servers")
+            }
+
+            override fun onServiceFound(serviceInfo: NsdServiceInfo?) {
+                val info = serviceInfo ?: return
+                if (info.serviceName == ownServiceName) return
+                queueResolve(info)
+            }
+
+            override fun onServiceLost(serviceInfo: NsdServiceInfo?) {
+                val name = serviceInfo?.serviceName ?: return
+                if (peers.remove(name) != null) Log.i(TAG, "Peer lost: $name")
+            }
+
+            override fun onStartDiscoveryFailed(serviceType: String?, errorCode: Int) {
+                Log.e(TAG, "Discovery start failed: errorCode=$errorCode")
+            }
+
+            override fun onStopDiscoveryFailed(serviceType: String?, errorCode: Int) {
+                Log.e(TAG, "Discovery stop failed: errorCode=$errorCode")
+            }
+        }
+
+        try {
+            nsdManager.registerService(serviceInfo, NsdManager.PROTOCOL_DNS_SD, registration)
+            registrationListener = registration
+            nsdManager.discoverServices(SERVICE_TYPE, NsdManager.PROTOCOL_DNS_SD, discovery)
+            discoveryListener = discovery
+        } catch (e: Exception) {
+            // Uploading to this headset works without discovery
+            Log.e(TAG, "Failed to start peer discovery", e)
+        }
+    }
+
+    /**
+     * Stops advertising this server and forgets the discovered peers.
+     */
+    fun stop() {
+        registrationListener?.let { listener ->
+            try {
+                nsdManager.unregisterService(listener)
+            } catch (e: Exception) {
+                Log.e(TAG, "Error stopping advertisement", e)
+            }
+        }
+        discoveryListener?.let { listener ->
+            try {
+                nsdManager.stopServiceDiscovery(listener)
+            } catch (e: Exception) {
+                Log.e(TAG, "Error stopping discovery", e)
+            }
+        }
+        registrationListener = null
+        discoveryListener = null
+        ownServiceName = null
+        synchronized(pendingResolves) {
+            pendingResolves.clear()
+        }
+        peers.clear()
+    }
+
+    private fun queueResolve(serviceInfo: NsdServiceInfo) {
+        synchronized(pendingResolves) {
+            pendingResolves.addLast(serviceInfo)
+            if (resolving) return
+            resolving = true
+        }
+        resolveNext()
+    }
+
+    private fun resolveNext() {
+        val next = synchronized(pendingResolves) {
+            pendingResolves.removeFirstOrNull().also { if (it == null) resolving = false }
+        } ?: return
+
+        val listener = object : NsdManager.ResolveListener {
+            override fun onResolveFailed(serviceInfo: NsdServiceInfo?, errorCode: Int) {
+                Log.w(TAG, "Resolve failed for ${serviceInfo?.serviceName}: errorCode=$errorCode")
+                resolveNext()
+            }
+
+            override fun onServiceResolved(serviceInfo: NsdServiceInfo?) {
+                serviceInfo?.let { addPeer(it) }
+                resolveNext()
+            }
+        }
+
+        try {
+            nsdManager.resolveService(next, listener)
+        } catch (e: Exception) {
+            Log.e(TAG, "Error resolving service: ${next.serviceName}", e)
+            resolveNext()
+        }
+    }
+
+    private fun addPeer(info: NsdServiceInfo) {
+        if (info.serviceName == ownServiceName || discoveryListener == null) return
+        val address = info.host ?: return
+        val host = address.hostAddress?.let { if (address is Inet6Address) it.substringBefore('%') else it } ?: return
+
+        val peer = Peer(
+            serviceName = info.serviceName,
+            name = sanitizePeerName(info.attributes[TXT_KEY_NAME]?.decodeToString())
+                ?: sanitizePeerName(info.serviceName)
+                ?: host,
+            host = host,
+            port = info.port,
+            secure = info.attributes[TXT_KEY_SECURE]?.decodeToString() == "1"
+        )
+        peers[peer.serviceName] = peer
+        Log.i(TAG, "Peer found: ${peer.name} at ${peer.origin}")
+    }
+}
@@ -1,34 +1,94 @@
 package com.inotter.onthegovr.data.managers.TransferManager
 
+import android.content.ContentUris
 import android.net.Uri
+import android.util.Base64
+import com.inotter.onthegovr.data.datasources.videolibrary.models.ThumbnailKind
+import com.inotter.onthegovr.data.datasources.videolibrary.models.UploadSession
+import com.inotter.onthegovr.data.datasources.videolibrary.models.VideoFormat
+import com.inotter.onthegovr.data.managers.ThumbnailManager.UploadedFrameStore
+import com.inotter.onthegovr.data.managers.TransferManager.models.IncompleteUpload
+import com.inotter.onthegovr.data.managers.TransferManager.models.LibraryActionResult
+import com.inotter.onthegovr.data.managers.TransferManager.models.UploadDetails
+import com.inotter.onthegovr.data.managers.TransferManager.models.UploadProcessingState
+import com.inotter.onthegovr.data.managers.TransferManager.models.UploadProcessingStatus
+import com.inotter.onthegovr.data.repositories.LibraryRepository.LibraryRepository
 import com.inotter.onthegovr.data.repositories.UploadSessionRepository.UploadSessionRepository
+import com.inotter.onthegovr.data.repositories.VideoRepository.VideoRepository
 import kotlinx.coroutines.CoroutineScope
 import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.delay
 import kotlinx.coroutines.launch
 import me.desair.tus.server.TusFileUploadService
 import me.desair.tus.server.upload.UploadInfo
+import me.desair.tus.server.upload.UploadType
 import java.io.File
+import java.security.DigestOutputStream
+import java.security.MessageDigest
+import java.util.concurrent.ConcurrentHashMap
 
 /**
  * Handles TUS upload completion events and moves files to MediaStore.
  *
+ * While an upload is in progress, a session record in Room tracks its offset so
+ * it can be listed and resumed from any browser (see [getIncompleteUploads]).
+ *
  * This handler monitors TUS uploads and when complete:
- * 1. Creates a session record in Room
- * 2. Copies the file to MediaStore
- * 3. Cleans up the TUS temp file
+ * 1. Creates or replaces the session record in Room
+ * 2. Copies the file to MediaStore, recreating the client's folder structure
+ *    (from the "relativePath" metadata) under Movies/OnTheGoVR
+ * 3. Validates it: the client's SHA-256 ("checksum" metadata) must match the bytes
+ *    written and the header must be a real MP4/MKV, otherwise the file is discarded
+ * 4. Finalizes the MediaStore entry and registers its folder as a library folder
+ * 5. Cleans up the TUS temp file
+ * 6. Waits for the library scan to generate the thumbnail and import the video, then applies
+ *    the VR format the client chose ("projection" and "stereoMode" metadata) and the uploader's
+ *    library details ("title", "description", "tags" and "folderId" metadata)
+ *
+ * Poster and preview frames the client captured are sent before the file data
+ * ([saveUploadFrame]) and handed to the library scan in step 4, so it does not have to
+ * extract a thumbnail itself. Details edited after the upload was created replace the
+ * metadata ones ([updateUploadDetails]).
+ *
+ * Large files may arrive as parallel partial uploads that the client joins with a final
+ * concatenated upload. Parts are not tracked on their own; frames and details sent to a part
+ * move to the final upload, which is processed like any other and streams the parts in order.
+ *
+ * Each step is an [UploadProcessingState], kept in memory for the web client to poll
+ * (see [getProcessingStatus]) and reported through [onProcessingStatusChanged].
  */
 class TusUploadHandler(
     private val uploadSessionRepository: UploadSessionRepository,
     private val mediaStoreUploader: MediaStoreUploader,
+    private val libraryRepository: LibraryRepository,
+    private val videoRepository: VideoRepository,
     private val tusService: TusFileUploadService,
     private val tusDataDir: File,
-    private val onFileUploaded: (Uri) -> Unit = {}
+    private val frameStore: UploadedFrameStore? = null,
+    private val onFileUploaded: (Uri) -> Unit = {},
+    private val onProcessingStatusChanged: (String, UploadProcessingStatus) -> Unit = { _, _ -> }
 ) {
     companion object {
         private const val TAG = "TusUploadHandler"
+
+        /** Checksum algorithm accepted in metadata, and its java.security name */
+        private const val CHECKSUM_ALGORITHM = "sha256"
+        private const val CHECKSUM_ALGORITHM_JAVA = "SHA-256"
+
+        /** Copy progress is reported in steps of this many percent */
+        private const val PROGRESS_STEP_PERCENT = 5
+
+        /** Bytes kept from the start of the file for [FileValidator.isValidVideoContent] */
+        private const val HEADER_BYTES = 16
+
+        /** How long to wait for the library scan to import a finalized upload */
+        private const val IMPORT_TIMEOUT_MS = 2 * 60 * 1000L
+        private const val IMPORT_POLL_INTERVAL_MS = 2000L
     }
 
     private val scope = CoroutineScope(Dispatchers.IO)
+    private val processingStatuses = ConcurrentHashMap<String, UploadProcessingStatus>()
+    private val editedDetails = ConcurrentHashMap<String, UploadDetails>()
 
     /**
      * Checks if an upload is complete and processes it.
@@ -37,38 +97,182 @@ class TusUploadHandler(
      */
     fun checkAndProcessUpload(uploadInfo: UploadInfo?, uploadUri: String? = null) {
         if (uploadInfo == null) return
+        // Parts of a parallel upload are processed through the final upload that joins them
+        if (uploadInfo.uploadType == UploadType.PARTIAL) return
 
         // Check if upload is complete
         val offset = uploadInfo.offset ?: 0L
         val length = uploadInfo.length ?: 0L
         if (offset >= length && length > 0) {
             processCompletedUpload(uploadInfo, uploadUri)
+        } else {
+            recordProgress(uploadInfo, uploadUri)
+        }
+    }
+
+    /**
+     * Removes the session record for an upload the client terminated (DELETE /tus/{id}).
+     */
+    fun onUploadTerminated(tusUploadId: String) {
+        scope.launch {
+            frameStore?.discard(tusUploadId)
+            editedDetails.remove(tusUploadId)
+            try {
+                uploadSessionRepository.deleteByTusId(tusUploadId)
+            } catch (e: Exception) {
+                android.util.Log.w(TAG, "Failed to delete session for $tusUploadId: ${e.message}")
+            }
+        }
+    }
+
+    /**
+     * Stores a poster or preview frame the client captured for an upload that is still in progress.
+     */
+    fun saveUploadFrame(tusUploadId: String, kind: ThumbnailKind, positionMs: Long, jpeg: ByteArray): LibraryActionResult {
+        val store = frameStore ?: return LibraryActionResult.Failed("Frame uploads are not available")
+        val uploadInfo = try {
+            tusService.getUploadInfo("/tus/$tusUploadId", null)
+        } catch (e: Exception) {
+            null
+        }
+        if (uploadInfo == null || processingStatuses.containsKey(tusUploadId)) {
+            return LibraryActionResult.NotFound("No upload in progress with ID $tusUploadId")
+        }
+
+        return if (store.save(tusUploadId, kind, positionMs, jpeg)) {
+            LibraryActionResult.Success
+        } else {
+            LibraryActionResult.Invalid("Frame must be a JPEG, with at most ${UploadedFrameStore.MAX_PREVIEW_FRAMES} previews per upload")
+        }
+    }
+
+    /**
+     * Replaces the library details of an upload that has not been imported yet.
+     * They are applied once the library scan has indexed the video.
+     */
+    suspend fun updateUploadDetails(tusUploadId: String, details: UploadDetails): LibraryActionResult {
+        details.validationError()?.let { return LibraryActionResult.Invalid(it) }
+        val uploadInfo = try {
+            tusService.getUploadInfo("/tus/$tusUploadId", null)
+        } catch (e: Exception) {
+            null
+        }
+        // Still uploading, or received and waiting for the library import
+        val status = processingStatuses[tusUploadId]
+        val pending = if (status != null) !status.state.isFinished else uploadInfo != null
+        if (!pending) {
+            return LibraryActionResult.NotFound("No upload in progress with ID $tusUploadId")
+        }
+        if (details.folderId != null && libraryRepository.getFolder(details.folderId) == null) {
+            return LibraryActionResult.NotFound("Folder not found: ${details.folderId}")
+        }
+
+        editedDetails[tusUploadId] = details
+        return LibraryActionResult.Success
+    }
+
+    /**
+     * Returns unexpired in-progress uploads whose TUS data is still on disk,
+     * with offsets taken from TUS storage rather than the last recorded progress.
+     */
+    suspend fun getIncompleteUploads(): List<IncompleteUpload> {
+        return uploadSessionRepository.getIncompleteSessions()
+            .filter { !it.isExpired() && !it.hasMediaStoreEntry }
+            .mapNotNull { session ->
+                val uploadInfo = try {
+                    tusService.getUploadInfo(session.uploadUrl, null)
+                } catch (e: Exception) {
+                    null
+                } ?: return@mapNotNull null
+
+                IncompleteUpload(
+                    tusUploadId = session.tusUploadId,
+                    uploadUrl = session.uploadUrl,
+                    filename = session.filename,
+                    size = session.expectedSize,
+                    offset = uploadInfo.offset ?: session.bytesReceived,
+                    mimeType = session.mimeType,
+                    createdAt = session.createdAt,
+                    lastUpdatedAt = session.lastUpdatedAt
+                )
+            }
+    }
+
+    /**
+     * Creates the session record on the first chunk of an upload and updates its offset afterwards.
+     */
+    private fun recordProgress(uploadInfo: UploadInfo, uploadUri: String?) {
+        val tusId = uploadInfo.id?.toString() ?: return
+        val offset = uploadInfo.offset ?: 0L
+
+        scope.launch {
+            try {
+                if (uploadSessionRepository.getByTusId(tusId) == null) {
+                    uploadSessionRepository.createSession(
+                        tusUploadId = tusId,
+                        uploadUrl = uploadUri ?: "/tus/$tusId",
+                        filename = extractFilename(uploadInfo),
+                        expectedSize = uploadInfo.length ?: 0L,
+                        mediaStoreUri = UploadSession.PENDING_URI_PREFIX + tusId,
+                        mimeType = extractMimeType(uploadInfo)
+                    )
+                }
+                uploadSessionRepository.updateProgressByTusId(tusId, offset)
+            } catch (e: Exception) {
+                android.util.Log.w(TAG, "Failed to record progress for $tusId: ${e.message}")
+            }
         }
     }
 
+    /**
+     * Moves a fully received upload into MediaStore and follows it until the library has
+     * imported it, reporting each step as an [UploadProcessingState].
+     */
     private fun processCompletedUpload(uploadInfo: UploadInfo, uploadUri: String?) {
+        val tusId = uploadInfo.id?.toString() ?: return
+        // Set before launching so the client's first status poll already sees it. Every PATCH that
+        // ends at the last byte calls this (e.g. an empty retry during the copy), so only the first
+        // one processes the upload; the others would save it again.
+        val copying = UploadProcessingStatus(UploadProcessingState.COPYING, progress = 0)
+        if (processingStatuses.putIfAbsent(tusId, copying) != null) {
+            android.util.Log.d(TAG, "Upload $tusId is already being processed")
+            return
+        }
+        onProcessingStatusChanged(tusId, copying)
+
+        // The client sends frames and details to a part before the parts are joined
+        val partIds = uploadInfo.concatenationPartIds.orEmpty().map { it.toString() }
+        partIds.forEach { frameStore?.transfer(it, tusId) }
+        partIds.firstNotNullOfOrNull { editedDetails.remove(it) }?.let { editedDetails.putIfAbsent(tusId, it) }
+
         scope.launch {
+            val resolvedUploadUri = uploadUri ?: "/tus/$tusId"
+            var mediaStoreUri: Uri? = null
             try {
                 val filename = extractFilename(uploadInfo)
                 val mimeType = extractMimeType(uploadInfo)
-                val tusId = uploadInfo.id?.toString() ?: return@launch
-                val resolvedUploadUri = uploadUri ?: "/tus/$tusId"
+                val subfolder = extractSubfolder(uploadInfo)
+                val expectedChecksum = extractChecksum(uploadInfo)
 
-                android.util.Log.i(TAG, "Processing completed upload: $tusId - $filename")
+                android.util.Log.i(TAG, "Processing completed upload: $tusId - ${subfolder?.let { "$it/" } ?: ""}$filename")
 
                 // Get the uploaded file from TUS storage
                 val uploadedBytes = tusService.getUploadedBytes(resolvedUploadUri, null)
                 if (uploadedBytes == null) {
                     android.util.Log.e(TAG, "Failed to get uploaded bytes for $tusId")
+                    setProcessingStatus(tusId, UploadProcessingStatus(UploadProcessingState.FAILED, "Uploaded data not found"))
                     return@launch
                 }
 
                 // Create MediaStore entry
-                val mediaStoreUri = mediaStoreUploader.createPendingVideo(filename, mimeType)
-                if (mediaStoreUri == null) {
+                val pendingUri = mediaStoreUploader.createPendingVideo(filename, mimeType, subfolder)
+                if (pendingUri == null) {
+                    uploadedBytes.close()
                     android.util.Log.e(TAG, "Failed to create MediaStore entry for $tusId")
+                    setProcessingStatus(tusId, UploadProcessingStatus(UploadProcessingState.FAILED, "Could not save file to device storage"))
                     return@launch
                 }
+                mediaStoreUri = pendingUri
 
                 // Create session record
                 uploadSessionRepository.createSession(
@@ -76,53 +280,282 @@ class TusUploadHandler(
                     uploadUrl = resolvedUploadUri,
                     filename = filename,
                     expectedSize = uploadInfo.length ?: 0L,
-                    mediaStoreUri = mediaStoreUri.toString(),
+                    mediaStoreUri = pendingUri.toString(),
                     mimeType = mimeType
                 )
 
-                // Copy file to MediaStore
-                val outputStream = mediaStoreUploader.getAppendOutputStream(mediaStoreUri)
-                if (outputStream != null) {
-                    try {
-                        uploadedBytes.copyTo(outputStream)
-                        outputStream.flush()
-                    } finally {
-                        outputStream.close()
-                        uploadedBytes.close()
+                // Copy file to MediaStore, hashing the bytes as they are written when the client sent a checksum
+                val digest = expectedChecksum?.let { MessageDigest.getInstance(CHECKSUM_ALGORITHM_JAVA) }
+                val outputStream = mediaStoreUploader.getAppendOutputStream(pendingUri)
+                if (outputStream == null) {
+                    uploadedBytes.close()
+                    failUpload(tusId, pendingUri, resolvedUploadUri, UploadProcessingState.FAILED, "Could not write file to device storage")
+                    return@launch
+                }
+                val target = digest?.let { DigestOutputStream(outputStream, it) } ?: outputStream
+                val header = try {
+                    copyWithProgress(uploadedBytes, target, uploadInfo.length ?: 0L) { percent ->
+                        setProcessingStatus(tusId, UploadProcessingStatus(UploadProcessingState.COPYING, progress = percent))
+                    }.also { target.flush() }
+                } finally {
+                    target.close()
+                    uploadedBytes.close()
+                }
+
+                // Verify before the file becomes visible to the library
+                setProcessingStatus(tusId, UploadProcessingStatus(UploadProcessingState.VALIDATING))
+                if (digest != null && expectedChecksum != null) {
+                    val actualChecksum = Base64.encodeToString(digest.digest(), Base64.NO_WRAP)
+                    if (actualChecksum != expectedChecksum) {
+                        android.util.Log.e(TAG, "Checksum mismatch for $filename: expected $expectedChecksum, got $actualChecksum")
+                        failUpload(
+                            tusId, pendingUri, resolvedUploadUri,
+                            UploadProcessingState.CHECKSUM_MISMATCH, "Checksum mismatch - the file was corrupted in transfer"
+                        )
+                        return@launch
                     }
+                    android.util.Log.d(TAG, "Checksum verified for $filename")
+                }
+                if (!FileValidator.isValidVideoContent(header, filename)) {
+                    android.util.Log.e(TAG, "Invalid video content for $filename")
+                    failUpload(
+                        tusId, pendingUri, resolvedUploadUri,
+                        UploadProcessingState.INVALID_CONTENT, "Not a valid ${filename.substringAfterLast('.', "video").uppercase()} file"
+                    )
+                    return@launch
                 }
 
                 // Finalize MediaStore entry
-                val success = mediaStoreUploader.finalizePendingVideo(mediaStoreUri)
-                if (success) {
-                    uploadSessionRepository.markCompletedByTusId(tusId)
-                    onFileUploaded(mediaStoreUri)
-                    android.util.Log.i(TAG, "Upload complete and moved to MediaStore: $filename")
-                } else {
-                    uploadSessionRepository.markFailed(
-                        uploadSessionRepository.getByTusId(tusId)?.id ?: 0
-                    )
+                setProcessingStatus(tusId, UploadProcessingStatus(UploadProcessingState.FINALIZING))
+                if (!mediaStoreUploader.finalizePendingVideo(pendingUri)) {
                     android.util.Log.e(TAG, "Failed to finalize MediaStore entry: $filename")
+                    failUpload(tusId, pendingUri, resolvedUploadUri, UploadProcessingState.FAILED, "Could not finalize file on device")
+                    return@launch
                 }
 
-                // Cleanup TUS temp file
-                try {
-                    tusService.deleteUpload(resolvedUploadUri, null)
-                } catch (e: Exception) {
-                    android.util.Log.w(TAG, "Failed to cleanup TUS file: ${e.message}")
-                }
+                // Register the folder before the library scan picks up the new file
+                if (subfolder != null) registerLibraryFolder(subfolder)
+                uploadSessionRepository.markCompletedByTusId(tusId)
+                deleteTusUpload(resolvedUploadUri)
+                android.util.Log.i(TAG, "Upload complete and moved to MediaStore: $filename")
 
+                // The library scan triggered here generates the thumbnail (unless the client sent
+                // its own frames) and imports the video
+                setProcessingStatus(tusId, UploadProcessingStatus(UploadProcessingState.THUMBNAILING))
+                val videoId = ContentUris.parseId(pendingUri)
+                frameStore?.claim(tusId, videoId)
+                onFileUploaded(pendingUri)
+                val imported = waitForLibraryImport(videoId)
+                if (imported) {
+                    extractFormat(uploadInfo)?.let { applyFormat(videoId, it) }
+                    applyDetails(videoId, editedDetails.remove(tusId) ?: extractDetails(uploadInfo))
+                }
+                setProcessingStatus(
+                    tusId,
+                    UploadProcessingStatus(
+                        if (imported) UploadProcessingState.IMPORTED else UploadProcessingState.SAVED,
+                        videoId = videoId
+                    )
+                )
             } catch (e: Exception) {
                 android.util.Log.e(TAG, "Error processing upload: ${e.message}", e)
+                val pendingUri = mediaStoreUri
+                if (pendingUri != null && mediaStoreUploader.isPending(pendingUri)) {
+                    failUpload(tusId, pendingUri, resolvedUploadUri, UploadProcessingState.FAILED, e.message)
+                } else {
+                    setProcessingStatus(tusId, UploadProcessingStatus(UploadProcessingState.FAILED, e.message))
+                }
+            }
+        }
+    }
+
+    /**
+     * Discards a pending MediaStore entry and the TUS data after processing failed.
+     */
+    private suspend fun failUpload(
+        tusId: String,
+        mediaStoreUri: Uri,
+        uploadUri: String,
+        state: UploadProcessingState,
+        error: String?
+    ) {
+        mediaStoreUploader.cancelPendingVideo(mediaStoreUri)
+        frameStore?.discard(tusId)
+        editedDetails.remove(tusId)
+        uploadSessionRepository.markFailed(
+            uploadSessionRepository.getByTusId(tusId)?.id ?: 0
+        )
+        setProcessingStatus(tusId, UploadProcessingStatus(state, error))
+        deleteTusUpload(uploadUri)
+    }
+
+    /**
+     * Waits for the library scan to index a finalized video.
+     * Returns false if it has not appeared within [IMPORT_TIMEOUT_MS].
+     */
+    private suspend fun waitForLibraryImport(mediaStoreId: Long): Boolean {
+        val deadline = System.currentTimeMillis() + IMPORT_TIMEOUT_MS
+        while (System.currentTimeMillis() < deadline) {
+            if (videoRepository.findByMediaStoreId(mediaStoreId) != null) return true
+            delay(IMPORT_POLL_INTERVAL_MS)
+        }
+        android.util.Log.w(TAG, "Library import not confirmed for MediaStore ID $mediaStoreId")
+        return false
+    }
+
+    /**
+     * Stores the VR format chosen in the web client on the imported video.
+     * The scan only guessed it from the file name.
+     */
+    private suspend fun applyFormat(mediaStoreId: Long, format: VideoFormat) {
+        try {
+            val video = videoRepository.findByMediaStoreId(mediaStoreId) ?: return
+            if (video.format != format) videoRepository.updateFormat(video.id, format)
+        } catch (e: Exception) {
+            android.util.Log.w(TAG, "Failed to set format of MediaStore ID $mediaStoreId: ${e.message}")
+        }
+    }
+
+    /**
+     * Stores the title, description, tags and folder set in the web client on the imported video.
+     * A folder that was removed in the meantime is ignored.
+     */
+    private suspend fun applyDetails(mediaStoreId: Long, details: UploadDetails) {
+        try {
+            val video = videoRepository.findByMediaStoreId(mediaStoreId) ?: return
+            val title = details.title ?: video.title
+            if (title != video.title || details.description != video.description || details.tags != video.tags) {
+                videoRepository.updateDetails(video.id, title, details.description, details.tags)
+            }
+            val folderId = details.folderId
+            if (folderId != null && folderId != video.folderId && libraryRepository.getFolder(folderId) != null) {
+                videoRepository.moveToFolder(video.id, folderId)
+            }
+        } catch (e: Exception) {
+            android.util.Log.w(TAG, "Failed to set details of MediaStore ID $mediaStoreId: ${e.message}")
+        }
+    }
+
+    /**
+     * Returns the processing status of a completed upload, or null if this server
+     * session has not processed an upload with that ID.
+     */
+    fun getProcessingStatus(tusUploadId: String): UploadProcessingStatus? = processingStatuses[tusUploadId]
+
+    private fun setProcessingStatus(tusUploadId: String, status: UploadProcessingStatus) {
+        processingStatuses[tusUploadId] = status
+        onProcessingStatusChanged(tusUploadId, status)
+    }
+
+    /**
+     * Copies [input] to [output], calling [onProgress] each time another
+     * [PROGRESS_STEP_PERCENT] of [totalBytes] has been written.
+     * Returns the first [HEADER_BYTES] bytes for content validation.
+     */
+    private fun copyWithProgress(
+        input: java.io.InputStream,
+        output: java.io.OutputStream,
+        totalBytes: Long,
+        onProgress: (Int) -> Unit
+    ): ByteArray {
+        val buffer = ByteArray(MediaStoreUploader.BUFFER_SIZE)
+        val header = ByteArray(HEADER_BYTES)
+        var copied = 0L
+        var lastReported = 0
+        while (true) {
+            val read = input.read(buffer)
+            if (read < 0) break
+            if (copied < HEADER_BYTES) {
+                val headerBytes = minOf(read, HEADER_BYTES - copied.toInt())
+                System.arraycopy(buffer, 0, header, copied.toInt(), headerBytes)
             }
+            output.write(buffer, 0, read)
+            copied += read
+
+            if (totalBytes > 0) {
+                val percent = (copied * 100 / totalBytes).toInt()
+                if (percent - lastReported >= PROGRESS_STEP_PERCENT) {
+                    lastReported = percent
+                    onProgress(percent)
+                }
+            }
+        }
+        return if (copied < HEADER_BYTES) header.copyOf(copied.toInt()) else header
+    }
+
+    /**
+     * Deletes an upload from TUS storage, along with its parts if it joined a parallel upload.
+     */
+    private fun deleteTusUpload(uploadUri: String) {
+        try {
+            val partIds = tusService.getUploadInfo(uploadUri, null)?.concatenationPartIds.orEmpty()
+            tusService.deleteUpload(uploadUri, null)
+            partIds.forEach { tusService.deleteUpload("/tus/$it", null) }
+        } catch (e: Exception) {
+            android.util.Log.w(TAG, "Failed to cleanup TUS file: ${e.message}")
         }
     }
 
+    /**
+     * Base64 SHA-256 from the "checksum" metadata ("sha256 <base64>", the TUS Upload-Checksum format).
+     * Returns null if no checksum was sent or the algorithm is not supported.
+     */
+    private fun extractChecksum(uploadInfo: UploadInfo): String? {
+        val value = uploadInfo.metadata?.get("checksum") as? String ?: return null
+        val algorithm = value.substringBefore(' ').lowercase()
+        if (algorithm != CHECKSUM_ALGORITHM) {
+            android.util.Log.w(TAG, "Ignoring unsupported checksum algorithm: $algorithm")
+            return null
+        }
+        return value.substringAfter(' ', "").trim().takeIf { it.isNotEmpty() }
+    }
+
+    /** VR format from the "projection" and "stereoMode" metadata, or null if not sent. */
+    private fun extractFormat(uploadInfo: UploadInfo): VideoFormat? {
+        val metadata = uploadInfo.metadata ?: return null
+        return VideoFormat.fromNames(metadata["projection"] as? String, metadata["stereoMode"] as? String)
+    }
+
+    /**
+     * Library details from the "title", "description", "tags" (comma-separated) and "folderId"
+     * metadata. Values that fail [UploadDetails.validationError] are dropped.
+     */
+    private fun extractDetails(uploadInfo: UploadInfo): UploadDetails {
+        val metadata = uploadInfo.metadata ?: return UploadDetails()
+        val details = UploadDetails.of(
+            title = metadata["title"] as? String,
+            description = metadata["description"] as? String,
+            tags = UploadDetails.parseTags(metadata["tags"] as? String),
+            folderId = (metadata["folderId"] as? String)?.toLongOrNull()
+        )
+        return details.validationError()?.let {
+            android.util.Log.w(TAG, "Ignoring upload details: $it")
+            UploadDetails()
+        } ?: details
+    }
+
     private fun extractFilename(uploadInfo: UploadInfo): String {
         val metadata = uploadInfo.metadata ?: return "upload_${System.currentTimeMillis()}.mp4"
         return metadata["filename"] as? String ?: "upload_${System.currentTimeMillis()}.mp4"
     }
 
+    /** Subfolder below Movies/OnTheGoVR from the "relativePath" metadata sent for folder uploads. */
+    private fun extractSubfolder(uploadInfo: UploadInfo): String? {
+        val relativePath = uploadInfo.metadata?.get("relativePath") as? String
+        return MediaStoreUploader.subfolderFromRelativePath(relativePath)
+    }
+
+    private suspend fun registerLibraryFolder(subfolder: String) {
+        try {
+            libraryRepository.getOrCreateMediaStoreFolder(
+                relativePath = MediaStoreUploader.relativePathFor(subfolder),
+                displayName = subfolder
+            )
+        } catch (e: Exception) {
+            android.util.Log.w(TAG, "Failed to register library folder $subfolder: ${e.message}")
+        }
+    }
+
     private fun extractMimeType(uploadInfo: UploadInfo): String {
         val metadata = uploadInfo.metadata ?: return "video/mp4"
         return (metadata["filetype"] as? String) ?: "video/mp4"
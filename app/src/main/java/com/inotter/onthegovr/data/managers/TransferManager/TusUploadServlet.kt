@@ -8,15 +8,18 @@ import javax.servlet.http.HttpServletResponse
 /**
  * Servlet wrapper for TUS file upload service.
  *
- * This thin wrapper adds PIN verification before delegating to tus-java-server.
+ * This thin wrapper adds session checks before delegating to tus-java-server.
  * All TUS protocol logic is handled by the library; we only:
- * 1. Check PIN for non-OPTIONS requests (if PIN protection is enabled)
+ * 1. Check the session for non-OPTIONS requests (see [SessionAuthenticator])
  * 2. Delegate to TusFileUploadService for actual TUS handling
- * 3. Check for completed uploads after PATCH requests
+ * 3. Track progress and check for completed uploads after PATCH requests, and after the
+ *    POST that joins the parts of a parallel upload (TUS concatenation, "Upload-Concat: final;...")
+ * 4. Drop the upload session after DELETE requests
+ * 5. Report uploads created, progressed and cancelled to the transfer log ([TransferHistoryRecorder])
  *
  * Handles endpoints:
  * - OPTIONS /tus/ - Capability discovery
- * - POST /tus/ - Create new upload
+ * - POST /tus/ - Create new upload, a part of one, or join the parts
  * - HEAD /tus/{id} - Get upload offset (resume)
  * - PATCH /tus/{id} - Upload chunk
  * - DELETE /tus/{id} - Cancel upload
@@ -24,54 +27,62 @@ import javax.servlet.http.HttpServletResponse
 class TusUploadServlet(
     private val tusService: TusFileUploadService,
     private val uploadHandler: TusUploadHandler? = null,
-    private val pinVerifier: (String) -> Boolean = { true },
-    private val isPinEnabled: () -> Boolean = { false },
-    private val tusDataDir: java.io.File? = null
+    private val authenticator: SessionAuthenticator,
+    private val tusDataDir: java.io.File? = null,
+    private val historyRecorder: TransferHistoryRecorder? = null
 ) : HttpServlet() {
 
     companion object {
         private const val TAG = "TusUploadServlet"
-        private const val PIN_HEADER = "X-Upload-Pin"
     }
 
     /**
      * Handle all HTTP methods by delegating to TUS service.
-     * PIN check is performed for non-OPTIONS requests when enabled.
+     * Session check is performed for non-OPTIONS requests when PIN protection is enabled.
      */
     override fun service(req: HttpServletRequest, resp: HttpServletResponse) {
         android.util.Log.d(TAG, "TUS request: ${req.method} ${req.requestURI} (servletPath=${req.servletPath}, pathInfo=${req.pathInfo})")
 
-        // OPTIONS requests don't require PIN (capability discovery)
-        if (req.method != "OPTIONS" && isPinEnabled()) {
-            val pin = req.getHeader(PIN_HEADER) ?: ""
-            if (!pinVerifier(pin)) {
-                android.util.Log.w(TAG, "PIN verification failed for ${req.method} ${req.requestURI}")
-                resp.status = HttpServletResponse.SC_UNAUTHORIZED
-                resp.contentType = "application/json"
-                resp.writer.write("""{"success": false, "error": "PIN required. Please enter the PIN shown on the VR headset."}""")
-                return
-            }
-        }
+        // OPTIONS requests don't require a session (capability discovery)
+        if (req.method != "OPTIONS" && !authenticator.requireSession(req, resp)) return
 
         try {
             // Extract upload ID from path for DELETE handling
             val uploadId = extractUploadId(req.pathInfo)
 
             // Log directory state BEFORE DELETE to track what's being deleted
+            // The transfer log needs the upload's metadata, which is gone after the DELETE
+            var deletedUploadInfo: me.desair.tus.server.upload.UploadInfo? = null
             if (req.method == "DELETE") {
                 android.util.Log.i(TAG, "DELETE request starting for ${req.requestURI} (uploadId: $uploadId)")
                 logTusDirectoryContents("BEFORE DELETE")
+                if (historyRecorder != null) deletedUploadInfo = getUploadInfo(req.requestURI)
             }
 
             // Delegate to TUS service - it handles all protocol logic
             tusService.process(req, resp)
             android.util.Log.d(TAG, "TUS request completed: ${req.method} ${req.requestURI} -> ${resp.status}")
 
+            // A new upload (or part, or the final upload joining the parts) starts a transfer log entry
+            if (req.method == "POST" && resp.status in 200..299) {
+                resp.getHeader("Location")?.let {
+                    historyRecorder?.onUploadCreated(java.net.URI(it).path, req.remoteAddr, req.getHeader("User-Agent"))
+                }
+            }
+
             // After PATCH request, check if upload is complete
             if (req.method == "PATCH" && resp.status in 200..299) {
+                historyRecorder?.onUploadProgress(req.requestURI)
                 checkUploadCompletion(req.requestURI)
             }
 
+            // The final upload of a concatenation is complete as soon as it is created
+            if (req.method == "POST" && resp.status in 200..299 &&
+                req.getHeader("Upload-Concat")?.startsWith("final") == true
+            ) {
+                resp.getHeader("Location")?.let { checkUploadCompletion(java.net.URI(it).path) }
+            }
+
             // Handle DELETE: manually clean up files since tus-java-server doesn't seem to delete them
             // Note: TUS protocol should return 204 No Content for successful DELETE, but we've seen 200 too
             if (req.method == "DELETE" && uploadId != null) {
@@ -88,6 +99,8 @@ class TusUploadServlet(
 
                 // Manually delete the upload files regardless of status code
                 val deletedCount = manuallyDeleteUploadFiles(uploadId)
+                uploadHandler?.onUploadTerminated(uploadId)
+                historyRecorder?.onUploadCancelled(uploadId, deletedUploadInfo)
                 android.util.Log.i(TAG, "Manually deleted $deletedCount files for upload $uploadId")
 
                 // Log remaining files in TUS directory for debugging
@@ -103,6 +116,12 @@ class TusUploadServlet(
         }
     }
 
+    private fun getUploadInfo(uploadUri: String): me.desair.tus.server.upload.UploadInfo? = try {
+        tusService.getUploadInfo(uploadUri, null)
+    } catch (e: Exception) {
+        null
+    }
+
     private fun checkUploadCompletion(uploadUri: String) {
         try {
             val uploadInfo = tusService.getUploadInfo(uploadUri, null)
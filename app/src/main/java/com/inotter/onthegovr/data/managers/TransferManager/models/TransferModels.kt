@@ -1,7 +1,11 @@
 package com.inotter.onthegovr.data.managers.TransferManager.models
 
 import android.net.Uri
+import com.inotter.onthegovr.data.datasources.videolibrary.models.PlaybackSettings
+import com.inotter.onthegovr.data.datasources.videolibrary.models.ScanSettings
 import com.inotter.onthegovr.data.datasources.videolibrary.models.UploadSession
+import com.inotter.onthegovr.spatial.data.EnvironmentType
+import com.inotter.onthegovr.spatial.data.SceneSettings
 
 /**
  * Data class representing an incomplete upload with validation status.
@@ -69,3 +73,199 @@ data class ResumableUpload(
     val progressPercent: Int
 )
 
+
+/**
+ * Represents a finalized video in the Movies/OnTheGoVR MediaStore folder.
+ * Used by the web client's library view (GET /api/files).
+ *
+ * @property subfolder Path below Movies/OnTheGoVR (e.g. "Show/Season 1"), or null for the root
+ */
+data class UploadedVideo(
+    val mediaStoreId: Long,
+    val contentUri: Uri,
+    val displayName: String,
+    val size: Long,
+    val durationMs: Long,
+    val dateAddedMillis: Long,
+    val mimeType: String?,
+    val subfolder: String? = null
+)
+
+/**
+ * An unfinished TUS upload that any browser can resume by re-selecting the file.
+ * Exposed by GET /api/uploads/incomplete.
+ *
+ * @property offset Bytes already received by the server
+ */
+data class IncompleteUpload(
+    val tusUploadId: String,
+    val uploadUrl: String,
+    val filename: String,
+    val size: Long,
+    val offset: Long,
+    val mimeType: String,
+    val createdAt: Long,
+    val lastUpdatedAt: Long
+)
+
+/**
+ * Server-side processing state of a fully received TUS upload.
+ * Polled by the web client via GET /api/uploads/{id} after the last chunk is sent,
+ * and pushed as "processing" events.
+ *
+ * Uploads move through COPYING -> VALIDATING -> FINALIZING -> THUMBNAILING -> IMPORTED,
+ * or stop at one of the failure states.
+ */
+enum class UploadProcessingState(val isFinished: Boolean) {
+    /** Copying from TUS storage into a pending MediaStore entry */
+    COPYING(false),
+    /** Checking the checksum and the video header */
+    VALIDATING(false),
+    /** Making the MediaStore entry visible */
+    FINALIZING(false),
+    /** Waiting for the library scan to generate the thumbnail and index the video */
+    THUMBNAILING(false),
+    /** In the library and ready to watch */
+    IMPORTED(true),
+    /** Saved to MediaStore, but the library scan did not confirm the import in time */
+    SAVED(true),
+    /** Client checksum did not match the received bytes; the file was discarded */
+    CHECKSUM_MISMATCH(true),
+    /** Not a valid MP4/MKV file; the file was discarded */
+    INVALID_CONTENT(true),
+    /** Processing failed for another reason */
+    FAILED(true)
+}
+
+/**
+ * @property progress Percent of the file copied to MediaStore while [state] is COPYING
+ * @property videoId MediaStore ID of the saved video once [state] is IMPORTED or SAVED
+ */
+data class UploadProcessingStatus(
+    val state: UploadProcessingState,
+    val error: String? = null,
+    val progress: Int? = null,
+    val videoId: Long? = null
+)
+
+/**
+ * A video already on the headset that matches a file the web client is about to upload.
+ * Returned by POST /api/files/check.
+ *
+ * @property mediaStoreId Set when the match is an uploaded video in Movies/OnTheGoVR,
+ *           which is the only case the client can replace it
+ * @property matchedBy "signature" for a content match, "name" for a name and size match
+ */
+data class DuplicateMatch(
+    val title: String,
+    val size: Long,
+    val mediaStoreId: Long?,
+    val matchedBy: String
+) {
+    val replaceable: Boolean get() = mediaStoreId != null
+
+    companion object {
+        const val MATCHED_BY_SIGNATURE = "signature"
+        const val MATCHED_BY_NAME = "name"
+    }
+}
+
+/**
+ * Library details the uploader set for a video in the web client's upload queue.
+ * Sent as TUS metadata and, for edits made while the file is uploading,
+ * with POST /api/uploads/{id}/details.
+ *
+ * @property title Library title, or null to keep the file name
+ * @property description Free-text description, or null for none
+ * @property tags Trimmed, de-duplicated tags
+ * @property folderId Library folder to file the video under, or null to keep the scan's choice
+ */
+data class UploadDetails(
+    val title: String? = null,
+    val description: String? = null,
+    val tags: List<String> = emptyList(),
+    val folderId: Long? = null
+) {
+    /** Returns why these details can't be stored, or null if they are valid. */
+    fun validationError(): String? = when {
+        title != null && title.length > MAX_TITLE_LENGTH -> "Title must be at most $MAX_TITLE_LENGTH characters"
+        description != null && description.length > MAX_DESCRIPTION_LENGTH ->
+            "Description must be at most $MAX_DESCRIPTION_LENGTH characters"
+        tags.size > MAX_TAGS -> "At most $MAX_TAGS tags are allowed"
+        tags.any { it.length > MAX_TAG_LENGTH } -> "Tags must be at most $MAX_TAG_LENGTH characters"
+        tags.any { tag -> tag.any { it in INVALID_TAG_CHARS } } -> "Tags can't contain \", < or >"
+        else -> null
+    }
+
+    companion object {
+        const val MAX_TITLE_LENGTH = 200
+        const val MAX_DESCRIPTION_LENGTH = 2000
+        const val MAX_TAGS = 20
+        const val MAX_TAG_LENGTH = 40
+
+        /** Characters tags can't contain, as they are shown in HTML by the web client */
+        private const val INVALID_TAG_CHARS = "\"<>"
+
+        /**
+         * Builds details from raw client values, treating blank text as unset.
+         * Tags are trimmed and de-duplicated ignoring case, keeping the first spelling.
+         */
+        fun of(title: String?, description: String?, tags: List<String>, folderId: Long?) = UploadDetails(
+            title = title?.trim()?.takeIf { it.isNotEmpty() },
+            description = description?.trim()?.takeIf { it.isNotEmpty() },
+            tags = tags.map { it.trim() }.filter { it.isNotEmpty() }.distinctBy { it.lowercase() },
+            folderId = folderId
+        )
+
+        /** Splits the comma-separated "tags" TUS metadata value. */
+        fun parseTags(value: String?): List<String> = value?.split(',').orEmpty()
+    }
+}
+
+/**
+ * Headset preferences shown in the web client's Settings tab.
+ */
+data class DeviceSettings(
+    val playback: PlaybackSettings,
+    val scan: ScanSettings,
+    val scene: SceneSettings
+)
+
+/**
+ * Changes to [DeviceSettings] sent by the web client. Null fields are left unchanged.
+ *
+ * @property skipIntervalMs One of [PlaybackSettings.SKIP_INTERVAL_OPTIONS_MS]
+ * @property volume 0.0 (muted) to 1.0
+ * @property environment Name of an [EnvironmentType]
+ * @property lightingIntensity 0.0 (movie mode) to 1.0 (full brightness)
+ */
+data class DeviceSettingsUpdate(
+    val skipIntervalMs: Int? = null,
+    val resumeEnabled: Boolean? = null,
+    val volume: Float? = null,
+    val autoScanEnabled: Boolean? = null,
+    val environment: String? = null,
+    val lightingIntensity: Float? = null
+) {
+    /** Returns why this update can't be applied, or null if it is valid. */
+    fun validationError(): String? = when {
+        skipIntervalMs != null && skipIntervalMs !in PlaybackSettings.SKIP_INTERVAL_OPTIONS_MS ->
+            "Skip interval must be one of ${PlaybackSettings.SKIP_INTERVAL_OPTIONS_MS.joinToString { "${it / 1000}s" }}"
+        volume != null && volume !in 0f..1f -> "Volume must be between 0 and 1"
+        environment != null && EnvironmentType.entries.none { it.name == environment } ->
+            "Unknown environment: $environment"
+        lightingIntensity != null && lightingIntensity !in 0f..1f -> "Lighting intensity must be between 0 and 1"
+        else -> null
+    }
+}
+
+/**
+ * Outcome of a remote library management action (delete, rename, move).
+ * Mapped to HTTP status codes by ApiServlet.
+ */
+sealed class LibraryActionResult {
+    object Success : LibraryActionResult()
+    data class NotFound(val message: String) : LibraryActionResult()
+    data class Invalid(val message: String) : LibraryActionResult()
+    data class Failed(val message: String) : LibraryActionResult()
+}
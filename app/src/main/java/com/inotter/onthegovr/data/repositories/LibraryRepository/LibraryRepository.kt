@@ -33,5 +33,23 @@ interface LibraryRepository {
      * @param id The folder ID to remove
      */
     suspend fun removeFolder(id: Long)
+
+    /**
+     * Gets a library folder by ID.
+     *
+     * @param id The folder ID
+     * @return The folder, or null if it does not exist
+     */
+    suspend fun getFolder(id: Long): LibraryFolder?
+
+    /**
+     * Returns the library folder for a MediaStore relative path, creating it if needed.
+     * Used for folders created by WiFi Transfer under Movies/OnTheGoVR.
+     *
+     * @param relativePath MediaStore relative path, e.g. "Movies/OnTheGoVR/Show/Season 1/"
+     * @param displayName Display name for a newly created folder
+     * @return The ID of the existing or newly inserted folder
+     */
+    suspend fun getOrCreateMediaStoreFolder(relativePath: String, displayName: String): Long
 }
 
@@ -2,6 +2,7 @@ package com.inotter.onthegovr.data.repositories.LibraryRepository
 
 import android.content.Context
 import android.net.Uri
+import android.database.sqlite.SQLiteConstraintException
 import androidx.documentfile.provider.DocumentFile
 import com.inotter.onthegovr.data.datasources.videolibrary.VideoLibraryDataSource
 import com.inotter.onthegovr.data.datasources.videolibrary.models.LibraryFolder
@@ -38,5 +39,26 @@ class LibraryRepositoryImpl @Inject constructor(
     }
 
     override suspend fun removeFolder(id: Long) = dataSource.deleteFolderById(id)
+
+    override suspend fun getFolder(id: Long): LibraryFolder? = dataSource.getFolderById(id)
+
+    override suspend fun getOrCreateMediaStoreFolder(relativePath: String, displayName: String): Long {
+        val treeUri = LibraryFolder.mediaStoreTreeUri(relativePath)
+        dataSource.getFolderByTreeUri(treeUri)?.let { return it.id }
+
+        return try {
+            dataSource.insertFolder(
+                LibraryFolder(
+                    treeUri = treeUri,
+                    displayName = displayName,
+                    includeSubfolders = false,
+                    addedAt = System.currentTimeMillis(),
+                )
+            )
+        } catch (e: SQLiteConstraintException) {
+            // Another upload into the same folder registered it first
+            dataSource.getFolderByTreeUri(treeUri)?.id ?: throw e
+        }
+    }
 }
 
@@ -0,0 +1,104 @@
+package com.inotter.onthegovr.data.repositories.TransferLogRepository
+
+import com.inotter.onthegovr.data.datasources.videolibrary.models.TransferLogEntry
+import com.inotter.onthegovr.data.datasources.videolibrary.models.TransferOutcome
+
+/**
+ * Repository interface for the transfer log: a persistent history of files sent to the
+ * WiFi transfer server, including cancelled and failed transfers.
+ *
+ * Transfers are identified by a transfer key (see [TransferLogEntry.transferKey]). Updates for a
+ * transfer that already has an outcome are ignored, so a late progress report can't undo it.
+ */
+interface TransferLogRepository {
+    /**
+     * Records a new transfer. Does nothing if the transfer is already logged
+     * (e.g. the second part of a parallel upload).
+     *
+     * @param transferKey Key identifying the transfer
+     * @param filename Name of the file as sent by the client
+     * @param size Total file size in bytes
+     * @param remoteAddress IP address of the uploading client
+     * @param userAgent User-Agent header of the uploading browser
+     */
+    suspend fun recordStarted(
+        transferKey: String,
+        filename: String,
+        size: Long,
+        remoteAddress: String?,
+        userAgent: String?
+    )
+
+    /**
+     * Updates the bytes received so far.
+     */
+    suspend fun updateProgress(transferKey: String, bytesReceived: Long)
+
+    /**
+     * Records that the last byte arrived; the outcome follows once the file is processed.
+     */
+    suspend fun markReceived(transferKey: String, bytesReceived: Long)
+
+    /**
+     * Marks a transfer as saved to the headset.
+     */
+    suspend fun markCompleted(transferKey: String)
+
+    /**
+     * Marks a transfer as failed.
+     *
+     * @param error Why the transfer failed, shown in the history
+     */
+    suspend fun markFailed(transferKey: String, error: String)
+
+    /**
+     * Marks a transfer as cancelled by the client.
+     *
+     * @param bytesReceived Bytes received before the cancellation, or null if unknown
+     */
+    suspend fun markCancelled(transferKey: String, bytesReceived: Long?)
+
+    /**
+     * Gets one page of log entries matching the filter, newest first.
+     */
+    suspend fun getEntries(filter: TransferLogFilter, offset: Int, limit: Int): TransferLogPage
+
+    /**
+     * Gets all log entries matching the filter, newest first (for exports).
+     */
+    suspend fun getAllEntries(filter: TransferLogFilter): List<TransferLogEntry>
+
+    /**
+     * Marks transfers that never finished as expired and removes entries past
+     * [TransferLogEntry.RETENTION_MILLIS]. Called by UploadCleanupWorker.
+     *
+     * @return Number of entries expired or removed
+     */
+    suspend fun cleanup(): Int
+}
+
+/**
+ * Filter for transfer log queries. Null fields match everything.
+ *
+ * @property outcome Only transfers that ended this way
+ * @property query Text to find in the file name, IP address or user agent
+ * @property from Only transfers started at or after this time (epoch millis)
+ * @property to Only transfers started before this time (epoch millis)
+ */
+data class TransferLogFilter(
+    val outcome: TransferOutcome? = null,
+    val query: String? = null,
+    val from: Long? = null,
+    val to: Long? = null
+)
+
+/**
+ * One page of transfer log entries.
+ *
+ * @property entries Entries on this page
+ * @property total Number of entries matching the filter across all pages
+ */
+data class TransferLogPage(
+    val entries: List<TransferLogEntry>,
+    val total: Int
+)
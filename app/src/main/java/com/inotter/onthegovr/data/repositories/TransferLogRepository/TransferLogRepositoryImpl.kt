@@ -0,0 +1,76 @@
+package com.inotter.onthegovr.data.repositories.TransferLogRepository
+
+import com.inotter.onthegovr.data.datasources.videolibrary.VideoLibraryDataSource
+import com.inotter.onthegovr.data.datasources.videolibrary.models.TransferLogEntry
+import com.inotter.onthegovr.data.datasources.videolibrary.models.TransferOutcome
+import javax.inject.Inject
+import javax.inject.Singleton
+
+/**
+ * Implementation of [TransferLogRepository] backed by the video library database.
+ *
+ * @property dataSource Video library data source
+ */
+@Singleton
+class TransferLogRepositoryImpl @Inject constructor(
+    private val dataSource: VideoLibraryDataSource
+) : TransferLogRepository {
+
+    override suspend fun recordStarted(
+        transferKey: String,
+        filename: String,
+        size: Long,
+        remoteAddress: String?,
+        userAgent: String?
+    ) {
+        val entry = TransferLogEntry(
+            transferKey = transferKey,
+            filename = filename,
+            size = size,
+            remoteAddress = remoteAddress,
+            userAgent = userAgent
+        )
+        dataSource.insertTransferLogEntry(entry)
+    }
+
+    override suspend fun updateProgress(transferKey: String, bytesReceived: Long) {
+        dataSource.updateTransferBytesReceived(transferKey, bytesReceived)
+    }
+
+    override suspend fun markReceived(transferKey: String, bytesReceived: Long) {
+        dataSource.markTransferReceived(transferKey, bytesReceived)
+    }
+
+    override suspend fun markCompleted(transferKey: String) {
+        dataSource.finishTransfer(transferKey, TransferOutcome.COMPLETED)
+    }
+
+    override suspend fun markFailed(transferKey: String, error: String) {
+        dataSource.finishTransfer(transferKey, TransferOutcome.FAILED, error = error)
+    }
+
+    override suspend fun markCancelled(transferKey: String, bytesReceived: Long?) {
+        dataSource.finishTransfer(transferKey, TransferOutcome.CANCELLED, bytes = bytesReceived)
+    }
+
+    override suspend fun getEntries(filter: TransferLogFilter, offset: Int, limit: Int): TransferLogPage {
+        val entries = dataSource.queryTransferLog(
+            filter.outcome, filter.query, filter.from, filter.to, limit, offset
+        )
+        val total = dataSource.countTransferLog(filter.outcome, filter.query, filter.from, filter.to)
+        return TransferLogPage(entries, total)
+    }
+
+    override suspend fun getAllEntries(filter: TransferLogFilter): List<TransferLogEntry> {
+        // SQLite treats a negative LIMIT as no limit
+        return dataSource.queryTransferLog(filter.outcome, filter.query, filter.from, filter.to, -1, 0)
+    }
+
+    override suspend fun cleanup(): Int {
+        val expired = dataSource.expireStaleTransfers()
+        val removed = dataSource.deleteTransferLogOlderThan(
+            System.currentTimeMillis() - TransferLogEntry.RETENTION_MILLIS
+        )
+        return expired + removed
+    }
+}
@@ -19,11 +19,12 @@ interface TransferRepository {
         /** Server is starting up */
         object Starting : ServerState()
 
-        /** Server is running and accepting connections */
+        /** Server is running and accepting connections, over HTTPS if [certificateFingerprint] is set */
         data class Running(
             val ipAddress: String,
             val port: Int,
-            val uploadCount: Int = 0
+            val uploadCount: Int = 0,
+            val certificateFingerprint: String? = null
         ) : ServerState()
 
         /** Server encountered an error */
@@ -40,6 +41,14 @@ interface TransferRepository {
         val uploadedAt: Long
     )
 
+    /**
+     * A one-time token that signs a browser in without the PIN, shown in the pairing QR code.
+     */
+    data class PairingToken(
+        val token: String,
+        val expiresAt: Long
+    )
+
     /** Current state of the transfer server */
     val serverState: StateFlow<ServerState>
 
@@ -52,6 +61,9 @@ interface TransferRepository {
     /** Whether PIN protection is enabled */
     val pinEnabled: StateFlow<Boolean>
 
+    /** Whether the server uses HTTPS with the headset's self-signed certificate */
+    val httpsEnabled: StateFlow<Boolean>
+
     /**
      * Starts the WiFi transfer server.
      * Binds to the TransferService and starts it as a foreground service.
@@ -81,6 +93,23 @@ interface TransferRepository {
      */
     fun disablePinProtection()
 
+    /**
+     * Turns HTTPS on or off. The setting is saved, and a running server restarts to apply it.
+     */
+    fun setHttpsEnabled(enabled: Boolean)
+
+    /**
+     * Creates a one-time pairing token for the QR code.
+     *
+     * @return The token, or null if the server isn't running
+     */
+    fun createPairingToken(): PairingToken?
+
+    /**
+     * Returns true if [token] hasn't been used or expired and the PIN hasn't changed since it was created.
+     */
+    fun isPairingTokenValid(token: String): Boolean
+
     /**
      * Refreshes the upload list from the service.
      */
@@ -9,6 +9,7 @@ import com.inotter.onthegovr.TransferService
 import com.inotter.onthegovr.data.managers.TransferManager.FileValidator
 import com.inotter.onthegovr.data.managers.TransferManager.JettyUploadServer
 import com.inotter.onthegovr.data.managers.TransferManager.NetworkUtils
+import com.inotter.onthegovr.data.managers.TransferManager.TransferCertificateStore
 import kotlinx.coroutines.flow.MutableStateFlow
 import kotlinx.coroutines.flow.StateFlow
 import kotlinx.coroutines.flow.asStateFlow
@@ -38,6 +39,11 @@ class TransferRepositoryImpl @Inject constructor(
     private val _pinEnabled = MutableStateFlow(false)
     override val pinEnabled: StateFlow<Boolean> = _pinEnabled.asStateFlow()
 
+    private val certificateStore = TransferCertificateStore(context)
+
+    private val _httpsEnabled = MutableStateFlow(certificateStore.isHttpsEnabled())
+    override val httpsEnabled: StateFlow<Boolean> = _httpsEnabled.asStateFlow()
+
     private var serviceBound = false
     private var transferService: TransferService? = null
 
@@ -114,6 +120,25 @@ class TransferRepositoryImpl @Inject constructor(
         transferService?.disablePinProtection()
     }
 
+    override fun setHttpsEnabled(enabled: Boolean) {
+        certificateStore.setHttpsEnabled(enabled)
+        _httpsEnabled.value = enabled
+        transferService?.restartServer()
+        updateStateFromService()
+    }
+
+    override fun createPairingToken(): TransferRepository.PairingToken? {
+        val pairingToken = transferService?.createPairingToken() ?: return null
+        return TransferRepository.PairingToken(
+            token = pairingToken.token,
+            expiresAt = pairingToken.expiresAt
+        )
+    }
+
+    override fun isPairingTokenValid(token: String): Boolean {
+        return transferService?.isPairingTokenValid(token) == true
+    }
+
     private fun generatePin(): String {
         return (1000..9999).random().toString()
     }
@@ -140,7 +165,8 @@ class TransferRepositoryImpl @Inject constructor(
             is TransferService.State.Running -> {
                 _serverState.value = TransferRepository.ServerState.Running(
                     ipAddress = serviceState.ipAddress,
-                    port = serviceState.port
+                    port = serviceState.port,
+                    certificateFingerprint = serviceState.certificateFingerprint
                 )
             }
             is TransferService.State.Error -> {
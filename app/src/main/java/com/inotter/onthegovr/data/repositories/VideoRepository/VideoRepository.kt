@@ -1,5 +1,7 @@
 package com.inotter.onthegovr.data.repositories.VideoRepository
 
+import com.inotter.onthegovr.data.datasources.videolibrary.models.SubtitleSidecar
+import com.inotter.onthegovr.data.datasources.videolibrary.models.VideoFormat
 import com.inotter.onthegovr.data.datasources.videolibrary.models.VideoItem
 import kotlinx.coroutines.flow.Flow
 
@@ -47,5 +49,54 @@ interface VideoRepository {
      * @return The matching video item, or null if not found
      */
     suspend fun findBySignature(sig: String): VideoItem?
-}
 
+    /**
+     * Finds a video item by its MediaStore ID.
+     *
+     * @param mediaStoreId The MediaStore._ID of the video
+     * @return The matching video item, or null if it has not been indexed
+     */
+    suspend fun findByMediaStoreId(mediaStoreId: Long): VideoItem?
+
+    /**
+     * Updates the display title of a video.
+     *
+     * @param id The video item ID
+     * @param title The new title
+     */
+    suspend fun updateTitle(id: Long, title: String)
+
+    /**
+     * Updates the title, description and tags of a video.
+     *
+     * @param id The video item ID
+     * @param title The new title
+     * @param description Free-text description, or null to clear it
+     * @param tags Tags used to filter the library
+     */
+    suspend fun updateDetails(id: Long, title: String, description: String?, tags: List<String>)
+
+    /**
+     * Assigns a video to a library folder.
+     *
+     * @param id The video item ID
+     * @param folderId The target folder ID, or null to detach it from any folder
+     */
+    suspend fun moveToFolder(id: Long, folderId: Long?)
+
+    /**
+     * Replaces the external subtitle files paired with a video.
+     *
+     * @param id The video item ID
+     * @param subtitles The subtitle sidecar files, in the order they should be offered
+     */
+    suspend fun updateSubtitles(id: Long, subtitles: List<SubtitleSidecar>)
+
+    /**
+     * Sets how a video is projected in VR.
+     *
+     * @param id The video item ID
+     * @param format The projection and stereo layout
+     */
+    suspend fun updateFormat(id: Long, format: VideoFormat)
+}
@@ -1,6 +1,8 @@
 package com.inotter.onthegovr.data.repositories.VideoRepository
 
 import com.inotter.onthegovr.data.datasources.videolibrary.VideoLibraryDataSource
+import com.inotter.onthegovr.data.datasources.videolibrary.models.SubtitleSidecar
+import com.inotter.onthegovr.data.datasources.videolibrary.models.VideoFormat
 import com.inotter.onthegovr.data.datasources.videolibrary.models.VideoItem
 import kotlinx.coroutines.flow.Flow
 import javax.inject.Inject
@@ -26,5 +28,20 @@ class VideoRepositoryImpl @Inject constructor(
     override suspend fun upsert(video: VideoItem): Long = dataSource.insertOrReplaceVideo(video)
 
     override suspend fun findBySignature(sig: String): VideoItem? = dataSource.findVideoBySignature(sig)
-}
 
+    override suspend fun findByMediaStoreId(mediaStoreId: Long): VideoItem? =
+        dataSource.findVideoByMediaStoreId(mediaStoreId)
+
+    override suspend fun updateTitle(id: Long, title: String) = dataSource.updateVideoTitle(id, title)
+
+    override suspend fun updateDetails(id: Long, title: String, description: String?, tags: List<String>) =
+        dataSource.updateVideoDetails(id, title, description, tags)
+
+    override suspend fun moveToFolder(id: Long, folderId: Long?) = dataSource.updateVideoFolder(id, folderId)
+
+    override suspend fun updateSubtitles(id: Long, subtitles: List<SubtitleSidecar>) =
+        dataSource.updateVideoSubtitles(id, subtitles)
+
+    override suspend fun updateFormat(id: Long, format: VideoFormat) =
+        dataSource.updateVideoFormat(id, format)
+}
@@ -41,7 +41,12 @@ abstract class DataSourceModule {
                     VideoLibraryDatabase.MIGRATION_1_2,
                     VideoLibraryDatabase.MIGRATION_2_3,
                     VideoLibraryDatabase.MIGRATION_3_4,
-                    VideoLibraryDatabase.MIGRATION_4_5
+                    VideoLibraryDatabase.MIGRATION_4_5,
+                    VideoLibraryDatabase.MIGRATION_5_6,
+                    VideoLibraryDatabase.MIGRATION_6_7,
+                    VideoLibraryDatabase.MIGRATION_7_8,
+                    VideoLibraryDatabase.MIGRATION_8_9,
+                    VideoLibraryDatabase.MIGRATION_9_10
                 )
                 .fallbackToDestructiveMigration(true)
                 .build()
@@ -4,6 +4,8 @@ import com.inotter.onthegovr.data.repositories.LibraryRepository.LibraryReposito
 import com.inotter.onthegovr.data.repositories.LibraryRepository.LibraryRepositoryImpl
 import com.inotter.onthegovr.data.repositories.ScanSettingsRepository.ScanSettingsRepository
 import com.inotter.onthegovr.data.repositories.ScanSettingsRepository.ScanSettingsRepositoryImpl
+import com.inotter.onthegovr.data.repositories.TransferLogRepository.TransferLogRepository
+import com.inotter.onthegovr.data.repositories.TransferLogRepository.TransferLogRepositoryImpl
 import com.inotter.onthegovr.data.repositories.TransferRepository.TransferRepository
 import com.inotter.onthegovr.data.repositories.TransferRepository.TransferRepositoryImpl
 import com.inotter.onthegovr.data.repositories.UploadSessionRepository.UploadSessionRepository
@@ -53,5 +55,10 @@ abstract class RepositoryModule {
     abstract fun bindTransferRepository(
         impl: TransferRepositoryImpl
     ): TransferRepository
-}
 
+    @Binds
+    @Singleton
+    abstract fun bindTransferLogRepository(
+        impl: TransferLogRepositoryImpl
+    ): TransferLogRepository
+}
@@ -22,6 +22,7 @@ import androidx.media3.exoplayer.audio.AudioRendererEventListener
 import androidx.media3.exoplayer.audio.AudioSink
 import androidx.media3.exoplayer.trackselection.DefaultTrackSelector
 import androidx.media3.exoplayer.upstream.DefaultAllocator
+import com.inotter.onthegovr.data.datasources.videolibrary.models.SubtitleSidecar
 /**
  * Core playback engine using ExoPlayer.
  * Handles video decoding, subtitle tracks, and surface rendering.
@@ -37,6 +38,9 @@ class PlaybackCore(context: Context) {
   companion object {
     private const val TAG = "PlaybackCore"
 
+    // Side-loaded subtitle formats get IDs with this prefix so they can be told apart from embedded ones
+    private const val EXTERNAL_SUBTITLE_ID_PREFIX = "external-subtitle:"
+
     // Audio codecs we can decode (via MediaCodec or FFmpeg extension)
     // FFmpeg extension from Just Player includes: vorbis opus flac alac pcm_mulaw pcm_alaw
     // mp3 amrnb amrwb aac ac3 eac3 dca mlp truehd
@@ -177,9 +181,24 @@ class PlaybackCore(context: Context) {
     player.setVideoSurface(surface)
   }
 
-  fun prepare(uri: Uri, startPositionMs: Long = 0L) {
+  /**
+   * Load media for playback.
+   *
+   * @param subtitles External subtitle files to side-load alongside the embedded tracks
+   */
+  fun prepare(uri: Uri, startPositionMs: Long = 0L, subtitles: List<SubtitleSidecar> = emptyList()) {
     val item = MediaItem.Builder()
         .setUri(uri)
+        .setSubtitleConfigurations(
+            subtitles.mapIndexed { index, subtitle ->
+              MediaItem.SubtitleConfiguration.Builder(Uri.parse(subtitle.uri))
+                  .setId("$EXTERNAL_SUBTITLE_ID_PREFIX$index")
+                  .setMimeType(subtitle.mimeType)
+                  .setLanguage(subtitle.language)
+                  .setLabel(subtitle.fileName)
+                  .build()
+            }
+        )
         .build()
     player.setMediaItem(item, startPositionMs)
     player.prepare()
@@ -246,8 +265,15 @@ class PlaybackCore(context: Context) {
   fun isPlaying(): Boolean = player.isPlaying
 
   /**
-   * Get available subtitle tracks.
-   * Returns list of track group indices and their language/label info.
+   * Check if the player is waiting for data before it can continue. No allocations in this hot path.
+   *
+   * @return true while buffering
+   */
+  fun isBuffering(): Boolean = player.playbackState == Player.STATE_BUFFERING
+
+  /**
+   * Get available subtitle tracks, embedded and external (side-loaded sidecar files).
+   * Returns list of track indices and their language/label info.
    *
    * Performance note: This method allocates a new list on each call.
    * Call only when needed (e.g., when opening subtitle menu), not in frame loop.
@@ -265,6 +291,7 @@ class PlaybackCore(context: Context) {
                   groupIndex = subtitleTracks.size,
                   language = format.language ?: "unknown",
                   label = format.label ?: "Track ${subtitleTracks.size + 1}",
+                  isExternal = format.id?.contains(EXTERNAL_SUBTITLE_ID_PREFIX) == true,
               )
           )
         }
@@ -274,7 +301,26 @@ class PlaybackCore(context: Context) {
   }
 
   /**
-   * Select a subtitle track by index, or pass -1 to disable subtitles.
+   * Get the [SubtitleTrack.groupIndex] of the subtitle track being shown.
+   *
+   * @return Track index, or -1 if subtitles are off
+   */
+  fun getSelectedSubtitleTrack(): Int {
+    if (trackSelector.parameters.disabledTrackTypes.contains(C.TRACK_TYPE_TEXT)) return -1
+
+    var index = 0
+    for (group in player.currentTracks.groups) {
+      if (group.type != C.TRACK_TYPE_TEXT) continue
+      for (i in 0 until group.length) {
+        if (group.isTrackSelected(i)) return index + i
+      }
+      index += group.length
+    }
+    return -1
+  }
+
+  /**
+   * Select a subtitle track by its [SubtitleTrack.groupIndex], or pass -1 to disable subtitles.
    */
   fun selectSubtitleTrack(trackIndex: Int) {
     if (trackIndex < 0) {
@@ -282,12 +328,23 @@ class PlaybackCore(context: Context) {
       trackSelector.parameters = trackSelector.buildUponParameters()
           .setTrackTypeDisabled(C.TRACK_TYPE_TEXT, true)
           .build()
-    } else {
-      // Enable and select specific track
-      trackSelector.parameters = trackSelector.buildUponParameters()
-          .setTrackTypeDisabled(C.TRACK_TYPE_TEXT, false)
-          .build()
+      return
     }
+
+    // Enable and select specific track, counting tracks the same way as getSubtitleTracks()
+    var index = 0
+    for (group in player.currentTracks.groups) {
+      if (group.type != C.TRACK_TYPE_TEXT) continue
+      if (trackIndex < index + group.length) {
+        trackSelector.parameters = trackSelector.buildUponParameters()
+            .setTrackTypeDisabled(C.TRACK_TYPE_TEXT, false)
+            .setOverrideForType(TrackSelectionOverride(group.mediaTrackGroup, trackIndex - index))
+            .build()
+        return
+      }
+      index += group.length
+    }
+    Log.w(TAG, "Subtitle track $trackIndex not found")
   }
 
   /**
@@ -342,10 +399,13 @@ class PlaybackCore(context: Context) {
 
 /**
  * Represents a subtitle track.
+ *
+ * @property isExternal True for a subtitle sidecar file rather than a track embedded in the video
  */
 data class SubtitleTrack(
     val groupIndex: Int,
     val language: String,
     val label: String,
+    val isExternal: Boolean = false,
 )
 
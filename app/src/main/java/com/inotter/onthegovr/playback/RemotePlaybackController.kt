@@ -0,0 +1,126 @@
+package com.inotter.onthegovr.playback
+
+import kotlinx.coroutines.flow.MutableStateFlow
+import kotlinx.coroutines.flow.StateFlow
+import kotlinx.coroutines.flow.asStateFlow
+import org.json.JSONArray
+import org.json.JSONObject
+import javax.inject.Inject
+import javax.inject.Singleton
+
+/**
+ * Connects the player on the headset to the web client's remote control.
+ *
+ * The player screen attaches a [Player] while a video is loaded and reports its state
+ * through [updateState]. The transfer server reads [state] and forwards the remote's
+ * commands with [send], from its own threads; the player is responsible for running
+ * them on the main thread.
+ */
+@Singleton
+class RemotePlaybackController @Inject constructor() {
+
+  /** Receives commands from the remote control. */
+  fun interface Player {
+    fun onRemoteCommand(command: RemotePlaybackCommand)
+  }
+
+  @Volatile
+  private var player: Player? = null
+
+  private val _state = MutableStateFlow<RemotePlaybackState?>(null)
+
+  /** State of the attached player, or null when nothing is playing. */
+  val state: StateFlow<RemotePlaybackState?> = _state.asStateFlow()
+
+  /** Makes [player] the target of remote commands, replacing any previous one. */
+  @Synchronized
+  fun attach(player: Player) {
+    this.player = player
+  }
+
+  /** Stops sending commands to [player], unless another player has attached since. */
+  @Synchronized
+  fun detach(player: Player) {
+    if (this.player !== player) return
+    this.player = null
+    _state.value = null
+  }
+
+  /** Publishes the state of [player]. Ignored if it is not the attached player. */
+  @Synchronized
+  fun updateState(player: Player, state: RemotePlaybackState) {
+    if (this.player === player) _state.value = state
+  }
+
+  /**
+   * Forwards a command to the attached player.
+   *
+   * @return false if no player is attached
+   */
+  fun send(command: RemotePlaybackCommand): Boolean {
+    val target = player ?: return false
+    target.onRemoteCommand(command)
+    return true
+  }
+}
+
+/**
+ * A command from the remote control.
+ */
+sealed class RemotePlaybackCommand {
+  object Play : RemotePlaybackCommand()
+  object Pause : RemotePlaybackCommand()
+  object TogglePlayPause : RemotePlaybackCommand()
+  data class SeekTo(val positionMs: Long) : RemotePlaybackCommand()
+
+  /** Skips by the skip interval from the playback settings. */
+  data class Skip(val forward: Boolean) : RemotePlaybackCommand()
+
+  /** @property volume Volume level from 0.0 (muted) to 1.0 (full volume) */
+  data class SetVolume(val volume: Float) : RemotePlaybackCommand()
+
+  /** @property trackIndex A [SubtitleTrack.groupIndex], or -1 to turn subtitles off */
+  data class SelectSubtitle(val trackIndex: Int) : RemotePlaybackCommand()
+}
+
+/**
+ * What the remote control shows about the video playing on the headset.
+ *
+ * @property isPlaying Whether playback is wanted, even while the player is buffering
+ * @property selectedSubtitle [SubtitleTrack.groupIndex] of the shown subtitles, or -1 for none
+ */
+data class RemotePlaybackState(
+    val videoId: Long,
+    val title: String,
+    val isPlaying: Boolean,
+    val isBuffering: Boolean,
+    val positionMs: Long,
+    val durationMs: Long,
+    val bufferedPositionMs: Long,
+    val volume: Float,
+    val subtitles: List<SubtitleTrack>,
+    val selectedSubtitle: Int,
+) {
+  fun toJson(): JSONObject = JSONObject().apply {
+    put("active", true)
+    put("videoId", videoId)
+    put("title", title)
+    put("playing", isPlaying)
+    put("buffering", isBuffering)
+    put("positionMs", positionMs)
+    put("durationMs", durationMs)
+    put("bufferedPositionMs", bufferedPositionMs)
+    put("volume", volume.toDouble())
+    put("subtitles", JSONArray().apply {
+      subtitles.forEach { track ->
+        put(JSONObject().apply {
+          put("index", track.groupIndex)
+          put("language", track.language)
+          put("label", track.label)
+          put("external", track.isExternal)
+        })
+      }
+    })
+    put("selectedSubtitle", selectedSubtitle)
+  }
+}
@@ -8,6 +8,7 @@ import com.meta.spatial.runtime.Scene
 import com.meta.spatial.core.Entity
 import com.meta.spatial.toolkit.Visible
 import com.inotter.onthegovr.spatial.data.EnvironmentType
+import com.inotter.onthegovr.spatial.data.SceneSettingsStore
 import com.inotter.onthegovr.spatial.ui.ControlsPanelCallback
 import com.inotter.onthegovr.spatial.ui.PlaybackState
 import kotlinx.coroutines.CoroutineScope
@@ -27,7 +28,8 @@ import kotlinx.coroutines.launch
  */
 class TheatreViewModel(
     private val exoPlayer: ExoPlayer,
-    private val systemManager: SystemManager
+    private val systemManager: SystemManager,
+    private val sceneSettingsStore: SceneSettingsStore
 ) : ControlsPanelCallback {
     
     companion object {
@@ -144,6 +146,21 @@ class TheatreViewModel(
      */
     fun getSceneLightingManager(): SceneLightingManager? = sceneLightingManager
     
+    /**
+     * Applies the saved environment and lighting.
+     * Call once all environments are registered.
+     */
+    fun applySavedSceneSettings() {
+        val settings = sceneSettingsStore.load()
+        Log.d(TAG, "Applying saved scene settings: $settings")
+        sceneLightingManager?.applySettings(settings)
+        _playbackState.value = _playbackState.value.copy(
+            lightingIntensity = settings.lightingIntensity,
+            currentEnvironment = settings.environment
+        )
+        TheatreStateHolder.updatePlaybackState(_playbackState.value)
+    }
+    
     /**
      * Shows the library panel and hides playback components.
      */
@@ -254,6 +271,7 @@ class TheatreViewModel(
         sceneLightingManager?.setLightingIntensity(intensity)
         _playbackState.value = _playbackState.value.copy(lightingIntensity = intensity)
         TheatreStateHolder.updatePlaybackState(_playbackState.value)
+        sceneSettingsStore.save(sceneSettingsStore.load().copy(lightingIntensity = intensity))
     }
     
     override fun onEnvironmentChanged(environment: EnvironmentType) {
@@ -261,6 +279,7 @@ class TheatreViewModel(
         sceneLightingManager?.setEnvironment(environment)
         _playbackState.value = _playbackState.value.copy(currentEnvironment = environment)
         TheatreStateHolder.updatePlaybackState(_playbackState.value)
+        sceneSettingsStore.save(sceneSettingsStore.load().copy(environment = environment))
     }
     
     override fun onToggleSettings() {
@@ -0,0 +1,39 @@
+package com.inotter.onthegovr.spatial.data
+
+import android.content.Context
+import android.content.SharedPreferences
+
+/**
+ * Persists the theatre's [SceneSettings] so the chosen environment and lighting survive restarts
+ * and can be set up before the immersive experience is opened (e.g. from the web client).
+ *
+ * Changes made while the theatre is open are applied through [com.inotter.onthegovr.spatial.PanelBroadcastManager].
+ */
+class SceneSettingsStore(context: Context) {
+
+    companion object {
+        private const val PREFS_NAME = "scene_settings"
+        private const val KEY_ENVIRONMENT = "environment"
+        private const val KEY_LIGHTING_INTENSITY = "lighting_intensity"
+    }
+
+    private val prefs: SharedPreferences =
+        context.applicationContext.getSharedPreferences(PREFS_NAME, Context.MODE_PRIVATE)
+
+    /** Returns the saved settings, or the defaults for anything not saved yet. */
+    fun load(): SceneSettings {
+        val defaults = SceneSettings()
+        val environment = prefs.getString(KEY_ENVIRONMENT, null)
+            ?.let { name -> EnvironmentType.entries.firstOrNull { it.name == name } }
+            ?: defaults.environment
+        val intensity = prefs.getFloat(KEY_LIGHTING_INTENSITY, defaults.lightingIntensity).coerceIn(0f, 1f)
+        return SceneSettings(environment = environment, lightingIntensity = intensity)
+    }
+
+    fun save(settings: SceneSettings) {
+        prefs.edit()
+            .putString(KEY_ENVIRONMENT, settings.environment.name)
+            .putFloat(KEY_LIGHTING_INTENSITY, settings.lightingIntensity.coerceIn(0f, 1f))
+            .apply()
+    }
+}
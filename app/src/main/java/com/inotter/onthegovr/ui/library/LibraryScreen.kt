@@ -9,10 +9,15 @@ import androidx.compose.foundation.hoverable
 import androidx.compose.foundation.interaction.MutableInteractionSource
 import androidx.compose.foundation.interaction.collectIsHoveredAsState
 import androidx.compose.foundation.layout.*
+import androidx.compose.foundation.lazy.LazyRow
+import androidx.compose.foundation.lazy.items as rowItems
 import androidx.compose.foundation.lazy.grid.GridCells
 import androidx.compose.foundation.lazy.grid.LazyVerticalGrid
 import androidx.compose.foundation.lazy.grid.items
 import androidx.compose.foundation.shape.RoundedCornerShape
+import androidx.compose.material3.ExperimentalMaterial3Api
+import androidx.compose.material3.FilterChip
+import androidx.compose.material3.OutlinedTextField
 import androidx.compose.material3.Surface
 import androidx.compose.material3.Text
 import androidx.compose.runtime.Composable
@@ -58,6 +63,10 @@ fun LibraryScreen(
     modifier: Modifier = Modifier,
 ) {
     val videos by viewModel.videos.collectAsState()
+    val tags by viewModel.tags.collectAsState()
+    val searchQuery by viewModel.searchQuery.collectAsState()
+    val selectedTag by viewModel.selectedTag.collectAsState()
+    val isFiltered = searchQuery.isNotBlank() || selectedTag != null
 
     Surface(
         modifier = modifier
@@ -75,8 +84,26 @@ fun LibraryScreen(
 
             QuestDivider()
 
+            if (videos.isNotEmpty() || isFiltered) {
+                LibraryFilterBar(
+                    searchQuery = searchQuery,
+                    onSearchQueryChange = viewModel::setSearchQuery,
+                    tags = tags,
+                    selectedTag = selectedTag,
+                    onTagSelected = viewModel::setSelectedTag,
+                )
+            }
+
             // Video grid
-            if (videos.isEmpty()) {
+            if (videos.isEmpty() && isFiltered) {
+                Box(modifier = Modifier.fillMaxSize(), contentAlignment = Alignment.Center) {
+                    Text(
+                        text = "No videos match the search",
+                        style = QuestTypography.bodyMedium,
+                        color = QuestThemeExtras.colors.secondaryText,
+                    )
+                }
+            } else if (videos.isEmpty()) {
                 EmptyLibraryContent(
                     onAddFolder = onAddFolder,
                     onManageSources = onManageSources,
@@ -138,6 +165,65 @@ private fun LibraryHeader(
     }
 }
 
+/**
+ * Search field and tag chips for filtering the library.
+ * The search matches titles, descriptions and tags; selecting the selected tag again clears it.
+ */
+@OptIn(ExperimentalMaterial3Api::class)
+@Composable
+private fun LibraryFilterBar(
+    searchQuery: String,
+    onSearchQueryChange: (String) -> Unit,
+    tags: List<String>,
+    selectedTag: String?,
+    onTagSelected: (String?) -> Unit,
+    modifier: Modifier = Modifier,
+) {
+    Column(
+        modifier = modifier
+            .fillMaxWidth()
+            .padding(horizontal = QuestDimensions.ContentPadding.dp)
+            .padding(top = QuestDimensions.ItemSpacing.dp),
+        verticalArrangement = Arrangement.spacedBy(8.dp),
+    ) {
+        OutlinedTextField(
+            value = searchQuery,
+            onValueChange = onSearchQueryChange,
+            modifier = Modifier.fillMaxWidth(),
+            placeholder = {
+                Text(
+                    text = "Search titles, descriptions and tags",
+                    color = QuestThemeExtras.colors.secondaryText
+                )
+            },
+            singleLine = true,
+            textStyle = QuestTypography.bodyMedium.copy(color = QuestThemeExtras.colors.primaryText),
+            colors = androidx.compose.material3.TextFieldDefaults.colors(
+                focusedTextColor = QuestThemeExtras.colors.primaryText,
+                unfocusedTextColor = QuestThemeExtras.colors.primaryText,
+                focusedContainerColor = QuestColors.surfaceContainerDark,
+                unfocusedContainerColor = QuestColors.surfaceContainerDark,
+                focusedIndicatorColor = LocalColorScheme.current.primaryButton,
+                unfocusedIndicatorColor = QuestThemeExtras.colors.secondaryText
+            )
+        )
+
+        if (tags.isNotEmpty()) {
+            LazyRow(horizontalArrangement = Arrangement.spacedBy(8.dp)) {
+                rowItems(tags) { tag ->
+                    val selected = tag.equals(selectedTag, ignoreCase = true)
+                    FilterChip(
+                        selected = selected,
+                        onClick = { onTagSelected(if (selected) null else tag) },
+                        label = { Text("#$tag", style = QuestTypography.labelMedium) },
+                        modifier = Modifier.heightIn(min = QuestDimensions.SmallButtonHeight.dp)
+                    )
+                }
+            }
+        }
+    }
+}
+
 /**
  * Quest-styled empty state with proper typography and buttons.
  */
@@ -302,6 +388,28 @@ private fun VideoCard(
             maxLines = 2,
             overflow = TextOverflow.Ellipsis,
         )
+
+        video.description?.let { description ->
+            Spacer(modifier = Modifier.height(4.dp))
+            Text(
+                text = description,
+                style = QuestTypography.bodySmall,
+                color = QuestThemeExtras.colors.secondaryText,
+                maxLines = 2,
+                overflow = TextOverflow.Ellipsis,
+            )
+        }
+
+        if (video.tags.isNotEmpty()) {
+            Spacer(modifier = Modifier.height(4.dp))
+            Text(
+                text = video.tags.joinToString(" ") { "#$it" },
+                style = QuestTypography.labelSmall,
+                color = LocalColorScheme.current.primaryButton,
+                maxLines = 1,
+                overflow = TextOverflow.Ellipsis,
+            )
+        }
     }
 }
 
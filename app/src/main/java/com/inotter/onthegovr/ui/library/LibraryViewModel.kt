@@ -8,6 +8,7 @@ import androidx.lifecycle.viewModelScope
 import androidx.work.ExistingWorkPolicy
 import androidx.work.OneTimeWorkRequestBuilder
 import androidx.work.WorkManager
+import com.inotter.onthegovr.data.datasources.videolibrary.models.LibraryFolder
 import com.inotter.onthegovr.data.datasources.videolibrary.models.ScanSettings
 import com.inotter.onthegovr.data.datasources.videolibrary.models.VideoItem
 import com.inotter.onthegovr.data.managers.PermissionManager.PermissionManager
@@ -24,6 +25,7 @@ import kotlinx.coroutines.flow.SharingStarted
 import kotlinx.coroutines.flow.StateFlow
 import kotlinx.coroutines.flow.asStateFlow
 import kotlinx.coroutines.flow.combine
+import kotlinx.coroutines.flow.map
 import kotlinx.coroutines.flow.stateIn
 import kotlinx.coroutines.launch
 import javax.inject.Inject
@@ -57,6 +59,9 @@ class LibraryViewModel @Inject constructor(
   private val _searchQuery = MutableStateFlow("")
   val searchQuery: StateFlow<String> = _searchQuery
 
+  private val _selectedTag = MutableStateFlow<String?>(null)
+  val selectedTag: StateFlow<String?> = _selectedTag
+
   private val _sortOption = MutableStateFlow(SortOption.RECENTLY_ADDED)
   val sortOption: StateFlow<SortOption> = _sortOption
 
@@ -101,20 +106,32 @@ class LibraryViewModel @Inject constructor(
       )
 
   /**
-   * Flow of all videos in the library with search and sort applied.
+   * Flow of the tags used in the library, for the tag filter.
+   */
+  val tags: StateFlow<List<String>> = videoRepo.queryVideos()
+      .map { allVideos -> allVideos.flatMap { it.tags }.distinctBy { it.lowercase() }.sortedBy { it.lowercase() } }
+      .stateIn(
+          scope = viewModelScope,
+          started = SharingStarted.WhileSubscribed(5000),
+          initialValue = emptyList(),
+      )
+
+  /**
+   * Flow of all videos in the library with search, tag filter and sort applied.
+   * The search matches the title, description and tags.
    * Maps to contract: GET /videos
    */
   val videos: StateFlow<List<VideoItem>> =
       combine(
           videoRepo.queryVideos(),
           _searchQuery,
+          _selectedTag,
           _sortOption,
-      ) { allVideos, query, sort ->
-        // Apply search filter
-        val filtered = if (query.isBlank()) {
-          allVideos
-        } else {
-          allVideos.filter { it.title.contains(query, ignoreCase = true) }
+      ) { allVideos, query, tag, sort ->
+        // Apply search and tag filters
+        val filtered = allVideos.filter { video ->
+          (query.isBlank() || video.matchesSearch(query)) &&
+              (tag == null || video.tags.any { it.equals(tag, ignoreCase = true) })
         }
 
         // Apply sort
@@ -167,12 +184,19 @@ class LibraryViewModel @Inject constructor(
   }
 
   /**
-   * Update the search query to filter videos by title
+   * Update the search query to filter videos by title, description and tags
    */
   fun setSearchQuery(query: String) {
     _searchQuery.value = query
   }
 
+  /**
+   * Show only videos with the given tag, or all videos for null
+   */
+  fun setSelectedTag(tag: String?) {
+    _selectedTag.value = tag
+  }
+
   /**
    * Update the sort option for the video list
    */
@@ -193,6 +217,12 @@ class LibraryViewModel @Inject constructor(
    * Maps to contract: POST /folders/{id}/rescan
    */
   fun rescanFolder(folderId: Long, treeUri: String) {
+    // WiFi Transfer folders live in MediaStore and have no SAF tree to index
+    if (treeUri.startsWith(LibraryFolder.MEDIASTORE_URI_PREFIX)) {
+      triggerMediaStoreScan()
+      return
+    }
+
     viewModelScope.launch {
       val uri = Uri.parse(treeUri)
       val workRequest =
@@ -241,3 +271,7 @@ class LibraryViewModel @Inject constructor(
   }
 }
 
+private fun VideoItem.matchesSearch(query: String): Boolean =
+    title.contains(query, ignoreCase = true) ||
+        description?.contains(query, ignoreCase = true) == true ||
+        tags.any { it.contains(query, ignoreCase = true) }
@@ -10,12 +10,17 @@ import com.inotter.onthegovr.data.datasources.videolibrary.models.PlaybackSettin
 import com.inotter.onthegovr.data.datasources.videolibrary.models.VideoItem
 import com.inotter.onthegovr.data.repositories.VideoRepository.VideoRepository
 import com.inotter.onthegovr.playback.PlaybackCore
+import com.inotter.onthegovr.playback.RemotePlaybackCommand
+import com.inotter.onthegovr.playback.RemotePlaybackController
+import com.inotter.onthegovr.playback.RemotePlaybackState
 import dagger.hilt.android.lifecycle.HiltViewModel
 import kotlinx.coroutines.Job
 import kotlinx.coroutines.delay
 import kotlinx.coroutines.flow.MutableStateFlow
 import kotlinx.coroutines.flow.StateFlow
 import kotlinx.coroutines.flow.asStateFlow
+import kotlinx.coroutines.flow.distinctUntilChanged
+import kotlinx.coroutines.flow.map
 import kotlinx.coroutines.isActive
 import kotlinx.coroutines.launch
 import javax.inject.Inject
@@ -23,15 +28,23 @@ import javax.inject.Inject
 /**
  * ViewModel for the player screen.
  * Binds PlaybackCore and manages playback lifecycle.
+ * While a video is loaded, it can also be controlled from the transfer web app's remote
+ * (see [RemotePlaybackController]).
  */
 @HiltViewModel
 class PlayerViewModel @Inject constructor(
     application: Application,
     private val videoRepo: VideoRepository,
     private val dataSource: VideoLibraryDataSource,
+    private val remoteControl: RemotePlaybackController,
 ) : AndroidViewModel(application) {
   private val playbackCore = PlaybackCore(application)
 
+  // Remote commands arrive on server threads and are applied on the main thread
+  private val remotePlayer = RemotePlaybackController.Player { command ->
+    viewModelScope.launch { onRemoteCommand(command) }
+  }
+
   private val _isPlaying = MutableStateFlow(false)
   val isPlaying: StateFlow<Boolean> = _isPlaying.asStateFlow()
 
@@ -50,12 +63,16 @@ class PlayerViewModel @Inject constructor(
 	  private var uiPositionUpdateJob: Job? = null
 
   init {
-    // Load saved volume from settings
+    // Load saved volume from settings, and follow changes made elsewhere (e.g. the web client's settings)
     viewModelScope.launch {
-      val settings = dataSource.getPlaybackSettings()
-      val savedVolume = settings?.volume ?: 0.5f
-      _volume.value = savedVolume
-      playbackCore.setVolume(savedVolume)
+      dataSource.getPlaybackSettingsFlow()
+          .map { it?.volume ?: 0.5f }
+          .distinctUntilChanged()
+          .collect { savedVolume ->
+            _volume.value = savedVolume
+            playbackCore.setVolume(savedVolume)
+            publishRemoteState()
+          }
     }
   }
 
@@ -89,9 +106,11 @@ class PlayerViewModel @Inject constructor(
 	    currentVideoId = videoId
 	    currentVideo = video
 	    viewModelScope.launch {
-	      playbackCore.prepare(uri, startPositionMs)
+	      playbackCore.prepare(uri, startPositionMs, video.subtitles)
 	      play() // Auto-play when video is loaded
 	      startProgressTracking()
+	      remoteControl.attach(remotePlayer)
+	      publishRemoteState()
 	    }
 	  }
 
@@ -113,6 +132,7 @@ class PlayerViewModel @Inject constructor(
         if (dur > 0) {
           _duration.value = dur
         }
+        publishRemoteState()
       }
     }
 
@@ -211,8 +231,55 @@ class PlayerViewModel @Inject constructor(
     }
   }
 
+  /**
+   * Select a subtitle track by its index, or pass -1 to turn subtitles off.
+   */
+  fun selectSubtitleTrack(trackIndex: Int) {
+    playbackCore.selectSubtitleTrack(trackIndex)
+  }
+
+  private fun onRemoteCommand(command: RemotePlaybackCommand) {
+    when (command) {
+      RemotePlaybackCommand.Play -> play()
+      RemotePlaybackCommand.Pause -> pause()
+      RemotePlaybackCommand.TogglePlayPause -> togglePlayPause()
+      is RemotePlaybackCommand.SeekTo -> {
+        val duration = playbackCore.getDuration()
+        seekTo(if (duration > 0) command.positionMs.coerceAtMost(duration) else command.positionMs)
+      }
+      is RemotePlaybackCommand.Skip -> if (command.forward) skipForward() else skipBackward()
+      is RemotePlaybackCommand.SetVolume -> setVolume(command.volume)
+      is RemotePlaybackCommand.SelectSubtitle -> selectSubtitleTrack(command.trackIndex)
+    }
+    // Skips seek asynchronously and track changes apply on the next frame; the progress loop catches up
+    publishRemoteState()
+  }
+
+  /**
+   * Report the current playback state to the remote control.
+   */
+  private fun publishRemoteState() {
+    val video = currentVideo ?: return
+    remoteControl.updateState(
+        remotePlayer,
+        RemotePlaybackState(
+            videoId = video.id,
+            title = video.title,
+            isPlaying = _isPlaying.value,
+            isBuffering = playbackCore.isBuffering(),
+            positionMs = playbackCore.getCurrentPosition(),
+            durationMs = playbackCore.getDuration(),
+            bufferedPositionMs = playbackCore.getBufferedPosition(),
+            volume = _volume.value,
+            subtitles = playbackCore.getSubtitleTracks(),
+            selectedSubtitle = playbackCore.getSelectedSubtitleTrack(),
+        )
+    )
+  }
+
   override fun onCleared() {
     super.onCleared()
+    remoteControl.detach(remotePlayer)
 
     // Save final progress before cleanup
     viewModelScope.launch {
@@ -17,6 +17,7 @@ import androidx.compose.ui.Modifier
 import androidx.compose.ui.draw.clip
 import androidx.compose.ui.platform.LocalContext
 import androidx.compose.ui.unit.dp
+import com.inotter.onthegovr.data.datasources.videolibrary.models.PlaybackSettings
 import com.inotter.onthegovr.data.managers.PermissionManager.PermissionStatus
 import com.inotter.onthegovr.data.models.ViewingMode
 import com.inotter.onthegovr.ui.theme.QuestColors
@@ -224,7 +225,7 @@ fun SettingsScreen(
                 horizontalArrangement = Arrangement.spacedBy(12.dp),
                 verticalAlignment = Alignment.CenterVertically
             ) {
-              val skipIntervals = listOf(5, 10, 15, 30)
+              val skipIntervals = PlaybackSettings.SKIP_INTERVAL_OPTIONS_MS.map { it / 1000 }
               skipIntervals.forEach { seconds ->
                 FilterChip(
                     selected = currentSettings.skipIntervalMs == seconds * 1000,
@@ -31,6 +31,9 @@ class TransferViewModel @Inject constructor(
     companion object {
         private const val TAG = "TransferViewModel"
         private const val REFRESH_INTERVAL_MS = 2000L
+
+        /** A pairing token this close to expiring is replaced, so a scan doesn't race its expiry */
+        private const val PAIRING_REFRESH_MARGIN_MS = 60_000L
     }
 
     /**
@@ -47,11 +50,20 @@ class TransferViewModel @Inject constructor(
         val isWifiConnected: Boolean = true,
         val error: String? = null,
         val pinEnabled: Boolean = false,
-        val currentPin: String? = null
+        val currentPin: String? = null,
+        /** Address in the QR code, with a one-time pairing token while PIN protection is on */
+        val pairingUrl: String? = null,
+        /** HTTPS setting, applied when the server (re)starts */
+        val httpsEnabled: Boolean = false,
+        /** SHA-256 fingerprint of the certificate while the server runs with HTTPS */
+        val certificateFingerprint: String? = null
     ) {
-        /** Returns the full server URL with http:// prefix */
+        /** True if the running server speaks HTTPS */
+        val isSecure: Boolean get() = certificateFingerprint != null
+
+        /** Returns the full server URL with its http:// or https:// prefix */
         val serverUrl: String? get() = if (isServerRunning && ipAddress != null) {
-            "http://$ipAddress:$port"
+            "${if (isSecure) "https" else "http"}://$ipAddress:$port"
         } else null
     }
 
@@ -70,8 +82,10 @@ class TransferViewModel @Inject constructor(
     private var tts: TextToSpeech? = null
     private var ttsReady = false
     private var refreshJob: Job? = null
+    private var pairingToken: TransferRepository.PairingToken? = null
 
     init {
+        _uiState.value = _uiState.value.copy(httpsEnabled = repository.httpsEnabled.value)
         initializeTts()
         updateConnectivityState()
         updateStorageInfo()
@@ -99,6 +113,8 @@ class TransferViewModel @Inject constructor(
                             isServerRunning = false,
                             isStarting = false,
                             ipAddress = null,
+                            pairingUrl = null,
+                            certificateFingerprint = null,
                             error = null
                         )
                         stopRefreshLoop()
@@ -115,6 +131,7 @@ class TransferViewModel @Inject constructor(
                             isStarting = false,
                             ipAddress = state.ipAddress,
                             port = state.port,
+                            certificateFingerprint = state.certificateFingerprint,
                             error = null
                         )
                         startRefreshLoop()
@@ -123,6 +140,8 @@ class TransferViewModel @Inject constructor(
                         _uiState.value = _uiState.value.copy(
                             isServerRunning = false,
                             isStarting = false,
+                            pairingUrl = null,
+                            certificateFingerprint = null,
                             error = state.message
                         )
                         stopRefreshLoop()
@@ -171,6 +190,16 @@ class TransferViewModel @Inject constructor(
         }
     }
 
+    /**
+     * Toggles HTTPS on/off. A running server restarts, so pages opened at the old address have
+     * to be opened again at the new one.
+     */
+    fun toggleHttps() {
+        val enabled = !_uiState.value.httpsEnabled
+        repository.setHttpsEnabled(enabled)
+        _uiState.value = _uiState.value.copy(httpsEnabled = enabled)
+    }
+
     /**
      * Speaks the server address aloud using TTS.
      */
@@ -187,8 +216,12 @@ class TransferViewModel @Inject constructor(
 
         // Format IP address for speech (e.g., "192 dot 168 dot 1 dot 45")
         val ipForSpeech = state.ipAddress.replace(".", " dot ")
-        // Important: Emphasize http (not https)
-        val text = "Open your browser and type h t t p colon slash slash $ipForSpeech colon ${state.port}. Remember, use h t t p, not h t t p s."
+        // Important: Emphasize the scheme, browsers guess the other one
+        val text = if (state.isSecure) {
+            "Open your browser and type h t t p s colon slash slash $ipForSpeech colon ${state.port}. Remember, use h t t p s, with an s."
+        } else {
+            "Open your browser and type h t t p colon slash slash $ipForSpeech colon ${state.port}. Remember, use h t t p, not h t t p s."
+        }
 
         tts?.speak(text, TextToSpeech.QUEUE_FLUSH, null, "address_readout")
     }
@@ -201,6 +234,7 @@ class TransferViewModel @Inject constructor(
         updateStorageInfo()
         updateRecentUploads()
         updatePinState()
+        updatePairingUrl()
     }
 
     private fun startRefreshLoop() {
@@ -250,6 +284,27 @@ class TransferViewModel @Inject constructor(
         )
     }
 
+    /**
+     * Keeps the QR code's pairing token usable: it is replaced once a browser has used it, it is
+     * about to expire or the PIN changed. Without PIN protection the QR code is just the address.
+     */
+    private fun updatePairingUrl() {
+        val state = _uiState.value
+        val serverUrl = state.serverUrl
+        if (serverUrl == null || !state.pinEnabled) {
+            pairingToken = null
+            _uiState.value = state.copy(pairingUrl = serverUrl)
+            return
+        }
+
+        val token = pairingToken?.takeIf {
+            it.expiresAt - System.currentTimeMillis() > PAIRING_REFRESH_MARGIN_MS &&
+                repository.isPairingTokenValid(it.token)
+        } ?: repository.createPairingToken()
+        pairingToken = token
+        _uiState.value = state.copy(pairingUrl = token?.let { "$serverUrl/#pair=${it.token}" } ?: serverUrl)
+    }
+
     private fun formatTimeAgo(timestamp: Long): String {
         val now = System.currentTimeMillis()
         val diff = now - timestamp
@@ -265,12 +320,7 @@ class TransferViewModel @Inject constructor(
     /**
      * Returns the full server URL for display.
      */
-    fun getServerUrl(): String? {
-        val state = _uiState.value
-        return if (state.isServerRunning && state.ipAddress != null) {
-            "http://${state.ipAddress}:${state.port}"
-        } else null
-    }
+    fun getServerUrl(): String? = _uiState.value.serverUrl
 
     /**
      * Checks if storage is running low (less than 2GB).
@@ -1,5 +1,6 @@
 package com.inotter.onthegovr.ui.transfer
 
+import androidx.compose.foundation.Canvas
 import androidx.compose.foundation.background
 import androidx.compose.foundation.border
 import androidx.compose.foundation.layout.*
@@ -16,6 +17,9 @@ import androidx.compose.runtime.*
 import androidx.compose.ui.Alignment
 import androidx.compose.ui.Modifier
 import androidx.compose.ui.draw.clip
+import androidx.compose.ui.geometry.Offset
+import androidx.compose.ui.geometry.Size
+import androidx.compose.ui.graphics.Color
 import androidx.compose.ui.text.font.FontFamily
 import androidx.compose.ui.text.font.FontWeight
 import androidx.compose.ui.text.style.TextAlign
@@ -29,11 +33,16 @@ import com.inotter.onthegovr.ui.theme.QuestPrimaryButton
 import com.inotter.onthegovr.ui.theme.QuestSecondaryButton
 import com.inotter.onthegovr.ui.theme.QuestThemeExtras
 import com.inotter.onthegovr.ui.theme.QuestTypography
+import com.google.zxing.BarcodeFormat
+import com.google.zxing.EncodeHintType
+import com.google.zxing.qrcode.QRCodeWriter
+import com.google.zxing.qrcode.decoder.ErrorCorrectionLevel
 import com.meta.spatial.uiset.theme.LocalColorScheme
+import kotlin.math.floor
 
 /**
  * WiFi Transfer screen for uploading videos from other devices.
- * Displays server status, IP address, and recent uploads.
+ * Displays server status, IP address with a pairing QR code, and recent uploads.
  */
 @OptIn(ExperimentalMaterial3Api::class)
 @Composable
@@ -137,6 +146,9 @@ fun WiFiTransferScreen(
                 isStarting = uiState.isStarting,
                 ipAddress = uiState.ipAddress,
                 port = uiState.port,
+                certificateFingerprint = uiState.certificateFingerprint,
+                pairingUrl = uiState.pairingUrl,
+                pinEnabled = uiState.pinEnabled,
                 onSpeakAddress = { viewModel.speakAddress() }
             )
 
@@ -179,6 +191,14 @@ fun WiFiTransferScreen(
                 onTogglePin = { viewModel.togglePinProtection() }
             )
 
+            Spacer(modifier = Modifier.height(QuestDimensions.ItemSpacing.dp))
+
+            // HTTPS Section
+            HttpsCard(
+                httpsEnabled = uiState.httpsEnabled,
+                onToggleHttps = { viewModel.toggleHttps() }
+            )
+
             Spacer(modifier = Modifier.height(QuestDimensions.SectionSpacing.dp))
 
             // Recent Uploads Section
@@ -226,6 +246,9 @@ private fun ServerStatusCard(
     isStarting: Boolean,
     ipAddress: String?,
     port: Int,
+    certificateFingerprint: String?,
+    pairingUrl: String?,
+    pinEnabled: Boolean,
     onSpeakAddress: () -> Unit
 ) {
     Surface(
@@ -271,7 +294,7 @@ private fun ServerStatusCard(
                     contentAlignment = Alignment.Center
                 ) {
                     Text(
-                        text = "http://$ipAddress:$port",
+                        text = "${if (certificateFingerprint != null) "https" else "http"}://$ipAddress:$port",
                         style = QuestTypography.headlineMedium,
                         fontFamily = FontFamily.Monospace,
                         fontWeight = FontWeight.Bold,
@@ -281,13 +304,61 @@ private fun ServerStatusCard(
 
                 Spacer(modifier = Modifier.height(8.dp))
 
-                // Important: HTTP notice
-                Text(
-                    text = "Use http:// (not https://)",
-                    style = QuestTypography.bodySmall,
-                    color = QuestColors.warning,
-                    textAlign = TextAlign.Center
-                )
+                if (certificateFingerprint != null) {
+                    // Self-signed certificate: the browser warns, the fingerprint lets users check it
+                    Text(
+                        text = "Your browser will warn that the connection isn't private. " +
+                            "Continue only if the certificate's SHA-256 fingerprint matches:",
+                        style = QuestTypography.bodySmall,
+                        color = QuestColors.warning,
+                        textAlign = TextAlign.Center
+                    )
+                    Spacer(modifier = Modifier.height(4.dp))
+                    Text(
+                        text = certificateFingerprint,
+                        style = QuestTypography.bodySmall,
+                        fontFamily = FontFamily.Monospace,
+                        color = QuestThemeExtras.colors.primaryText,
+                        textAlign = TextAlign.Center
+                    )
+                } else {
+                    // Important: HTTP notice
+                    Text(
+                        text = "Use http:// (not https://)",
+                        style = QuestTypography.bodySmall,
+                        color = QuestColors.warning,
+                        textAlign = TextAlign.Center
+                    )
+                }
+
+                // Pairing QR code - opens the page, signed in when PIN protection is on
+                if (pairingUrl != null) {
+                    Spacer(modifier = Modifier.height(QuestDimensions.ItemSpacing.dp))
+                    Text(
+                        text = if (pinEnabled) {
+                            "Or scan this code with your phone's camera to connect without typing the PIN"
+                        } else {
+                            "Or scan this code with your phone's camera"
+                        },
+                        style = QuestTypography.bodyMedium,
+                        textAlign = TextAlign.Center,
+                        color = QuestThemeExtras.colors.secondaryText,
+                    )
+                    Spacer(modifier = Modifier.height(8.dp))
+                    QrCode(
+                        content = pairingUrl,
+                        modifier = Modifier.size(200.dp)
+                    )
+                    if (pinEnabled) {
+                        Spacer(modifier = Modifier.height(4.dp))
+                        Text(
+                            text = "Each code works once and is replaced after use",
+                            style = QuestTypography.bodySmall,
+                            textAlign = TextAlign.Center,
+                            color = QuestThemeExtras.colors.secondaryText,
+                        )
+                    }
+                }
 
                 Spacer(modifier = Modifier.height(12.dp))
 
@@ -326,6 +397,46 @@ private fun ServerStatusCard(
     }
 }
 
+/**
+ * QR code for [content], drawn on white with a quiet zone so phone cameras can read it
+ * against the dark panel. Modules are whole pixels to keep the edges sharp.
+ */
+@Composable
+private fun QrCode(content: String, modifier: Modifier = Modifier) {
+    val matrix = remember(content) {
+        QRCodeWriter().encode(
+            content,
+            BarcodeFormat.QR_CODE,
+            0,
+            0,
+            mapOf(
+                EncodeHintType.ERROR_CORRECTION to ErrorCorrectionLevel.M,
+                EncodeHintType.MARGIN to 2
+            )
+        )
+    }
+
+    Canvas(
+        modifier = modifier
+            .clip(RoundedCornerShape(8.dp))
+            .background(Color.White)
+    ) {
+        val moduleSize = floor(size.minDimension / matrix.width).coerceAtLeast(1f)
+        val offset = (size.minDimension - moduleSize * matrix.width) / 2
+        for (y in 0 until matrix.height) {
+            for (x in 0 until matrix.width) {
+                if (matrix.get(x, y)) {
+                    drawRect(
+                        color = Color.Black,
+                        topLeft = Offset(offset + x * moduleSize, offset + y * moduleSize),
+                        size = Size(moduleSize, moduleSize)
+                    )
+                }
+            }
+        }
+    }
+}
+
 /**
  * Quest-styled recent uploads section.
  */
@@ -543,3 +654,59 @@ private fun PinProtectionCard(
         }
     }
 }
+
+/**
+ * Quest-styled HTTPS card. Switching it restarts a running server with the new scheme.
+ */
+@Composable
+private fun HttpsCard(
+    httpsEnabled: Boolean,
+    onToggleHttps: () -> Unit
+) {
+    val backgroundColor = if (httpsEnabled) {
+        LocalColorScheme.current.primaryButton.copy(alpha = 0.15f)
+    } else {
+        QuestThemeExtras.colors.secondary
+    }
+
+    Surface(
+        color = backgroundColor,
+        shape = RoundedCornerShape(QuestDimensions.CardCornerRadius.dp),
+        modifier = Modifier.fillMaxWidth()
+    ) {
+        Row(
+            modifier = Modifier
+                .fillMaxWidth()
+                .padding(QuestDimensions.ContentPadding.dp),
+            horizontalArrangement = Arrangement.SpaceBetween,
+            verticalAlignment = Alignment.CenterVertically
+        ) {
+            Column(modifier = Modifier.weight(1f)) {
+                Text(
+                    text = "Secure Connection (HTTPS)",
+                    style = QuestTypography.titleMedium,
+                    color = QuestThemeExtras.colors.primaryText,
+                    fontWeight = FontWeight.Bold
+                )
+                Text(
+                    text = if (httpsEnabled) {
+                        "Uploads and the PIN are encrypted, using this headset's own certificate"
+                    } else {
+                        "Uploads and the PIN are sent unencrypted. Turn on for shared WiFi"
+                    },
+                    style = QuestTypography.bodySmall,
+                    color = QuestThemeExtras.colors.secondaryText,
+                )
+            }
+            Box(
+                modifier = Modifier.heightIn(min = QuestDimensions.MinHitTarget.dp),
+                contentAlignment = Alignment.Center
+            ) {
+                Switch(
+                    checked = httpsEnabled,
+                    onCheckedChange = { onToggleHttps() }
+                )
+            }
+        }
+    }
+}
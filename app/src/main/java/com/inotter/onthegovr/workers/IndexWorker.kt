@@ -8,6 +8,7 @@ import androidx.work.CoroutineWorker
 import androidx.work.Data
 import androidx.work.WorkerParameters
 import com.inotter.onthegovr.data.datasources.videolibrary.VideoLibraryDataSource
+import com.inotter.onthegovr.data.datasources.videolibrary.models.VideoFormat
 import com.inotter.onthegovr.data.datasources.videolibrary.models.VideoItem
 import com.inotter.onthegovr.data.managers.ThumbnailManager.ThumbnailManagerImpl
 import dagger.assisted.Assisted
@@ -75,12 +76,15 @@ class IndexWorker @AssistedInject constructor(
           folderId = folderId,
           fileUri = uri.toString(),
           title = file.name ?: uri.lastPathSegment ?: "video",
+          description = existing?.description,
+          tags = existing?.tags.orEmpty(),
           durationMs = durationMs,
           sizeBytes = size,
           contentSignature = sig,
           createdAt = existing?.createdAt ?: now,
           unavailable = false,
           thumbnailPath = thumbnailPath,
+          format = existing?.format ?: VideoFormat.fromFileName(file.name.orEmpty()),
       )
       dataSource.insertOrReplaceVideo(item)
     }
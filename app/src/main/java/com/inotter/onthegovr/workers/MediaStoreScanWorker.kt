@@ -6,10 +6,16 @@ import androidx.work.CoroutineWorker
 import androidx.work.Data
 import androidx.work.WorkerParameters
 import com.inotter.onthegovr.data.datasources.videolibrary.VideoLibraryDataSource
+import com.inotter.onthegovr.data.datasources.videolibrary.models.LibraryFolder
 import com.inotter.onthegovr.data.datasources.videolibrary.models.SourceType
+import com.inotter.onthegovr.data.datasources.videolibrary.models.Thumbnail
+import com.inotter.onthegovr.data.datasources.videolibrary.models.ThumbnailGenerationStatus
+import com.inotter.onthegovr.data.datasources.videolibrary.models.ThumbnailKind
+import com.inotter.onthegovr.data.datasources.videolibrary.models.VideoFormat
 import com.inotter.onthegovr.data.datasources.videolibrary.models.VideoItem
 import com.inotter.onthegovr.data.managers.ScannerManager.ScannerManagerImpl
 import com.inotter.onthegovr.data.managers.ThumbnailManager.ThumbnailManagerImpl
+import com.inotter.onthegovr.data.managers.ThumbnailManager.UploadedFrameStore
 import dagger.assisted.Assisted
 import dagger.assisted.AssistedInject
 import kotlinx.coroutines.Dispatchers
@@ -19,6 +25,7 @@ import kotlinx.coroutines.withContext
  * WorkManager worker that scans videos from MediaStore.
  * Uses READ_MEDIA_VIDEO permission to discover all device videos.
  * Integrates with existing ThumbnailGenerator and deduplication logic.
+ * Videos uploaded from the web client use the frames it captured (see [UploadedFrameStore]).
  *
  * @param appContext Android application context
  * @param params Worker parameters
@@ -34,6 +41,7 @@ class MediaStoreScanWorker @AssistedInject constructor(
     override suspend fun doWork(): Result = withContext(Dispatchers.IO) {
         val scanner = ScannerManagerImpl(applicationContext)
         val thumbnailManager = ThumbnailManagerImpl(applicationContext)
+        val frameStore = UploadedFrameStore(applicationContext)
         val now = System.currentTimeMillis()
 
         try {
@@ -59,7 +67,7 @@ class MediaStoreScanWorker @AssistedInject constructor(
                         val updated = existingBySignature.copy(
                             mediaStoreId = video.mediaStoreId
                         )
-                        dataSource.insertOrReplaceVideo(updated)
+                        dataSource.updateVideo(updated)
                     }
                     processedCount++
                     continue
@@ -68,7 +76,8 @@ class MediaStoreScanWorker @AssistedInject constructor(
                 // Check if we already have this MediaStore ID
                 val existingByMediaStoreId = dataSource.findVideoByMediaStoreId(video.mediaStoreId)
                 if (existingByMediaStoreId != null) {
-                    // Update existing entry if file changed
+                    // Update existing entry if file changed, in place so its uploaded frames
+                    // and any title the user edited are kept
                     if (existingByMediaStoreId.contentSignature != signature) {
                         val (thumbnailPath, extractedDuration) = thumbnailManager.generate(
                             video.contentUri,
@@ -76,32 +85,43 @@ class MediaStoreScanWorker @AssistedInject constructor(
                         ).let { it.thumbnailPath to it.durationMs }
                         val updated = existingByMediaStoreId.copy(
                             fileUri = video.contentUri.toString(),
-                            title = video.displayName,
                             sizeBytes = video.sizeBytes,
                             durationMs = extractedDuration.takeIf { it > 0 } ?: video.durationMs,
                             contentSignature = signature,
                             unavailable = false,
                             thumbnailPath = thumbnailPath,
                         )
-                        dataSource.insertOrReplaceVideo(updated)
+                        dataSource.updateVideo(updated)
                     } else {
                         // Mark as available if it was previously unavailable
+                        // (updated in place, a replace would cascade-delete its thumbnails)
                         if (existingByMediaStoreId.unavailable) {
-                            dataSource.insertOrReplaceVideo(existingByMediaStoreId.copy(unavailable = false))
+                            dataSource.markVideosUnavailable(listOf(existingByMediaStoreId.id), false)
                         }
                     }
                     processedCount++
                     continue
                 }
 
-                // New video - generate thumbnail and insert
-                val (thumbnailPath, extractedDuration) = thumbnailManager.generate(
-                    video.contentUri,
-                    signature.take(16)
-                ).let { it.thumbnailPath to it.durationMs }
+                // New video - use the poster sent with the upload, or generate a thumbnail, and insert
+                val uploadedFrames = frameStore.framesFor(video.mediaStoreId)
+                val uploadedPoster = uploadedFrames.firstOrNull { it.kind == ThumbnailKind.Poster }
+                val (thumbnailPath, extractedDuration) = if (uploadedPoster != null) {
+                    uploadedPoster.file.absolutePath to 0L
+                } else {
+                    thumbnailManager.generate(
+                        video.contentUri,
+                        signature.take(16)
+                    ).let { it.thumbnailPath to it.durationMs }
+                }
+
+                // MediaStore videos only belong to a folder if WiFi Transfer created one for their path
+                val folderId = video.relativePath?.let {
+                    dataSource.getFolderByTreeUri(LibraryFolder.mediaStoreTreeUri(it))?.id
+                }
 
                 val videoItem = VideoItem(
-                    folderId = null, // MediaStore videos don't belong to a folder
+                    folderId = folderId,
                     fileUri = video.contentUri.toString(),
                     title = video.displayName,
                     durationMs = extractedDuration.takeIf { it > 0 } ?: video.durationMs,
@@ -111,8 +131,22 @@ class MediaStoreScanWorker @AssistedInject constructor(
                     sourceType = SourceType.MEDIASTORE,
                     mediaStoreId = video.mediaStoreId,
                     thumbnailPath = thumbnailPath,
+                    // Uploads get the format chosen in the web client once imported (see TusUploadHandler)
+                    format = VideoFormat.fromFileName(video.displayName),
                 )
-                dataSource.insertOrReplaceVideo(videoItem)
+                val videoId = dataSource.insertOrReplaceVideo(videoItem)
+                if (uploadedFrames.isNotEmpty()) {
+                    dataSource.replaceThumbnails(videoId, uploadedFrames.map { frame ->
+                        Thumbnail(
+                            videoId = videoId,
+                            kind = frame.kind,
+                            positionMs = frame.positionMs,
+                            path = frame.file.absolutePath,
+                            generationStatus = ThumbnailGenerationStatus.Done,
+                            lastGeneratedAt = now,
+                        )
+                    })
+                }
                 processedCount++
             }
 
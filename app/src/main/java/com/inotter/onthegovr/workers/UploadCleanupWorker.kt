@@ -9,6 +9,7 @@ import androidx.work.CoroutineWorker
 import androidx.work.Data
 import androidx.work.WorkerParameters
 import com.inotter.onthegovr.data.datasources.videolibrary.models.UploadSession
+import com.inotter.onthegovr.data.repositories.TransferLogRepository.TransferLogRepository
 import com.inotter.onthegovr.data.repositories.UploadSessionRepository.UploadSessionRepository
 import dagger.assisted.Assisted
 import dagger.assisted.AssistedInject
@@ -24,12 +25,14 @@ import java.io.File
  * 2. Deletes their associated MediaStore entries (pending videos)
  * 3. Cleans up TUS temporary files from cache directory
  * 4. Removes the session records from the database
+ * 5. Marks transfers in the transfer log that never finished as expired and prunes old entries
  *
  * Should be scheduled to run periodically (e.g., every 6 hours) or on app startup.
  *
  * @param appContext Android application context
  * @param params Worker parameters
  * @param uploadSessionRepository Repository for managing upload sessions
+ * @param transferLogRepository Repository for the history of WiFi transfers
  * @param contentResolver Content resolver for MediaStore operations
  */
 @HiltWorker
@@ -37,6 +40,7 @@ class UploadCleanupWorker @AssistedInject constructor(
     @Assisted appContext: Context,
     @Assisted params: WorkerParameters,
     private val uploadSessionRepository: UploadSessionRepository,
+    private val transferLogRepository: TransferLogRepository,
     private val contentResolver: ContentResolver
 ) : CoroutineWorker(appContext, params) {
 
@@ -55,7 +59,7 @@ class UploadCleanupWorker @AssistedInject constructor(
             // Clean up each expired session
             for (session in expiredSessions) {
                 // 1. Clean up MediaStore pending entry
-                if (cleanupMediaStoreEntry(session.mediaStoreUri)) {
+                if (session.hasMediaStoreEntry && cleanupMediaStoreEntry(session.mediaStoreUri)) {
                     cleanedMediaStore++
                 }
 
@@ -76,6 +80,10 @@ class UploadCleanupWorker @AssistedInject constructor(
             // 5. Clean up finished sessions (completed, cancelled, failed)
             uploadSessionRepository.cleanupFinishedSessions()
 
+            // 6. Close out unfinished transfers in the transfer log and drop old entries
+            val cleanedLogEntries = transferLogRepository.cleanup()
+            Log.d(TAG, "Expired or removed $cleanedLogEntries transfer log entries")
+
             Log.i(TAG, "Cleanup complete: $cleanedSessions sessions, $cleanedMediaStore MediaStore entries, $cleanedFiles TUS files")
 
             Result.success(
@@ -0,0 +1,39 @@
+package com.inotter.onthegovr.data.datasources.videolibrary.models
+
+import org.junit.Assert.assertEquals
+import org.junit.Assert.assertNull
+import org.junit.Test
+
+class SubtitleSidecarTest {
+
+    @Test
+    fun mimeType_followsTheExtension() {
+        assertEquals("application/x-subrip", SubtitleSidecar.mimeTypeFor("Movie.srt"))
+        assertEquals("text/vtt", SubtitleSidecar.mimeTypeFor("Movie.en.VTT"))
+        assertEquals("text/x-ssa", SubtitleSidecar.mimeTypeFor("Movie.ass"))
+        assertEquals("text/x-ssa", SubtitleSidecar.mimeTypeFor("Movie.ssa"))
+    }
+
+    @Test
+    fun unsupportedFiles_haveNoMimeType() {
+        assertNull(SubtitleSidecar.mimeTypeFor("Movie.mp4"))
+        assertNull(SubtitleSidecar.mimeTypeFor("Movie.srt.txt"))
+        assertNull(SubtitleSidecar.mimeTypeFor("srt"))
+    }
+
+    @Test
+    fun language_isTheTagBeforeTheExtension() {
+        assertEquals("en", SubtitleSidecar.languageFromFileName("Movie.en.srt"))
+        assertEquals("eng", SubtitleSidecar.languageFromFileName("Movie.eng.srt"))
+        assertEquals("pt-BR", SubtitleSidecar.languageFromFileName("Movie.pt-BR.vtt"))
+        assertEquals("en", SubtitleSidecar.languageFromFileName("My.Movie.2020.en.srt"))
+    }
+
+    @Test
+    fun namesWithoutALanguageTag_haveNoLanguage() {
+        assertNull(SubtitleSidecar.languageFromFileName("Movie.srt"))
+        assertNull(SubtitleSidecar.languageFromFileName("My.Movie.2020.srt"))
+        assertNull(SubtitleSidecar.languageFromFileName("Movie.english.srt"))
+        assertNull(SubtitleSidecar.languageFromFileName("Movie.e.srt"))
+    }
+}
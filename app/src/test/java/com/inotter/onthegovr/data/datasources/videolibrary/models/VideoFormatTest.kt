@@ -0,0 +1,57 @@
+package com.inotter.onthegovr.data.datasources.videolibrary.models
+
+import org.junit.Assert.assertEquals
+import org.junit.Assert.assertNull
+import org.junit.Test
+
+class VideoFormatTest {
+
+    @Test
+    fun plainName_isFlatMono() {
+        assertEquals(VideoFormat(), VideoFormat.fromFileName("Holiday.mp4"))
+    }
+
+    @Test
+    fun projectionTags_setTheProjection() {
+        assertEquals(VideoProjection.EQUIRECT_180, VideoFormat.fromFileName("Beach_180.mp4").projection)
+        assertEquals(VideoProjection.EQUIRECT_180, VideoFormat.fromFileName("Beach VR180.mp4").projection)
+        assertEquals(VideoProjection.EQUIRECT_360, VideoFormat.fromFileName("Beach-360.mkv").projection)
+        assertEquals(VideoProjection.EQUIRECT_360, VideoFormat.fromFileName("Beach.360x180.mkv").projection)
+    }
+
+    @Test
+    fun stereoTags_setTheStereoMode() {
+        assertEquals(StereoMode.SIDE_BY_SIDE, VideoFormat.fromFileName("Concert_SBS.mp4").stereoMode)
+        assertEquals(StereoMode.SIDE_BY_SIDE, VideoFormat.fromFileName("Concert_LR.mp4").stereoMode)
+        assertEquals(StereoMode.TOP_BOTTOM, VideoFormat.fromFileName("Concert_TB.mp4").stereoMode)
+        assertEquals(StereoMode.TOP_BOTTOM, VideoFormat.fromFileName("Concert.OU.mp4").stereoMode)
+    }
+
+    @Test
+    fun projectionAndStereoTags_combine() {
+        assertEquals(
+            VideoFormat(VideoProjection.EQUIRECT_180, StereoMode.SIDE_BY_SIDE),
+            VideoFormat.fromFileName("Safari_180_LR.mp4")
+        )
+    }
+
+    @Test
+    fun tagsInsideWords_areIgnored() {
+        assertEquals(VideoFormat(), VideoFormat.fromFileName("Tablet 1800 lessons.mp4"))
+    }
+
+    @Test
+    fun extension_isNotATag() {
+        assertEquals(VideoFormat(), VideoFormat.fromFileName("Holiday.sbs"))
+    }
+
+    @Test
+    fun fromNames_parsesStoredNames() {
+        assertEquals(
+            VideoFormat(VideoProjection.EQUIRECT_360, StereoMode.TOP_BOTTOM),
+            VideoFormat.fromNames("EQUIRECT_360", "TOP_BOTTOM")
+        )
+        assertNull(VideoFormat.fromNames("DOME", "MONO"))
+        assertNull(VideoFormat.fromNames("FLAT", null))
+    }
+}
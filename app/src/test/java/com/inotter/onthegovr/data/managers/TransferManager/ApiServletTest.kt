@@ -0,0 +1,67 @@
+package com.inotter.onthegovr.data.managers.TransferManager
+
+import com.inotter.onthegovr.data.datasources.videolibrary.models.TransferLogEntry
+import com.inotter.onthegovr.data.datasources.videolibrary.models.TransferOutcome
+import org.junit.Assert.assertEquals
+import org.junit.Test
+
+class ApiServletTest {
+
+    private val header = ApiServlet.historyCsv(emptyList())
+
+    private fun entry(
+        filename: String = "movie.mp4",
+        error: String? = null,
+        userAgent: String? = null
+    ) = TransferLogEntry(
+        transferKey = "upload-1",
+        filename = filename,
+        size = 1000,
+        bytesReceived = 1000,
+        remoteAddress = "10.0.0.2",
+        userAgent = userAgent,
+        startedAt = 0,
+        endedAt = 2000,
+        outcome = TransferOutcome.COMPLETED,
+        error = error
+    )
+
+    /** The CSV row for [entry], without the header and the line break */
+    private fun csvRow(entry: TransferLogEntry) =
+        ApiServlet.historyCsv(listOf(entry)).removePrefix(header).removeSuffix("\r\n")
+
+    @Test
+    fun historyCsv_hasAHeaderAndOneRowPerTransfer() {
+        val csv = ApiServlet.historyCsv(listOf(entry(), entry(filename = "other.mkv")))
+
+        assertEquals(
+            "started_at,ended_at,filename,size_bytes,bytes_received,duration_ms,average_bytes_per_second,outcome,error,ip_address,user_agent\r\n" +
+                "1970-01-01T00:00:00Z,1970-01-01T00:00:02Z,movie.mp4,1000,1000,2000,500,completed,,10.0.0.2,\r\n" +
+                "1970-01-01T00:00:00Z,1970-01-01T00:00:02Z,other.mkv,1000,1000,2000,500,completed,,10.0.0.2,\r\n",
+            csv
+        )
+    }
+
+    @Test
+    fun historyCsv_quotesCommasQuotesAndLineBreaks() {
+        val row = csvRow(entry(filename = "say \"hi\".mp4", error = "disk full\nretry", userAgent = "Mozilla/5.0 (X11, Linux)"))
+
+        assertEquals(
+            "1970-01-01T00:00:00Z,1970-01-01T00:00:02Z,\"say \"\"hi\"\".mp4\",1000,1000,2000,500,completed," +
+                "\"disk full\nretry\",10.0.0.2,\"Mozilla/5.0 (X11, Linux)\"",
+            row
+        )
+    }
+
+    @Test
+    fun historyCsv_prefixesFormulasWithAnApostrophe() {
+        assertEquals(
+            "1970-01-01T00:00:00Z,1970-01-01T00:00:02Z,'=cmd|calc.mp4,1000,1000,2000,500,completed,'-1+1,10.0.0.2,'@SUM(A1)",
+            csvRow(entry(filename = "=cmd|calc.mp4", error = "-1+1", userAgent = "@SUM(A1)"))
+        )
+        assertEquals(
+            "1970-01-01T00:00:00Z,1970-01-01T00:00:02Z,\"'=HYPERLINK(\"\"http://example.com\"\")\",1000,1000,2000,500,completed,,10.0.0.2,",
+            csvRow(entry(filename = "=HYPERLINK(\"http://example.com\")"))
+        )
+    }
+}
@@ -0,0 +1,51 @@
+package com.inotter.onthegovr.data.managers.TransferManager
+
+import org.junit.Assert.assertEquals
+import org.junit.Assert.assertNull
+import org.junit.Test
+
+class LibraryMediaServletTest {
+
+    private val fileLength = 10_000L
+
+    private fun parse(header: String?) = LibraryMediaServlet.parseRange(header, fileLength)
+
+    @Test
+    fun boundedRange_isSentAsRequested() {
+        assertEquals(0L..1023L, parse("bytes=0-1023"))
+        assertEquals(500L..500L, parse("bytes=500-500"))
+    }
+
+    @Test
+    fun openRange_runsToTheEndOfTheFile() {
+        assertEquals(1024L..9_999L, parse("bytes=1024-"))
+    }
+
+    @Test
+    fun suffixRange_isTheLastBytes() {
+        assertEquals(8_976L..9_999L, parse("bytes=-1024"))
+        assertEquals(0L..9_999L, parse("bytes=-20000"))
+    }
+
+    @Test
+    fun rangePastTheEnd_isCutToTheFile() {
+        assertEquals(9_000L..9_999L, parse("bytes=9000-20000"))
+    }
+
+    @Test
+    fun unsatisfiableRange_isEmpty() {
+        assertEquals(LongRange.EMPTY, parse("bytes=10000-"))
+        assertEquals(LongRange.EMPTY, parse("bytes=-0"))
+        assertEquals(LongRange.EMPTY, LibraryMediaServlet.parseRange("bytes=-100", 0L))
+    }
+
+    @Test
+    fun missingMultipleOrMalformedRanges_sendTheWholeFile() {
+        assertNull(parse(null))
+        assertNull(parse("bytes=0-99,200-299"))
+        assertNull(parse("items=0-99"))
+        assertNull(parse("bytes=500-100"))
+        assertNull(parse("bytes=abc-"))
+        assertNull(parse("bytes=100"))
+    }
+}
@@ -0,0 +1,56 @@
+package com.inotter.onthegovr.data.managers.TransferManager
+
+import org.junit.Assert.assertEquals
+import org.junit.Assert.assertNull
+import org.junit.Test
+
+class MediaStoreUploaderTest {
+
+    @Test
+    fun subfolder_isThePathWithoutTheFileName() {
+        assertEquals("Show/Season 1", MediaStoreUploader.subfolderFromRelativePath("Show/Season 1/ep1.mkv"))
+    }
+
+    @Test
+    fun fileOutsideAFolder_hasNoSubfolder() {
+        assertNull(MediaStoreUploader.subfolderFromRelativePath("movie.mp4"))
+        assertNull(MediaStoreUploader.subfolderFromRelativePath(""))
+        assertNull(MediaStoreUploader.subfolderFromRelativePath(null))
+    }
+
+    @Test
+    fun backslashes_separateFolders() {
+        assertEquals("Show/Season 1", MediaStoreUploader.subfolderFromRelativePath("Show\\Season 1\\ep1.mkv"))
+    }
+
+    @Test
+    fun parentSegments_areDropped() {
+        assertEquals("Show", MediaStoreUploader.subfolderFromRelativePath("../../Show/../ep1.mkv"))
+        assertNull(MediaStoreUploader.subfolderFromRelativePath("../ep1.mkv"))
+    }
+
+    @Test
+    fun hiddenSegments_loseTheirLeadingDots() {
+        assertEquals("config/Show", MediaStoreUploader.subfolderFromRelativePath(".config/Show/ep1.mkv"))
+    }
+
+    @Test
+    fun emptyAndBlankSegments_areDropped() {
+        assertEquals("Show/Season 1", MediaStoreUploader.subfolderFromRelativePath("/Show//  /Season 1 /ep1.mkv"))
+    }
+
+    @Test
+    fun invalidCharacters_areReplaced() {
+        assertEquals("What_ A _Show_", MediaStoreUploader.subfolderFromRelativePath("What? A \"Show\"/ep1.mkv"))
+    }
+
+    @Test
+    fun deepPaths_areCutToMaximumDepth() {
+        val folders = (1..MediaStoreUploader.MAX_SUBFOLDER_DEPTH + 2).map { "f$it" }
+
+        assertEquals(
+            folders.take(MediaStoreUploader.MAX_SUBFOLDER_DEPTH).joinToString("/"),
+            MediaStoreUploader.subfolderFromRelativePath((folders + "ep1.mkv").joinToString("/"))
+        )
+    }
+}
@@ -0,0 +1,192 @@
+package com.inotter.onthegovr.data.managers.TransferManager
+
+import org.junit.Assert.assertEquals
+import org.junit.Assert.assertFalse
+import org.junit.Assert.assertNull
+import org.junit.Assert.assertTrue
+import org.junit.Test
+import java.lang.reflect.Proxy
+import javax.servlet.http.Cookie
+import javax.servlet.http.HttpServletRequest
+
+class SessionAuthenticatorTest {
+
+    private var now = 1_000_000L
+    private var pin: String? = "1234"
+    private val authenticator = SessionAuthenticator(currentPin = { pin }, clock = { now })
+
+    /** A request carrying only the given headers and cookies */
+    private fun request(headers: Map<String, String> = emptyMap(), cookies: List<Cookie> = emptyList()) =
+        Proxy.newProxyInstance(
+            HttpServletRequest::class.java.classLoader,
+            arrayOf(HttpServletRequest::class.java)
+        ) { _, method, args ->
+            when (method.name) {
+                "getHeader" -> headers[args[0] as String]
+                "getCookies" -> cookies.toTypedArray().takeIf { it.isNotEmpty() }
+                else -> null
+            }
+        } as HttpServletRequest
+
+    private fun cookieRequest(token: String) = request(cookies = listOf(Cookie(SessionAuthenticator.COOKIE_NAME, token)))
+
+    private fun loginToken(): String =
+        (authenticator.login("1234", "10.0.0.2") as SessionAuthenticator.LoginResult.Success).token
+
+    @Test
+    fun correctPin_issuesTokenAcceptedAsCookieAndBearer() {
+        val token = loginToken()
+
+        assertTrue(authenticator.isAuthorized(cookieRequest(token)))
+        assertTrue(authenticator.isAuthorized(request(headers = mapOf("Authorization" to "Bearer $token"))))
+    }
+
+    @Test
+    fun requestWithoutToken_isRejected() {
+        assertFalse(authenticator.isAuthorized(request()))
+    }
+
+    @Test
+    fun pinDisabled_authorizesEveryRequest() {
+        pin = null
+
+        assertTrue(authenticator.isAuthorized(request()))
+    }
+
+    @Test
+    fun tamperedToken_isRejected() {
+        val token = loginToken()
+        val expiresAt = token.substringBefore('.').toLong()
+        val extended = "${expiresAt + SessionAuthenticator.SESSION_TTL_MS}${token.substring(expiresAt.toString().length)}"
+
+        assertFalse(authenticator.isAuthorized(cookieRequest(extended)))
+        assertFalse(authenticator.isAuthorized(cookieRequest(token.dropLast(2))))
+        assertFalse(authenticator.isAuthorized(cookieRequest("not-a-token")))
+    }
+
+    @Test
+    fun tokenFromAnotherServer_isRejected() {
+        val token = loginToken()
+        val other = SessionAuthenticator(currentPin = { pin }, clock = { now })
+
+        assertFalse(other.isAuthorized(cookieRequest(token)))
+    }
+
+    @Test
+    fun token_expiresAfterSessionTtl() {
+        val token = loginToken()
+
+        now += SessionAuthenticator.SESSION_TTL_MS - 1
+        assertTrue(authenticator.isAuthorized(cookieRequest(token)))
+        now += 1
+        assertFalse(authenticator.isAuthorized(cookieRequest(token)))
+    }
+
+    @Test
+    fun sessionExpiresAt_isTheTokensExpiry() {
+        val login = authenticator.login("1234", "10.0.0.2") as SessionAuthenticator.LoginResult.Success
+
+        assertEquals(login.expiresAt, authenticator.sessionExpiresAt(cookieRequest(login.token)))
+        assertNull(authenticator.sessionExpiresAt(request()))
+        pin = null
+        assertEquals(Long.MAX_VALUE, authenticator.sessionExpiresAt(request()))
+    }
+
+    @Test
+    fun changingPin_invalidatesSessions() {
+        val token = loginToken()
+
+        pin = "5678"
+        assertFalse(authenticator.isAuthorized(cookieRequest(token)))
+    }
+
+    @Test
+    fun wrongPin_countsDownRemainingAttempts() {
+        val first = authenticator.login("0000", "10.0.0.2")
+        val second = authenticator.login("0000", "10.0.0.2")
+
+        assertEquals(SessionAuthenticator.LoginResult.InvalidPin(SessionAuthenticator.MAX_FAILED_ATTEMPTS - 1), first)
+        assertEquals(SessionAuthenticator.LoginResult.InvalidPin(SessionAuthenticator.MAX_FAILED_ATTEMPTS - 2), second)
+    }
+
+    @Test
+    fun tooManyWrongPins_lockOutOnlyThatClient() {
+        repeat(SessionAuthenticator.MAX_FAILED_ATTEMPTS - 1) { authenticator.login("0000", "10.0.0.2") }
+        val result = authenticator.login("0000", "10.0.0.2")
+
+        assertEquals(SessionAuthenticator.LoginResult.LockedOut(30_000L), result)
+        assertEquals(30_000L, authenticator.lockoutRemaining("10.0.0.2"))
+        assertEquals(0L, authenticator.lockoutRemaining("10.0.0.3"))
+        assertTrue(authenticator.login("1234", "10.0.0.3") is SessionAuthenticator.LoginResult.Success)
+    }
+
+    @Test
+    fun lockedOutClient_isRejectedEvenWithCorrectPin() {
+        repeat(SessionAuthenticator.MAX_FAILED_ATTEMPTS) { authenticator.login("0000", "10.0.0.2") }
+        now += 10_000L
+
+        assertEquals(SessionAuthenticator.LoginResult.LockedOut(20_000L), authenticator.login("1234", "10.0.0.2"))
+    }
+
+    @Test
+    fun lockout_doublesEachTimeUpToMaximum() {
+        val lockouts = (1..8).map {
+            repeat(SessionAuthenticator.MAX_FAILED_ATTEMPTS - 1) { authenticator.login("0000", "10.0.0.2") }
+            val result = authenticator.login("0000", "10.0.0.2") as SessionAuthenticator.LoginResult.LockedOut
+            now += result.retryAfterMs
+            result.retryAfterMs
+        }
+
+        assertEquals(
+            listOf(30_000L, 60_000L, 120_000L, 240_000L, 480_000L, 900_000L, 900_000L, 900_000L),
+            lockouts
+        )
+    }
+
+    @Test
+    fun successfulLogin_resetsFailedAttempts() {
+        repeat(SessionAuthenticator.MAX_FAILED_ATTEMPTS - 1) { authenticator.login("0000", "10.0.0.2") }
+        authenticator.login("1234", "10.0.0.2")
+
+        assertEquals(
+            SessionAuthenticator.LoginResult.InvalidPin(SessionAuthenticator.MAX_FAILED_ATTEMPTS - 1),
+            authenticator.login("0000", "10.0.0.2")
+        )
+    }
+
+    @Test
+    fun pairingToken_exchangesForSessionOnce() {
+        val pairing = authenticator.createPairingToken()
+
+        assertTrue(authenticator.isPairingTokenValid(pairing.token))
+        val session = authenticator.pair(pairing.token)
+        assertTrue(session != null && authenticator.isAuthorized(cookieRequest(session.token)))
+        assertFalse(authenticator.isPairingTokenValid(pairing.token))
+        assertNull(authenticator.pair(pairing.token))
+    }
+
+    @Test
+    fun pairingToken_expires() {
+        val pairing = authenticator.createPairingToken()
+
+        now += SessionAuthenticator.PAIRING_TOKEN_TTL_MS
+        assertFalse(authenticator.isPairingTokenValid(pairing.token))
+        assertNull(authenticator.pair(pairing.token))
+    }
+
+    @Test
+    fun pairingToken_isInvalidAfterPinChange() {
+        val pairing = authenticator.createPairingToken()
+
+        pin = "5678"
+        assertFalse(authenticator.isPairingTokenValid(pairing.token))
+        assertNull(authenticator.pair(pairing.token))
+    }
+
+    @Test
+    fun unknownPairingToken_doesNotCountTowardsLockout() {
+        repeat(SessionAuthenticator.MAX_FAILED_ATTEMPTS) { assertNull(authenticator.pair("guess-$it")) }
+
+        assertTrue(authenticator.login("1234", "10.0.0.2") is SessionAuthenticator.LoginResult.Success)
+    }
+}